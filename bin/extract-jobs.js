@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+import { createReadStream, existsSync, openSync, writeSync, closeSync, statSync, writeFileSync } from "fs";
+import { extractJobDetails } from "../lib/extract.js";
+import { providerFromConfig } from "../lib/providers/index.js";
+import { cacheFromEnv } from "../lib/cache.js";
+import { duplicatesFromEnv } from "../lib/duplicates.js";
+import { createLogger } from "../lib/logger.js";
+import { createMetrics, toPrometheus } from "../lib/metrics.js";
+import {
+    BULK_FORMATS, createErrorWriter, createRowWriter, formatFromPath, loadCheckpoint, parseColumnMap, readRecords, runBulk
+} from "../lib/bulk.js";
+
+// Bulk extraction from the command line, with the same extraction, retries and
+// validation as the API (lib/extract.js) but no HTTP, auth or quotas:
+//
+//   npm run extract -- postings.csv -o enriched.csv
+//   cat postings.jsonl | npm run extract -- --concurrency 10 > enriched.jsonl
+//
+//   [input]                  .csv or .jsonl/.ndjson file; stdin when omitted or "-"
+//   -o, --output <path>      enriched rows (default: stdout)
+//   -e, --errors <path>      error rows (default: <output>.errors.<ext>, or stderr with stdout output)
+//   --input-format <fmt>     csv or jsonl (default: from the file extension, jsonl for stdin)
+//   --output-format <fmt>    csv or jsonl (default: from the output extension, else the input format)
+//   -c, --concurrency <n>    postings extracted at once (default 5)
+//   --checkpoint <path>      finished-row log (default: <output>.checkpoint when writing to a file)
+//   --resume                 skip rows the checkpoint lists and append to the existing output
+//   --columns <map>          input column names, e.g. "job_title=Title,job_description=Body"
+//   --provider <spec>        LLM provider spec, e.g. "openai:gpt-4o-mini" (default: LLM_PROVIDER)
+//   --model <model>          model for the provider
+//   --no-cache               do not use the extraction cache (CACHE_STORE)
+//   --no-duplicates          do not look for duplicate postings (DUPLICATES_STORE)
+//   --return-canonical       copy a known posting's result to its duplicates instead of extracting them
+//   --metrics <path>         write attempt, validation, latency and token metrics (Prometheus text) at the end
+//   --verbose                log every extraction attempt to stderr (JSON lines)
+
+const USAGE = 'Usage: npm run extract -- [input.csv|input.jsonl|-] [-o output] [-e errors] [--input-format csv|jsonl] [--output-format csv|jsonl] [-c concurrency] [--checkpoint path] [--resume] [--columns map] [--provider spec] [--model model] [--no-cache] [--no-duplicates] [--return-canonical] [--metrics path] [--verbose]';
+
+const DEFAULT_CONCURRENCY = 5;
+const MAX_CONCURRENCY = 50;
+
+function parseArgs(argv) {
+    const args = { concurrency: DEFAULT_CONCURRENCY, resume: false, cache: true, duplicates: true, returnCanonical: false, verbose: false };
+    for (let index = 0; index < argv.length; index++) {
+        const arg = argv[index];
+        const value = () => {
+            if (index + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            return argv[++index];
+        };
+        switch (arg) {
+            case '-o': case '--output': args.output = value(); break;
+            case '-e': case '--errors': args.errors = value(); break;
+            case '--input-format': args.inputFormat = value().toLowerCase(); break;
+            case '--output-format': args.outputFormat = value().toLowerCase(); break;
+            case '-c': case '--concurrency': args.concurrency = parseInt(value(), 10); break;
+            case '--checkpoint': args.checkpoint = value(); break;
+            case '--resume': args.resume = true; break;
+            case '--columns': args.columns = parseColumnMap(value()); break;
+            case '--provider': args.provider = value(); break;
+            case '--model': args.model = value(); break;
+            case '--no-cache': args.cache = false; break;
+            case '--no-duplicates': args.duplicates = false; break;
+            case '--return-canonical': args.returnCanonical = true; break;
+            case '--metrics': args.metrics = value(); break;
+            case '--verbose': args.verbose = true; break;
+            case '-h': case '--help': args.help = true; break;
+            default:
+                if (arg.startsWith('-') && arg !== '-') throw new Error(`Unknown option ${arg}`);
+                if (args.input) throw new Error(`Only one input file is supported (got ${args.input} and ${arg})`);
+                args.input = arg;
+        }
+    }
+
+    if (!Number.isInteger(args.concurrency) || args.concurrency < 1 || args.concurrency > MAX_CONCURRENCY) {
+        throw new Error(`--concurrency must be between 1 and ${MAX_CONCURRENCY}`);
+    }
+    const fromStdin = !args.input || args.input === '-';
+    args.inputFormat = args.inputFormat || (fromStdin ? 'jsonl' : formatFromPath(args.input));
+    if (!BULK_FORMATS.includes(args.inputFormat)) {
+        throw new Error(`Cannot tell the input format of ${args.input} - pass --input-format csv|jsonl`);
+    }
+    args.outputFormat = args.outputFormat || formatFromPath(args.output) || args.inputFormat;
+    if (!BULK_FORMATS.includes(args.outputFormat)) {
+        throw new Error(`Unknown output format "${args.outputFormat}". Use one of: ${BULK_FORMATS.join(', ')}`);
+    }
+    if (args.output && !args.errors) {
+        args.errors = `${args.output.replace(/\.(csv|jsonl|ndjson)$/i, '')}.errors.${args.outputFormat}`;
+    }
+    if (args.output && !args.checkpoint) {
+        args.checkpoint = `${args.output}.checkpoint`;
+    }
+    if (args.resume && !args.checkpoint) {
+        throw new Error('--resume needs --checkpoint (or --output, which implies one)');
+    }
+    return args;
+}
+
+// stderr-only logger so stdout carries nothing but output rows
+function cliLogger(verbose) {
+    return createLogger({ level: verbose ? 'debug' : 'error', write: line => console.error(line) });
+}
+
+// A file the run appends to; `fresh` says whether it was empty before
+function openOutput(path, append) {
+    const fresh = !append || !existsSync(path) || statSync(path).size === 0;
+    const fd = openSync(path, append ? 'a' : 'w');
+    return { fd, fresh, write: text => writeSync(fd, text) };
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    if (args.checkpoint && existsSync(args.checkpoint) && !args.resume) {
+        throw new Error(`Checkpoint ${args.checkpoint} exists from an earlier run. Pass --resume to continue it, or delete it to start over`);
+    }
+    const skip = args.resume ? loadCheckpoint(args.checkpoint) : new Set();
+
+    const output = args.output ? openOutput(args.output, args.resume) : { fresh: true, write: text => process.stdout.write(text) };
+    const errors = args.errors ? openOutput(args.errors, args.resume) : { fresh: true, write: text => process.stderr.write(text) };
+    const checkpoint = args.checkpoint ? openOutput(args.checkpoint, true) : null;
+    // stderr error rows are always JSONL so they stay readable between log lines
+    const rowWriter = createRowWriter(args.outputFormat, output.write);
+    const errorWriter = createErrorWriter(args.errors ? args.outputFormat : 'jsonl', errors.write);
+    if (!output.fresh) rowWriter.skipHeader();
+    if (!errors.fresh) errorWriter.skipHeader();
+
+    const options = {
+        provider: providerFromConfig({ provider: args.provider, model: args.model }),
+        cache: args.cache ? cacheFromEnv() : null,
+        duplicates: args.duplicates ? duplicatesFromEnv() : null,
+        config: args.returnCanonical ? { returnCanonical: true } : undefined,
+        logger: cliLogger(args.verbose),
+        metrics: args.metrics ? createMetrics() : undefined
+    };
+
+    // First Ctrl-C finishes the rows in flight and keeps the checkpoint consistent; a second one quits
+    let stopping = false;
+    process.on('SIGINT', () => {
+        if (stopping) {
+            process.exit(130);
+        }
+        stopping = true;
+        console.error('Stopping after the postings in progress... (Ctrl-C again to quit now)');
+    });
+
+    const input = args.input && args.input !== '-' ? createReadStream(args.input) : process.stdin;
+    const startedAt = Date.now();
+    let finished = 0;
+    const counts = await runBulk(readRecords(input, args.inputFormat), {
+        concurrency: args.concurrency,
+        skip,
+        columnMap: args.columns,
+        shouldStop: () => stopping,
+        extract: posting => extractJobDetails(posting, options),
+        onRow({ row, record, result, error }) {
+            if (error) {
+                errorWriter.write(row, record, error);
+            } else {
+                rowWriter.write(row, record, result);
+            }
+            // The row is only marked done once its output is written
+            if (checkpoint) {
+                checkpoint.write(`${JSON.stringify({ row, status: error ? 'error' : 'ok' })}\n`);
+            }
+            finished++;
+            if (finished % 25 === 0) {
+                console.error(`${finished} postings done`);
+            }
+        }
+    });
+
+    // An interrupted run leaves the input half read
+    input.destroy();
+    for (const file of [output, errors, checkpoint]) {
+        if (file && file.fd !== undefined) closeSync(file.fd);
+    }
+
+    if (args.metrics) {
+        writeFileSync(args.metrics, toPrometheus(options.metrics.snapshot()));
+    }
+
+    const seconds = ((Date.now() - startedAt) / 1000).toFixed(1);
+    const skipped = counts.skipped > 0 ? `, ${counts.skipped} skipped from the checkpoint` : '';
+    console.error(`${stopping ? 'Interrupted' : 'Done'}: ${counts.ok} ok, ${counts.error} errors${skipped} in ${seconds}s`);
+    if (stopping && args.checkpoint) {
+        console.error(`Continue with the same command plus --resume`);
+    }
+    return stopping ? 130 : counts.error > 0 ? 2 : 0;
+}
+
+main().then(code => {
+    process.exitCode = code;
+}).catch(error => {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 1;
+});
@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+import { mkdirSync, readFileSync, writeFileSync } from "fs";
+import { join } from "path";
+import { buildOpenApiSpec, requestLimitsFromEnv } from "../lib/openapi.js";
+
+// Generates the typed JavaScript client in clients/js from the OpenAPI spec:
+//
+//   npm run generate:client                     # spec from lib/openapi.js, default limits
+//   npm run generate:client -- --spec https://your-site.netlify.app/openapi.json
+//
+//   --spec <path|url>   OpenAPI document to generate from (default: built from this tree)
+//   -o, --out <dir>     output directory (default clients/js)
+//
+// Writes index.js (a fetch-based ESM client), index.d.ts (interfaces for every
+// component schema and the client's methods) and openapi.json. Methods come
+// from each operation's `x-client` list. The defaults ignore the environment so
+// the checked-in client does not depend on whoever generated it.
+
+const USAGE = 'Usage: npm run generate:client -- [--spec path|url] [-o dir]';
+
+function parseArgs(argv) {
+    const args = { out: 'clients/js' };
+    for (let index = 0; index < argv.length; index++) {
+        const arg = argv[index];
+        const value = () => {
+            if (index + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            return argv[++index];
+        };
+        switch (arg) {
+            case '--spec': args.spec = value(); break;
+            case '-o': case '--out': args.out = value(); break;
+            case '-h': case '--help': args.help = true; break;
+            default: throw new Error(`Unknown option ${arg}`);
+        }
+    }
+    return args;
+}
+
+async function loadSpec(source) {
+    if (!source) {
+        return buildOpenApiSpec({ limits: requestLimitsFromEnv({}) });
+    }
+    if (/^https?:\/\//.test(source)) {
+        const response = await fetch(source);
+        if (!response.ok) throw new Error(`${source} answered HTTP ${response.status}`);
+        return response.json();
+    }
+    return JSON.parse(readFileSync(source, 'utf8'));
+}
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+function refName(ref) {
+    return ref.split('/').pop();
+}
+
+function docComment(text, indent) {
+    if (!text) return '';
+    return `${indent}/** ${String(text).replace(/\*\//g, '*\\/')} */\n`;
+}
+
+// JSON Schema -> TypeScript type expression
+function tsType(schema, indent = '') {
+    if (!schema || Object.keys(schema).length === 0) return 'unknown';
+    if (schema.$ref) return refName(schema.$ref);
+    if (schema.anyOf || schema.oneOf) return [...new Set((schema.anyOf || schema.oneOf).map(option => tsType(option, indent)))].join(' | ');
+    if (schema.allOf) return schema.allOf.map(part => tsType(part, indent)).join(' & ');
+    if (schema.enum) return schema.enum.map(value => JSON.stringify(value)).join(' | ');
+
+    const types = [].concat(schema.type || 'unknown');
+    return types.map(type => {
+        switch (type) {
+            case 'string': return 'string';
+            case 'integer': case 'number': return 'number';
+            case 'boolean': return 'boolean';
+            case 'null': return 'null';
+            case 'array': {
+                const items = tsType(schema.items, indent);
+                return /^[\w$]+$/.test(items) ? `${items}[]` : `Array<${items}>`;
+            }
+            case 'object': return objectType(schema, indent);
+            default: return 'unknown';
+        }
+    }).join(' | ');
+}
+
+function objectType(schema, indent) {
+    if (!schema.properties) {
+        return schema.additionalProperties ? `Record<string, ${tsType(schema.additionalProperties, indent)}>` : 'Record<string, unknown>';
+    }
+    const inner = `${indent}    `;
+    const required = schema.required || [];
+    const lines = Object.entries(schema.properties).map(([name, property]) => {
+        const key = IDENTIFIER.test(name) ? name : JSON.stringify(name);
+        return `${docComment(property.description, inner)}${inner}${key}${required.includes(name) ? '' : '?'}: ${tsType(property, inner)};`;
+    });
+    return `{\n${lines.join('\n')}\n${indent}}`;
+}
+
+// Every client method: { name, summary, httpMethod, path, request, response, query, accepted }.
+// `x-client` entries are { method, summary?, request?, response? }; an empty list
+// keeps an operation out of the client.
+function clientMethods(spec) {
+    const methods = [];
+    for (const [path, operations] of Object.entries(spec.paths)) {
+        for (const [httpMethod, operation] of Object.entries(operations)) {
+            const variants = operation['x-client'] || [{ method: operation.operationId }];
+            for (const variant of variants) {
+                methods.push({
+                    name: variant.method,
+                    summary: variant.summary || operation.summary,
+                    httpMethod: httpMethod.toUpperCase(),
+                    path,
+                    request: variant.request || null,
+                    response: variant.response || null,
+                    query: httpMethod === 'get' ? (operation.parameters || []).filter(parameter => parameter.in === 'query') : [],
+                    accepted: Boolean(operation.responses && operation.responses[202])
+                });
+            }
+        }
+    }
+    return methods;
+}
+
+function header(spec) {
+    return `// Generated by bin/generate-client.js from the OpenAPI spec of ${spec.info.title} ${spec.info.version}.\n// Do not edit by hand; run \`npm run generate:client\` after changing lib/openapi.js or lib/schema.js.\n`;
+}
+
+function clientSource(spec, methods) {
+    const operations = methods
+        .map(method => `    ${method.name}: { method: ${JSON.stringify(method.httpMethod)}, path: ${JSON.stringify(method.path)} }`)
+        .join(',\n');
+    return `${header(spec)}
+export const API_VERSION = ${JSON.stringify(spec.info.version)};
+
+const OPERATIONS = {
+${operations}
+};
+
+// A non-2xx answer. \`errors\` lists the per-field problems of a 400 or 422.
+export class ApiError extends Error {
+    constructor(message, { statusCode, body, requestId }) {
+        super(message);
+        this.name = 'ApiError';
+        this.statusCode = statusCode;
+        this.body = body;
+        this.errors = body && Array.isArray(body.errors) ? body.errors : [];
+        this.requestId = requestId;
+    }
+}
+
+// createClient({ baseUrl: "https://your-site.netlify.app", apiKey })
+export function createClient({ baseUrl, apiKey, fetch: fetchImpl = globalThis.fetch, headers = {} } = {}) {
+    if (!baseUrl) {
+        throw new Error('baseUrl is required');
+    }
+    const root = String(baseUrl).replace(/\\/+$/, '');
+
+    async function call(name, input = {}) {
+        const operation = OPERATIONS[name];
+        const url = new URL(root + operation.path);
+        const init = { method: operation.method, headers: { Accept: 'application/json', ...headers } };
+        if (apiKey) {
+            init.headers.Authorization = \`Bearer \${apiKey}\`;
+        }
+        if (operation.method === 'GET') {
+            for (const [key, value] of Object.entries(input || {})) {
+                if (value !== undefined && value !== null) url.searchParams.set(key, String(value));
+            }
+        } else {
+            init.headers['Content-Type'] = 'application/json';
+            init.body = JSON.stringify(input);
+        }
+
+        const response = await fetchImpl(url, init);
+        const text = await response.text();
+        const body = /json/i.test(response.headers.get('content-type') || '') && text ? JSON.parse(text) : text;
+        if (!response.ok) {
+            const message = body && typeof body === 'object' && body.error ? body.error : \`HTTP \${response.status}\`;
+            throw new ApiError(message, { statusCode: response.status, body, requestId: response.headers.get('x-request-id') });
+        }
+        return body;
+    }
+
+    return Object.fromEntries(Object.keys(OPERATIONS).map(name => [name, input => call(name, input)]));
+}
+`;
+}
+
+function methodDeclarations(method) {
+    const doc = docComment(method.summary, '    ');
+    const response = method.response || 'Record<string, unknown>';
+    if (method.request) {
+        const lines = [];
+        if (method.accepted) {
+            lines.push(`${doc}    ${method.name}(request: ${method.request} & AsyncRequest): Promise<JobAccepted>;`);
+        }
+        lines.push(`${method.accepted ? '' : doc}    ${method.name}(request: ${method.request}): Promise<${response}>;`);
+        return lines.join('\n');
+    }
+    if (method.query.length > 0) {
+        const query = objectType({
+            type: 'object',
+            properties: Object.fromEntries(method.query.map(parameter => [parameter.name, parameter.schema])),
+            required: method.query.filter(parameter => parameter.required).map(parameter => parameter.name)
+        }, '    ');
+        const optional = method.query.every(parameter => !parameter.required);
+        return `${doc}    ${method.name}(query${optional ? '?' : ''}: ${query}): Promise<${response}>;`;
+    }
+    return `${doc}    ${method.name}(): Promise<${response}>;`;
+}
+
+function typesSource(spec, methods) {
+    const schemas = Object.entries(spec.components.schemas).map(([name, schema]) => {
+        const doc = docComment(schema.description, '');
+        return schema.type === 'object' && schema.properties
+            ? `${doc}export interface ${name} ${objectType(schema, '')}`
+            : `${doc}export type ${name} = ${tsType(schema, '')};`;
+    });
+    return `${header(spec)}
+export declare const API_VERSION: string;
+
+${schemas.join('\n\n')}
+
+/** Either of these makes an extraction request answer 202 with a job to poll */
+export type AsyncRequest = { async: true } | { callback_url: string };
+
+export interface ClientOptions {
+    /** Site URL, e.g. https://your-site.netlify.app */
+    baseUrl: string;
+    /** Sent as Authorization: Bearer <apiKey> */
+    apiKey?: string;
+    fetch?: typeof fetch;
+    headers?: Record<string, string>;
+}
+
+export declare class ApiError extends Error {
+    statusCode: number;
+    body: unknown;
+    errors: ValidationError['errors'];
+    requestId: string | null;
+}
+
+/** Methods resolve to the parsed JSON body; with format csv they resolve to the CSV text */
+export interface Client {
+${methods.map(methodDeclarations).join('\n')}
+}
+
+export declare function createClient(options: ClientOptions): Client;
+`;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        console.log(USAGE);
+        return;
+    }
+    const spec = await loadSpec(args.spec);
+    const methods = clientMethods(spec);
+
+    mkdirSync(args.out, { recursive: true });
+    writeFileSync(join(args.out, 'index.js'), clientSource(spec, methods));
+    writeFileSync(join(args.out, 'index.d.ts'), typesSource(spec, methods));
+    writeFileSync(join(args.out, 'openapi.json'), `${JSON.stringify(spec, null, 2)}\n`);
+    console.error(`Wrote ${methods.length} methods and ${Object.keys(spec.components.schemas).length} types to ${args.out}`);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 1;
+});
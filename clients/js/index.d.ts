@@ -0,0 +1,304 @@
+// Generated by bin/generate-client.js from the OpenAPI spec of Job Details Extractor API 1.1.0.
+// Do not edit by hand; run `npm run generate:client` after changing lib/openapi.js or lib/schema.js.
+
+export declare const API_VERSION: string;
+
+/** One extraction result */
+export interface JobDetails {
+    /** Cleaned job title: location, job IDs and repeated words removed, seniority kept. English when translate_title is set (the posting's own title is then in job_title_original) */
+    job_title: string;
+    /** Primary location: "City, ST" in the US, the bare city elsewhere, or null */
+    city: string | null;
+    /** Every work location the posting names, resolved against the gazetteer */
+    locations: Array<{
+        /** The location as written in the posting */
+        raw: string;
+        /** "City, ST" in the US, the bare city elsewhere */
+        display: string;
+        city: string | null;
+        /** US state or other region code */
+        state: string | null;
+        /** ISO 3166-1 alpha-2 code */
+        country: string | null;
+        latitude: number | null;
+        longitude: number | null;
+        status: "resolved" | "ambiguous" | "unresolved";
+        /** Other places an ambiguous name could mean */
+        alternatives: string[];
+    }>;
+    /** remote, hybrid or on-site, or null when the posting does not say */
+    work_arrangement: "remote" | "hybrid" | "on-site" | null;
+    /** Hiring company named in the posting, or null */
+    company: string | null;
+    /** Experience level from the years or seniority the posting asks for, or null */
+    experience: "Entry (0-2 Years)" | "Mid (3-5 Years)" | "Senior (6-8 Years)" | "Lead (8+ Years)" | null;
+    /** Stated pay; numbers that do not appear in the posting are dropped */
+    compensation: {
+        min: number | null;
+        max: number | null;
+        currency: string | null;
+        period: "hourly" | "yearly" | null;
+        raw: string | null;
+    } | null;
+    /** Skills the posting asks for, mapped onto the skills taxonomy */
+    skills: Array<{
+        /** Taxonomy id, null for skills outside the taxonomy */
+        id: string | null;
+        /** Canonical name, or the skill as written when it is not in the taxonomy */
+        name: string;
+        /** The skill as written in the posting */
+        raw: string;
+        /** false for nice-to-have items */
+        required: boolean;
+        known: boolean;
+    }>;
+    /** Primary location */
+    location?: Location | null;
+    /** ISO 639-1 code of the posting, null when there is too little text to tell */
+    language?: "en" | "de" | "fr" | "es" | null;
+    /** Untranslated title; only present when job_title was translated */
+    job_title_original?: string;
+    /** Normalized title, company and city hash; copies of one job share it */
+    fingerprint?: string;
+    /** Fingerprint of the earlier posting this one copies */
+    duplicate_of?: string | null;
+    extraction_method: "rules" | "model" | "rules+model";
+    confidence?: {
+        job_title?: number;
+        city?: number;
+        locations?: number;
+        work_arrangement?: number;
+        company?: number;
+        experience?: number;
+        compensation?: number;
+        skills?: number;
+    };
+    /** Where each value was found: one match, a list for list fields, or null */
+    evidence?: {
+        job_title?: Evidence | Evidence[] | null;
+        city?: Evidence | Evidence[] | null;
+        locations?: Evidence | Evidence[] | null;
+        work_arrangement?: Evidence | Evidence[] | null;
+        company?: Evidence | Evidence[] | null;
+        experience?: Evidence | Evidence[] | null;
+        compensation?: Evidence | Evidence[] | null;
+        skills?: Evidence | Evidence[] | null;
+    };
+    cache: "hit" | "miss" | "refresh" | "duplicate" | "off";
+    /** Fields no model answer got right, with the reason; only present on partial results */
+    field_errors?: Record<string, string>;
+    /** Why extraction failed; the fields then hold the rule-based fallback */
+    error?: string;
+}
+
+export interface Location {
+    /** The location as written in the posting */
+    raw: string;
+    /** "City, ST" in the US, the bare city elsewhere */
+    display: string;
+    city: string | null;
+    /** US state or other region code */
+    state: string | null;
+    /** ISO 3166-1 alpha-2 code */
+    country: string | null;
+    latitude: number | null;
+    longitude: number | null;
+    status: "resolved" | "ambiguous" | "unresolved";
+    /** Other places an ambiguous name could mean */
+    alternatives: string[];
+}
+
+export interface Evidence {
+    source: "job_title" | "job_description";
+    start: number;
+    end: number;
+    text: string;
+    snippet: string;
+    /** quote: the model's quote was found; value: the value itself was */
+    match: "quote" | "value";
+}
+
+/** job_title plus one of job_description, job_html or job_url */
+export interface ExtractionRequest {
+    /** Title as listed; optional with job_html or job_url */
+    job_title?: string;
+    /** Posting text */
+    job_description?: string;
+    /** Posting page HTML, instead of job_description */
+    job_html?: string;
+    /** Public posting URL to fetch, instead of job_description */
+    job_url?: string;
+    /** Response format: json, jsonld, csv (aliases such as json-ld are accepted). Defaults to the Accept header, then json */
+    format?: "json" | "flat" | "jsonld" | "json-ld" | "ld+json" | "schema" | "schema.org" | "csv";
+    /** Skip the cache and extract known duplicates again */
+    refresh?: boolean;
+    /** English job_title for non-English postings, the original in job_title_original */
+    translate_title?: boolean;
+    /** Answer a near-identical copy of a known posting with that posting's result */
+    return_canonical?: boolean;
+    /** Provider spec for this request, e.g. openai:gpt-4o-mini; only models the server allows (ALLOWED_MODELS) */
+    provider?: string;
+    /** Model for the request's provider */
+    model?: string;
+    /** Queue the extraction and answer 202 with a job to poll */
+    async?: boolean;
+    /** Public https URL the finished job is posted to (implies async) */
+    callback_url?: string;
+}
+
+/** A batch item; one that names no posting fails on its own without failing the batch */
+export interface BatchJob {
+    /** Echoed back on the result; a hash of the posting when omitted */
+    id?: string | number;
+    /** Title as listed; optional with job_html or job_url */
+    job_title?: string;
+    /** Posting text */
+    job_description?: string;
+    /** Posting page HTML, instead of job_description */
+    job_html?: string;
+    /** Public posting URL to fetch, instead of job_description */
+    job_url?: string;
+}
+
+export interface BatchRequest {
+    jobs: BatchJob[];
+    /** Items processed at once (default 5) */
+    concurrency?: number;
+    /** Response format: json, jsonld, csv (aliases such as json-ld are accepted). Defaults to the Accept header, then json */
+    format?: "json" | "flat" | "jsonld" | "json-ld" | "ld+json" | "schema" | "schema.org" | "csv";
+    /** Skip the cache and extract known duplicates again */
+    refresh?: boolean;
+    /** English job_title for non-English postings, the original in job_title_original */
+    translate_title?: boolean;
+    /** Answer a near-identical copy of a known posting with that posting's result */
+    return_canonical?: boolean;
+    /** Provider spec for this request, e.g. openai:gpt-4o-mini; only models the server allows (ALLOWED_MODELS) */
+    provider?: string;
+    /** Model for the request's provider */
+    model?: string;
+    /** Queue the extraction and answer 202 with a job to poll */
+    async?: boolean;
+    /** Public https URL the finished job is posted to (implies async) */
+    callback_url?: string;
+}
+
+export interface BatchResult {
+    id: string;
+    index: number;
+    status: "ok" | "error";
+    result: JobDetails | null;
+    error: string | null;
+}
+
+export interface BatchResponse {
+    results: BatchResult[];
+    summary: {
+        total?: number;
+        succeeded?: number;
+        failed?: number;
+        duration_ms?: number;
+    };
+}
+
+export interface JobAccepted {
+    job_id: string;
+    status: "queued";
+    status_url: string;
+}
+
+export interface Job {
+    id: string;
+    status: "queued" | "running" | "succeeded" | "failed";
+    kind: "single" | "batch";
+    created_at: string;
+    started_at?: string | null;
+    finished_at?: string | null;
+    callback_url?: string | null;
+    result?: JobDetails;
+    batch?: BatchResponse;
+    error?: string | null;
+    delivery?: {
+        status?: "none" | "pending" | "delivered" | "failed";
+        attempts?: number;
+        last_status?: number | null;
+        last_error?: string | null;
+        delivered_at?: string | null;
+    };
+}
+
+export interface Usage {
+    client?: {
+        id?: string;
+        name?: string | null;
+    };
+    limits?: {
+        rate_limit_per_minute?: number;
+        daily_quota?: number;
+    };
+    usage?: Array<{
+        date?: string;
+        requests?: number;
+        postings?: number;
+        rate_limited?: number;
+        quota_exceeded?: number;
+    }>;
+}
+
+export interface ValidationError {
+    error: string;
+    errors: Array<{
+        /** e.g. job_description or jobs[3].job_url */
+        field: string;
+        in: "body" | "query";
+        code: "type" | "required" | "enum" | "format" | "too_short" | "too_long" | "too_small" | "too_large" | "too_few_items" | "too_many_items";
+        message: string;
+    }>;
+    /** Required fields that were not sent */
+    missing?: string[];
+}
+
+export interface ErrorResponse {
+    error: string;
+    details?: unknown;
+}
+
+/** Either of these makes an extraction request answer 202 with a job to poll */
+export type AsyncRequest = { async: true } | { callback_url: string };
+
+export interface ClientOptions {
+    /** Site URL, e.g. https://your-site.netlify.app */
+    baseUrl: string;
+    /** Sent as Authorization: Bearer <apiKey> */
+    apiKey?: string;
+    fetch?: typeof fetch;
+    headers?: Record<string, string>;
+}
+
+export declare class ApiError extends Error {
+    statusCode: number;
+    body: unknown;
+    errors: ValidationError['errors'];
+    requestId: string | null;
+}
+
+/** Methods resolve to the parsed JSON body; with format csv they resolve to the CSV text */
+export interface Client {
+    /** Extract structured details from one posting */
+    extractJobDetails(request: ExtractionRequest & AsyncRequest): Promise<JobAccepted>;
+    extractJobDetails(request: ExtractionRequest): Promise<JobDetails>;
+    /** Extract a batch of postings; failed items do not fail the batch */
+    extractJobDetailsBatch(request: BatchRequest & AsyncRequest): Promise<JobAccepted>;
+    extractJobDetailsBatch(request: BatchRequest): Promise<BatchResponse>;
+    /** Status and result of an async job */
+    getJobStatus(query: {
+        id: string;
+    }): Promise<Job>;
+    /** Usage counters for the calling API key */
+    getUsage(query?: {
+        days?: number;
+    }): Promise<Usage>;
+    /** OpenAPI document for the API */
+    getOpenApiSpec(): Promise<Record<string, unknown>>;
+}
+
+export declare function createClient(options: ClientOptions): Client;
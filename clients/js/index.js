@@ -0,0 +1,60 @@
+// Generated by bin/generate-client.js from the OpenAPI spec of Job Details Extractor API 1.1.0.
+// Do not edit by hand; run `npm run generate:client` after changing lib/openapi.js or lib/schema.js.
+
+export const API_VERSION = "1.1.0";
+
+const OPERATIONS = {
+    extractJobDetails: { method: "POST", path: "/.netlify/functions/extract-job-details" },
+    extractJobDetailsBatch: { method: "POST", path: "/.netlify/functions/extract-job-details" },
+    getJobStatus: { method: "GET", path: "/.netlify/functions/job-status" },
+    getUsage: { method: "GET", path: "/.netlify/functions/usage" },
+    getOpenApiSpec: { method: "GET", path: "/.netlify/functions/openapi" }
+};
+
+// A non-2xx answer. `errors` lists the per-field problems of a 400 or 422.
+export class ApiError extends Error {
+    constructor(message, { statusCode, body, requestId }) {
+        super(message);
+        this.name = 'ApiError';
+        this.statusCode = statusCode;
+        this.body = body;
+        this.errors = body && Array.isArray(body.errors) ? body.errors : [];
+        this.requestId = requestId;
+    }
+}
+
+// createClient({ baseUrl: "https://your-site.netlify.app", apiKey })
+export function createClient({ baseUrl, apiKey, fetch: fetchImpl = globalThis.fetch, headers = {} } = {}) {
+    if (!baseUrl) {
+        throw new Error('baseUrl is required');
+    }
+    const root = String(baseUrl).replace(/\/+$/, '');
+
+    async function call(name, input = {}) {
+        const operation = OPERATIONS[name];
+        const url = new URL(root + operation.path);
+        const init = { method: operation.method, headers: { Accept: 'application/json', ...headers } };
+        if (apiKey) {
+            init.headers.Authorization = `Bearer ${apiKey}`;
+        }
+        if (operation.method === 'GET') {
+            for (const [key, value] of Object.entries(input || {})) {
+                if (value !== undefined && value !== null) url.searchParams.set(key, String(value));
+            }
+        } else {
+            init.headers['Content-Type'] = 'application/json';
+            init.body = JSON.stringify(input);
+        }
+
+        const response = await fetchImpl(url, init);
+        const text = await response.text();
+        const body = /json/i.test(response.headers.get('content-type') || '') && text ? JSON.parse(text) : text;
+        if (!response.ok) {
+            const message = body && typeof body === 'object' && body.error ? body.error : `HTTP ${response.status}`;
+            throw new ApiError(message, { statusCode: response.status, body, requestId: response.headers.get('x-request-id') });
+        }
+        return body;
+    }
+
+    return Object.fromEntries(Object.keys(OPERATIONS).map(name => [name, input => call(name, input)]));
+}
@@ -0,0 +1,186 @@
+import { createHash } from "crypto";
+import { readFile, writeFile, mkdir } from "fs/promises";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { extractJobDetailsWithRetry } from "../lib/extract.js";
+import { SILENT_LOGGER } from "../lib/logger.js";
+import { createReplicateProvider } from "../lib/providers/replicate.js";
+import { SCHEMA_VERSION } from "../lib/schema.js";
+import { compareFields, scoreComparisons } from "./metrics.js";
+
+// Offline evaluation of extractJobDetailsWithRetry against the golden set.
+//
+// A recording holds the model's raw answers per posting:
+//   { label, provider, model, schema_version, recorded_at, note, synthetic,
+//     responses: { <posting id>: { prompt_hash, outputs: [text, ...] } } }
+// `synthetic: true` marks hand-written answers kept as a fixture for the
+// harness itself. Replaying one tests the pipeline, not a model, so its
+// report is labeled a self-test and carries no provider, model or date.
+// `outputs` has one entry per attempt, so retries after an invalid answer
+// replay exactly as they happened. Replaying feeds the answers back through
+// the Replicate provider with a stub client, so prompt building, parsing,
+// validation, heuristics and evidence checks all run for real - only the
+// network call is skipped.
+
+const EVAL_DIR = dirname(fileURLToPath(import.meta.url));
+export const GOLDEN_PATH = join(EVAL_DIR, 'golden.jsonl');
+export const RECORDINGS_DIR = join(EVAL_DIR, 'recordings');
+
+export function promptHash(prompt) {
+    return createHash('sha256').update(prompt).digest('hex');
+}
+
+export async function loadDataset(path = GOLDEN_PATH) {
+    const text = await readFile(path, 'utf8');
+    return text.split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map((line, index) => {
+            const posting = JSON.parse(line);
+            if (!posting.id || !posting.job_title || !posting.expected) {
+                throw new Error(`${path}:${index + 1}: each posting needs id, job_title and expected`);
+            }
+            return posting;
+        });
+}
+
+function recordingPath(label) {
+    if (!/^[\w.-]+$/.test(label)) {
+        throw new Error(`Invalid recording label "${label}" - use letters, digits, ".", "_" and "-"`);
+    }
+    return join(RECORDINGS_DIR, `${label}.json`);
+}
+
+export async function loadRecording(label) {
+    try {
+        return JSON.parse(await readFile(recordingPath(label), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new Error(`No recording named "${label}" in ${RECORDINGS_DIR}. Record one with --record --label ${label}`);
+        }
+        throw error;
+    }
+}
+
+export async function saveRecording(recording) {
+    await mkdir(RECORDINGS_DIR, { recursive: true });
+    await writeFile(recordingPath(recording.label), `${JSON.stringify(recording, null, 2)}\n`);
+}
+
+// Stub Replicate client that answers from one posting's recorded outputs in
+// order. A prompt that no longer hashes to the recorded one still replays
+// (that is how old answers are scored under a new prompt) but is reported
+// through onStale. Only the first prompt is compared; later ones are repair
+// prompts built from the answers before them. Running out of outputs is an
+// error, as a real outage would be.
+export function createReplayClient(entry, { onStale = () => {} } = {}) {
+    let next = 0;
+    return {
+        async run(model, { input }) {
+            if (!entry || !Array.isArray(entry.outputs)) {
+                throw new Error('No recorded response for this posting');
+            }
+            if (next === 0 && entry.prompt_hash && entry.prompt_hash !== promptHash(input.prompt)) {
+                onStale();
+            }
+            if (next >= entry.outputs.length) {
+                throw new Error(`Recording has only ${entry.outputs.length} response(s)`);
+            }
+            return entry.outputs[next++];
+        }
+    };
+}
+
+// Wrap a live provider so every answer it gives is appended to `entry`
+export function createRecordingProvider(provider, entry) {
+    return {
+        name: provider.name,
+        model: provider.model,
+        async generate(prompt, options) {
+            if (entry.outputs.length === 0) {
+                entry.prompt_hash = promptHash(prompt);
+            }
+            const result = await provider.generate(prompt, options);
+            entry.outputs.push(result.text);
+            return result;
+        }
+    };
+}
+
+// Run the extraction over the dataset and score it.
+//   recording   replay this recording (offline)
+//   provider    or call this live provider; its answers are recorded and
+//               returned as `recording` so the caller can save them
+//   label       name for the report and the new recording
+//   verbose     keep the extraction's console logging
+// Returns { label, provider, model, recorded_at, synthetic, postings, scores, stale, missing, recording }
+export async function runEvaluation(dataset, { recording = null, provider = null, label, note = null, verbose = false } = {}) {
+    if (!recording && !provider) {
+        throw new Error('runEvaluation needs a recording to replay or a provider to record');
+    }
+
+    const recorded = recording || {
+        label,
+        provider: provider.name,
+        model: provider.model,
+        schema_version: SCHEMA_VERSION,
+        recorded_at: new Date().toISOString(),
+        note,
+        responses: {}
+    };
+    const stale = new Set();
+    const missing = [];
+    const postings = [];
+
+    const logger = verbose ? console : SILENT_LOGGER;
+    for (const posting of dataset) {
+        let postingProvider;
+        if (recording) {
+            const entry = recording.responses[posting.id];
+            const client = createReplayClient(entry, { onStale: () => stale.add(posting.id) });
+            postingProvider = createReplicateProvider({ model: recording.model, client });
+        } else {
+            const entry = { prompt_hash: null, outputs: [] };
+            recorded.responses[posting.id] = entry;
+            postingProvider = createRecordingProvider(provider, entry);
+        }
+
+        const result = await extractJobDetailsWithRetry(posting.job_title, posting.job_description || '', {
+            provider: postingProvider,
+            logger,
+            config: recording ? { retryDelayMs: 0 } : {}
+        });
+        // Without an answer the model call fails and the rules answer alone, with an error
+        if (recording && !recording.responses[posting.id] && (result.error || result.extraction_method !== 'rules')) {
+            missing.push(posting.id);
+        }
+
+        postings.push({
+            id: posting.id,
+            extraction_method: result.extraction_method,
+            error: result.error || null,
+            fields: compareFields(posting.expected, result)
+        });
+    }
+
+    if (!recording) {
+        // Postings settled by rules alone never reached the model
+        for (const [id, entry] of Object.entries(recorded.responses)) {
+            if (entry.outputs.length === 0) delete recorded.responses[id];
+        }
+    }
+
+    const synthetic = recorded.synthetic === true;
+    return {
+        label: label || recorded.label,
+        provider: synthetic ? null : recorded.provider,
+        model: synthetic ? null : recorded.model,
+        recorded_at: synthetic ? null : recorded.recorded_at,
+        synthetic,
+        postings,
+        scores: scoreComparisons(postings),
+        stale: [...stale],
+        missing,
+        recording: recording ? null : recorded
+    };
+}
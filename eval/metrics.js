@@ -0,0 +1,258 @@
+// Scoring for the offline evaluation. Every posting in the golden set has an
+// `expected` object with the same keys as an extraction result; these helpers
+// compare predictions field by field and roll the comparisons up into
+// per-field precision / recall / exact-match plus confusion matrices for the
+// enum fields.
+//
+// Definitions (per field, over all postings):
+//   precision    correct non-null predictions / non-null predictions
+//   recall       correct non-null predictions / non-null expected values
+//   exact_match  postings where prediction and expectation agree (null == null counts)
+// Skills are sets, so their precision and recall are micro-averaged over the
+// individual skills; their exact match means the two sets are equal.
+
+export const SCALAR_FIELDS = ['language', 'job_title', 'city', 'work_arrangement', 'company', 'experience', 'compensation'];
+export const CONFUSION_FIELDS = ['work_arrangement', 'experience'];
+export const EVAL_FIELDS = [...SCALAR_FIELDS, 'skills'];
+
+// Label used for null in confusion matrices
+const NONE = '(null)';
+
+function normalizeText(value) {
+    return String(value).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+function isEmpty(value) {
+    return value === null || value === undefined || value === '';
+}
+
+// Compensation is compared on its numbers, currency and period; `raw` is ignored
+function compensationKey(value) {
+    if (!value || typeof value !== 'object') {
+        return null;
+    }
+    const key = ['min', 'max', 'currency', 'period'].map(name => (isEmpty(value[name]) ? '' : String(value[name]).toLowerCase()));
+    return key.every(part => part === '') ? null : key.join('|');
+}
+
+// Comparable form of one field's value, or null when there is none
+function scalarKey(field, value) {
+    if (field === 'compensation') {
+        return compensationKey(value);
+    }
+    return isEmpty(value) ? null : normalizeText(value);
+}
+
+// Predicted skills are { id, name } objects; expected skills are taxonomy ids
+// or, for skills outside the taxonomy, lowercase names
+export function skillKeys(skills) {
+    if (!Array.isArray(skills)) {
+        return new Set();
+    }
+    return new Set(skills
+        .map(skill => (skill && typeof skill === 'object' ? skill.id || skill.name : skill))
+        .filter(skill => typeof skill === 'string' && skill.trim())
+        .map(skill => skill.trim().toLowerCase()));
+}
+
+function displayValue(field, value) {
+    if (field === 'skills') {
+        return [...skillKeys(value)].sort();
+    }
+    if (field === 'compensation') {
+        return compensationKey(value);
+    }
+    return isEmpty(value) ? null : value;
+}
+
+// Compare one prediction with its expectation: { field: { expected, predicted, correct, ... } }
+export function compareFields(expected, predicted) {
+    const comparison = {};
+    for (const field of SCALAR_FIELDS) {
+        const expectedKey = scalarKey(field, expected[field]);
+        const predictedKey = scalarKey(field, predicted ? predicted[field] : null);
+        comparison[field] = {
+            expected: displayValue(field, expected[field]),
+            predicted: displayValue(field, predicted ? predicted[field] : null),
+            correct: expectedKey === predictedKey
+        };
+    }
+
+    const expectedSkills = skillKeys(expected.skills);
+    const predictedSkills = skillKeys(predicted ? predicted.skills : []);
+    const matched = [...predictedSkills].filter(skill => expectedSkills.has(skill));
+    comparison.skills = {
+        expected: [...expectedSkills].sort(),
+        predicted: [...predictedSkills].sort(),
+        correct: matched.length === expectedSkills.size && matched.length === predictedSkills.size,
+        matched: matched.length,
+        missing: [...expectedSkills].filter(skill => !predictedSkills.has(skill)).sort(),
+        extra: [...predictedSkills].filter(skill => !expectedSkills.has(skill)).sort()
+    };
+    return comparison;
+}
+
+function ratio(numerator, denominator) {
+    return denominator === 0 ? null : Math.round((numerator / denominator) * 1000) / 1000;
+}
+
+// Roll per-posting comparisons up into { fields, confusion, postings }
+export function scoreComparisons(comparisons) {
+    const fields = {};
+    for (const field of SCALAR_FIELDS) {
+        let truePositives = 0, predictedCount = 0, expectedCount = 0, exact = 0;
+        for (const { fields: compared } of comparisons) {
+            const { expected, predicted, correct } = compared[field];
+            if (predicted !== null) predictedCount++;
+            if (expected !== null) expectedCount++;
+            if (correct) {
+                exact++;
+                if (expected !== null) truePositives++;
+            }
+        }
+        fields[field] = {
+            precision: ratio(truePositives, predictedCount),
+            recall: ratio(truePositives, expectedCount),
+            exact_match: ratio(exact, comparisons.length)
+        };
+    }
+
+    let matched = 0, predictedSkills = 0, expectedSkills = 0, exactSkills = 0;
+    for (const { fields: compared } of comparisons) {
+        matched += compared.skills.matched;
+        predictedSkills += compared.skills.predicted.length;
+        expectedSkills += compared.skills.expected.length;
+        if (compared.skills.correct) exactSkills++;
+    }
+    fields.skills = {
+        precision: ratio(matched, predictedSkills),
+        recall: ratio(matched, expectedSkills),
+        exact_match: ratio(exactSkills, comparisons.length)
+    };
+
+    const confusion = {};
+    for (const field of CONFUSION_FIELDS) {
+        const matrix = {};
+        for (const { fields: compared } of comparisons) {
+            const row = compared[field].expected === null ? NONE : compared[field].expected;
+            const column = compared[field].predicted === null ? NONE : compared[field].predicted;
+            matrix[row] = matrix[row] || {};
+            matrix[row][column] = (matrix[row][column] || 0) + 1;
+        }
+        confusion[field] = matrix;
+    }
+
+    return { postings: comparisons.length, fields, confusion };
+}
+
+// What changed between two reports: per-field metric deltas (b - a) and, per
+// posting, the fields b fixed and the fields b broke. `synthetic` is set when
+// either side replays hand-written answers.
+export function diffReports(a, b) {
+    const fields = {};
+    for (const field of EVAL_FIELDS) {
+        const before = a.scores.fields[field] || {};
+        const after = b.scores.fields[field] || {};
+        fields[field] = {};
+        for (const metric of ['precision', 'recall', 'exact_match']) {
+            fields[field][metric] = {
+                a: before[metric] ?? null,
+                b: after[metric] ?? null,
+                delta: before[metric] === null || after[metric] === null || before[metric] === undefined || after[metric] === undefined
+                    ? null
+                    : Math.round((after[metric] - before[metric]) * 1000) / 1000
+            };
+        }
+    }
+
+    const previous = new Map(a.postings.map(posting => [posting.id, posting]));
+    const postings = [];
+    for (const posting of b.postings) {
+        const earlier = previous.get(posting.id);
+        if (!earlier) {
+            continue;
+        }
+        const fixed = EVAL_FIELDS.filter(field => !earlier.fields[field].correct && posting.fields[field].correct);
+        const broken = EVAL_FIELDS.filter(field => earlier.fields[field].correct && !posting.fields[field].correct);
+        if (fixed.length > 0 || broken.length > 0) {
+            postings.push({ id: posting.id, fixed, broken });
+        }
+    }
+    return { a: a.label, b: b.label, synthetic: Boolean(a.synthetic || b.synthetic), fields, postings };
+}
+
+// Plain-text rendering for the terminal
+
+function cell(value, width) {
+    const text = value === null || value === undefined ? '-' : String(value);
+    return text.length >= width ? text : text + ' '.repeat(width - text.length);
+}
+
+function percent(value) {
+    return value === null || value === undefined ? '-' : `${(value * 100).toFixed(1)}%`;
+}
+
+function signedPercent(value) {
+    if (value === null || value === undefined) return '-';
+    const text = `${(value * 100).toFixed(1)}pt`;
+    return value > 0 ? `+${text}` : text;
+}
+
+const SELF_TEST_NOTE = 'Harness self-test: synthetic answers, these numbers are not model accuracy';
+
+export function formatScores(report) {
+    const lines = report.synthetic
+        ? [`${report.label}: ${report.scores.postings} postings`, SELF_TEST_NOTE, '']
+        : [`${report.label}: ${report.scores.postings} postings (${report.provider} ${report.model})`, ''];
+    lines.push(`${cell('field', 18)}${cell('precision', 11)}${cell('recall', 11)}exact`);
+    for (const field of EVAL_FIELDS) {
+        const metrics = report.scores.fields[field];
+        lines.push(`${cell(field, 18)}${cell(percent(metrics.precision), 11)}${cell(percent(metrics.recall), 11)}${percent(metrics.exact_match)}`);
+    }
+
+    for (const field of CONFUSION_FIELDS) {
+        const matrix = report.scores.confusion[field];
+        const labels = [...new Set([...Object.keys(matrix), ...Object.values(matrix).flatMap(row => Object.keys(row))])].sort();
+        const width = Math.max(10, ...labels.map(label => label.length + 2));
+        lines.push('', `${field} (rows: expected, columns: predicted)`);
+        lines.push(cell('', width) + labels.map(label => cell(label, width)).join(''));
+        for (const row of labels) {
+            lines.push(cell(row, width) + labels.map(column => cell((matrix[row] && matrix[row][column]) || 0, width)).join(''));
+        }
+    }
+
+    const misses = report.postings.filter(posting => EVAL_FIELDS.some(field => !posting.fields[field].correct));
+    if (misses.length > 0) {
+        lines.push('', 'Mismatches:');
+        for (const posting of misses) {
+            for (const field of EVAL_FIELDS.filter(name => !posting.fields[name].correct)) {
+                const { expected, predicted } = posting.fields[field];
+                lines.push(`  ${posting.id} ${field}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(predicted)}`);
+            }
+        }
+    }
+    if (report.stale.length > 0) {
+        lines.push('', `Stale recordings (prompt changed since recording): ${report.stale.join(', ')}`);
+    }
+    return lines.join('\n');
+}
+
+export function formatDiff(diff) {
+    const lines = diff.synthetic ? [`${diff.a} -> ${diff.b}`, SELF_TEST_NOTE, ''] : [`${diff.a} -> ${diff.b}`, ''];
+    lines.push(`${cell('field', 18)}${cell('precision', 30)}${cell('recall', 30)}exact`);
+    for (const field of EVAL_FIELDS) {
+        const metrics = diff.fields[field];
+        const column = ({ a, b, delta }) => `${percent(a)} -> ${percent(b)} (${signedPercent(delta)})`;
+        lines.push(`${cell(field, 18)}${cell(column(metrics.precision), 30)}${cell(column(metrics.recall), 30)}${column(metrics.exact_match)}`);
+    }
+    if (diff.postings.length > 0) {
+        lines.push('', 'Changed postings:');
+        for (const posting of diff.postings) {
+            const parts = [];
+            if (posting.fixed.length > 0) parts.push(`fixed ${posting.fixed.join(', ')}`);
+            if (posting.broken.length > 0) parts.push(`broke ${posting.broken.join(', ')}`);
+            lines.push(`  ${posting.id}: ${parts.join('; ')}`);
+        }
+    }
+    return lines.join('\n');
+}
@@ -0,0 +1,92 @@
+import { providerFromConfig } from "../lib/providers/index.js";
+import { loadDataset, loadRecording, runEvaluation, saveRecording } from "./harness.js";
+import { diffReports, formatDiff, formatScores } from "./metrics.js";
+
+// npm run eval -- [options]
+//   --label <name>       recording to replay, or to write with --record (default: synthetic)
+//   --record             call the configured LLM provider (LLM_PROVIDER / LLM_MODEL, or
+//                        --provider / --model) and save its answers as recordings/<label>.json
+//   --provider <spec>    provider spec for --record, e.g. "replicate" or "openai:gpt-4o-mini"
+//   --model <model>      model for --record
+//   --note <text>        note stored with a new recording
+//   --compare <a> <b>    replay two recordings and show what changed from a to b
+//   --dataset <path>     labeled postings (default: eval/golden.jsonl)
+//   --json               print the report as JSON
+//   --verbose            keep the extraction's own logging
+
+const USAGE = 'Usage: npm run eval -- [--label <name>] [--record [--provider <spec>] [--model <model>] [--note <text>]] [--compare <a> <b>] [--dataset <path>] [--json] [--verbose]';
+
+function parseArgs(argv) {
+    const args = { label: 'synthetic', record: false, compare: null, json: false, verbose: false };
+    for (let index = 0; index < argv.length; index++) {
+        const arg = argv[index];
+        const value = () => {
+            if (index + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            return argv[++index];
+        };
+        switch (arg) {
+            case '--label': args.label = value(); break;
+            case '--record': args.record = true; break;
+            case '--provider': args.provider = value(); break;
+            case '--model': args.model = value(); break;
+            case '--note': args.note = value(); break;
+            case '--dataset': args.dataset = value(); break;
+            case '--compare': args.compare = [value(), value()]; break;
+            case '--json': args.json = true; break;
+            case '--verbose': args.verbose = true; break;
+            case '--help': case '-h': args.help = true; break;
+            default: throw new Error(`Unknown option ${arg}`);
+        }
+    }
+    return args;
+}
+
+// The raw recording is saved to its own file, not repeated in the JSON report
+function summary(report) {
+    const { recording, ...rest } = report;
+    return rest;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const dataset = await loadDataset(args.dataset);
+
+    if (args.compare) {
+        const [a, b] = await Promise.all(args.compare.map(label => loadRecording(label)));
+        const reportA = await runEvaluation(dataset, { recording: a, label: args.compare[0], verbose: args.verbose });
+        const reportB = await runEvaluation(dataset, { recording: b, label: args.compare[1], verbose: args.verbose });
+        const diff = diffReports(reportA, reportB);
+        console.log(args.json ? JSON.stringify(diff, null, 2) : formatDiff(diff));
+        return 0;
+    }
+
+    let report;
+    if (args.record) {
+        const provider = providerFromConfig({ provider: args.provider, model: args.model });
+        report = await runEvaluation(dataset, { provider, label: args.label, note: args.note, verbose: args.verbose });
+        await saveRecording(report.recording);
+        console.error(`Recorded ${Object.keys(report.recording.responses).length} responses to eval/recordings/${args.label}.json`);
+    } else {
+        report = await runEvaluation(dataset, { recording: await loadRecording(args.label), label: args.label, verbose: args.verbose });
+    }
+
+    console.log(args.json ? JSON.stringify(summary(report), null, 2) : formatScores(report));
+    if (report.missing.length > 0) {
+        console.error(`No recorded response for: ${report.missing.join(', ')}. Re-record with --record --label ${args.label}`);
+        return 1;
+    }
+    return 0;
+}
+
+main().then(code => {
+    process.exitCode = code;
+}).catch(error => {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 1;
+});
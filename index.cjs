@@ -0,0 +1,29 @@
+// Library entry point for CommonJS callers:
+//
+//   const { extractJobDetails } = require("replicate-netlify");
+//   const result = await extractJobDetails({ job_title, job_description }, { logger });
+//
+// The library itself is ESM, so every function here loads it on first call and
+// returns a promise. `load()` resolves to the full ESM module for everything else
+// (constants, FIELDS, the provider factories).
+
+let loaded;
+function load() {
+    if (!loaded) {
+        loaded = import("./index.js");
+    }
+    return loaded;
+}
+
+function lazy(name) {
+    return async (...args) => (await load())[name](...args);
+}
+
+module.exports = {
+    load,
+    extractJobDetails: lazy('extractJobDetails'),
+    extractJobDetailsBatch: lazy('extractJobDetailsBatch'),
+    extractJobDetailsCached: lazy('extractJobDetailsCached'),
+    extractJobDetailsDeduplicated: lazy('extractJobDetailsDeduplicated'),
+    extractJobDetailsWithRetry: lazy('extractJobDetailsWithRetry')
+};
@@ -1,4 +1,25 @@
-// Set options as a parameter, environment variable, or rc file.
-// eslint-disable-next-line no-global-assign
-require = require("esm")(module/* , options */)
-module.exports = require("./main.js")
+// Library entry point (ESM). The same API is available from CommonJS through
+// index.cjs. See lib/extract.js for the options every extraction accepts.
+export {
+    extractJobDetails,
+    extractJobDetailsBatch,
+    extractJobDetailsCached,
+    extractJobDetailsDeduplicated,
+    extractJobDetailsWithRetry,
+    configFromEnv,
+    DEFAULT_CONFIG,
+    MISSING_FIELDS_ERROR
+} from "./lib/extract.js";
+export { allowedModelsFromEnv, checkProviderOverride, createProvider, createProviderChain, parseProviderSpec, providerFromConfig, PROVIDER_NAMES } from "./lib/providers/index.js";
+export { createReplicateProvider } from "./lib/providers/replicate.js";
+export { createExtractionCache, cacheFromEnv } from "./lib/cache.js";
+export { createDuplicateIndex, duplicatesFromEnv, postingFingerprint } from "./lib/duplicates.js";
+export { createStore } from "./lib/stores.js";
+export { resolveJobInput } from "./lib/input.js";
+export { FIELDS, SCHEMA_VERSION } from "./lib/schema.js";
+export { resolveLocation, resolveLocations } from "./lib/locations.js";
+export { detectLanguage, LANGUAGES } from "./lib/language.js";
+export { createLogger, loggerFromEnv, redact } from "./lib/logger.js";
+export { createMetrics, mergeSnapshots, toPrometheus, METRICS } from "./lib/metrics.js";
+export { FORMATS, formatBatch, formatResult, toCsv, toJobPosting } from "./lib/formats.js";
+export { buildOpenApiSpec, openApiSpecFromEnv, requestLimitsFromEnv, validateExtractionRequest } from "./lib/openapi.js";
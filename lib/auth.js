@@ -0,0 +1,143 @@
+import { createHash } from "crypto";
+import { createStore } from "./stores.js";
+
+// API-key authentication. Keys come from the API_KEYS environment variable
+// and/or a key store; only SHA-256 hashes of keys are kept in memory or in
+// the store, and raw keys are never logged.
+//
+// A client record looks like { id, name, rateLimitPerMinute, dailyQuota,
+// webhookSecret }; limits left undefined fall back to the defaults in
+// limits.js and a missing webhookSecret to WEBHOOK_SECRET.
+
+function authError(message, statusCode = 401) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+export function hashApiKey(key) {
+    return createHash('sha256').update(String(key)).digest('hex');
+}
+
+function storeKey(hash) {
+    return `apikey:${hash}`;
+}
+
+function toClient(record, hash) {
+    return {
+        id: record.id || record.name || hash.substring(0, 12),
+        name: record.name || null,
+        rateLimitPerMinute: record.rateLimitPerMinute,
+        dailyQuota: record.dailyQuota,
+        webhookSecret: record.webhookSecret,
+        disabled: record.disabled === true
+    };
+}
+
+// API_KEYS is either comma-separated "name:key" entries (the name is optional)
+// or a JSON array of { key, name, rateLimitPerMinute, dailyQuota, webhookSecret }
+export function parseApiKeys(value) {
+    const text = String(value || '').trim();
+    if (!text) {
+        return [];
+    }
+    if (text.startsWith('[')) {
+        return JSON.parse(text).filter(entry => entry && entry.key);
+    }
+    return text.split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const separator = entry.indexOf(':');
+            return separator === -1
+                ? { key: entry }
+                : { name: entry.substring(0, separator), key: entry.substring(separator + 1) };
+        });
+}
+
+function lowerCaseHeaders(headers) {
+    return Object.fromEntries(Object.entries(headers || {}).map(([name, value]) => [name.toLowerCase(), value]));
+}
+
+// The key sent as "Authorization: Bearer <key>" or "X-API-Key: <key>"
+export function apiKeyFromHeaders(headers = {}) {
+    const lower = lowerCaseHeaders(headers);
+    const authorization = lower.authorization || '';
+    const bearer = authorization.match(/^Bearer\s+(.+)$/i);
+    if (bearer) {
+        return bearer[1].trim();
+    }
+    return lower['x-api-key'] ? String(lower['x-api-key']).trim() : null;
+}
+
+// The caller's address as the platform saw it. Netlify's own header cannot be
+// set by the caller; in X-Forwarded-For only the last hop, added by the proxy
+// in front of us, can be trusted, as a caller can send any earlier entries.
+function clientAddress(headers = {}) {
+    const lower = lowerCaseHeaders(headers);
+    const connection = String(lower['x-nf-client-connection-ip'] || '').trim();
+    if (connection) {
+        return connection;
+    }
+    const hops = String(lower['x-forwarded-for'] || '').split(',').map(hop => hop.trim()).filter(Boolean);
+    return hops.length > 0 ? hops[hops.length - 1] : null;
+}
+
+// Add or replace a key in a key store, e.g. from a provisioning script
+export async function saveApiKey(store, key, record = {}) {
+    await store.set(storeKey(hashApiKey(key)), { ...record });
+}
+
+export async function revokeApiKey(store, key) {
+    await store.delete(storeKey(hashApiKey(key)));
+}
+
+// keys: entries as returned by parseApiKeys; store: optional key store.
+// With neither, authentication is disabled and callers are told apart by address.
+export function createAuthenticator({ keys = [], store = null } = {}) {
+    const byHash = new Map(keys.map(entry => [hashApiKey(entry.key), entry]));
+    const enabled = byHash.size > 0 || Boolean(store);
+
+    return {
+        enabled,
+        // Resolve the caller's client record; throws a 401/403 error otherwise
+        async authenticate(headers) {
+            if (!enabled) {
+                // Without keys, limits apply per client address
+                const ip = clientAddress(headers);
+                return { id: ip ? `ip:${ip}` : 'anonymous', name: null };
+            }
+            const key = apiKeyFromHeaders(headers);
+            if (!key) {
+                throw authError('Missing API key. Send it as "Authorization: Bearer <key>" or "X-API-Key: <key>"');
+            }
+
+            const hash = hashApiKey(key);
+            let record = byHash.get(hash);
+            if (!record && store) {
+                record = await store.get(storeKey(hash));
+            }
+            if (!record) {
+                throw authError('Invalid API key');
+            }
+
+            const client = toClient(record, hash);
+            if (client.disabled) {
+                throw authError('API key is disabled', 403);
+            }
+            return client;
+        }
+    };
+}
+
+// Authenticator from the environment:
+//   API_KEYS       keys as described at parseApiKeys
+//   API_KEY_STORE  memory, fs or blobs store holding keys added with saveApiKey (default: none)
+//   API_KEY_DIR    directory for the fs key store (default .cache/api-keys)
+export function authFromEnv(env = process.env) {
+    const kind = (env.API_KEY_STORE || 'none').toLowerCase();
+    const store = kind === 'none' || kind === 'off'
+        ? null
+        : createStore(kind, { name: 'api-keys', directory: env.API_KEY_DIR || '.cache/api-keys' });
+    return createAuthenticator({ keys: parseApiKeys(env.API_KEYS), store });
+}
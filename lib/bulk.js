@@ -0,0 +1,232 @@
+import { createInterface } from "readline";
+import { readFileSync, existsSync } from "fs";
+import { csvLine, csvRecords } from "./csv.js";
+import { csvColumns } from "./formats.js";
+
+// Bulk extraction over CSV/JSONL exports, used by bin/extract-jobs.js.
+// Input rows are numbered from 0 in file order; the number is the row's
+// identity in checkpoints, so a resumed run must read the same file.
+
+export const BULK_FORMATS = ['csv', 'jsonl'];
+
+// Column names accepted for the request fields, besides the fields' own names
+const COLUMN_ALIASES = {
+    job_title: ['title', 'job title', 'position'],
+    job_description: ['description', 'job description', 'body', 'text'],
+    job_html: ['html'],
+    job_url: ['url', 'link'],
+    id: ['job_id', 'posting_id']
+};
+
+export function formatFromPath(path) {
+    if (/\.csv$/i.test(path || '')) return 'csv';
+    if (/\.(jsonl|ndjson)$/i.test(path || '')) return 'jsonl';
+    return null;
+}
+
+async function* jsonlRecords(stream) {
+    const lines = createInterface({ input: stream, crlfDelay: Infinity });
+    let lineNumber = 0;
+    for await (const line of lines) {
+        lineNumber++;
+        if (!line.trim()) {
+            continue;
+        }
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (error) {
+            // Keep the row so it lands in the error output instead of stopping the run
+            yield { __error: `Line ${lineNumber}: invalid JSON (${error.message})` };
+            continue;
+        }
+        yield record && typeof record === 'object' && !Array.isArray(record)
+            ? record
+            : { __error: `Line ${lineNumber}: expected a JSON object` };
+    }
+}
+
+// Input records from a CSV or JSONL stream, as plain objects
+export function readRecords(stream, format) {
+    if (format === 'csv') {
+        return csvRecords(stream);
+    }
+    if (format === 'jsonl') {
+        return jsonlRecords(stream);
+    }
+    throw new Error(`Unknown input format "${format}". Use one of: ${BULK_FORMATS.join(', ')}`);
+}
+
+// "job_title=Title,job_description=Body" -> { job_title: 'Title', job_description: 'Body' }
+export function parseColumnMap(text) {
+    const map = {};
+    for (const entry of String(text || '').split(',').map(part => part.trim()).filter(Boolean)) {
+        const separator = entry.indexOf('=');
+        if (separator === -1) {
+            throw new Error(`Invalid column mapping "${entry}" - use field=column`);
+        }
+        map[entry.substring(0, separator).trim()] = entry.substring(separator + 1).trim();
+    }
+    return map;
+}
+
+// Extraction input for one record: explicit mappings first, then the field's
+// own name, then the usual aliases (case-insensitive)
+export function recordToInput(record, columnMap = {}) {
+    const byLowerName = new Map(Object.keys(record).map(name => [name.toLowerCase().trim(), name]));
+    const input = {};
+    for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+        const candidates = columnMap[field] ? [columnMap[field]] : [field, ...aliases];
+        for (const candidate of candidates) {
+            const column = byLowerName.get(candidate.toLowerCase());
+            const value = column === undefined ? undefined : record[column];
+            if (value !== undefined && value !== null && String(value).trim() !== '') {
+                input[field] = typeof value === 'string' ? value.trim() : value;
+                break;
+            }
+        }
+    }
+    return input;
+}
+
+// Rows already done in a previous run: the checkpoint is JSONL, one
+// { row, status } line per finished row
+export function loadCheckpoint(path) {
+    const done = new Set();
+    if (!path || !existsSync(path)) {
+        return done;
+    }
+    for (const line of readFileSync(path, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            const entry = JSON.parse(line);
+            if (Number.isInteger(entry.row)) done.add(entry.row);
+        } catch {
+            // A line cut short by the interruption - that row simply runs again
+        }
+    }
+    return done;
+}
+
+// Run `extract(input)` over async-iterable `records` with at most
+// `concurrency` in flight. Rows in `skip` are not run again. Each finished
+// row is reported through onRow({ row, record, result, error }) in completion
+// order; the run stops taking new rows once shouldStop() is true.
+export async function runBulk(records, { concurrency = 5, skip = new Set(), extract, onRow, shouldStop = () => false, columnMap = {} }) {
+    const iterator = records[Symbol.asyncIterator]();
+    let nextRow = 0;
+    const counts = { ok: 0, error: 0, skipped: 0 };
+
+    async function worker() {
+        while (!shouldStop()) {
+            // Async generators queue concurrent next() calls, so rows are handed out once each
+            const { value: record, done } = await iterator.next();
+            if (done) {
+                return;
+            }
+            const row = nextRow++;
+            if (skip.has(row)) {
+                counts.skipped++;
+                continue;
+            }
+
+            let result = null;
+            let error = null;
+            if (record.__error) {
+                error = record.__error;
+            } else {
+                try {
+                    result = await extract(recordToInput(record, columnMap));
+                    error = result.error || null;
+                } catch (extractError) {
+                    error = extractError.message;
+                }
+            }
+            counts[error ? 'error' : 'ok']++;
+            await onRow({ row, record, result, error });
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+    return counts;
+}
+
+// Output writers. Enriched rows are the input record plus the extracted
+// fields; an extracted field whose name is already an input column is written
+// as extracted_<name>. Error rows are row, id, error plus the input record,
+// so the error file can be fed back in as input once the cause is fixed.
+
+function resultFields(result) {
+    const { cache, ...fields } = result;
+    return fields;
+}
+
+function renamedColumns(columns, inputColumns) {
+    return columns.map(column => ({
+        ...column,
+        name: inputColumns.includes(column.name) ? `extracted_${column.name}` : column.name
+    }));
+}
+
+export function createRowWriter(format, write) {
+    let columns = null;
+    let inputColumns = null;
+    let wroteHeader = false;
+
+    return {
+        // For appending to a CSV file that already has its header (resumed runs)
+        skipHeader() {
+            wroteHeader = true;
+        },
+        write(row, record, result) {
+            if (format === 'jsonl') {
+                const fields = resultFields(result);
+                const renamed = Object.fromEntries(Object.entries(fields).map(([name, value]) => [name in record ? `extracted_${name}` : name, value]));
+                write(`${JSON.stringify({ ...record, ...renamed, row })}\n`);
+                return;
+            }
+            if (!columns) {
+                // The first record fixes the CSV columns; later records are written to match
+                inputColumns = Object.keys(record).filter(name => name !== 'row');
+                columns = renamedColumns(csvColumns().filter(column => column.name !== 'error'), inputColumns);
+            }
+            if (!wroteHeader) {
+                write(`${csvLine(['row', ...inputColumns, ...columns.map(column => column.name)])}\r\n`);
+                wroteHeader = true;
+            }
+            const cells = columns.map(column => {
+                const value = column.get(result);
+                return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+            });
+            write(`${csvLine([row, ...inputColumns.map(name => record[name]), ...cells])}\r\n`);
+        }
+    };
+}
+
+export function createErrorWriter(format, write) {
+    let inputColumns = null;
+    let wroteHeader = false;
+
+    return {
+        skipHeader() {
+            wroteHeader = true;
+        },
+        write(row, record, error) {
+            const input = record.__error ? {} : record;
+            const id = recordToInput(input).id ?? null;
+            if (format === 'jsonl') {
+                write(`${JSON.stringify({ ...input, row, id, error })}\n`);
+                return;
+            }
+            if (!inputColumns) {
+                inputColumns = Object.keys(input).filter(name => !['row', 'id', 'error'].includes(name));
+            }
+            if (!wroteHeader) {
+                write(`${csvLine(['row', 'id', 'error', ...inputColumns], { escapeFormulas: false })}\r\n`);
+                wroteHeader = true;
+            }
+            // Written as read, so a fixed file feeds back in without a leading ' on formula-like text
+            write(`${csvLine([row, id, error, ...inputColumns.map(name => input[name])], { escapeFormulas: false })}\r\n`);
+        }
+    };
+}
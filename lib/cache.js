@@ -0,0 +1,78 @@
+import { createHash } from "crypto";
+import { SCHEMA_VERSION } from "./schema.js";
+import { buildPrompt } from "./prompt.js";
+import { LANGUAGES } from "./language.js";
+import { createStore } from "./stores.js";
+
+// Extraction cache. Keys hash the normalized posting together with everything
+// that changes the answer - prompt template, schema version, model and the
+// extraction settings - so a prompt tweak, model switch or different setting
+// never serves a result built for something else.
+
+export const DEFAULT_CACHE_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Fingerprint of the prompt template itself (placeholders instead of a posting),
+// in every language it is built for
+const PROMPT_FINGERPRINT = createHash('sha256')
+    .update(Object.keys(LANGUAGES).map(language => buildPrompt('{job_title}', '{job_description}', { language, translateTitle: true })).join('\n'))
+    .digest('hex')
+    .substring(0, 16);
+
+function normalizeText(text) {
+    return String(text || '').normalize('NFKC').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// Extraction config keys (see DEFAULT_CONFIG in extract.js) that change the result
+export const CACHE_KEY_CONFIG = [
+    'heuristicConfidenceThreshold',
+    'heuristicFallbackThreshold',
+    'evidenceMode',
+    'partialResults',
+    'translateTitles'
+];
+
+// `config` is the resolved extraction config; keys it leaves out count as unset
+export function extractionCacheKey(jobTitle, jobDescription, { provider, hints, config = {} } = {}) {
+    const parts = [
+        `schema:${SCHEMA_VERSION}`,
+        `prompt:${PROMPT_FINGERPRINT}`,
+        `model:${provider ? `${provider.name}/${provider.model}` : 'default'}`,
+        `config:${JSON.stringify(CACHE_KEY_CONFIG.map(key => config[key] ?? null))}`,
+        normalizeText(jobTitle),
+        normalizeText(jobDescription)
+    ];
+    // Structured-data hints change the answer too
+    if (hints && Object.keys(hints).length > 0) {
+        parts.push(`hints:${JSON.stringify(hints)}`);
+    }
+    return `extraction:${createHash('sha256').update(parts.join('\n')).digest('hex')}`;
+}
+
+export function createExtractionCache({ store, ttlSeconds = DEFAULT_CACHE_TTL_SECONDS }) {
+    return {
+        store,
+        async get(key) {
+            return store.get(key);
+        },
+        async set(key, result) {
+            // Failed and partial extractions are not worth remembering
+            if (result && !result.error && !result.field_errors) {
+                await store.set(key, result, { ttlSeconds });
+            }
+        }
+    };
+}
+
+// Cache from the environment, or null when disabled.
+//   CACHE_STORE        memory (default), fs, blobs or none
+//   CACHE_DIR          directory for the fs store (default .cache/extractions)
+//   CACHE_TTL_SECONDS  entry lifetime (default 7 days)
+export function cacheFromEnv(env = process.env) {
+    const kind = (env.CACHE_STORE || 'memory').toLowerCase();
+    if (kind === 'none' || kind === 'off') {
+        return null;
+    }
+    const store = createStore(kind, { name: 'extractions', directory: env.CACHE_DIR || '.cache/extractions' });
+    const ttlSeconds = parseInt(env.CACHE_TTL_SECONDS || DEFAULT_CACHE_TTL_SECONDS, 10);
+    return createExtractionCache({ store, ttlSeconds });
+}
@@ -0,0 +1,301 @@
+// Salary / compensation parsing. Turns "$120k–$150k", "USD 55/hr" or
+// "£40,000 per annum" into { min, max, currency, period, raw } and checks that
+// the numbers a model reports actually occur in the posting. European
+// formats ("75.000 - 90.000 € pro Jahr", "45 000 € brut par an") parse too.
+
+const CURRENCY_CODES = {
+    'US$': 'USD', USD: 'USD', '$': 'USD',
+    'CA$': 'CAD', 'C$': 'CAD', CAD: 'CAD',
+    'A$': 'AUD', AUD: 'AUD',
+    '€': 'EUR', EUR: 'EUR',
+    '£': 'GBP', GBP: 'GBP',
+    '₹': 'INR', INR: 'INR'
+};
+
+const CURRENCY = '(US\\$|CA\\$|C\\$|A\\$|USD|CAD|AUD|EUR|GBP|INR|\\$|£|€|₹)';
+// A code or symbol after the amounts: "120,000 USD", "75.000 €"
+const CURRENCY_SUFFIX = '(USD|CAD|AUD|EUR|GBP|INR|€|£)(?![A-Za-z])';
+// "150,000.00", "75.000" and "45 000" group thousands; "15,50" is a decimal comma
+const NUMBER = '(\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?(?![\\d%])|\\d{1,3}(?:\\.\\d{3})+(?:,\\d{1,2})?(?![\\d%])|\\d{1,3}(?:[ \\u00a0\\u202f]\\d{3})+(?![\\d%])|\\d+,\\d{1,2}(?!\\d)|\\d+(?:\\.\\d+)?)';
+const THOUSANDS = '(k\\b|K\\b|thousand\\b)?';
+
+// Optional currency, amount, optional range end, optional trailing currency
+const MONEY_PATTERN = new RegExp(
+    `${CURRENCY}?\\s?${NUMBER}\\s?${THOUSANDS}(?:\\s?(?:€|£)(?=\\s*(?:-|–|—)))?` +
+    `(?:\\s*(?:-|–|—|to|bis|à|a)\\s*${CURRENCY}?\\s?${NUMBER}\\s?${THOUSANDS})?` +
+    `(?:\\s?${CURRENCY_SUFFIX})?`,
+    'g'
+);
+
+// Period wording after or before the amount, in English, German, French and Spanish
+const HOURLY_AFTER = /^\s*(?:\/\s*(?:hr|hour|h|std|stunde|heure|hora)\b|per\s+hour\b|an\s+hour\b|hourly\b|p\/h\b|(?:brut(?:to|os?)?\s+)?(?:pro\s+stunde|stündlich|par\s+heure|de\s+l['’]heure|por\s+hora)\b)/i;
+const YEARLY_AFTER = /^\s*(?:\/\s*(?:yr|year|annum|jahr|an|año)(?![\p{L}])|per\s+(?:year|annum)\b|a\s+year\b|annually\b|yearly\b|p\.?\s?a\.?(?![\p{L}])|(?:brut(?:to|os?)?\s+)?(?:pro\s+jahr|jährlich|im\s+jahr|par\s+an|annuels?|(?:al|por)\s+año|anual(?:es)?)(?![\p{L}]))/iu;
+const HOURLY_BEFORE = /(?:hourly|per\s+hour|stundenlohn|taux\s+horaire|por\s+hora)[^.\n]{0,30}$/i;
+const YEARLY_BEFORE = /(?:annual|yearly|per\s+annum|salary|jahresgehalt|gehalt|salaire|rémunération|salario|sueldo)[^.\n]{0,30}$/i;
+const NOT_PAY_AFTER = /^\s*(?:million|billion|mm?\b|bn\b|b\b|\+?\s*(?:employees|customers|users|years?|yrs?|jahren?|ans|años)(?![\p{L}]))/iu;
+// Open-ended pay: "up to $90k" has no minimum, "$150,000+" or "starting at $20" no maximum
+const MAX_ONLY_BEFORE = /\b(?:up\s+to|as\s+much\s+as|max(?:imum)?(?:\s+of)?|bis\s+zu|jusqu['’]à|hasta)\s*:?\s*$/i;
+const MIN_ONLY_BEFORE = /\b(?:from|starting\s+(?:at|from)|starts\s+at|at\s+least|min(?:imum)?(?:\s+of)?|ab|à\s+partir\s+de|desde)\s*:?\s*$/i;
+const MIN_ONLY_AFTER = /^\s*\+/;
+
+export const COMPENSATION_PERIODS = ['hourly', 'yearly'];
+
+// "150,000.50", "75.000", "45 000" or "15,50" -> a number
+function parseNumber(text) {
+    if (/^\d{1,3}(?:\.\d{3})+(?:,\d{1,2})?$/.test(text) || /^\d{1,3}(?:[ \u00a0\u202f]\d{3})+$/.test(text)) {
+        return parseFloat(text.replace(/[. \u00a0\u202f]/g, '').replace(',', '.'));
+    }
+    if (/^\d+,\d{1,2}$/.test(text)) {
+        return parseFloat(text.replace(',', '.'));
+    }
+    return parseFloat(text.replace(/,/g, ''));
+}
+
+function toAmount(number, thousands) {
+    const value = parseNumber(number);
+    return thousands ? value * 1000 : value;
+}
+
+function plausible(amount, period) {
+    if (period === 'hourly') return amount >= 5 && amount <= 2000;
+    if (period === 'yearly') return amount >= 1000 && amount <= 10000000;
+    return amount >= 5 && amount <= 10000000;
+}
+
+// All compensation mentions in a piece of text, in order of appearance
+export function findCompensation(text) {
+    if (typeof text !== 'string' || !text) {
+        return [];
+    }
+
+    const found = [];
+    let match;
+    MONEY_PATTERN.lastIndex = 0;
+    while ((match = MONEY_PATTERN.exec(text)) !== null) {
+        if (match[0].length === 0) {
+            MONEY_PATTERN.lastIndex++;
+            continue;
+        }
+        const [raw, currencyA, numberA, thousandsA, currencyB, numberB, thousandsB, currencySuffix] = match;
+        const currencyToken = currencyA || currencyB || currencySuffix;
+        // No currency marker means it is some other number ("5+ years", "401k")
+        if (!currencyToken) {
+            continue;
+        }
+
+        let after = text.substring(match.index + raw.length, match.index + raw.length + 30);
+        if (NOT_PAY_AFTER.test(after)) {
+            continue;
+        }
+        const before = text.substring(Math.max(0, match.index - 40), match.index);
+
+        let min = toAmount(numberA, thousandsA);
+        let max = numberB ? toAmount(numberB, thousandsB) : min;
+        // "$120-150k": the suffix applies to both ends
+        if (numberB && thousandsB && !thousandsA && min < 1000 && min * 1000 <= max) {
+            min *= 1000;
+        }
+        if (max < min) {
+            [min, max] = [max, min];
+        }
+
+        // A single amount may be only one end of the pay; the wording that says so stays in `raw`
+        let prefix = '';
+        let plus = '';
+        if (!numberB) {
+            const plusSign = after.match(MIN_ONLY_AFTER);
+            const maxOnly = before.match(MAX_ONLY_BEFORE);
+            const minOnly = before.match(MIN_ONLY_BEFORE);
+            if (plusSign) {
+                plus = plusSign[0];
+                after = after.substring(plus.length);
+                max = null;
+            } else if (maxOnly) {
+                prefix = maxOnly[0];
+                min = null;
+            } else if (minOnly) {
+                prefix = minOnly[0];
+                max = null;
+            }
+        }
+        const low = min === null ? max : min;
+        const high = max === null ? min : max;
+
+        let period = null;
+        let periodText = '';
+        const hourlyAfter = after.match(HOURLY_AFTER);
+        const yearlyAfter = after.match(YEARLY_AFTER);
+        if (hourlyAfter) {
+            period = 'hourly';
+            periodText = hourlyAfter[0];
+        } else if (yearlyAfter) {
+            period = 'yearly';
+            periodText = yearlyAfter[0];
+        } else if (HOURLY_BEFORE.test(before)) {
+            period = 'hourly';
+        } else if (YEARLY_BEFORE.test(before)) {
+            period = 'yearly';
+        } else if (high < 500) {
+            period = 'hourly';
+        } else if (low >= 10000) {
+            period = 'yearly';
+        }
+
+        if (!plausible(low, period) || !plausible(high, period)) {
+            continue;
+        }
+
+        found.push({
+            min,
+            max,
+            currency: CURRENCY_CODES[currencyToken.toUpperCase()] || CURRENCY_CODES[currencyToken] || null,
+            period,
+            raw: (prefix + raw + plus + periodText).trim(),
+            index: match.index - prefix.length
+        });
+    }
+    return found;
+}
+
+// The rest of a range whose far end carries the "k": "-150k", " to $150k"
+const THOUSANDS_RANGE_END = new RegExp(`^\\s*(?:-|–|—|to|bis|à|a)\\s*${CURRENCY}?\\s?${NUMBER}\\s?(?:k\\b|K\\b|thousand\\b)`);
+
+// Wording that makes a nearby number pay: a currency or a pay word shortly
+// before it, or a currency or period right after it
+const PAY_BEFORE = new RegExp(`(?:${CURRENCY}|\\b(?:salary|pay|compensation|wage|rate|base|bonus|gehalt|lohn|salaire|rémunération|salario|sueldo)\\b)[^\\n]{0,20}$`, 'i');
+const PAY_AFTER = new RegExp(`^\\s*(?:${CURRENCY_SUFFIX}|dollars?\\b|euros?\\b|pounds?\\b)`, 'i');
+
+function payContext(before, after) {
+    if (NOT_PAY_AFTER.test(after)) {
+        return false;
+    }
+    return PAY_BEFORE.test(before) || PAY_AFTER.test(after) || HOURLY_AFTER.test(after) || YEARLY_AFTER.test(after);
+}
+
+// Every amount written in the text as pay, with "k" expanded, for invented-number
+// checks. "5+ years" or "250 people" do not count; a bare number only counts as
+// thousands when it is the first end of a "k" range.
+function amountsInText(text) {
+    const amounts = new Set();
+    const pattern = new RegExp(`${NUMBER}\\s?(k\\b|K\\b|thousand\\b)?`, 'g');
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        const before = text.substring(Math.max(0, match.index - 30), match.index);
+        const after = text.substring(pattern.lastIndex, pattern.lastIndex + 40);
+        if (!payContext(before, after)) {
+            continue;
+        }
+        const value = parseNumber(match[1]);
+        amounts.add(value);
+        if (match[2]) {
+            amounts.add(value * 1000);
+        } else if (value < 1000 && THOUSANDS_RANGE_END.test(after)) {
+            // "$120-150k": the first end carries an implied k
+            amounts.add(value * 1000);
+        }
+    }
+    return amounts;
+}
+
+function normalizePeriod(period) {
+    if (typeof period !== 'string') return null;
+    const lower = period.trim().toLowerCase();
+    if (/^(?:hourly|hour|per hour|hr|stündlich|pro stunde|horaire|par heure|por hora)$/.test(lower)) return 'hourly';
+    if (/^(?:yearly|year|annual|annually|per year|per annum|annum|yr|jährlich|pro jahr|annuel|annuelle|par an|anual|al año|por año)$/.test(lower)) return 'yearly';
+    return null;
+}
+
+function normalizeCurrency(currency) {
+    if (typeof currency !== 'string' || !currency.trim()) return null;
+    const token = currency.trim();
+    return CURRENCY_CODES[token.toUpperCase()] || CURRENCY_CODES[token] || (/^[A-Za-z]{3}$/.test(token) ? token.toUpperCase() : null);
+}
+
+function toNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value === 'string' && value.trim()) {
+        const parsed = parseNumber(value.replace(/[^\d.,\s]/g, '').trim());
+        if (Number.isNaN(parsed)) return null;
+        return /k\s*$/i.test(value.trim()) ? parsed * 1000 : parsed;
+    }
+    return null;
+}
+
+// Normalize a model-reported compensation against the source text.
+// Prefers a deterministic parse of `raw`; drops any bound whose number does not
+// appear in the posting and returns null when nothing verifiable is left.
+export function normalizeCompensation(value, sourceText = '') {
+    if (value === null || value === undefined) {
+        return value;
+    }
+
+    let candidate;
+    if (typeof value === 'string') {
+        candidate = findCompensation(value)[0];
+        if (!candidate) return null;
+    } else if (typeof value === 'object' && !Array.isArray(value)) {
+        const parsedRaw = typeof value.raw === 'string' ? findCompensation(value.raw)[0] : undefined;
+        candidate = parsedRaw || {
+            min: toNumber(value.min),
+            max: toNumber(value.max),
+            currency: normalizeCurrency(value.currency),
+            period: normalizePeriod(value.period),
+            raw: typeof value.raw === 'string' && value.raw.trim() ? value.raw.trim() : null
+        };
+        // Model-supplied currency/period fill gaps the raw text left open
+        if (parsedRaw) {
+            candidate.currency = candidate.currency || normalizeCurrency(value.currency);
+            candidate.period = candidate.period || normalizePeriod(value.period);
+        }
+    } else {
+        return value;
+    }
+
+    let { min, max } = candidate;
+    if (min === null && max === null) {
+        return null;
+    }
+
+    // Reject numbers the model made up
+    if (sourceText) {
+        const amounts = amountsInText(sourceText);
+        if (min !== null && !amounts.has(min)) min = null;
+        if (max !== null && !amounts.has(max)) max = null;
+        if (min === null && max === null) {
+            return null;
+        }
+    }
+
+    return {
+        min,
+        max,
+        currency: candidate.currency || null,
+        period: candidate.period || null,
+        raw: candidate.raw || null
+    };
+}
+
+// "150000" as it may be written: "150,000", "150.000", "150 000", "150000.00", "150k" or the "150" of "$150-180k"
+function amountPattern(amount) {
+    const [whole, fraction] = String(amount).split('.');
+    const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, '[,. \\u00a0\\u202f]?');
+    if (fraction) {
+        return `${grouped}\\.${fraction}0?`;
+    }
+    const plain = `${grouped}(?:\\.0+)?`;
+    return amount >= 1000 && amount % 1000 === 0 ? `(?:${plain}|${amount / 1000}\\s?(?:k\\b|thousand\\b)?)` : plain;
+}
+
+// Evidence terms for a normalized compensation: its raw text, then each bound
+export function compensationTerms(value) {
+    if (!value || typeof value !== 'object') {
+        return [];
+    }
+    const terms = value.raw ? [value.raw] : [];
+    for (const amount of [value.min, value.max]) {
+        if (typeof amount === 'number') {
+            terms.push(new RegExp(`(?<![\\d.,])${amountPattern(amount)}(?!\\d)`));
+        }
+    }
+    return terms;
+}
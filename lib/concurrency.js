@@ -0,0 +1,18 @@
+// Run an async mapper over a list with at most `limit` calls in flight.
+// Results keep the input order; a rejected mapper call rejects the whole run,
+// so callers that want per-item failures should catch inside the mapper.
+export async function mapWithConcurrency(items, limit, mapper) {
+    const results = new Array(items.length);
+    const workerCount = Math.max(1, Math.min(limit, items.length));
+    let nextIndex = 0;
+
+    async function worker() {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await mapper(items[index], index);
+        }
+    }
+
+    await Promise.all(Array.from({ length: workerCount }, worker));
+    return results;
+}
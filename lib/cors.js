@@ -0,0 +1,37 @@
+// CORS headers for the function responses. CORS_ALLOWED_ORIGINS is a
+// comma-separated list of origins ("https://app.example.com") that may call
+// the API from a browser; "*" (the default) allows any origin.
+
+const ALLOWED_HEADERS = 'Content-Type, Cache-Control, Authorization, X-API-Key, X-Request-Id';
+const EXPOSED_HEADERS = 'X-Request-Id, X-Cache, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, X-Quota-Limit, X-Quota-Remaining, Retry-After';
+
+export function allowedOriginsFromEnv(env = process.env) {
+    return (env.CORS_ALLOWED_ORIGINS || '*')
+        .split(',')
+        .map(origin => origin.trim().replace(/\/+$/, ''))
+        .filter(Boolean);
+}
+
+export function isOriginAllowed(origin, allowedOrigins) {
+    return allowedOrigins.includes('*') || (Boolean(origin) && allowedOrigins.includes(origin.replace(/\/+$/, '')));
+}
+
+// Headers for a response to a request from `origin`. A disallowed origin gets
+// no Access-Control-Allow-Origin, so the browser blocks the response.
+export function corsHeaders(origin, { allowedOrigins = allowedOriginsFromEnv(), methods = 'POST, OPTIONS' } = {}) {
+    const headers = {
+        'Access-Control-Allow-Headers': ALLOWED_HEADERS,
+        'Access-Control-Expose-Headers': EXPOSED_HEADERS,
+        'Access-Control-Allow-Methods': methods
+    };
+    if (allowedOrigins.includes('*')) {
+        headers['Access-Control-Allow-Origin'] = '*';
+    } else {
+        // The answer depends on the caller's origin - keep shared caches from mixing them up
+        headers.Vary = 'Origin';
+        if (isOriginAllowed(origin, allowedOrigins)) {
+            headers['Access-Control-Allow-Origin'] = origin;
+        }
+    }
+    return headers;
+}
@@ -0,0 +1,146 @@
+// RFC 4180 CSV reading and writing. The reader is incremental so large
+// exports can be streamed: quoted fields may contain commas, doubled quotes
+// and line breaks, and records may end in \n or \r\n.
+
+// Text a spreadsheet would run as a formula ("=HYPERLINK(...)", "+1-2", "@SUM(...)");
+// plain numbers such as "-97.74" are left alone
+const FORMULA_START = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^[+-]?\d+(?:\.\d+)?(?:e[+-]?\d+)?$/i;
+
+// One cell, quoted only when it has to be. Posting text is untrusted, so text
+// that could start a formula gets a leading ' and is quoted (CSV injection).
+// escapeFormulas: false writes the text as is, for files that are read back
+// with csvRecords rather than opened in a spreadsheet (the ' would stay in the value).
+export function csvCell(value, { escapeFormulas = true } = {}) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = String(value);
+    if (escapeFormulas && FORMULA_START.test(text) && !PLAIN_NUMBER.test(text)) {
+        return `"'${text.replace(/"/g, '""')}"`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function csvLine(values, options) {
+    return values.map(value => csvCell(value, options)).join(',');
+}
+
+// Incremental parser: push() text chunks and get back the records completed so
+// far (arrays of strings); end() flushes the last record
+export function createCsvParser() {
+    let field = '';
+    let record = [];
+    let inQuotes = false;
+    // A quote inside a quoted field: either the closing quote or the first of a doubled pair
+    let pendingQuote = false;
+    let fieldStarted = false;
+    let skipLineFeed = false;
+    let line = 1;
+    let quoteLine = 0;
+
+    function endField() {
+        record.push(field);
+        field = '';
+        fieldStarted = false;
+    }
+
+    function endRecord(records) {
+        endField();
+        // Blank lines are not records
+        if (!(record.length === 1 && record[0] === '')) {
+            records.push(record);
+        }
+        record = [];
+    }
+
+    return {
+        push(chunk) {
+            const records = [];
+            for (const char of chunk) {
+                if (skipLineFeed) {
+                    skipLineFeed = false;
+                    if (char === '\n') continue;
+                }
+                if (pendingQuote) {
+                    pendingQuote = false;
+                    if (char === '"') {
+                        field += '"';
+                        continue;
+                    }
+                    inQuotes = false;
+                }
+                if (inQuotes) {
+                    if (char === '"') {
+                        pendingQuote = true;
+                    } else {
+                        if (char === '\n') line++;
+                        field += char;
+                    }
+                    continue;
+                }
+                if (char === '"' && !fieldStarted) {
+                    inQuotes = true;
+                    fieldStarted = true;
+                    quoteLine = line;
+                } else if (char === ',') {
+                    endField();
+                } else if (char === '\n' || char === '\r') {
+                    endRecord(records);
+                    line++;
+                    skipLineFeed = char === '\r';
+                } else {
+                    field += char;
+                    fieldStarted = true;
+                }
+            }
+            return records;
+        },
+        end() {
+            if (inQuotes && !pendingQuote) {
+                throw new Error(`Unterminated quoted field starting on line ${quoteLine}`);
+            }
+            const records = [];
+            if (fieldStarted || field !== '' || record.length > 0 || pendingQuote) {
+                pendingQuote = false;
+                endRecord(records);
+            }
+            return records;
+        }
+    };
+}
+
+// Records of a CSV stream as objects keyed by the header row. A leading BOM
+// is dropped; missing trailing cells are empty strings.
+export async function* csvRecords(stream) {
+    const parser = createCsvParser();
+    // Decode incrementally so multi-byte characters split across chunks survive
+    const decoder = new TextDecoder();
+    let header = null;
+    let first = true;
+
+    function* toObjects(records) {
+        for (const values of records) {
+            if (!header) {
+                header = values.map(name => name.trim());
+                continue;
+            }
+            yield Object.fromEntries(header.map((name, index) => [name, values[index] ?? '']));
+        }
+    }
+
+    for await (const chunk of stream) {
+        let text = typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+        if (first) {
+            text = text.replace(/^\uFEFF/, '');
+            first = false;
+        }
+        yield* toObjects(parser.push(text));
+    }
+    yield* toObjects(parser.end());
+}
+
+export function parseCsv(text) {
+    const parser = createCsvParser();
+    return [...parser.push(text.replace(/^\uFEFF/, '')), ...parser.end()];
+}
@@ -0,0 +1,123 @@
+// Canonical skill taxonomy. Every alias (matched case- and punctuation-
+// insensitively) collapses onto one stable id, so "JS", "Javascript" and
+// "ECMAScript" are all `javascript`.
+//   caseSensitive  only match the exact spelling when scanning free text
+//                  (for names that are also everyday words: Go, Swift, Spring)
+//   scan           false to never match in free text (single letters like R, C)
+
+export const SKILLS = [
+    // Languages
+    { id: 'javascript', name: 'JavaScript', category: 'language', aliases: ['js', 'javascript', 'ecmascript', 'es6', 'es2015', 'vanilla js'] },
+    { id: 'typescript', name: 'TypeScript', category: 'language', aliases: ['ts', 'typescript'] },
+    { id: 'python', name: 'Python', category: 'language', aliases: ['python', 'python3', 'py'] },
+    { id: 'java', name: 'Java', category: 'language', aliases: ['java', 'java 8', 'java 11', 'java 17'] },
+    { id: 'kotlin', name: 'Kotlin', category: 'language', aliases: ['kotlin'] },
+    { id: 'scala', name: 'Scala', category: 'language', aliases: ['scala'] },
+    { id: 'go', name: 'Go', category: 'language', aliases: ['go', 'golang'], caseSensitive: true },
+    { id: 'rust', name: 'Rust', category: 'language', aliases: ['rust'], caseSensitive: true },
+    { id: 'c', name: 'C', category: 'language', aliases: ['c'], scan: false },
+    { id: 'cpp', name: 'C++', category: 'language', aliases: ['c++', 'cpp', 'cplusplus'] },
+    { id: 'csharp', name: 'C#', category: 'language', aliases: ['c#', 'csharp', 'c sharp'] },
+    { id: 'ruby', name: 'Ruby', category: 'language', aliases: ['ruby'] },
+    { id: 'php', name: 'PHP', category: 'language', aliases: ['php'] },
+    { id: 'swift', name: 'Swift', category: 'language', aliases: ['swift'], caseSensitive: true },
+    { id: 'objective-c', name: 'Objective-C', category: 'language', aliases: ['objective-c', 'objc', 'obj-c'] },
+    { id: 'r', name: 'R', category: 'language', aliases: ['r', 'r language', 'rstats'], scan: false },
+    { id: 'sql', name: 'SQL', category: 'language', aliases: ['sql', 't-sql', 'tsql', 'pl/sql', 'plsql', 'ansi sql'] },
+    { id: 'bash', name: 'Bash', category: 'language', aliases: ['bash', 'shell scripting'], caseSensitive: true },
+    { id: 'elixir', name: 'Elixir', category: 'language', aliases: ['elixir'] },
+    { id: 'dart', name: 'Dart', category: 'language', aliases: ['dart'], caseSensitive: true },
+    { id: 'matlab', name: 'MATLAB', category: 'language', aliases: ['matlab'] },
+    { id: 'html', name: 'HTML', category: 'language', aliases: ['html', 'html5'] },
+    { id: 'css', name: 'CSS', category: 'language', aliases: ['css', 'css3', 'scss', 'sass'] },
+
+    // Frameworks and libraries
+    { id: 'react', name: 'React', category: 'framework', aliases: ['react', 'reactjs', 'react.js'], caseSensitive: true },
+    { id: 'react-native', name: 'React Native', category: 'framework', aliases: ['react native'] },
+    { id: 'nextjs', name: 'Next.js', category: 'framework', aliases: ['next.js', 'nextjs', 'next js'] },
+    { id: 'vue', name: 'Vue.js', category: 'framework', aliases: ['vue', 'vuejs', 'vue.js'] },
+    { id: 'angular', name: 'Angular', category: 'framework', aliases: ['angular', 'angularjs', 'angular.js'] },
+    { id: 'svelte', name: 'Svelte', category: 'framework', aliases: ['svelte', 'sveltekit'] },
+    { id: 'nodejs', name: 'Node.js', category: 'framework', aliases: ['node', 'nodejs', 'node.js', 'node js'] },
+    { id: 'express', name: 'Express', category: 'framework', aliases: ['express', 'expressjs', 'express.js'], caseSensitive: true },
+    { id: 'django', name: 'Django', category: 'framework', aliases: ['django'] },
+    { id: 'flask', name: 'Flask', category: 'framework', aliases: ['flask'] },
+    { id: 'fastapi', name: 'FastAPI', category: 'framework', aliases: ['fastapi', 'fast api'] },
+    { id: 'spring', name: 'Spring', category: 'framework', aliases: ['spring', 'spring boot', 'springboot', 'spring framework'], caseSensitive: true },
+    { id: 'rails', name: 'Ruby on Rails', category: 'framework', aliases: ['rails', 'ruby on rails', 'ror'] },
+    { id: 'laravel', name: 'Laravel', category: 'framework', aliases: ['laravel'] },
+    { id: 'dotnet', name: '.NET', category: 'framework', aliases: ['.net', 'dotnet', 'asp.net', '.net core', 'net core'] },
+    { id: 'graphql', name: 'GraphQL', category: 'framework', aliases: ['graphql'] },
+    { id: 'rest-api', name: 'REST APIs', category: 'framework', aliases: ['rest', 'restful', 'rest api', 'rest apis', 'restful apis'], caseSensitive: true },
+    { id: 'tensorflow', name: 'TensorFlow', category: 'framework', aliases: ['tensorflow'] },
+    { id: 'pytorch', name: 'PyTorch', category: 'framework', aliases: ['pytorch', 'torch'] },
+    { id: 'scikit-learn', name: 'scikit-learn', category: 'framework', aliases: ['scikit-learn', 'sklearn', 'scikit learn'] },
+    { id: 'pandas', name: 'pandas', category: 'framework', aliases: ['pandas'] },
+    { id: 'numpy', name: 'NumPy', category: 'framework', aliases: ['numpy'] },
+    { id: 'spark', name: 'Apache Spark', category: 'framework', aliases: ['spark', 'apache spark', 'pyspark'] },
+    { id: 'hadoop', name: 'Hadoop', category: 'framework', aliases: ['hadoop'] },
+    { id: 'kafka', name: 'Apache Kafka', category: 'framework', aliases: ['kafka', 'apache kafka'] },
+    { id: 'airflow', name: 'Apache Airflow', category: 'framework', aliases: ['airflow', 'apache airflow'] },
+    { id: 'dbt', name: 'dbt', category: 'framework', aliases: ['dbt', 'data build tool'] },
+    { id: 'flutter', name: 'Flutter', category: 'framework', aliases: ['flutter'] },
+    { id: 'langchain', name: 'LangChain', category: 'framework', aliases: ['langchain'] },
+
+    // Data stores
+    { id: 'postgresql', name: 'PostgreSQL', category: 'database', aliases: ['postgres', 'postgresql', 'psql'] },
+    { id: 'mysql', name: 'MySQL', category: 'database', aliases: ['mysql'] },
+    { id: 'sql-server', name: 'SQL Server', category: 'database', aliases: ['sql server', 'mssql', 'microsoft sql server'] },
+    { id: 'oracle-db', name: 'Oracle Database', category: 'database', aliases: ['oracle', 'oracle db', 'oracle database'] },
+    { id: 'mongodb', name: 'MongoDB', category: 'database', aliases: ['mongo', 'mongodb'] },
+    { id: 'redis', name: 'Redis', category: 'database', aliases: ['redis'] },
+    { id: 'elasticsearch', name: 'Elasticsearch', category: 'database', aliases: ['elasticsearch', 'elastic search', 'elk', 'opensearch'] },
+    { id: 'cassandra', name: 'Cassandra', category: 'database', aliases: ['cassandra'] },
+    { id: 'dynamodb', name: 'DynamoDB', category: 'database', aliases: ['dynamodb', 'dynamo db'] },
+    { id: 'snowflake', name: 'Snowflake', category: 'database', aliases: ['snowflake'] },
+    { id: 'bigquery', name: 'BigQuery', category: 'database', aliases: ['bigquery', 'big query'] },
+    { id: 'redshift', name: 'Amazon Redshift', category: 'database', aliases: ['redshift', 'amazon redshift'] },
+    { id: 'databricks', name: 'Databricks', category: 'database', aliases: ['databricks'] },
+
+    // Cloud and infrastructure
+    { id: 'aws', name: 'AWS', category: 'cloud', aliases: ['aws', 'amazon web services'] },
+    { id: 'gcp', name: 'Google Cloud', category: 'cloud', aliases: ['gcp', 'google cloud', 'google cloud platform'] },
+    { id: 'azure', name: 'Microsoft Azure', category: 'cloud', aliases: ['azure', 'microsoft azure'] },
+    { id: 'docker', name: 'Docker', category: 'devops', aliases: ['docker'] },
+    { id: 'kubernetes', name: 'Kubernetes', category: 'devops', aliases: ['kubernetes', 'k8s', 'eks', 'gke', 'aks'] },
+    { id: 'terraform', name: 'Terraform', category: 'devops', aliases: ['terraform', 'hcl'] },
+    { id: 'ansible', name: 'Ansible', category: 'devops', aliases: ['ansible'] },
+    { id: 'jenkins', name: 'Jenkins', category: 'devops', aliases: ['jenkins'] },
+    { id: 'github-actions', name: 'GitHub Actions', category: 'devops', aliases: ['github actions'] },
+    { id: 'github', name: 'GitHub', category: 'devops', aliases: ['github'] },
+    { id: 'gitlab', name: 'GitLab', category: 'devops', aliases: ['gitlab', 'gitlab ci'] },
+    { id: 'ci-cd', name: 'CI/CD', category: 'devops', aliases: ['ci/cd', 'cicd', 'ci cd', 'continuous integration', 'continuous delivery', 'continuous deployment'] },
+    { id: 'linux', name: 'Linux', category: 'devops', aliases: ['linux', 'unix'] },
+    { id: 'git', name: 'Git', category: 'devops', aliases: ['git'] },
+    { id: 'prometheus', name: 'Prometheus', category: 'devops', aliases: ['prometheus'] },
+    { id: 'grafana', name: 'Grafana', category: 'devops', aliases: ['grafana'] },
+    { id: 'datadog', name: 'Datadog', category: 'devops', aliases: ['datadog'] },
+
+    // Practices and domains
+    { id: 'machine-learning', name: 'Machine Learning', category: 'domain', aliases: ['machine learning', 'ml'] },
+    { id: 'deep-learning', name: 'Deep Learning', category: 'domain', aliases: ['deep learning'] },
+    { id: 'nlp', name: 'Natural Language Processing', category: 'domain', aliases: ['nlp', 'natural language processing'] },
+    { id: 'llm', name: 'Large Language Models', category: 'domain', aliases: ['llm', 'llms', 'large language models', 'generative ai', 'genai'] },
+    { id: 'computer-vision', name: 'Computer Vision', category: 'domain', aliases: ['computer vision', 'cv'], scan: false },
+    { id: 'data-analysis', name: 'Data Analysis', category: 'domain', aliases: ['data analysis', 'data analytics'] },
+    { id: 'etl', name: 'ETL', category: 'domain', aliases: ['etl', 'elt', 'data pipelines'] },
+    { id: 'microservices', name: 'Microservices', category: 'domain', aliases: ['microservices', 'micro-services', 'microservice architecture'] },
+    { id: 'agile', name: 'Agile', category: 'practice', aliases: ['agile', 'scrum', 'kanban'] },
+    { id: 'tdd', name: 'Test-Driven Development', category: 'practice', aliases: ['tdd', 'test-driven development', 'test driven development'] },
+    { id: 'unit-testing', name: 'Unit Testing', category: 'practice', aliases: ['unit testing', 'unit tests', 'jest', 'pytest', 'junit', 'mocha'] },
+    { id: 'security', name: 'Application Security', category: 'domain', aliases: ['application security', 'appsec', 'owasp'] },
+
+    // Tools
+    { id: 'excel', name: 'Excel', category: 'tool', aliases: ['excel', 'microsoft excel', 'ms excel'] },
+    { id: 'tableau', name: 'Tableau', category: 'tool', aliases: ['tableau'] },
+    { id: 'power-bi', name: 'Power BI', category: 'tool', aliases: ['power bi', 'powerbi'] },
+    { id: 'looker', name: 'Looker', category: 'tool', aliases: ['looker'] },
+    { id: 'figma', name: 'Figma', category: 'tool', aliases: ['figma'] },
+    { id: 'jira', name: 'Jira', category: 'tool', aliases: ['jira'] },
+    { id: 'salesforce', name: 'Salesforce', category: 'tool', aliases: ['salesforce', 'sfdc'] },
+    { id: 'sap', name: 'SAP', category: 'tool', aliases: ['sap'], caseSensitive: true },
+    { id: 'hubspot', name: 'HubSpot', category: 'tool', aliases: ['hubspot'] }
+];
@@ -0,0 +1,98 @@
+// US states and a gazetteer of the cities that show up most in job postings.
+// Kept as a JS module (not JSON) so it bundles without import assertions.
+
+export const US_STATES = {
+    AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California',
+    CO: 'Colorado', CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia',
+    FL: 'Florida', GA: 'Georgia', HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois',
+    IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana',
+    ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+    MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada',
+    NH: 'New Hampshire', NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York',
+    NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon',
+    PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina', SD: 'South Dakota',
+    TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia',
+    WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming'
+};
+
+// [city, state code, latitude, longitude] - coordinates are city centres to two decimals
+export const US_CITIES = [
+    ['Birmingham', 'AL', 33.52, -86.80], ['Huntsville', 'AL', 34.73, -86.59], ['Montgomery', 'AL', 32.38, -86.30], ['Mobile', 'AL', 30.69, -88.04],
+    ['Anchorage', 'AK', 61.22, -149.90],
+    ['Phoenix', 'AZ', 33.45, -112.07], ['Tucson', 'AZ', 32.22, -110.97], ['Mesa', 'AZ', 33.42, -111.83], ['Scottsdale', 'AZ', 33.49, -111.93],
+    ['Tempe', 'AZ', 33.43, -111.94], ['Chandler', 'AZ', 33.31, -111.84],
+    ['Little Rock', 'AR', 34.75, -92.29], ['Bentonville', 'AR', 36.37, -94.21], ['Fayetteville', 'AR', 36.06, -94.16],
+    ['Los Angeles', 'CA', 34.05, -118.24], ['San Francisco', 'CA', 37.77, -122.42], ['San Diego', 'CA', 32.72, -117.16],
+    ['San Jose', 'CA', 37.34, -121.89], ['Oakland', 'CA', 37.80, -122.27], ['Sacramento', 'CA', 38.58, -121.49],
+    ['Palo Alto', 'CA', 37.44, -122.14], ['Mountain View', 'CA', 37.39, -122.08], ['Sunnyvale', 'CA', 37.37, -122.04],
+    ['Santa Clara', 'CA', 37.35, -121.96], ['Menlo Park', 'CA', 37.45, -122.18], ['Cupertino', 'CA', 37.32, -122.03],
+    ['Redwood City', 'CA', 37.49, -122.24], ['San Mateo', 'CA', 37.56, -122.33], ['Berkeley', 'CA', 37.87, -122.27],
+    ['Irvine', 'CA', 33.68, -117.83], ['Santa Monica', 'CA', 34.02, -118.49], ['Pasadena', 'CA', 34.15, -118.14],
+    ['Long Beach', 'CA', 33.77, -118.19], ['Fresno', 'CA', 36.74, -119.79], ['Burbank', 'CA', 34.18, -118.31],
+    ['Culver City', 'CA', 34.02, -118.40], ['El Segundo', 'CA', 33.92, -118.42], ['Foster City', 'CA', 37.56, -122.27],
+    ['South San Francisco', 'CA', 37.65, -122.41],
+    ['Denver', 'CO', 39.74, -104.99], ['Boulder', 'CO', 40.01, -105.27], ['Colorado Springs', 'CO', 38.83, -104.82],
+    ['Aurora', 'CO', 39.73, -104.83], ['Fort Collins', 'CO', 40.59, -105.08],
+    ['Hartford', 'CT', 41.76, -72.69], ['Stamford', 'CT', 41.05, -73.54], ['New Haven', 'CT', 41.31, -72.92], ['Greenwich', 'CT', 41.03, -73.63],
+    ['Wilmington', 'DE', 39.74, -75.55], ['Dover', 'DE', 39.16, -75.52],
+    ['Washington', 'DC', 38.91, -77.04],
+    ['Miami', 'FL', 25.76, -80.19], ['Orlando', 'FL', 28.54, -81.38], ['Tampa', 'FL', 27.95, -82.46], ['Jacksonville', 'FL', 30.33, -81.66],
+    ['Fort Lauderdale', 'FL', 26.12, -80.14], ['Tallahassee', 'FL', 30.44, -84.28], ['St. Petersburg', 'FL', 27.77, -82.64],
+    ['Boca Raton', 'FL', 26.37, -80.13], ['West Palm Beach', 'FL', 26.72, -80.05],
+    ['Atlanta', 'GA', 33.75, -84.39], ['Savannah', 'GA', 32.08, -81.09], ['Alpharetta', 'GA', 34.08, -84.29], ['Augusta', 'GA', 33.47, -81.97],
+    ['Columbus', 'GA', 32.46, -84.99],
+    ['Honolulu', 'HI', 21.31, -157.86],
+    ['Boise', 'ID', 43.62, -116.20],
+    ['Chicago', 'IL', 41.88, -87.63], ['Naperville', 'IL', 41.75, -88.15], ['Evanston', 'IL', 42.05, -87.69],
+    ['Springfield', 'IL', 39.78, -89.65], ['Schaumburg', 'IL', 42.03, -88.08], ['Aurora', 'IL', 41.76, -88.32],
+    ['Indianapolis', 'IN', 39.77, -86.16], ['Fort Wayne', 'IN', 41.08, -85.14], ['Carmel', 'IN', 39.98, -86.12],
+    ['Des Moines', 'IA', 41.59, -93.62], ['Cedar Rapids', 'IA', 41.98, -91.67],
+    ['Wichita', 'KS', 37.69, -97.34], ['Overland Park', 'KS', 38.98, -94.67], ['Kansas City', 'KS', 39.11, -94.63],
+    ['Louisville', 'KY', 38.25, -85.76], ['Lexington', 'KY', 38.04, -84.50],
+    ['New Orleans', 'LA', 29.95, -90.07], ['Baton Rouge', 'LA', 30.45, -91.19],
+    ['Portland', 'ME', 43.66, -70.26],
+    ['Baltimore', 'MD', 39.29, -76.61], ['Bethesda', 'MD', 38.98, -77.10], ['Rockville', 'MD', 39.08, -77.15],
+    ['Columbia', 'MD', 39.20, -76.86], ['Annapolis', 'MD', 38.98, -76.49],
+    ['Boston', 'MA', 42.36, -71.06], ['Cambridge', 'MA', 42.37, -71.11], ['Somerville', 'MA', 42.39, -71.10],
+    ['Waltham', 'MA', 42.38, -71.24], ['Worcester', 'MA', 42.26, -71.80], ['Burlington', 'MA', 42.50, -71.20],
+    ['Springfield', 'MA', 42.10, -72.59],
+    ['Detroit', 'MI', 42.33, -83.05], ['Ann Arbor', 'MI', 42.28, -83.74], ['Grand Rapids', 'MI', 42.96, -85.67], ['Lansing', 'MI', 42.73, -84.56],
+    ['Minneapolis', 'MN', 44.98, -93.27], ['St. Paul', 'MN', 44.95, -93.09], ['Rochester', 'MN', 44.02, -92.47],
+    ['Jackson', 'MS', 32.30, -90.18],
+    ['St. Louis', 'MO', 38.63, -90.20], ['Kansas City', 'MO', 39.10, -94.58], ['Springfield', 'MO', 37.21, -93.29],
+    ['Bozeman', 'MT', 45.68, -111.04], ['Missoula', 'MT', 46.87, -114.00],
+    ['Omaha', 'NE', 41.26, -95.93], ['Lincoln', 'NE', 40.81, -96.70],
+    ['Las Vegas', 'NV', 36.17, -115.14], ['Reno', 'NV', 39.53, -119.81], ['Henderson', 'NV', 36.04, -114.98],
+    ['Manchester', 'NH', 42.99, -71.46], ['Nashua', 'NH', 42.77, -71.47],
+    ['Newark', 'NJ', 40.74, -74.17], ['Jersey City', 'NJ', 40.73, -74.08], ['Princeton', 'NJ', 40.36, -74.66], ['Hoboken', 'NJ', 40.74, -74.03],
+    ['Albuquerque', 'NM', 35.08, -106.65], ['Santa Fe', 'NM', 35.69, -105.94],
+    ['New York', 'NY', 40.71, -74.01], ['Brooklyn', 'NY', 40.68, -73.94], ['Buffalo', 'NY', 42.89, -78.88],
+    ['Rochester', 'NY', 43.16, -77.61], ['Albany', 'NY', 42.65, -73.76], ['Syracuse', 'NY', 43.05, -76.15],
+    ['Charlotte', 'NC', 35.23, -80.84], ['Raleigh', 'NC', 35.78, -78.64], ['Durham', 'NC', 35.99, -78.90],
+    ['Chapel Hill', 'NC', 35.91, -79.06], ['Cary', 'NC', 35.79, -78.78], ['Greensboro', 'NC', 36.07, -79.79],
+    ['Wilmington', 'NC', 34.23, -77.94],
+    ['Fargo', 'ND', 46.88, -96.79],
+    ['Columbus', 'OH', 39.96, -83.00], ['Cleveland', 'OH', 41.50, -81.69], ['Cincinnati', 'OH', 39.10, -84.51],
+    ['Dayton', 'OH', 39.76, -84.19], ['Akron', 'OH', 41.08, -81.52], ['Springfield', 'OH', 39.92, -83.81],
+    ['Oklahoma City', 'OK', 35.47, -97.52], ['Tulsa', 'OK', 36.15, -95.99],
+    ['Portland', 'OR', 45.52, -122.68], ['Beaverton', 'OR', 45.49, -122.80], ['Eugene', 'OR', 44.05, -123.09], ['Hillsboro', 'OR', 45.52, -122.99],
+    ['Philadelphia', 'PA', 39.95, -75.17], ['Pittsburgh', 'PA', 40.44, -80.00], ['Harrisburg', 'PA', 40.27, -76.88],
+    ['King of Prussia', 'PA', 40.09, -75.40],
+    ['Providence', 'RI', 41.82, -71.41],
+    ['Charleston', 'SC', 32.78, -79.93], ['Columbia', 'SC', 34.00, -81.03], ['Greenville', 'SC', 34.85, -82.40],
+    ['Sioux Falls', 'SD', 43.54, -96.73],
+    ['Nashville', 'TN', 36.16, -86.78], ['Memphis', 'TN', 35.15, -90.05], ['Knoxville', 'TN', 35.96, -83.92], ['Chattanooga', 'TN', 35.05, -85.31],
+    ['Austin', 'TX', 30.27, -97.74], ['Dallas', 'TX', 32.78, -96.80], ['Houston', 'TX', 29.76, -95.37], ['San Antonio', 'TX', 29.42, -98.49],
+    ['Fort Worth', 'TX', 32.76, -97.33], ['Plano', 'TX', 33.02, -96.70], ['Irving', 'TX', 32.81, -96.95], ['Frisco', 'TX', 33.15, -96.82],
+    ['El Paso', 'TX', 31.76, -106.49], ['Arlington', 'TX', 32.74, -97.11],
+    ['Salt Lake City', 'UT', 40.76, -111.89], ['Lehi', 'UT', 40.39, -111.85], ['Provo', 'UT', 40.23, -111.66], ['Draper', 'UT', 40.52, -111.86],
+    ['Burlington', 'VT', 44.48, -73.21],
+    ['Richmond', 'VA', 37.54, -77.44], ['Arlington', 'VA', 38.88, -77.10], ['Alexandria', 'VA', 38.80, -77.05],
+    ['Reston', 'VA', 38.96, -77.36], ['McLean', 'VA', 38.93, -77.18], ['Herndon', 'VA', 38.97, -77.39],
+    ['Virginia Beach', 'VA', 36.85, -75.98], ['Norfolk', 'VA', 36.85, -76.29], ['Chantilly', 'VA', 38.89, -77.43],
+    ['Seattle', 'WA', 47.61, -122.33], ['Bellevue', 'WA', 47.61, -122.20], ['Redmond', 'WA', 47.67, -122.12],
+    ['Kirkland', 'WA', 47.68, -122.21], ['Tacoma', 'WA', 47.25, -122.44], ['Spokane', 'WA', 47.66, -117.43],
+    ['Charleston', 'WV', 38.35, -81.63], ['Morgantown', 'WV', 39.63, -79.96],
+    ['Milwaukee', 'WI', 43.04, -87.91], ['Madison', 'WI', 43.07, -89.40],
+    ['Cheyenne', 'WY', 41.14, -104.82]
+];
@@ -0,0 +1,171 @@
+// Countries, the non-US cities that show up most in job postings, and the
+// informal names postings use for places ("NYC", "Bay Area"). US cities and
+// states live in us-places.js. Kept as a JS module for the same reason.
+
+// ISO 3166-1 alpha-2 code -> [name, ...other names postings use]
+export const COUNTRIES = {
+    US: ['United States', 'USA', 'U.S.', 'U.S.A.', 'United States of America', 'America'],
+    CA: ['Canada'],
+    MX: ['Mexico', 'México'],
+    BR: ['Brazil', 'Brasil'],
+    AR: ['Argentina'],
+    CO: ['Colombia'],
+    CL: ['Chile'],
+    PE: ['Peru'],
+    GB: ['United Kingdom', 'UK', 'U.K.', 'Great Britain', 'Britain', 'England', 'Scotland', 'Wales', 'Northern Ireland'],
+    IE: ['Ireland'],
+    FR: ['France'],
+    DE: ['Germany', 'Deutschland'],
+    NL: ['Netherlands', 'The Netherlands', 'Holland'],
+    BE: ['Belgium'],
+    LU: ['Luxembourg'],
+    CH: ['Switzerland', 'Schweiz', 'Suisse'],
+    AT: ['Austria', 'Österreich'],
+    ES: ['Spain', 'España'],
+    PT: ['Portugal'],
+    IT: ['Italy', 'Italia'],
+    DK: ['Denmark'],
+    SE: ['Sweden'],
+    NO: ['Norway'],
+    FI: ['Finland'],
+    PL: ['Poland', 'Polska'],
+    CZ: ['Czech Republic', 'Czechia'],
+    HU: ['Hungary'],
+    RO: ['Romania'],
+    GR: ['Greece'],
+    UA: ['Ukraine'],
+    EE: ['Estonia'],
+    LT: ['Lithuania'],
+    LV: ['Latvia'],
+    TR: ['Turkey', 'Türkiye'],
+    IL: ['Israel'],
+    AE: ['United Arab Emirates', 'UAE'],
+    SA: ['Saudi Arabia'],
+    EG: ['Egypt'],
+    ZA: ['South Africa'],
+    NG: ['Nigeria'],
+    KE: ['Kenya'],
+    IN: ['India'],
+    PK: ['Pakistan'],
+    SG: ['Singapore'],
+    MY: ['Malaysia'],
+    ID: ['Indonesia'],
+    TH: ['Thailand'],
+    VN: ['Vietnam', 'Viet Nam'],
+    PH: ['Philippines'],
+    CN: ['China'],
+    HK: ['Hong Kong'],
+    TW: ['Taiwan'],
+    JP: ['Japan'],
+    KR: ['South Korea', 'Korea'],
+    AU: ['Australia'],
+    NZ: ['New Zealand']
+};
+
+// [city, region code or null, country code, latitude, longitude]
+export const WORLD_CITIES = [
+    ['Toronto', 'ON', 'CA', 43.65, -79.38], ['Ottawa', 'ON', 'CA', 45.42, -75.70], ['Waterloo', 'ON', 'CA', 43.46, -80.52],
+    ['Kitchener', 'ON', 'CA', 43.45, -80.49], ['Mississauga', 'ON', 'CA', 43.59, -79.64], ['London', 'ON', 'CA', 42.98, -81.25],
+    ['Montreal', 'QC', 'CA', 45.50, -73.57], ['Quebec City', 'QC', 'CA', 46.81, -71.21], ['Vancouver', 'BC', 'CA', 49.28, -123.12],
+    ['Victoria', 'BC', 'CA', 48.43, -123.37], ['Calgary', 'AB', 'CA', 51.05, -114.07], ['Edmonton', 'AB', 'CA', 53.55, -113.49],
+    ['Winnipeg', 'MB', 'CA', 49.90, -97.14], ['Halifax', 'NS', 'CA', 44.65, -63.58],
+    ['Mexico City', null, 'MX', 19.43, -99.13], ['Guadalajara', null, 'MX', 20.66, -103.35], ['Monterrey', null, 'MX', 25.69, -100.32],
+    ['São Paulo', null, 'BR', -23.55, -46.63], ['Rio de Janeiro', null, 'BR', -22.91, -43.17], ['Buenos Aires', null, 'AR', -34.60, -58.38],
+    ['Bogotá', null, 'CO', 4.71, -74.07], ['Medellín', null, 'CO', 6.24, -75.58], ['Santiago', null, 'CL', -33.45, -70.67],
+    ['Lima', null, 'PE', -12.05, -77.04],
+    ['London', null, 'GB', 51.51, -0.13], ['Manchester', null, 'GB', 53.48, -2.24], ['Birmingham', null, 'GB', 52.49, -1.89],
+    ['Edinburgh', null, 'GB', 55.95, -3.19], ['Glasgow', null, 'GB', 55.86, -4.25], ['Bristol', null, 'GB', 51.45, -2.59],
+    ['Cambridge', null, 'GB', 52.21, 0.12], ['Oxford', null, 'GB', 51.75, -1.26], ['Leeds', null, 'GB', 53.80, -1.55],
+    ['Belfast', null, 'GB', 54.60, -5.93], ['Cardiff', null, 'GB', 51.48, -3.18],
+    ['Dublin', null, 'IE', 53.35, -6.26], ['Cork', null, 'IE', 51.90, -8.47],
+    ['Paris', null, 'FR', 48.86, 2.35], ['Lyon', null, 'FR', 45.76, 4.84], ['Toulouse', null, 'FR', 43.60, 1.44], ['Nice', null, 'FR', 43.70, 7.27],
+    ['Berlin', null, 'DE', 52.52, 13.40], ['Munich', null, 'DE', 48.14, 11.58], ['Hamburg', null, 'DE', 53.55, 9.99],
+    ['Frankfurt', null, 'DE', 50.11, 8.68], ['Cologne', null, 'DE', 50.94, 6.96], ['Stuttgart', null, 'DE', 48.78, 9.18],
+    ['Düsseldorf', null, 'DE', 51.23, 6.77],
+    ['Amsterdam', null, 'NL', 52.37, 4.90], ['Rotterdam', null, 'NL', 51.92, 4.48], ['Utrecht', null, 'NL', 52.09, 5.12],
+    ['Eindhoven', null, 'NL', 51.44, 5.47], ['The Hague', null, 'NL', 52.07, 4.30],
+    ['Brussels', null, 'BE', 50.85, 4.35], ['Antwerp', null, 'BE', 51.22, 4.40], ['Luxembourg', null, 'LU', 49.61, 6.13],
+    ['Zurich', null, 'CH', 47.38, 8.54], ['Geneva', null, 'CH', 46.20, 6.14], ['Basel', null, 'CH', 47.56, 7.59],
+    ['Vienna', null, 'AT', 48.21, 16.37],
+    ['Madrid', null, 'ES', 40.42, -3.70], ['Barcelona', null, 'ES', 41.39, 2.17], ['Valencia', null, 'ES', 39.47, -0.38],
+    ['Lisbon', null, 'PT', 38.72, -9.14], ['Porto', null, 'PT', 41.15, -8.61],
+    ['Milan', null, 'IT', 45.46, 9.19], ['Rome', null, 'IT', 41.90, 12.50], ['Turin', null, 'IT', 45.07, 7.69],
+    ['Copenhagen', null, 'DK', 55.68, 12.57], ['Stockholm', null, 'SE', 59.33, 18.07], ['Gothenburg', null, 'SE', 57.71, 11.97],
+    ['Oslo', null, 'NO', 59.91, 10.75], ['Helsinki', null, 'FI', 60.17, 24.94],
+    ['Warsaw', null, 'PL', 52.23, 21.01], ['Kraków', null, 'PL', 50.06, 19.94], ['Wrocław', null, 'PL', 51.11, 17.04],
+    ['Prague', null, 'CZ', 50.08, 14.44], ['Budapest', null, 'HU', 47.50, 19.04], ['Bucharest', null, 'RO', 44.43, 26.10],
+    ['Athens', null, 'GR', 37.98, 23.73], ['Kyiv', null, 'UA', 50.45, 30.52], ['Tallinn', null, 'EE', 59.44, 24.75],
+    ['Vilnius', null, 'LT', 54.69, 25.28], ['Riga', null, 'LV', 56.95, 24.11], ['Istanbul', null, 'TR', 41.01, 28.98],
+    ['Tel Aviv', null, 'IL', 32.09, 34.78], ['Jerusalem', null, 'IL', 31.77, 35.21],
+    ['Dubai', null, 'AE', 25.20, 55.27], ['Abu Dhabi', null, 'AE', 24.45, 54.38], ['Riyadh', null, 'SA', 24.71, 46.68],
+    ['Cairo', null, 'EG', 30.04, 31.24], ['Cape Town', null, 'ZA', -33.92, 18.42], ['Johannesburg', null, 'ZA', -26.20, 28.05],
+    ['Lagos', null, 'NG', 6.52, 3.38], ['Nairobi', null, 'KE', -1.29, 36.82],
+    ['Bangalore', null, 'IN', 12.97, 77.59], ['Mumbai', null, 'IN', 19.08, 72.88], ['New Delhi', null, 'IN', 28.61, 77.21],
+    ['Hyderabad', null, 'IN', 17.39, 78.49], ['Pune', null, 'IN', 18.52, 73.86], ['Chennai', null, 'IN', 13.08, 80.27],
+    ['Gurgaon', null, 'IN', 28.46, 77.03], ['Noida', null, 'IN', 28.54, 77.39], ['Karachi', null, 'PK', 24.86, 67.01],
+    ['Singapore', null, 'SG', 1.35, 103.82], ['Kuala Lumpur', null, 'MY', 3.14, 101.69], ['Jakarta', null, 'ID', -6.21, 106.85],
+    ['Bangkok', null, 'TH', 13.76, 100.50], ['Ho Chi Minh City', null, 'VN', 10.82, 106.63], ['Hanoi', null, 'VN', 21.03, 105.85],
+    ['Manila', null, 'PH', 14.60, 120.98],
+    ['Beijing', null, 'CN', 39.90, 116.41], ['Shanghai', null, 'CN', 31.23, 121.47], ['Shenzhen', null, 'CN', 22.54, 114.06],
+    ['Hong Kong', null, 'HK', 22.32, 114.17], ['Taipei', null, 'TW', 25.03, 121.57],
+    ['Tokyo', null, 'JP', 35.68, 139.69], ['Osaka', null, 'JP', 34.69, 135.50], ['Seoul', null, 'KR', 37.57, 126.98],
+    ['Sydney', 'NSW', 'AU', -33.87, 151.21], ['Melbourne', 'VIC', 'AU', -37.81, 144.96], ['Brisbane', 'QLD', 'AU', -27.47, 153.03],
+    ['Perth', 'WA', 'AU', -31.95, 115.86], ['Adelaide', 'SA', 'AU', -34.93, 138.60], ['Canberra', 'ACT', 'AU', -35.28, 149.13],
+    ['Auckland', null, 'NZ', -36.85, 174.76], ['Wellington', null, 'NZ', -41.29, 174.78]
+];
+
+// Informal and local names -> [city, region code or null, country code]. Spelling
+// variants that differ only in accents, dots or "Saint"/"St." need no entry.
+export const PLACE_ALIASES = {
+    'nyc': ['New York', 'NY', 'US'],
+    'new york city': ['New York', 'NY', 'US'],
+    'manhattan': ['New York', 'NY', 'US'],
+    'sf': ['San Francisco', 'CA', 'US'],
+    'bay area': ['San Francisco', 'CA', 'US'],
+    'sf bay area': ['San Francisco', 'CA', 'US'],
+    'san francisco bay area': ['San Francisco', 'CA', 'US'],
+    'silicon valley': ['San Jose', 'CA', 'US'],
+    'dc': ['Washington', 'DC', 'US'],
+    'washington dc': ['Washington', 'DC', 'US'],
+    'dmv': ['Washington', 'DC', 'US'],
+    'dfw': ['Dallas', 'TX', 'US'],
+    'dallas-fort worth': ['Dallas', 'TX', 'US'],
+    'twin cities': ['Minneapolis', 'MN', 'US'],
+    'research triangle': ['Raleigh', 'NC', 'US'],
+    'philly': ['Philadelphia', 'PA', 'US'],
+    'nola': ['New Orleans', 'LA', 'US'],
+    'münchen': ['Munich', null, 'DE'],
+    'köln': ['Cologne', null, 'DE'],
+    'wien': ['Vienna', null, 'AT'],
+    'milano': ['Milan', null, 'IT'],
+    'roma': ['Rome', null, 'IT'],
+    'lisboa': ['Lisbon', null, 'PT'],
+    'praha': ['Prague', null, 'CZ'],
+    'warszawa': ['Warsaw', null, 'PL'],
+    'kiev': ['Kyiv', null, 'UA'],
+    'bengaluru': ['Bangalore', null, 'IN'],
+    'bombay': ['Mumbai', null, 'IN'],
+    'delhi': ['New Delhi', null, 'IN'],
+    'gurugram': ['Gurgaon', null, 'IN'],
+    'saigon': ['Ho Chi Minh City', null, 'VN'],
+    'cdmx': ['Mexico City', null, 'MX'],
+    'greater london': ['London', null, 'GB']
+};
+
+// The place a bare, ambiguous name usually means in a job posting. The match
+// is still flagged as ambiguous; this only decides which candidate comes first.
+export const PREFERRED_PLACES = {
+    'portland': ['Portland', 'OR', 'US'],
+    'kansas city': ['Kansas City', 'MO', 'US'],
+    'columbus': ['Columbus', 'OH', 'US'],
+    'aurora': ['Aurora', 'CO', 'US'],
+    'rochester': ['Rochester', 'NY', 'US'],
+    'columbia': ['Columbia', 'SC', 'US'],
+    'charleston': ['Charleston', 'SC', 'US'],
+    'arlington': ['Arlington', 'VA', 'US'],
+    'burlington': ['Burlington', 'VT', 'US'],
+    'london': ['London', null, 'GB'],
+    'cambridge': ['Cambridge', 'MA', 'US'],
+    'birmingham': ['Birmingham', null, 'GB'],
+    'manchester': ['Manchester', null, 'GB']
+};
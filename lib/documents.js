@@ -0,0 +1,97 @@
+import { decodeText } from "./multipart.js";
+import { htmlToText } from "./html.js";
+
+// Convert an uploaded job description file (.txt, .html, .pdf, .docx) to plain
+// text. PDF and DOCX support load their libraries only when such a file arrives.
+
+export const MAX_DOCUMENT_SIZE = 5 * 1024 * 1024;
+
+const TYPES_BY_EXTENSION = {
+    txt: 'text', text: 'text', md: 'text',
+    html: 'html', htm: 'html',
+    pdf: 'pdf',
+    docx: 'docx'
+};
+
+const TYPES_BY_MIME = {
+    'text/plain': 'text',
+    'text/markdown': 'text',
+    'text/html': 'html',
+    'application/xhtml+xml': 'html',
+    'application/pdf': 'pdf',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx'
+};
+
+// Errors carry the HTTP status the handler should answer with
+function documentError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+// Magic bytes win over a misleading name or content type
+export function detectDocumentType({ filename, contentType, data }) {
+    if (data && data.subarray(0, 5).toString('latin1') === '%PDF-') return 'pdf';
+    if (data && data.subarray(0, 4).toString('latin1') === 'PK\u0003\u0004') {
+        return 'docx';
+    }
+    const extension = filename && filename.includes('.') ? filename.split('.').pop().toLowerCase() : '';
+    return TYPES_BY_EXTENSION[extension] || TYPES_BY_MIME[contentType] || null;
+}
+
+async function pdfToText(data) {
+    const { extractText, getDocumentProxy } = await import("unpdf");
+    const pdf = await getDocumentProxy(new Uint8Array(data));
+    const { text } = await extractText(pdf, { mergePages: true });
+    return Array.isArray(text) ? text.join('\n') : text;
+}
+
+async function docxToText(data) {
+    const mammoth = await import("mammoth");
+    const { value } = await (mammoth.default || mammoth).extractRawText({ buffer: data });
+    return value;
+}
+
+function tidy(text) {
+    return text
+        .replace(/\r\n?/g, '\n')
+        .replace(/[ \t\f\v]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// file: { filename, contentType, charset, data: Buffer } as produced by parseMultipart
+export async function documentToText(file) {
+    if (!file.data || file.data.length === 0) {
+        throw documentError(`Uploaded file ${file.filename || '(unnamed)'} is empty`, 400);
+    }
+    if (file.data.length > MAX_DOCUMENT_SIZE) {
+        throw documentError(`Uploaded file exceeds ${MAX_DOCUMENT_SIZE} bytes`, 413);
+    }
+
+    const type = detectDocumentType(file);
+    let text;
+    switch (type) {
+        case 'text':
+            text = decodeText(file.data, file.charset);
+            break;
+        case 'html':
+            text = htmlToText(decodeText(file.data, file.charset));
+            break;
+        case 'pdf':
+            text = await pdfToText(file.data);
+            break;
+        case 'docx':
+            text = await docxToText(file.data);
+            break;
+        default:
+            throw documentError(`Unsupported file type for ${file.filename || 'upload'}. Use .txt, .html, .pdf or .docx`, 415);
+    }
+
+    const cleaned = tidy(text || '');
+    if (!cleaned) {
+        throw documentError(`No text could be extracted from ${file.filename || 'the uploaded file'}`, 422);
+    }
+    return cleaned;
+}
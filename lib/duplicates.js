@@ -0,0 +1,263 @@
+import { createHash } from "crypto";
+import { createStore } from "./stores.js";
+
+// Duplicate posting detection. Feeds carry the same job from the company site,
+// LinkedIn and Indeed with slightly different titles and descriptions; each
+// posting gets a fingerprint from its normalized title, company and city, plus
+// a MinHash signature of its description's word shingles. A posting matches an
+// earlier one when company and city agree, the titles share most of their
+// words and the descriptions overlap:
+//
+//   "Sr. Backend Engineer" at "Acme, Inc." in "Austin, TX"
+//   "Senior Backend Engineer (Remote)" at "Acme" in "Austin"
+//   // -> same fingerprint, duplicate_of the first one
+//
+// Stores only get and set by key, so candidates are found through locality-
+// sensitive hashing: the signature is cut into bands, and each band is a
+// bucket key listing the postings that share it. Only canonical postings (the
+// first of each group) are recorded; duplicates point at them. An index is
+// per client (forClient), so one API key never sees another's postings or results.
+
+export const DEFAULT_DUPLICATE_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// Word shingles of this length make up a description
+const SHINGLE_SIZE = 5;
+// 64 MinHash values in 16 bands of 4: descriptions around 50% similar or more
+// usually share a band
+const SIGNATURE_SIZE = 64;
+const BAND_SIZE = 4;
+// Most canonical postings remembered per bucket, newest first
+const BUCKET_LIMIT = 25;
+
+// Thresholds: title word overlap and description similarity (estimated Jaccard)
+const TITLE_SIMILARITY = 0.5;
+const DESCRIPTION_SIMILARITY = 0.6;
+// Same title, company and city with a description this similar is still one
+// job (an aggregator's truncated copy); below it, a separate opening
+const SAME_KEY_DESCRIPTION_SIMILARITY = 0.5;
+// Returning a stored result without extracting needs near-identical text
+const SHORT_CIRCUIT_DESCRIPTION_SIMILARITY = 0.8;
+
+const TITLE_ABBREVIATIONS = {
+    sr: 'senior', snr: 'senior', jr: 'junior', jnr: 'junior', mgr: 'manager',
+    eng: 'engineer', engr: 'engineer', dev: 'developer', swe: 'software engineer',
+    ii: '2', iii: '3', iv: '4'
+};
+const TITLE_NOISE = new Set(['and', 'of', 'the', 'for', 'with', 'in', 'at', 'a', 'an', 'remote', 'hybrid', 'onsite', 'on', 'site', 'm', 'w', 'd', 'f', 'h', 'x', 'all', 'genders']);
+const LEGAL_SUFFIX = /\s+(?:inc|llc|ltd|limited|corp|corporation|co|company|gmbh|ag|plc|sa|sas|sl|bv|srl)$/;
+
+function plainWords(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// Title words without seniority abbreviations, arrangement tags or gender markers
+function titleWords(title) {
+    const words = String(title || '').replace(/\([^)]*\)|\[[^\]]*\]/g, ' ');
+    return [...new Set(plainWords(words)
+        .flatMap(word => (TITLE_ABBREVIATIONS[word] || word).split(' '))
+        .filter(word => !TITLE_NOISE.has(word)))].sort();
+}
+
+function companyKey(company) {
+    const key = plainWords(company).join(' ').replace(LEGAL_SUFFIX, '');
+    return key || null;
+}
+
+// "Austin, TX" and "Austin" are the same place here
+function cityKey(city) {
+    const key = plainWords(String(city || '').split(',')[0]).join(' ');
+    return key || null;
+}
+
+// 32-bit FNV-1a, then a murmur3 finalizer per signature slot
+function hash32(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+function mix32(value) {
+    let hash = value;
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+}
+
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, i) => mix32(i + 1));
+
+// MinHash signature of the description's word shingles, or null when it is too
+// short to compare
+function descriptionSignature(description) {
+    const words = plainWords(description);
+    if (words.length < SHINGLE_SIZE * 2) {
+        return null;
+    }
+    const signature = new Array(SIGNATURE_SIZE).fill(0xffffffff);
+    for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+        const shingle = hash32(words.slice(i, i + SHINGLE_SIZE).join(' '));
+        for (let slot = 0; slot < SIGNATURE_SIZE; slot++) {
+            const value = mix32(shingle ^ SEEDS[slot]);
+            if (value < signature[slot]) signature[slot] = value;
+        }
+    }
+    return signature;
+}
+
+function signatureSimilarity(a, b) {
+    let same = 0;
+    for (let i = 0; i < SIGNATURE_SIZE; i++) {
+        if (a[i] === b[i]) same++;
+    }
+    return same / SIGNATURE_SIZE;
+}
+
+function wordSimilarity(a, b) {
+    if (a.length === 0 || b.length === 0) return 0;
+    const other = new Set(b);
+    const shared = a.filter(word => other.has(word)).length;
+    return shared / (a.length + b.length - shared);
+}
+
+function digest(text, length = 16) {
+    return createHash('sha256').update(text).digest('hex').substring(0, length);
+}
+
+// Fingerprint of a posting's normalized job_title, company and city: the same
+// job listed on several sites usually gets the same one
+export function postingFingerprint({ job_title, company, city } = {}) {
+    return digest([titleWords(job_title).join(' '), companyKey(company) || '', cityKey(city) || ''].join('|'));
+}
+
+// Everything compared and stored for one posting
+export function describePosting({ jobTitle, jobDescription, company = null, city = null }) {
+    return {
+        fingerprint: postingFingerprint({ job_title: jobTitle, company, city }),
+        title: titleWords(jobTitle),
+        company: companyKey(company),
+        city: cityKey(city),
+        signature: descriptionSignature(jobDescription),
+        // Tells the same posting sent again from a copy of it
+        content: digest(`${titleWords(jobTitle).join(' ')}|${plainWords(jobDescription).join(' ')}`)
+    };
+}
+
+function bandKeys(prefix, signature) {
+    if (!signature) return [];
+    const keys = [];
+    for (let start = 0; start < SIGNATURE_SIZE; start += BAND_SIZE) {
+        keys.push(`${prefix}band:${start / BAND_SIZE}:${digest(signature.slice(start, start + BAND_SIZE).join(','), 12)}`);
+    }
+    return keys;
+}
+
+// { similarity } when `posting` is a copy of `canonical`, else null. Fields
+// unknown on either side (no company yet) do not count against a match.
+export function comparePostings(posting, canonical, { shortCircuit = false } = {}) {
+    if (posting.company && canonical.company && posting.company !== canonical.company) return null;
+    if (posting.city && canonical.city && posting.city !== canonical.city) return null;
+
+    const titleSimilarity = wordSimilarity(posting.title, canonical.title);
+    if (titleSimilarity < TITLE_SIMILARITY) return null;
+    const descriptionSimilarity = posting.signature && canonical.signature
+        ? signatureSimilarity(posting.signature, canonical.signature)
+        : null;
+
+    const sameKey = posting.fingerprint === canonical.fingerprint && Boolean(posting.company);
+    if (shortCircuit) {
+        if (descriptionSimilarity === null ? !sameKey : descriptionSimilarity < SHORT_CIRCUIT_DESCRIPTION_SIMILARITY) return null;
+    } else if (descriptionSimilarity === null) {
+        if (!sameKey) return null;
+    } else if (descriptionSimilarity < (sameKey ? SAME_KEY_DESCRIPTION_SIMILARITY : DESCRIPTION_SIMILARITY)) {
+        return null;
+    }
+
+    const similarity = descriptionSimilarity === null ? titleSimilarity : (titleSimilarity + descriptionSimilarity) / 2;
+    return { similarity: Math.round(similarity * 100) / 100 };
+}
+
+// Duplicate index over a store (see stores.js). `keepResults` stores each
+// canonical posting's extraction result so a duplicate can be answered with it.
+// `namespace` (usually set through forClient) keeps one client's postings apart.
+export function createDuplicateIndex({ store, ttlSeconds = DEFAULT_DUPLICATE_TTL_SECONDS, keepResults = true, namespace = null }) {
+    const prefix = namespace ? `duplicates:${digest(String(namespace), 12)}:` : 'duplicates:';
+    const recordKey = id => `${prefix}posting:${id}`;
+    const fingerprintKey = fingerprint => `${prefix}fingerprint:${fingerprint}`;
+
+    async function candidates(posting) {
+        const ids = new Set();
+        const byFingerprint = await store.get(fingerprintKey(posting.fingerprint));
+        if (byFingerprint) ids.add(byFingerprint);
+        for (const key of bandKeys(prefix, posting.signature)) {
+            for (const id of (await store.get(key)) || []) ids.add(id);
+        }
+        const records = [];
+        for (const id of ids) {
+            const record = await store.get(recordKey(id));
+            if (record) records.push(record);
+        }
+        return records;
+    }
+
+    return {
+        store,
+        // The same index for one client's postings only
+        forClient(clientId) {
+            return createDuplicateIndex({ store, ttlSeconds, keepResults, namespace: clientId });
+        },
+        // Best-matching canonical posting other than `posting` itself: { id, similarity, result } or null
+        async find(posting, { shortCircuit = false } = {}) {
+            let best = null;
+            for (const record of await candidates(posting)) {
+                if (record.id === posting.fingerprint && record.content === posting.content) {
+                    continue;
+                }
+                const match = comparePostings(posting, record, { shortCircuit });
+                if (match && (!best || match.similarity > best.similarity)) {
+                    best = { id: record.id, similarity: match.similarity, result: record.result || null };
+                }
+            }
+            return best;
+        },
+        // Record `posting` as canonical under its fingerprint. A fingerprint
+        // already taken by a different opening keeps its first posting.
+        async remember(posting, result) {
+            const id = posting.fingerprint;
+            if (await store.get(recordKey(id))) {
+                return false;
+            }
+            const record = { ...posting, id, seen_at: new Date().toISOString(), result: keepResults ? result : null };
+            await store.set(recordKey(id), record, { ttlSeconds });
+            await store.set(fingerprintKey(posting.fingerprint), id, { ttlSeconds });
+            // Buckets are read-modify-write; a lost race only costs a missed match
+            for (const key of bandKeys(prefix, posting.signature)) {
+                const ids = (await store.get(key)) || [];
+                await store.set(key, [id, ...ids.filter(other => other !== id)].slice(0, BUCKET_LIMIT), { ttlSeconds });
+            }
+            return true;
+        }
+    };
+}
+
+// Duplicate index from the environment, or null when disabled.
+//   DUPLICATES_STORE        memory (default), fs, blobs or none
+//   DUPLICATES_DIR          directory for the fs store (default .cache/duplicates)
+//   DUPLICATES_TTL_SECONDS  how long a canonical posting is remembered (default 30 days)
+export function duplicatesFromEnv(env = process.env) {
+    const kind = (env.DUPLICATES_STORE || 'memory').toLowerCase();
+    if (kind === 'none' || kind === 'off') {
+        return null;
+    }
+    const store = createStore(kind, { name: 'duplicates', directory: env.DUPLICATES_DIR || '.cache/duplicates' });
+    const ttlSeconds = parseInt(env.DUPLICATES_TTL_SECONDS || DEFAULT_DUPLICATE_TTL_SECONDS, 10);
+    return createDuplicateIndex({ store, ttlSeconds });
+}
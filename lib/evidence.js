@@ -0,0 +1,176 @@
+import { placeAliases } from "./locations.js";
+import { experienceLevelForYears, EXPERIENCE_WORDS, NUMBER_WORDS } from "./heuristics.js";
+import { escapeRegex, termPattern } from "./terms.js";
+
+// Source evidence for extracted values. A value is backed when one of its
+// evidence terms (strings or regexes, see the `evidence` entry in schema.js)
+// occurs in the job title or description; the match's offsets and surrounding
+// text are returned so reviewers can see where the value came from.
+
+const SOURCES = {
+    job_description: 'jobDescription',
+    job_title: 'jobTitle'
+};
+// Where values are looked for unless a field sets its own `evidenceOrder`
+const DEFAULT_ORDER = ['job_description', 'job_title'];
+
+const SNIPPET_CONTEXT = 60;
+
+// Confidence for a model value by what backs it
+const QUOTE_CONFIDENCE = 0.9;
+const VALUE_CONFIDENCE = 0.75;
+export const UNBACKED_CONFIDENCE = 0.3;
+// A null answer has nothing to check against
+const NULL_CONFIDENCE = 0.5;
+
+function usableTerm(term) {
+    return term instanceof RegExp || (typeof term === 'string' && term.trim().length > 0);
+}
+
+// The match plus up to SNIPPET_CONTEXT characters either side, kept on its own line
+function snippetAround(text, start, end) {
+    const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+    const lineEnd = text.indexOf('\n', end);
+    const from = Math.max(lineStart, start - SNIPPET_CONTEXT);
+    const to = Math.min(lineEnd === -1 ? text.length : lineEnd, end + SNIPPET_CONTEXT);
+    return text.substring(from, to).trim();
+}
+
+// First occurrence of `term` in the source, searching the parts in `order`
+// (description before title by default): { source, start, end, text, snippet } or null
+export function locateTerm(term, source = {}, order = DEFAULT_ORDER) {
+    if (!usableTerm(term)) {
+        return null;
+    }
+    const pattern = termPattern(term);
+    for (const sourceName of order) {
+        const key = SOURCES[sourceName];
+        const text = typeof source[key] === 'string' ? source[key] : '';
+        const match = pattern.exec(text);
+        if (match && match[0].length > 0) {
+            const start = match.index;
+            const end = start + match[0].length;
+            return { source: sourceName, start, end, text: match[0], snippet: snippetAround(text, start, end) };
+        }
+    }
+    return null;
+}
+
+// Evidence for one value. A quote from the model is preferred when it really
+// occurs in the input and contains one of the value's terms; otherwise the
+// terms themselves are searched for. `match` says which of the two it was.
+export function findEvidence(terms, source, quote, order = DEFAULT_ORDER) {
+    const usable = (terms || []).filter(usableTerm);
+    if (usable.length === 0) {
+        return null;
+    }
+
+    if (typeof quote === 'string' && quote.trim()) {
+        const located = locateTerm(quote, source, order);
+        if (located && usable.some(term => termPattern(term).test(located.text))) {
+            return { ...located, match: 'quote' };
+        }
+    }
+
+    for (const term of usable) {
+        const located = locateTerm(term, source, order);
+        if (located) {
+            return { ...located, match: 'value' };
+        }
+    }
+    return null;
+}
+
+export function evidenceConfidence(value, evidence) {
+    if (value === null || value === undefined || (Array.isArray(value) && value.length === 0)) {
+        return NULL_CONFIDENCE;
+    }
+    if (Array.isArray(evidence)) {
+        // Share of list items that are backed
+        const backed = evidence.filter(Boolean).length;
+        return evidence.length === 0 ? UNBACKED_CONFIDENCE
+            : Math.round((UNBACKED_CONFIDENCE + (VALUE_CONFIDENCE - UNBACKED_CONFIDENCE) * backed / evidence.length) * 100) / 100;
+    }
+    if (!evidence) {
+        return UNBACKED_CONFIDENCE;
+    }
+    return evidence.match === 'quote' ? QUOTE_CONFIDENCE : VALUE_CONFIDENCE;
+}
+
+// Evidence terms for the individual fields
+
+// Shorter titles ("A", "QA", "CTO") only count as the whole title or a whole
+// line of the description, not as a word inside a sentence
+const SHORT_TITLE_LENGTH = 4;
+
+export function titleTerms(value) {
+    if (typeof value !== 'string') return [];
+    const trimmed = value.trim();
+    if (trimmed.length >= SHORT_TITLE_LENGTH) return [trimmed];
+    const body = trimmed.split(/\s+/).map(escapeRegex).join('\\s+');
+    return [new RegExp(`^[^\\S\\n]*${body}[^\\S\\n]*$`, 'm')];
+}
+
+// "Austin, TX" is backed by "Austin, Texas" or a bare "Austin"; "New York, NY"
+// also by the gazetteer's informal names for it ("NYC", "Manhattan")
+export function cityTerms(value) {
+    if (typeof value !== 'string') return [];
+    const city = value.split(',')[0].trim();
+    return [value, city, ...placeAliases(value)];
+}
+
+export function companyTerms(value) {
+    if (typeof value !== 'string') return [];
+    const bare = value.replace(/,?\s+(?:inc\.?|llc|l\.l\.c\.|ltd\.?|limited|corp\.?|corporation|co\.?|gmbh|plc|s\.a\.)$/i, '');
+    return bare !== value ? [value, bare] : [value];
+}
+
+// English patterns first, then German, French and Spanish wording (plain
+// strings, which match as whole words with accents)
+export const WORK_ARRANGEMENT_TERMS = {
+    remote: [
+        /\bremote(?:ly)?\b/, /\bwork(?:ing)?\s+from\s+home\b/, /\bwfh\b/, /\btelecommut/, /\bdistributed\s+team\b/,
+        'Homeoffice', 'mobiles Arbeiten', 'télétravail', 'à distance', 'remoto', 'teletrabajo', 'en remoto'
+    ],
+    hybrid: [
+        /\bhybrid\b/, /\b\d\s*days?\s*(?:a|per)\s*week\s*(?:in|at)\b/, /\bpartially\s+remote\b/,
+        'hybrides Arbeiten', 'hybride', 'télétravail partiel', 'híbrido', 'híbrida'
+    ],
+    'on-site': [
+        /\bon-?\s?site\b/, /\bin[- ]office\b/, /\bin[- ]person\b/, /\bat\s+our\s+(?:office|headquarters|hq)\b/,
+        'vor Ort', 'in Präsenz', 'sur site', 'en présentiel', 'présentiel', 'presencial'
+    ]
+};
+
+// A stated number of years backs the level experienceLevelForYears gives it
+// ("3+ years" backs Mid, not Senior), and only with an experience word within
+// YEARS_CONTEXT characters on the same line, so "a 2 years contract" or "founded
+// 10 years ago" backs nothing. Otherwise a matching seniority word does.
+const MAX_YEARS = 30;
+const YEARS_CONTEXT = 40;
+
+function yearsTerm(level) {
+    const numbers = [];
+    for (let years = 0; years <= MAX_YEARS; years++) {
+        if (experienceLevelForYears(years) === level) numbers.push(String(years));
+    }
+    for (const [word, years] of Object.entries(NUMBER_WORDS)) {
+        if (years <= MAX_YEARS && experienceLevelForYears(years) === level) numbers.push(word);
+    }
+    const years = `(?<![\\p{L}\\p{N}])(?:${numbers.join('|')})\\s*(?:\\+|plus)?\\s*(?:(?:-|–|to|bis|à|a)\\s*\\d{1,2}\\s*)?\\+?\\s*(?:years?|yrs?|jahre?n?|ans?|años?)(?![\\p{L}])`;
+    const context = `(?:${EXPERIENCE_WORDS.source})`;
+    return new RegExp(`(?<=${context}[^\\n]{0,${YEARS_CONTEXT}})${years}|${years}(?=[^\\n]{0,${YEARS_CONTEXT}}${context})`, 'u');
+}
+
+const LEVEL_TERMS = {
+    'Entry (0-2 Years)': [/\b(?:entry[- ]level|junior|jr\.?|graduate|new\s+grad|intern(?:ship)?)\b/, 'Praktikant', 'Werkstudent', 'Berufseinsteiger', 'stagiaire', 'débutant', 'becario', 'prácticas'],
+    'Mid (3-5 Years)': [/\b(?:mid[- ]?level|intermediate)\b/, 'confirmé'],
+    'Senior (6-8 Years)': [/\b(?:senior|sr\.?)\b/],
+    'Lead (8+ Years)': [/\b(?:lead|principal|staff|head\s+of|director)\b/, 'Leiter', 'Teamleiter', 'Leitung', 'responsable', 'jefe', 'directeur']
+};
+
+const YEARS_TERMS = Object.fromEntries(Object.keys(LEVEL_TERMS).map(level => [level, yearsTerm(level)]));
+
+export function experienceTerms(value) {
+    return LEVEL_TERMS[value] ? [YEARS_TERMS[value], ...LEVEL_TERMS[value]] : [];
+}
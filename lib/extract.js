@@ -0,0 +1,572 @@
+import { createHash } from "crypto";
+import { providerFromConfig } from "./providers/index.js";
+import { createReplicateProvider } from "./providers/replicate.js";
+import { mapWithConcurrency } from "./concurrency.js";
+import { extractHeuristics, settledFields } from "./heuristics.js";
+import { fieldNames, findResultEvidence, nullResult, settleRequiredFieldNames, validateResult } from "./schema.js";
+import { evidenceConfidence, UNBACKED_CONFIDENCE } from "./evidence.js";
+import { buildPrompt, buildRepairPrompt } from "./prompt.js";
+import { extractionCacheKey } from "./cache.js";
+import { resolveJobInput } from "./input.js";
+import { resolveResultLocations } from "./locations.js";
+import { detectLanguage } from "./language.js";
+import { describePosting } from "./duplicates.js";
+import { NO_METRICS } from "./metrics.js";
+
+// The extraction core, shared by the Netlify functions, the eval harness and
+// any Node service that wants to extract in-process:
+//
+//   import { extractJobDetails } from "replicate-netlify";
+//   const result = await extractJobDetails({ job_title, job_description }, { provider, logger, config });
+//
+// Everything environment-specific is injected through `options`:
+//   provider   an LLM provider (see providers/index.js); default: built from LLM_PROVIDER & co.
+//   client     or a Replicate client (e.g. a stub) to use with the Replicate provider
+//   model      model for `client` (default: the Replicate provider's default)
+//   logger     console-like object with debug/info/warn/error (default: console);
+//              logger.js has a structured one that keeps posting text out of the logs
+//   metrics    registry from metrics.js for attempt, validation, latency and token counts (default: none)
+//   config     overrides for DEFAULT_CONFIG; unset keys come from configFromEnv()
+//   cache      extraction cache from cache.js (default: none)
+//   duplicates duplicate index from duplicates.js (default: none)
+//   refresh    skip cache reads and store a fresh result, and extract known duplicates again
+//   fetchPage  page fetcher for job_url input (default: createFetcher())
+//   maxDescriptionChars  longest text taken from job_html or job_url (default: no limit)
+
+export const DEFAULT_CONFIG = {
+    // Rule-based fields at or above this confidence are trusted without asking the model
+    heuristicConfidenceThreshold: 0.85,
+    // When the model is unavailable, rule-based fields at or above this confidence are returned instead of null
+    heuristicFallbackThreshold: 0.5,
+    // Model values without evidence in the input: null them, reject them so the model retries, or keep them ('off')
+    evidenceMode: 'null',
+    maxRetries: 3,
+    // Base backoff between attempts; attempt n waits n times this
+    retryDelayMs: 1000,
+    // When no answer passes validation, keep the fields that did and null the rest
+    // (listed in `field_errors`) instead of falling back to the rules alone
+    partialResults: true,
+    // Ask for an English job_title for non-English postings, keeping the original in job_title_original
+    translateTitles: false,
+    // Answer a near-identical copy of a known posting with the stored canonical result instead of extracting it
+    returnCanonical: false
+};
+
+export const MISSING_FIELDS_ERROR = 'Missing required fields: job_title and one of job_description, job_html or job_url';
+
+// Config from the environment:
+//   HEURISTIC_CONFIDENCE_THRESHOLD, HEURISTIC_FALLBACK_THRESHOLD, EVIDENCE_MODE, PARTIAL_RESULTS,
+//   TRANSLATE_TITLES, DUPLICATES_RETURN_CANONICAL
+export function configFromEnv(env = process.env) {
+    const config = { ...DEFAULT_CONFIG };
+    if (env.HEURISTIC_CONFIDENCE_THRESHOLD) {
+        config.heuristicConfidenceThreshold = parseFloat(env.HEURISTIC_CONFIDENCE_THRESHOLD);
+    }
+    if (env.HEURISTIC_FALLBACK_THRESHOLD) {
+        config.heuristicFallbackThreshold = parseFloat(env.HEURISTIC_FALLBACK_THRESHOLD);
+    }
+    if (env.EVIDENCE_MODE) {
+        config.evidenceMode = env.EVIDENCE_MODE.toLowerCase();
+    }
+    if (env.PARTIAL_RESULTS) {
+        config.partialResults = env.PARTIAL_RESULTS.toLowerCase() !== 'false';
+    }
+    if (env.TRANSLATE_TITLES) {
+        config.translateTitles = env.TRANSLATE_TITLES.toLowerCase() === 'true';
+    }
+    if (env.DUPLICATES_RETURN_CANONICAL) {
+        config.returnCanonical = env.DUPLICATES_RETURN_CANONICAL.toLowerCase() === 'true';
+    }
+    return config;
+}
+
+// Defaults resolved once per process: the env config and the env provider chain
+let envConfig;
+let defaultProvider;
+
+function resolveConfig(overrides = {}) {
+    if (!envConfig) {
+        envConfig = configFromEnv();
+    }
+    return { ...envConfig, ...overrides };
+}
+
+function resolveProvider(options) {
+    if (options.provider) {
+        return options.provider;
+    }
+    if (options.client) {
+        return createReplicateProvider({ client: options.client, model: options.model });
+    }
+    if (!defaultProvider) {
+        defaultProvider = providerFromConfig();
+    }
+    return defaultProvider;
+}
+
+function extractionError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+// Resolve locations against the gazetteer (locations.js), then attach the
+// posting's `language` and per-field `confidence` and `evidence`. Values the
+// rules settled keep the rules' confidence; model values are scored by the
+// evidence behind them, and values dropped for lack of evidence score as unbacked.
+function annotate(extracted, { source, heuristics, settled = {}, quotes, unsupported = [] }) {
+    const result = resolveResultLocations(extracted);
+    const evidence = findResultEvidence(result, { source, quotes });
+    const confidence = {};
+    for (const name of fieldNames()) {
+        if (name in settled && heuristics[name]) {
+            confidence[name] = heuristics[name].confidence;
+        } else if (unsupported.includes(name)) {
+            confidence[name] = UNBACKED_CONFIDENCE;
+        } else {
+            confidence[name] = evidenceConfidence(result[name], evidence[name]);
+        }
+    }
+    return { ...result, language: source.language || null, confidence, evidence };
+}
+
+// With translateTitles, a non-English posting's job_title becomes the model's
+// English translation and the cleaned original moves to job_title_original
+function withEnglishTitle(result, answer, config) {
+    if (!config.translateTitles || !result.language || result.language === 'en') {
+        return result;
+    }
+    const translated = typeof answer.job_title_en === 'string' ? answer.job_title_en.trim() : '';
+    if (!translated || translated.toLowerCase() === String(result.job_title).toLowerCase()) {
+        return result;
+    }
+    const { job_title, ...rest } = result;
+    return { job_title: translated, job_title_original: job_title, ...rest };
+}
+
+// Rule-based values good enough to return when the model has nothing better
+function fallbackValues(heuristics, config, names = fieldNames()) {
+    const used = {};
+    for (const name of names) {
+        if (!heuristics[name]) {
+            continue;
+        }
+        const { value, confidence } = heuristics[name];
+        if (value !== null && confidence >= config.heuristicFallbackThreshold) {
+            used[name] = value;
+        }
+    }
+    return used;
+}
+
+// Fallback response built from whatever the rules found, so a model outage does not mean all-null
+function heuristicFallback(source, heuristics, error, config) {
+    const used = fallbackValues(heuristics, config);
+    const result = { ...nullResult(source.jobTitle), ...used, extraction_method: 'rules', error };
+    return annotate(result, { source, heuristics, settled: used });
+}
+
+// Fields that passed validation in any attempt so far (the latest wins) and the
+// latest error for those that never did
+function mergeAttempt(best, validation, quotes) {
+    const merged = {
+        value: { ...best.value },
+        errors: { ...best.errors },
+        quotes: { ...best.quotes },
+        unsupported: [...best.unsupported]
+    };
+    for (const name of fieldNames()) {
+        if (validation.errors[name]) {
+            if (!(name in merged.value)) merged.errors[name] = validation.errors[name];
+            continue;
+        }
+        merged.value[name] = validation.value[name];
+        merged.quotes[name] = quotes[name];
+        delete merged.errors[name];
+        merged.unsupported = merged.unsupported.filter(field => field !== name);
+        if (validation.unsupported.includes(name)) merged.unsupported.push(name);
+    }
+    return merged;
+}
+
+// Best-effort result when no answer passed validation as a whole: validated
+// model fields, rule-based values (or null) for the failed ones, and the
+// reason each failed field was dropped in `field_errors`
+function partialResult(source, heuristics, settled, best, config) {
+    const failed = Object.keys(best.errors).filter(name => !(name in settled));
+    const rules = fallbackValues(heuristics, config, failed);
+    const result = {
+        ...nullResult(source.jobTitle),
+        ...best.value,
+        ...rules,
+        ...settled,
+        extraction_method: Object.keys(settled).length + Object.keys(rules).length > 0 ? 'rules+model' : 'model',
+        field_errors: Object.fromEntries(failed.map(name => [name, best.errors[name]]))
+    };
+    return annotate(result, {
+        source,
+        heuristics,
+        settled: { ...settled, ...rules },
+        quotes: best.quotes,
+        unsupported: best.unsupported.filter(name => !(name in settled))
+    });
+}
+
+// Structured-data hints (e.g. JobPosting JSON-LD) replace rule-based guesses they are at least as sure of
+function mergeHints(heuristics, hints = {}) {
+    const merged = { ...heuristics };
+    for (const [name, hint] of Object.entries(hints)) {
+        if (!merged[name] || hint.confidence >= merged[name].confidence) {
+            merged[name] = hint;
+        }
+    }
+    return merged;
+}
+
+// Model answer text -> the JSON inside it, without markdown code fences
+function stripCodeFences(text) {
+    let responseText = text.trim();
+    if (responseText.startsWith('```json')) {
+        responseText = responseText.replace(/^```json\s*/, '').replace(/\s*```$/, '');
+    } else if (responseText.startsWith('```')) {
+        responseText = responseText.replace(/^```\s*/, '').replace(/\s*```$/, '');
+    }
+    return responseText.trim();
+}
+
+function recordUsage(metrics, provider, usage) {
+    if (!usage) {
+        return;
+    }
+    const labels = { provider: provider.name, model: provider.model };
+    if (Number.isFinite(usage.input_tokens)) {
+        metrics.increment('llm_tokens_total', { ...labels, type: 'input' }, usage.input_tokens);
+    }
+    if (Number.isFinite(usage.output_tokens)) {
+        metrics.increment('llm_tokens_total', { ...labels, type: 'output' }, usage.output_tokens);
+    }
+}
+
+// Rules first, then the model with retries, then a partial or rules-only
+// fallback. A rejected answer is sent back with its problems so the next
+// attempt repairs it (see buildRepairPrompt).
+// Options: provider/client, logger, metrics, config and hints (see the top of this file).
+async function runExtraction(jobTitle, jobDescription, options, { logger, metrics }) {
+    const config = resolveConfig(options.config);
+    const provider = resolveProvider(options);
+    const { maxRetries, retryDelayMs } = config;
+
+    // Settle what we can locally first
+    const language = detectLanguage(`${jobTitle}\n${jobDescription}`);
+    const source = { jobTitle, jobDescription, language: language.code };
+    const heuristics = mergeHints(extractHeuristics(jobTitle, jobDescription), options.hints);
+    const settled = settledFields(heuristics, config.heuristicConfidenceThreshold);
+
+    // Everything the rules can answer alone is settled: skip the model, and
+    // fill list fields the rules only partly find (settleOptional) from the rules
+    if (settleRequiredFieldNames().every(name => name in settled)) {
+        const used = { ...fallbackValues(heuristics, config), ...settled };
+        return annotate({ ...nullResult(source.jobTitle), ...used, extraction_method: 'rules' }, { source, heuristics, settled: used });
+    }
+
+    const basePrompt = buildPrompt(jobTitle, jobDescription, {
+        knownFields: settled,
+        language: language.code,
+        translateTitle: config.translateTitles
+    });
+    const attemptLabels = outcome => ({ provider: provider.name, outcome });
+    let prompt = basePrompt;
+    // Validated fields across attempts, for a partial result
+    let best = { value: {}, errors: {}, quotes: {}, unsupported: [] };
+
+    const giveUp = error => {
+        const modelFields = Object.keys(best.value).filter(name => !(name in settled));
+        if (config.partialResults && modelFields.length > 0) {
+            logger.warn('Returning a partial result', { fields: Object.keys(best.errors) });
+            return partialResult(source, heuristics, settled, best, config);
+        }
+        return heuristicFallback(source, heuristics, error, config);
+    };
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        if (attempt > 1) {
+            // Wait before retry
+            await new Promise(resolve => setTimeout(resolve, retryDelayMs * (attempt - 1)));
+        }
+        try {
+            const calledAt = Date.now();
+            const { text, usage } = await provider.generate(prompt, { maxTokens: 800 });
+            metrics.observe('llm_request_duration_seconds', { provider: provider.name }, (Date.now() - calledAt) / 1000);
+            recordUsage(metrics, provider, usage);
+            const responseText = stripCodeFences(text);
+            logger.debug('Model answered', { attempt, provider: provider.name, repair: prompt !== basePrompt, response: responseText, usage });
+
+            let jsonResult;
+            try {
+                jsonResult = JSON.parse(responseText);
+            } catch (parseError) {
+                metrics.increment('extraction_attempts_total', attemptLabels('invalid_json'));
+                logger.warn('Model answer is not valid JSON', { attempt, error: parseError.message });
+                if (attempt === maxRetries) {
+                    return giveUp("Failed to parse AI response as JSON");
+                }
+                prompt = buildRepairPrompt(basePrompt, {
+                    previousAnswer: responseText,
+                    errors: { _root: `The answer was not valid JSON (${parseError.message})` }
+                });
+                continue;
+            }
+
+            // Validate against the field schema
+            const validation = validateResult(jsonResult, { source, evidenceMode: config.evidenceMode });
+            for (const field of validation.coerced) {
+                metrics.increment('extraction_coercions_total', { field });
+            }
+            if (validation.valid) {
+                metrics.increment('extraction_attempts_total', attemptLabels('valid'));
+                const unsupported = validation.unsupported.filter(name => !(name in settled));
+                for (const field of unsupported) {
+                    metrics.increment('extraction_unsupported_values_total', { field });
+                }
+                logger.info('Model answer passed validation', { attempt, unsupported, coerced: validation.coerced });
+                // Settled rule-based values win over the model's take on the same field
+                const result = {
+                    ...validation.value,
+                    ...settled,
+                    extraction_method: Object.keys(settled).length > 0 ? 'rules+model' : 'model'
+                };
+                const annotated = annotate(result, {
+                    source,
+                    heuristics,
+                    settled,
+                    quotes: jsonResult.evidence || {},
+                    unsupported
+                });
+                return withEnglishTitle(annotated, jsonResult, config);
+            }
+
+            metrics.increment('extraction_attempts_total', attemptLabels('invalid'));
+            for (const field of Object.keys(validation.errors)) {
+                metrics.increment('extraction_validation_failures_total', { field });
+            }
+            logger.warn('Model answer failed validation', { attempt, errors: validation.errors });
+            if (!validation.errors._root) {
+                best = mergeAttempt(best, validation, jsonResult.evidence && typeof jsonResult.evidence === 'object' ? jsonResult.evidence : {});
+            }
+            prompt = buildRepairPrompt(basePrompt, { previousAnswer: responseText, errors: validation.errors });
+        } catch (error) {
+            metrics.increment('extraction_attempts_total', attemptLabels('error'));
+            logger.warn('Model call failed', { attempt, provider: provider.name, error: error.message });
+            if (attempt === maxRetries) {
+                return giveUp(`AI processing failed: ${error.message}`);
+            }
+        }
+    }
+
+    // Every attempt parsed but failed validation
+    return giveUp("AI response failed validation");
+}
+
+// runExtraction plus the extraction count and latency metrics
+export async function extractJobDetailsWithRetry(jobTitle, jobDescription, options = {}) {
+    const logger = options.logger || console;
+    const metrics = options.metrics || NO_METRICS;
+    const startedAt = Date.now();
+
+    const result = await runExtraction(jobTitle, jobDescription, options, { logger, metrics });
+
+    const method = result.extraction_method;
+    metrics.increment('extractions_total', { method, outcome: result.error ? 'error' : result.field_errors ? 'partial' : 'ok' });
+    metrics.observe('extraction_duration_seconds', { method }, (Date.now() - startedAt) / 1000);
+    if (result.error) {
+        logger.warn('Extraction fell back to rules', { error: result.error });
+    }
+    return result;
+}
+
+// Cache in front of extractJobDetailsWithRetry. The result's `cache` field says
+// whether it was served from `options.cache` (hit, miss, refresh, or off without a cache).
+export async function extractJobDetailsCached(jobTitle, jobDescription, options = {}) {
+    const { cache } = options;
+    const logger = options.logger || console;
+    const metrics = options.metrics || NO_METRICS;
+    if (!cache) {
+        return { ...(await extractJobDetailsWithRetry(jobTitle, jobDescription, options)), cache: 'off' };
+    }
+
+    const key = extractionCacheKey(jobTitle, jobDescription, {
+        provider: resolveProvider(options),
+        hints: options.hints,
+        config: resolveConfig(options.config)
+    });
+    if (!options.refresh) {
+        try {
+            const cached = await cache.get(key);
+            if (cached) {
+                metrics.increment('extraction_cache_total', { result: 'hit' });
+                return { ...cached, cache: 'hit' };
+            }
+        } catch (error) {
+            logger.warn('Cache read failed', { error: error.message });
+        }
+    }
+
+    const result = await extractJobDetailsWithRetry(jobTitle, jobDescription, options);
+    try {
+        await cache.set(key, result);
+    } catch (error) {
+        logger.warn('Cache write failed', { error: error.message });
+    }
+    const status = options.refresh ? 'refresh' : 'miss';
+    metrics.increment('extraction_cache_total', { result: status });
+    return { ...result, cache: status };
+}
+
+// Duplicate detection (duplicates.js) in front of extractJobDetailsCached. Every
+// result gets a `fingerprint`; with `options.duplicates` it also gets
+// `duplicate_of`, the fingerprint of the earlier posting it copies, or null.
+// With config.returnCanonical a near-identical copy is answered with the
+// stored canonical result before any extraction (`cache: 'duplicate'`).
+export async function extractJobDetailsDeduplicated(jobTitle, jobDescription, options = {}) {
+    const { duplicates } = options;
+    const logger = options.logger || console;
+    const metrics = options.metrics || NO_METRICS;
+
+    if (duplicates && resolveConfig(options.config).returnCanonical && !options.refresh) {
+        // Only the rules have run so far, so the match leans on the description
+        const heuristics = extractHeuristics(jobTitle, jobDescription);
+        const posting = describePosting({
+            jobTitle: heuristics.job_title.value || jobTitle,
+            jobDescription,
+            company: heuristics.company.value,
+            city: heuristics.city.value
+        });
+        try {
+            const match = await duplicates.find(posting, { shortCircuit: true });
+            if (match && match.result) {
+                metrics.increment('extraction_duplicates_total', { result: 'short_circuit' });
+                logger.info('Answered with the canonical posting', { duplicate_of: match.id, similarity: match.similarity });
+                return { ...match.result, fingerprint: match.id, duplicate_of: match.id, cache: 'duplicate' };
+            }
+        } catch (error) {
+            logger.warn('Duplicate lookup failed', { error: error.message });
+        }
+    }
+
+    const result = await extractJobDetailsCached(jobTitle, jobDescription, options);
+    // The untranslated title, so the fingerprint does not depend on translateTitles
+    const posting = describePosting({
+        jobTitle: result.job_title_original || result.job_title || jobTitle,
+        jobDescription,
+        company: result.company,
+        city: result.city
+    });
+    if (!duplicates) {
+        return { ...result, fingerprint: posting.fingerprint };
+    }
+
+    let duplicateOf = null;
+    try {
+        // A copy can share the fingerprint, so duplicate_of can equal it; the posting itself, sent again, is no match
+        const match = await duplicates.find(posting);
+        if (match) {
+            duplicateOf = match.id;
+        } else if (!result.error && !result.field_errors) {
+            const { cache, ...canonical } = result;
+            await duplicates.remember(posting, canonical);
+        }
+    } catch (error) {
+        logger.warn('Duplicate lookup failed', { error: error.message });
+    }
+    metrics.increment('extraction_duplicates_total', { result: duplicateOf ? 'duplicate' : 'new' });
+    return { ...result, fingerprint: posting.fingerprint, duplicate_of: duplicateOf };
+}
+
+// Extract one posting given as request-style input:
+//   { job_title, job_description }  plain text
+//   { job_title?, job_html }        career-page HTML
+//   { job_title?, job_url }         a public posting URL, fetched with options.fetchPage
+// Throws a 400 error when the input names no posting and a 422 when the page
+// text is longer than options.maxDescriptionChars; fetch failures keep their
+// own statusCode. Model failures do not throw - the result carries `error`.
+export async function extractJobDetails(input = {}, options = {}) {
+    if (!input || typeof input !== 'object' || !(input.job_description || input.job_html || input.job_url)) {
+        throw extractionError(MISSING_FIELDS_ERROR);
+    }
+    const resolved = await resolveJobInput(input, { fetchPage: options.fetchPage, maxDescriptionChars: options.maxDescriptionChars });
+    if (!resolved.jobTitle || !resolved.jobDescription) {
+        throw extractionError(MISSING_FIELDS_ERROR);
+    }
+    return extractJobDetailsDeduplicated(resolved.jobTitle, resolved.jobDescription, {
+        ...options,
+        hints: { ...resolved.hints, ...options.hints }
+    });
+}
+
+// Stable ID for a batch item: the caller's own id if given, otherwise a hash of
+// the posting so the same posting gets the same ID across runs
+export function batchItemId(job) {
+    if (job && (typeof job.id === 'string' || typeof job.id === 'number') && String(job.id).length > 0) {
+        return String(job.id);
+    }
+    const title = job && typeof job.job_title === 'string' ? job.job_title : '';
+    const description = job && typeof job.job_description === 'string' ? job.job_description
+        : job && typeof job.job_html === 'string' ? job.job_html
+        : job && typeof job.job_url === 'string' ? job.job_url : '';
+    return createHash('sha1').update(`${title}\n${description}`).digest('hex').substring(0, 12);
+}
+
+// batchItemId for every job, unique within the batch: a repeated ID gets the
+// first "-n" suffix that no other item uses, so "a", "a", "a-2" become "a",
+// "a-1", "a-2" rather than two "a-2"s
+function uniqueBatchItemIds(jobs) {
+    const ids = jobs.map(batchItemId);
+    const taken = new Set(ids);
+    const used = new Set();
+    return ids.map(id => {
+        if (!used.has(id)) {
+            used.add(id);
+            return id;
+        }
+        let suffix = 1;
+        while (taken.has(`${id}-${suffix}`) || used.has(`${id}-${suffix}`)) {
+            suffix++;
+        }
+        used.add(`${id}-${suffix}`);
+        return `${id}-${suffix}`;
+    });
+}
+
+// Extract many postings with at most `concurrency` in flight; a failed item
+// never fails the batch. Returns { results: [{ id, index, status, result, error }], summary }.
+export async function extractJobDetailsBatch(jobs, concurrency, options = {}) {
+    const startedAt = Date.now();
+    const ids = uniqueBatchItemIds(jobs);
+
+    const results = await mapWithConcurrency(jobs, concurrency, async (job, index) => {
+        const id = ids[index];
+
+        // Log entries for the item carry its ID when the logger is structured
+        const logger = options.logger && typeof options.logger.child === 'function' ? options.logger.child({ item_id: id }) : options.logger;
+        try {
+            const result = await extractJobDetails(job, { ...options, logger });
+            if (result.error) {
+                return { id, index, status: 'error', result, error: result.error };
+            }
+            return { id, index, status: 'ok', result, error: null };
+        } catch (error) {
+            return { id, index, status: 'error', result: null, error: error.message };
+        }
+    });
+
+    const succeeded = results.filter(item => item.status === 'ok').length;
+    return {
+        results,
+        summary: {
+            total: results.length,
+            succeeded,
+            failed: results.length - succeeded,
+            duration_ms: Date.now() - startedAt
+        }
+    };
+}
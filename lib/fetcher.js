@@ -0,0 +1,245 @@
+import { isIP } from "net";
+import { lookup as dnsLookup } from "dns/promises";
+
+// Fetch a career page for `job_url` input. The HTTP call goes through
+// `fetchImpl` (global fetch by default) and the DNS lookup through `lookup`
+// (dns.promises.lookup by default) so tests can pass stubs and never touch
+// the network.
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_MAX_BYTES = 2 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+function fetchError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+// Loopback, private, link-local, shared (CGNAT), documentation, benchmarking,
+// multicast and reserved IPv4 ranges
+function isPrivateIPv4(address) {
+    const [a, b, c] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224
+        || (a === 100 && b >= 64 && b <= 127)
+        || (a === 169 && b === 254)
+        || (a === 172 && b >= 16 && b <= 31)
+        || (a === 192 && b === 168)
+        || (a === 192 && b === 0 && (c === 0 || c === 2))
+        || (a === 198 && (b === 18 || b === 19))
+        || (a === 198 && b === 51 && c === 100)
+        || (a === 203 && b === 0 && c === 113);
+}
+
+// "::ffff:7f00:1" -> [0, 0, 0, 0, 0, 0xffff, 0x7f00, 1]; a dotted IPv4 tail counts as two groups
+function ipv6Groups(address) {
+    let text = address.toLowerCase().replace(/%.*$/, '');
+    const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+    if (dotted) {
+        const [a, b, c, d] = dotted.slice(1).map(Number);
+        text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+    const [head, tail] = text.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const zeros = tail === undefined ? 0 : 8 - headGroups.length - tailGroups.length;
+    return [...headGroups, ...new Array(Math.max(zeros, 0)).fill('0'), ...tailGroups].map(group => parseInt(group, 16));
+}
+
+function embeddedIPv4(high, low) {
+    return [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+}
+
+// Unspecified, loopback, unique-local, link-local, site-local, multicast and
+// documentation IPv6 ranges, and IPv4 addresses carried in IPv6 (mapped
+// "::ffff:127.0.0.1", compatible "::127.0.0.1" and NAT64 "64:ff9b::") by their IPv4 range
+function isPrivateIPv6(address) {
+    const groups = ipv6Groups(address);
+    if (groups.length !== 8 || groups.some(Number.isNaN)) {
+        return true;
+    }
+    const [first, second] = groups;
+    const upperZero = groups.slice(0, 5).every(group => group === 0);
+    if (upperZero && (groups[5] === 0xffff || groups[5] === 0)) {
+        // :: and ::1 land here too, as 0.0.0.0 and 0.0.0.1
+        return isPrivateIPv4(embeddedIPv4(groups[6], groups[7]));
+    }
+    if (first === 0x64 && second === 0xff9b && groups.slice(2, 6).every(group => group === 0)) {
+        return isPrivateIPv4(embeddedIPv4(groups[6], groups[7]));
+    }
+    return (first & 0xfe00) === 0xfc00
+        || (first & 0xffc0) === 0xfe80
+        || (first & 0xffc0) === 0xfec0
+        || (first & 0xff00) === 0xff00
+        || (first === 0x2001 && second === 0x0db8);
+}
+
+// True for any address a public URL must not reach
+export function isPrivateAddress(address) {
+    const host = String(address).replace(/^\[|\]$/g, '');
+    const version = isIP(host.replace(/%.*$/, ''));
+    if (version === 4) return isPrivateIPv4(host);
+    if (version === 6) return isPrivateIPv6(host);
+    return false;
+}
+
+// Refuse obvious internal targets by name; addresses are checked by isPrivateAddress
+function isPrivateHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal') || host.endsWith('.local')) {
+        return true;
+    }
+    return isPrivateAddress(host);
+}
+
+// Parse `url` and make sure it is an http(s) URL on a public host (and, when
+// `allowedHosts` is non-empty, one of those). `label` names the field in errors.
+// Only the URL itself is checked; resolvePublicUrl also checks where the name resolves.
+export function parsePublicUrl(url, { label = 'job_url', allowedHosts = [] } = {}) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw fetchError(`Invalid ${label}: ${url}`, 400);
+    }
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+        throw fetchError(`${label} must be an http(s) URL`, 400);
+    }
+    const host = parsed.hostname.toLowerCase();
+    if (isPrivateHost(host)) {
+        throw fetchError(`${label} must point to a public host`, 400);
+    }
+    if (allowedHosts.length > 0 && !allowedHosts.some(allowed => host === allowed || host.endsWith(`.${allowed}`))) {
+        throw fetchError(`${label} host ${host} is not in FETCH_ALLOWED_HOSTS`, 400);
+    }
+    return parsed;
+}
+
+// parsePublicUrl plus a DNS lookup: every address the host resolves to must be
+// public, so a public name pointing at 127.0.0.1 or 169.254.169.254 is refused
+// (400). A name that does not resolve is a 502.
+export async function resolvePublicUrl(url, { label = 'job_url', allowedHosts = [], lookup = dnsLookup } = {}) {
+    const parsed = parsePublicUrl(url, { label, allowedHosts });
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (isIP(host)) {
+        return parsed;
+    }
+
+    let addresses;
+    try {
+        addresses = await lookup(host, { all: true, verbatim: true });
+    } catch (error) {
+        throw fetchError(`Could not resolve ${label} host ${host}: ${error.code || error.message}`, 502);
+    }
+    if (!Array.isArray(addresses) || addresses.length === 0) {
+        throw fetchError(`Could not resolve ${label} host ${host}`, 502);
+    }
+    if (addresses.some(entry => isPrivateAddress(entry.address))) {
+        throw fetchError(`${label} must point to a public host`, 400);
+    }
+    return parsed;
+}
+
+// The response body as text, read chunk by chunk so a page without (or with a
+// false) Content-Length stops downloading as soon as it passes `maxBytes` (413)
+async function readBody(response, maxBytes) {
+    const tooLarge = () => fetchError(`job_url page exceeds ${maxBytes} bytes`, 413);
+    if (!response.body || typeof response.body.getReader !== 'function') {
+        const text = await response.text();
+        if (Buffer.byteLength(text) > maxBytes) throw tooLarge();
+        return text;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let received = 0;
+    let text = '';
+    for (;;) {
+        let chunk;
+        try {
+            chunk = await reader.read();
+        } catch (error) {
+            throw fetchError(`Failed to fetch job_url: ${error.message}`, 502);
+        }
+        if (chunk.done) {
+            return text + decoder.decode();
+        }
+        received += chunk.value.byteLength;
+        if (received > maxBytes) {
+            await reader.cancel().catch(() => {});
+            throw tooLarge();
+        }
+        text += decoder.decode(chunk.value, { stream: true });
+    }
+}
+
+// Options (each falls back to the environment):
+//   fetchImpl     fetch-compatible function
+//   lookup        dns.promises.lookup-compatible function
+//   timeoutMs     FETCH_TIMEOUT_MS (default 10000)
+//   maxBytes      FETCH_MAX_BYTES (default 2 MB)
+//   allowedHosts  FETCH_ALLOWED_HOSTS, comma-separated; subdomains match too. Empty allows any public host
+// Redirects are followed by hand, up to MAX_REDIRECTS, and every hop is checked
+// like the first URL.
+export function createFetcher(options = {}, env = process.env) {
+    const fetchImpl = options.fetchImpl || globalThis.fetch;
+    const lookup = options.lookup || dnsLookup;
+    const timeoutMs = options.timeoutMs || parseInt(env.FETCH_TIMEOUT_MS || DEFAULT_TIMEOUT_MS, 10);
+    const maxBytes = options.maxBytes || parseInt(env.FETCH_MAX_BYTES || DEFAULT_MAX_BYTES, 10);
+    const allowedHosts = options.allowedHosts || (env.FETCH_ALLOWED_HOSTS || '')
+        .split(',')
+        .map(host => host.trim().toLowerCase())
+        .filter(Boolean);
+
+    return async function fetchPage(url) {
+        let target = await resolvePublicUrl(url, { allowedHosts, lookup });
+        const signal = AbortSignal.timeout(timeoutMs);
+
+        let response;
+        for (let hop = 0; ; hop++) {
+            try {
+                response = await fetchImpl(target.toString(), {
+                    headers: { Accept: 'text/html,application/xhtml+xml', 'User-Agent': 'job-details-extractor/1.0' },
+                    redirect: 'manual',
+                    signal
+                });
+            } catch (error) {
+                throw fetchError(`Failed to fetch job_url: ${error.message}`, 502);
+            }
+            if (!REDIRECT_STATUSES.has(response.status)) {
+                break;
+            }
+            const location = response.headers.get('location');
+            if (!location) {
+                throw fetchError(`Failed to fetch job_url: HTTP ${response.status} without a Location`, 502);
+            }
+            if (hop >= MAX_REDIRECTS) {
+                throw fetchError(`Failed to fetch job_url: more than ${MAX_REDIRECTS} redirects`, 502);
+            }
+            let next;
+            try {
+                next = new URL(location, target).toString();
+            } catch (error) {
+                throw fetchError(`Failed to fetch job_url: invalid redirect to ${location}`, 502);
+            }
+            target = await resolvePublicUrl(next, { label: 'job_url redirect', allowedHosts, lookup });
+        }
+        if (!response.ok) {
+            throw fetchError(`Failed to fetch job_url: HTTP ${response.status}`, 502);
+        }
+
+        const declaredLength = parseInt(response.headers.get('content-length') || '0', 10);
+        if (declaredLength > maxBytes) {
+            throw fetchError(`job_url page exceeds ${maxBytes} bytes`, 413);
+        }
+        const html = await readBody(response, maxBytes);
+
+        return {
+            html,
+            url: target.toString(),
+            contentType: response.headers.get('content-type') || null
+        };
+    };
+}
@@ -0,0 +1,253 @@
+import { FIELDS } from "./schema.js";
+import { US_STATES } from "./data/us-places.js";
+import { csvLine } from "./csv.js";
+
+// Response formats for extraction results. Results are always produced (and
+// cached) in the flat JSON shape; these helpers only change how they are
+// serialized on the way out.
+//   json    the flat result (default)
+//   jsonld  schema.org JobPosting JSON-LD
+//   csv     one header line plus one row per result, for spreadsheet exports
+
+export const FORMATS = ['json', 'jsonld', 'csv'];
+
+export const CONTENT_TYPES = {
+    json: 'application/json',
+    jsonld: 'application/ld+json',
+    csv: 'text/csv; charset=utf-8'
+};
+
+const FORMAT_ALIASES = {
+    json: 'json', flat: 'json',
+    jsonld: 'jsonld', 'json-ld': 'jsonld', 'ld+json': 'jsonld', schema: 'jsonld', 'schema.org': 'jsonld',
+    csv: 'csv'
+};
+
+// Every `format` value accepted, canonical names and aliases
+export const FORMAT_NAMES = Object.keys(FORMAT_ALIASES);
+
+const MEDIA_TYPES = {
+    'application/ld+json': 'jsonld',
+    'text/csv': 'csv',
+    'application/json': 'json'
+};
+
+function formatError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+// Pick a format from an explicit `format` value, else from the Accept header.
+// An unknown explicit format is an error; an Accept header we cannot satisfy
+// falls back to json rather than failing the request.
+export function negotiateFormat(requested, accept) {
+    if (requested) {
+        const format = FORMAT_ALIASES[String(requested).trim().toLowerCase()];
+        if (!format) {
+            throw formatError(`Unknown format "${requested}". Use one of: ${FORMATS.join(', ')}`);
+        }
+        return format;
+    }
+
+    const ranges = String(accept || '')
+        .split(',')
+        .map((range, order) => {
+            const [type, ...params] = range.split(';').map(part => part.trim().toLowerCase());
+            const quality = params.find(param => param.startsWith('q='));
+            return { type, q: quality ? parseFloat(quality.substring(2)) : 1, order };
+        })
+        .filter(range => range.type && range.q > 0)
+        .sort((a, b) => b.q - a.q || a.order - b.order);
+
+    for (const range of ranges) {
+        if (MEDIA_TYPES[range.type]) {
+            return MEDIA_TYPES[range.type];
+        }
+    }
+    return 'json';
+}
+
+// "Entry (0-2 Years)" -> 0, "Lead (8+ Years)" -> 96
+function monthsOfExperience(level) {
+    const match = typeof level === 'string' ? level.match(/\((\d+)/) : null;
+    return match ? parseInt(match[1], 10) * 12 : null;
+}
+
+// Resolved location (see locations.js) -> Place with a PostalAddress and, when
+// the gazetteer has them, coordinates
+function placeFor(location) {
+    const address = { '@type': 'PostalAddress' };
+    if (location.city) address.addressLocality = location.city;
+    if (location.state) address.addressRegion = location.state;
+    if (location.country) address.addressCountry = location.country;
+    if (!location.city && !location.state && !location.country) address.addressLocality = location.display;
+    const place = { '@type': 'Place', address };
+    if (location.latitude !== null && location.longitude !== null) {
+        place.geo = { '@type': 'GeoCoordinates', latitude: location.latitude, longitude: location.longitude };
+    }
+    return place;
+}
+
+// "Austin, TX" -> PostalAddress; a non-US or unparseable city keeps just the locality
+function postalAddress(city) {
+    const address = { '@type': 'PostalAddress' };
+    const [locality, region] = city.split(',').map(part => part.trim());
+    address.addressLocality = locality;
+    if (region && US_STATES[region.toUpperCase()]) {
+        address.addressRegion = region.toUpperCase();
+        address.addressCountry = 'US';
+    } else if (region) {
+        address.addressRegion = region;
+    }
+    return address;
+}
+
+const UNIT_TEXT = { hourly: 'HOUR', yearly: 'YEAR' };
+
+// Flat result -> schema.org JobPosting. Fields the result does not know are
+// left out rather than emitted as null. `description` is the posting text,
+// which JobPosting requires but the flat result does not carry.
+export function toJobPosting(result, { description } = {}) {
+    const posting = {
+        '@context': 'https://schema.org',
+        '@type': 'JobPosting',
+        title: result.job_title
+    };
+    // The posting's own title when job_title was translated
+    if (result.job_title_original) {
+        posting.alternateName = result.job_title_original;
+    }
+
+    if (description) {
+        posting.description = description;
+    }
+    if (result.company) {
+        posting.hiringOrganization = { '@type': 'Organization', name: result.company };
+    }
+    if (Array.isArray(result.locations) && result.locations.length > 0) {
+        const places = result.locations.map(placeFor);
+        posting.jobLocation = places.length === 1 ? places[0] : places;
+    } else if (result.city) {
+        posting.jobLocation = { '@type': 'Place', address: postalAddress(result.city) };
+    }
+    if (result.work_arrangement === 'remote') {
+        posting.jobLocationType = 'TELECOMMUTE';
+    }
+
+    const months = monthsOfExperience(result.experience);
+    if (months !== null) {
+        posting.experienceRequirements = {
+            '@type': 'OccupationalExperienceRequirements',
+            monthsOfExperience: months
+        };
+    }
+
+    const pay = result.compensation;
+    if (pay && (pay.min !== null || pay.max !== null)) {
+        const value = { '@type': 'QuantitativeValue' };
+        if (pay.min !== null && pay.max !== null && pay.min === pay.max) {
+            value.value = pay.min;
+        } else {
+            if (pay.min !== null) value.minValue = pay.min;
+            if (pay.max !== null) value.maxValue = pay.max;
+        }
+        if (UNIT_TEXT[pay.period]) {
+            value.unitText = UNIT_TEXT[pay.period];
+        }
+        posting.baseSalary = { '@type': 'MonetaryAmount', value };
+        if (pay.currency) {
+            posting.baseSalary.currency = pay.currency;
+        }
+    }
+
+    if (Array.isArray(result.skills) && result.skills.length > 0) {
+        posting.skills = result.skills.map(skill => skill.name).join(', ');
+    }
+
+    return posting;
+}
+
+// Several postings in one JSON-LD document
+export function toJobPostingGraph(postings) {
+    return {
+        '@context': 'https://schema.org',
+        '@graph': postings.map(({ '@context': context, ...posting }) => posting)
+    };
+}
+
+// CSV columns follow the field schema: objects are flattened to
+// `field_property`, arrays of objects become "; "-joined names (display
+// strings for locations). The primary location's country, coordinates and
+// match status follow the fields, then the posting's language, untranslated
+// title and duplicate fingerprints.
+export function csvColumns(fields = FIELDS) {
+    const columns = [];
+    for (const definition of fields) {
+        if (definition.type === 'object' && definition.properties) {
+            for (const property of definition.properties) {
+                columns.push({ name: `${definition.name}_${property.name}`, get: result => result[definition.name] ? result[definition.name][property.name] : null });
+            }
+        } else if (definition.type === 'array') {
+            columns.push({
+                name: definition.name,
+                get: result => Array.isArray(result[definition.name])
+                    ? result[definition.name].map(item => (item && typeof item === 'object' ? item.name ?? item.display : item)).join('; ')
+                    : null
+            });
+        } else {
+            columns.push({ name: definition.name, get: result => result[definition.name] });
+        }
+    }
+    for (const property of ['country', 'latitude', 'longitude', 'status']) {
+        columns.push({ name: `location_${property}`, get: result => result.location ? result.location[property] : null });
+    }
+    columns.push({ name: 'language', get: result => result.language });
+    columns.push({ name: 'job_title_original', get: result => result.job_title_original });
+    columns.push({ name: 'fingerprint', get: result => result.fingerprint });
+    columns.push({ name: 'duplicate_of', get: result => result.duplicate_of });
+    columns.push({ name: 'extraction_method', get: result => result.extraction_method });
+    columns.push({ name: 'error', get: result => result.error });
+    return columns;
+}
+
+// rows: flat results, or { id, status, result, error } batch items when `batch` is set
+export function toCsv(rows, { batch = false } = {}) {
+    const columns = csvColumns();
+    const header = (batch ? ['id', 'status'] : []).concat(columns.map(column => column.name));
+    const lines = [csvLine(header)];
+
+    for (const row of rows) {
+        const result = batch ? { ...(row.result || {}), error: row.error } : row;
+        const cells = columns.map(column => column.get(result));
+        lines.push(csvLine((batch ? [row.id, row.status] : []).concat(cells)));
+    }
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+// Response body for a single flat result
+export function formatResult(result, format, { description } = {}) {
+    switch (format) {
+        case 'jsonld':
+            return JSON.stringify(toJobPosting(result, { description }));
+        case 'csv':
+            return toCsv([result]);
+        default:
+            return JSON.stringify(result);
+    }
+}
+
+// Response body for a batch. JSON-LD only lists the postings that succeeded;
+// use json to see why the others failed. `descriptions[index]` is item text.
+export function formatBatch(batch, format, { descriptions = [] } = {}) {
+    switch (format) {
+        case 'jsonld':
+            return JSON.stringify(toJobPostingGraph(batch.results
+                .filter(item => item.status === 'ok')
+                .map(item => toJobPosting(item.result, { description: descriptions[item.index] }))));
+        case 'csv':
+            return toCsv(batch.results, { batch: true });
+        default:
+            return JSON.stringify(batch);
+    }
+}
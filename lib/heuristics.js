@@ -0,0 +1,309 @@
+import { US_STATES, US_CITIES } from "./data/us-places.js";
+import { findCompensation } from "./compensation.js";
+import { findSkillsInText } from "./skills.js";
+import { normalizeLocations, resolveLocation } from "./locations.js";
+
+// Rule-based pre-extractor. Finds the fields that are plain pattern matching
+// (years of experience, remote/hybrid keywords, "City, ST", "About <Company>")
+// so the model only has to handle what the rules could not settle. Keywords
+// cover German, French and Spanish postings too ("5 Jahre Berufserfahrung",
+// "télétravail complet", "presencial"); values are always the English ones.
+// Every field comes back as { value, confidence } with confidence in [0, 1].
+
+const EXPERIENCE_LEVELS = [
+    { min: 8, value: 'Lead (8+ Years)' },
+    { min: 5, value: 'Senior (6-8 Years)' },
+    { min: 2, value: 'Mid (3-5 Years)' },
+    { min: 0, value: 'Entry (0-2 Years)' }
+];
+
+const STATE_NAMES = Object.fromEntries(
+    Object.entries(US_STATES).map(([code, name]) => [name.toLowerCase(), code])
+);
+
+const KNOWN_CITIES = new Set(US_CITIES.map(([city, state]) => `${city.toLowerCase()}|${state}`));
+
+export const NUMBER_WORDS = {
+    one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+    eleven: 11, twelve: 12, fifteen: 15, twenty: 20
+};
+
+function field(value, confidence) {
+    return { value, confidence };
+}
+
+const EMPTY_FIELD = field(null, 0);
+
+// Words that tie a number of years to experience rather than to a contract or the company's age
+export const EXPERIENCE_WORDS = /experience|exp\b|erfahrung|expérience|experiencia/;
+
+// "3+ years building iOS apps": years spent doing the work, experience without the word
+const YEARS_DOING = /(?:years?|yrs?)\s+(?:of\s+)?(?:building|developing|working|writing|designing|shipping|programming|professional|hands-on|industry)\b/;
+
+// Map a minimum number of years onto the prompt's experience buckets
+export function experienceLevelForYears(years) {
+    return EXPERIENCE_LEVELS.find(level => years >= level.min).value;
+}
+
+function parseYears(token) {
+    const lower = token.toLowerCase();
+    return NUMBER_WORDS[lower] !== undefined ? NUMBER_WORDS[lower] : parseInt(lower, 10);
+}
+
+// "Senior Software Engineer - New York, NY (Remote) #12345" -> "Senior Software Engineer"
+function cleanJobTitle(jobTitle) {
+    const original = jobTitle.trim();
+    let title = original
+        // Job/requisition IDs
+        .replace(/\s*[([]?\b(?:req(?:uisition)?|job)\s*(?:id|#|no\.?)?\s*[:#]?\s*[A-Z0-9-]*\d[A-Z0-9-]*[)\]]?/gi, '')
+        .replace(/\s*#\s*[A-Z0-9-]*\d[A-Z0-9-]*/gi, '')
+        .replace(/\s*\b(?:JR|R)-?\d{4,}\b/g, '')
+        // Gender markers: "(m/w/d)", "(H/F)", "(all genders)"
+        .replace(/\s*\((?:[mwdfhx]|div)(?:\s*\/\s*(?:[mwdfhx]|div))+\)|\s*\(all genders\)/gi, '')
+        // Arrangement tags like "(Remote)" or "- Hybrid"
+        .replace(/\s*[([]\s*(?:remote|hybrid|on-?site|remoto|télétravail|teletrabajo|homeoffice)[^)\]]*[)\]]/gi, '')
+        .replace(/\s*[-–|,]\s*(?:remote|hybrid|on-?site)\s*$/i, '');
+
+    // Trailing "- City, ST" or "| City, State"
+    title = title.replace(/\s*[-–|(]\s*([A-Z][A-Za-z.' -]+),\s*([A-Z]{2}|[A-Z][a-z]+(?: [A-Z][a-z]+)*)\)?\s*$/, (match, city, state) => {
+        return US_STATES[state] || STATE_NAMES[state.toLowerCase()] ? '' : match;
+    });
+    // Trailing "- München" or "| London". Only places outside the US: US names
+    // like "Mobile" double as words in job titles.
+    title = title.replace(/\s*[-–|]\s*(\p{Lu}[\p{L}.' ]+?)\s*$/u, (match, place) => {
+        const location = resolveLocation(place);
+        return location.status !== 'unresolved' && location.country && location.country !== 'US' ? '' : match;
+    });
+
+    // Collapse whitespace and immediately repeated words ("Engineer Engineer")
+    title = title.replace(/\s+/g, ' ').replace(/\b(\w+)(\s+\1\b)+/gi, '$1').replace(/[\s,;:|-]+$/, '').trim();
+
+    if (!title) {
+        return field(original, 0.5);
+    }
+    // A short title with no remaining separators is about as clean as the model would make it
+    const looksClean = !/[|#()[\]]/.test(title) && title.split(' ').length <= 8;
+    return field(title, looksClean ? 0.9 : 0.6);
+}
+
+// All "City, ST" / "City, State" mentions that resolve to a US state
+function findCityCandidates(text) {
+    const candidates = [];
+    const pattern = /\b((?:St\.\s)?[A-Z][a-zA-Z'-]+(?:\s[A-Z][a-zA-Z'-]+){0,3}),\s*([A-Z]{2}|[A-Z][a-z]+(?:\s[A-Z][a-z]+)?)\b/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        const state = US_STATES[match[2]] ? match[2] : STATE_NAMES[match[2].toLowerCase()];
+        if (!state) {
+            continue;
+        }
+        // Drop leading connector words the capitalised-run regex can swallow ("In Austin, TX")
+        const city = match[1].replace(/^(?:(?:In|At|Based|Located|Office|Offices|Near|The)\s)+/, '');
+        candidates.push({
+            value: `${city}, ${state}`,
+            known: KNOWN_CITIES.has(`${city.toLowerCase()}|${state}`)
+        });
+    }
+    return candidates;
+}
+
+function extractCity(jobTitle, jobDescription) {
+    const fromTitle = findCityCandidates(jobTitle);
+    const fromDescription = findCityCandidates(jobDescription);
+    const distinct = [...new Set([...fromTitle, ...fromDescription].map(candidate => candidate.value))];
+
+    if (distinct.length === 0) {
+        return EMPTY_FIELD;
+    }
+
+    const best = fromTitle.find(candidate => candidate.known)
+        || fromDescription.find(candidate => candidate.known)
+        || fromTitle[0]
+        || fromDescription[0];
+
+    let confidence = best.known ? 0.9 : 0.6;
+    if (distinct.length > 1) {
+        // Several locations - which one wins is a judgement call for the model
+        confidence = Math.min(confidence, 0.5);
+    }
+    return field(best.value, confidence);
+}
+
+// "Place, Region" mentions the gazetteer knows as a city, in the US or abroad
+// ("Austin, TX", "Toronto, ON", "Berlin, Germany"), as written
+function findPlaceMentions(text) {
+    const mentions = [];
+    const pattern = /(?<![\p{L}])(\p{Lu}[\p{L}.'-]*(?:\s\p{Lu}[\p{L}.'-]*){0,3}),\s*(\p{Lu}\p{L}*(?:\s\p{Lu}\p{L}*)?)(?![\p{L}])/gu;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        // The capitalised run can swallow leading words ("In Austin, TX", "Join us in Berlin, Germany")
+        const words = match[1].split(/\s+/);
+        for (let start = 0; start < words.length; start++) {
+            const raw = `${words.slice(start).join(' ')}, ${match[2]}`;
+            const place = resolveLocation(raw);
+            if (place.status !== 'unresolved' && place.city) {
+                mentions.push(raw);
+                break;
+            }
+        }
+    }
+    return mentions;
+}
+
+// Only "Place, Region" mentions are found, so a bare "our London office" is
+// missed: the list backs up the model rather than replacing it
+function extractLocations(jobTitle, jobDescription) {
+    const mentions = [...findPlaceMentions(jobTitle), ...findPlaceMentions(jobDescription)];
+    if (mentions.length === 0) {
+        return EMPTY_FIELD;
+    }
+    const locations = normalizeLocations(mentions);
+    return field(locations, locations.every(location => location.status === 'resolved') ? 0.75 : 0.6);
+}
+
+const TITLE_ARRANGEMENTS = [
+    ['hybrid', 'hybrid|h[ií]brid[oa]'],
+    ['remote', 'remote|remoto|télétravail'],
+    ['on-site', 'on-?site|presencial']
+];
+
+// "(Remote)", "- Hybrid" or "Remote - US": the word set off from the rest of
+// the title as a tag, unlike the "Remote" of "Remote Sensing Analyst"
+function titleTag(words) {
+    return new RegExp(`(?:^|[-–|,/([])\\s*(?:${words})\\s*(?:$|[-–|,/:()\\]])`, 'i');
+}
+
+function arrangementInDescription(text) {
+    const signals = {
+        hybrid: /\bhybrid|\bh[ií]brid[oa]\b|\btélétravail\s+partiel\b|\b\d\s*days?\s*(?:a|per)\s*week\s*(?:in|at)\s*(?:the\s*)?office\b/.test(text),
+        remote: /\b(?:fully|100%|completely)\s*remote\b|\bremote[- ](?:first|friendly|position|role|opportunity)\b|\bwork\s*(?:from\s*home|remotely)\b|\blocation:\s*remote\b/.test(text)
+            || /\b(?:vollständig|komplett)\s+remote\b|\b100\s*%\s*(?:remote|homeoffice|télétravail|remoto)\b|\btélétravail\s+(?:complet|total)\b|\b(?:trabajo|puesto)\s+remoto\b/.test(text),
+        'on-site': /\bon-?site\b|\bin[- ]office\b|\bin[- ]person\b|\bin\s+präsenz\b|\bsur\s+site\b|\ben\s+présentiel\b|\bpresencial\b/.test(text)
+    };
+    const found = Object.keys(signals).filter(key => signals[key]);
+
+    if (found.length === 1) {
+        return field(found[0], 0.85);
+    }
+    if (signals.hybrid) {
+        // "Hybrid" postings routinely mention both remote and office days
+        return field('hybrid', 0.6);
+    }
+    if (found.length > 1) {
+        return field(found[0], 0.4);
+    }
+    return EMPTY_FIELD;
+}
+
+function extractWorkArrangement(jobTitle, jobDescription) {
+    const title = jobTitle.toLowerCase();
+    const text = jobDescription.toLowerCase();
+
+    for (const [value, words] of TITLE_ARRANGEMENTS) {
+        if (titleTag(words).test(title)) return field(value, 0.95);
+    }
+    // The word is part of the title itself, so the description decides, but never alone
+    const titleMentions = TITLE_ARRANGEMENTS.some(([, words]) => new RegExp(`(?<![\\p{L}])(?:${words})(?![\\p{L}])`, 'iu').test(title));
+    const fromDescription = arrangementInDescription(text);
+    return titleMentions && fromDescription.confidence > 0.6 ? field(fromDescription.value, 0.6) : fromDescription;
+}
+
+function extractExperience(jobTitle, jobDescription) {
+    // Units and experience words in English, German, French and Spanish
+    const yearPattern = /\b(?:(?:minimum|at least|min\.?|mindestens|au moins|al menos|mínimo)\s*(?:of\s*)?)?(\d{1,2}|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|fifteen|twenty)\s*(?:\+|plus)?\s*(?:(?:-|–|to|bis|à|a)\s*\d{1,2}\s*)?\+?\s*(?:years?|yrs?|jahre?n?|ans?|años?)(?![\p{L}])(?:\s*(?:of\s*)?(?:\w+\s*){0,4}?experience)?/giu;
+    const levels = [];
+    let match;
+    while ((match = yearPattern.exec(jobDescription)) !== null) {
+        const years = parseYears(match[1]);
+        // Only count mentions tied to experience in the same sentence; skip "5 years old
+        // company" or "a 2 years contract. Experience with ..." style numbers
+        const window = jobDescription.substring(match.index, match.index + match[0].length + 40).split(/[.!?;]\s+(?=\p{Lu})|\n/u)[0].toLowerCase();
+        if (!Number.isNaN(years) && years <= 30 && (EXPERIENCE_WORDS.test(window) || YEARS_DOING.test(window))) {
+            levels.push(experienceLevelForYears(years));
+        }
+    }
+
+    if (levels.length > 0) {
+        const distinct = new Set(levels);
+        // The first requirement listed is normally the headline one
+        return field(levels[0], distinct.size === 1 ? 0.9 : 0.6);
+    }
+
+    // No years stated - fall back to explicit seniority words in the title
+    if (/\b(?:lead|principal|staff|head of|director|leiter(?:in)?|teamleiter(?:in)?|responsable|jefe|directeur|directora?)\b/i.test(jobTitle)) return field('Lead (8+ Years)', 0.6);
+    if (/\b(?:senior|sr\.?)\b/i.test(jobTitle)) return field('Senior (6-8 Years)', 0.6);
+    if (/\b(?:junior|jr\.?|entry[- ]level|intern|graduate|praktikant(?:in)?|werkstudent(?:in)?|stagiaire|alternant|becari[oa])\b/i.test(jobTitle)) return field('Entry (0-2 Years)', 0.6);
+    return EMPTY_FIELD;
+}
+
+// Either name may be the short form of the other: "Acme" and "Acme Robotics"
+function sameCompany(a, b) {
+    const [shorter, longer] = [a.toLowerCase(), b.toLowerCase()].sort((x, y) => x.length - y.length);
+    return longer.startsWith(shorter);
+}
+
+function extractCompany(jobDescription) {
+    const headers = [...jobDescription.matchAll(/^\s*(?:About\s+|Über\s+|À propos (?:de\s+|d['’])|Acerca de\s+|Sobre\s+)(\p{Lu}[\p{L}\p{N}_&.,'’ -]{1,60}?)\s*:?\s*$/gmu)]
+        .map(match => match[1].replace(/[.,]$/, ''))
+        .filter(name => !/^(?:the|this|us|you|our|role|team|job|position|opportunity)\b/i.test(name));
+
+    const intro = jobDescription.match(/\b(?:At|Join)\s+([A-Z][\w&.'’-]*(?:\s[A-Z][\w&.'’-]*){0,3}),\s+(?:we|our|you)\b/)
+        || jobDescription.match(/^\s*([A-Z][\w&.'’-]*(?:\s[A-Z][\w&.'’-]*){0,3})\s+is\s+(?:hiring|looking for|seeking)\b/m);
+    const introName = intro && !/^(?:We|Our|The|This)$/.test(intro[1]) ? intro[1] : null;
+
+    if (headers.length > 0) {
+        // A staffing agency's "About Acme Staffing" next to its client's name: the model picks
+        const names = introName ? [...headers, introName] : headers;
+        return field(headers[0], names.every(name => sameCompany(name, headers[0])) ? 0.85 : 0.5);
+    }
+    if (introName) {
+        return field(introName, 0.7);
+    }
+    return EMPTY_FIELD;
+}
+
+function extractCompensation(jobDescription) {
+    const found = findCompensation(jobDescription);
+    if (found.length === 0) {
+        // No money or pay wording anywhere - confidently nothing to extract
+        const mentionsPay = /[$£€₹]|\b(?:USD|CAD|AUD|EUR|GBP|INR|salary|compensation|pay|wage)\b/i.test(jobDescription);
+        return field(null, mentionsPay ? 0 : 0.9);
+    }
+    const { index, ...compensation } = found[0];
+    const distinct = new Set(found.map(item => `${item.min}|${item.max}|${item.period}`));
+    return field(compensation, distinct.size === 1 && compensation.period ? 0.9 : 0.6);
+}
+
+// Only taxonomy skills can be found this way, so the list never settles the
+// field; it is returned when every other field is settled (settleOptional) or the model fails
+function extractSkills(jobDescription) {
+    const skills = findSkillsInText(jobDescription);
+    return skills.length > 0 ? field(skills, 0.6) : EMPTY_FIELD;
+}
+
+export function extractHeuristics(jobTitle, jobDescription) {
+    const title = typeof jobTitle === 'string' ? jobTitle : '';
+    const description = typeof jobDescription === 'string' ? jobDescription : '';
+
+    return {
+        job_title: title.trim() ? cleanJobTitle(title) : EMPTY_FIELD,
+        city: extractCity(title, description),
+        locations: extractLocations(title, description),
+        work_arrangement: extractWorkArrangement(title, description),
+        company: extractCompany(description),
+        experience: extractExperience(title, description),
+        compensation: extractCompensation(description),
+        skills: extractSkills(description)
+    };
+}
+
+// Split heuristic fields into the ones confident enough to use as-is and the rest.
+// A null value can be settled too when the rules are sure the field is absent.
+export function settledFields(heuristics, threshold) {
+    const settled = {};
+    for (const [name, { value, confidence }] of Object.entries(heuristics)) {
+        if (confidence >= threshold) {
+            settled[name] = value;
+        }
+    }
+    return settled;
+}
@@ -0,0 +1,269 @@
+import { US_STATES } from "./data/us-places.js";
+import { experienceLevelForYears } from "./heuristics.js";
+
+// HTML to clean text for career pages (Greenhouse, Lever, Workday, ...), plus
+// schema.org JobPosting JSON-LD lookup so structured data can pre-fill fields.
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    ndash: '–', mdash: '—', hellip: '…', bull: '•', middot: '·',
+    lsquo: '‘', rsquo: '’', sbquo: '‚', ldquo: '“', rdquo: '”', bdquo: '„',
+    copy: '©', reg: '®', trade: '™', deg: '°', times: '×', divide: '÷',
+    euro: '€', pound: '£', yen: '¥', cent: '¢',
+    laquo: '«', raquo: '»', shy: '', zwj: '', zwnj: '',
+    aacute: 'á', eacute: 'é', iacute: 'í', oacute: 'ó', uacute: 'ú',
+    Aacute: 'Á', Eacute: 'É', Iacute: 'Í', Oacute: 'Ó', Uacute: 'Ú',
+    agrave: 'à', egrave: 'è', ugrave: 'ù', acirc: 'â', ecirc: 'ê', ocirc: 'ô',
+    auml: 'ä', euml: 'ë', iuml: 'ï', ouml: 'ö', uuml: 'ü', Auml: 'Ä', Ouml: 'Ö', Uuml: 'Ü',
+    szlig: 'ß', ccedil: 'ç', Ccedil: 'Ç', ntilde: 'ñ', Ntilde: 'Ñ'
+};
+
+// Dropped with everything inside them
+const SKIPPED_TAGS = new Set(['script', 'style', 'noscript', 'template', 'svg', 'iframe', 'nav', 'footer', 'aside', 'form', 'button', 'select', 'head']);
+// Site chrome marked up with ordinary divs
+const SKIPPED_ROLES = /^(?:navigation|contentinfo|banner|search|dialog)$/i;
+const SKIPPED_CLASSES = /(?:^|[\s_-])(?:nav|navbar|navigation|footer|breadcrumbs?|cookie|cookies|consent|skip-link|social-share)(?:$|[\s_-])/i;
+
+const BLOCK_TAGS = new Set([
+    'p', 'div', 'section', 'article', 'main', 'header', 'blockquote', 'pre', 'table', 'tr',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'dl', 'dt', 'dd', 'hr', 'figure'
+]);
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+export function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.substring(2), 16) : parseInt(entity.substring(1), 10);
+            try {
+                return String.fromCodePoint(code);
+            } catch (error) {
+                return match;
+            }
+        }
+        return NAMED_ENTITIES[entity] !== undefined ? NAMED_ENTITIES[entity] : match;
+    });
+}
+
+function attribute(attributes, name) {
+    const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+    return match ? (match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3]) : '';
+}
+
+function isSkipped(tag, attributes) {
+    if (SKIPPED_TAGS.has(tag)) {
+        return true;
+    }
+    const role = attribute(attributes, 'role');
+    if (role && SKIPPED_ROLES.test(role)) {
+        return true;
+    }
+    if (attribute(attributes, 'aria-hidden') === 'true') {
+        return true;
+    }
+    return SKIPPED_CLASSES.test(`${attribute(attributes, 'class')} ${attribute(attributes, 'id')}`);
+}
+
+// Convert HTML to readable text: chrome removed, headings and paragraphs on
+// their own lines, list items as "- " / "1. " bullets, entities decoded
+export function htmlToText(html) {
+    if (typeof html !== 'string' || !html) {
+        return '';
+    }
+
+    // Raw-text elements can contain "<" - remove them before tokenizing
+    const source = html
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(script|style|noscript|template)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, '');
+
+    const output = [];
+    const lists = [];
+    let skip = null;
+    const tokens = /<(\/?)([a-zA-Z][\w:-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>|([^<]+)|</g;
+    let match;
+
+    while ((match = tokens.exec(source)) !== null) {
+        const [token, closing, rawTag, attributes = '', text] = match;
+
+        if (text !== undefined || token === '<') {
+            if (!skip) {
+                output.push(decodeEntities(text !== undefined ? text : token).replace(/\s+/g, ' '));
+            }
+            continue;
+        }
+
+        const tag = rawTag.toLowerCase();
+        const selfClosing = VOID_TAGS.has(tag) || /\/\s*$/.test(attributes);
+
+        // Inside a dropped element only track nesting of the same tag
+        if (skip) {
+            if (tag === skip.tag && !selfClosing) {
+                skip.depth += closing ? -1 : 1;
+                if (skip.depth === 0) {
+                    skip = null;
+                }
+            }
+            continue;
+        }
+
+        if (!closing && !selfClosing && isSkipped(tag, attributes)) {
+            skip = { tag, depth: 1 };
+            continue;
+        }
+
+        if (tag === 'br') {
+            output.push('\n');
+        } else if (tag === 'ul' || tag === 'ol') {
+            if (closing) {
+                lists.pop();
+            } else {
+                lists.push({ ordered: tag === 'ol', count: 0 });
+            }
+            output.push('\n');
+        } else if (tag === 'li' && !closing) {
+            const list = lists[lists.length - 1];
+            const indent = '  '.repeat(Math.max(0, lists.length - 1));
+            const bullet = list && list.ordered ? `${++list.count}.` : '-';
+            output.push(`\n${indent}${bullet} `);
+        } else if (tag === 'li' && closing) {
+            output.push('\n');
+        } else if (tag === 'td' || tag === 'th') {
+            output.push(closing ? '' : ' | ');
+        } else if (/^h[1-6]$/.test(tag)) {
+            output.push('\n\n');
+        } else if (BLOCK_TAGS.has(tag)) {
+            output.push('\n');
+        }
+    }
+
+    return output.join('')
+        .replace(/[ \t\u00a0]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n\| /g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// Every JSON-LD object on the page, with @graph containers and arrays flattened
+export function extractJsonLd(html) {
+    const objects = [];
+    const pattern = /<script\b[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script\s*>/gi;
+    let match;
+    while ((match = pattern.exec(html || '')) !== null) {
+        try {
+            const data = JSON.parse(match[1].trim());
+            const queue = Array.isArray(data) ? [...data] : [data];
+            while (queue.length > 0) {
+                const item = queue.shift();
+                if (!item || typeof item !== 'object') continue;
+                if (Array.isArray(item['@graph'])) queue.push(...item['@graph']);
+                objects.push(item);
+            }
+        } catch (error) {
+            // Broken JSON-LD is common - skip the block
+        }
+    }
+    return objects;
+}
+
+function hasType(item, type) {
+    const types = Array.isArray(item['@type']) ? item['@type'] : [item['@type']];
+    return types.includes(type);
+}
+
+export function findJobPosting(html) {
+    return extractJsonLd(html).find(item => hasType(item, 'JobPosting')) || null;
+}
+
+function first(value) {
+    return Array.isArray(value) ? value[0] : value;
+}
+
+function stateCode(region) {
+    if (typeof region !== 'string') return null;
+    const trimmed = region.trim();
+    if (US_STATES[trimmed.toUpperCase()]) return trimmed.toUpperCase();
+    const entry = Object.entries(US_STATES).find(([, name]) => name.toLowerCase() === trimmed.toLowerCase());
+    return entry ? entry[0] : null;
+}
+
+// A count or amount from structured data: numbers and numeric strings that are
+// finite and not negative, else null (null stays null rather than becoming 0)
+function nonNegativeNumber(value) {
+    const number = typeof value === 'number' ? value : typeof value === 'string' && value.trim() ? Number(value) : NaN;
+    return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+const HINT_CONFIDENCE = 0.95;
+
+// Map a JobPosting onto our fields as heuristics-style { value, confidence }
+// hints. Only what the structured data states explicitly is returned.
+export function jobPostingHints(posting) {
+    const hints = {};
+    if (!posting) {
+        return hints;
+    }
+
+    if (typeof posting.title === 'string' && posting.title.trim()) {
+        hints.job_title = { value: decodeEntities(posting.title.trim()), confidence: 0.7 };
+    }
+
+    const organization = first(posting.hiringOrganization);
+    const company = typeof organization === 'string' ? organization : organization && organization.name;
+    if (typeof company === 'string' && company.trim()) {
+        hints.company = { value: decodeEntities(company.trim()), confidence: HINT_CONFIDENCE };
+    }
+
+    const locationTypes = [].concat(posting.jobLocationType || []).map(String);
+    if (locationTypes.some(type => /telecommute/i.test(type))) {
+        hints.work_arrangement = { value: 'remote', confidence: HINT_CONFIDENCE };
+    }
+
+    const locations = [].concat(posting.jobLocation || []);
+    for (const location of locations) {
+        const address = location && (location.address || location);
+        const city = address && typeof address.addressLocality === 'string' ? address.addressLocality.trim() : null;
+        const state = address && stateCode(address.addressRegion);
+        const country = address && (typeof address.addressCountry === 'string' ? address.addressCountry : address.addressCountry && address.addressCountry.name);
+        if (city && state && (!country || /^(?:US|USA|United States)/i.test(country))) {
+            // Several US locations is a judgement call left to the model
+            hints.city = { value: `${city}, ${state}`, confidence: locations.length === 1 ? HINT_CONFIDENCE : 0.5 };
+            break;
+        }
+    }
+
+    const salary = posting.baseSalary;
+    if (salary && typeof salary === 'object') {
+        const value = salary.value && typeof salary.value === 'object' ? salary.value : { value: salary.value };
+        const min = nonNegativeNumber(value.minValue !== undefined ? value.minValue : value.value);
+        const max = nonNegativeNumber(value.maxValue !== undefined ? value.maxValue : value.value);
+        const unit = String(value.unitText || salary.unitText || '').toUpperCase();
+        const period = unit === 'HOUR' ? 'hourly' : unit === 'YEAR' ? 'yearly' : null;
+        if (min !== null || max !== null) {
+            hints.compensation = {
+                value: {
+                    min,
+                    max,
+                    currency: typeof salary.currency === 'string' ? salary.currency.toUpperCase() : null,
+                    period,
+                    raw: null
+                },
+                confidence: period ? HINT_CONFIDENCE : 0.6
+            };
+        }
+    }
+
+    const requirements = posting.experienceRequirements;
+    const months = requirements && typeof requirements === 'object' ? nonNegativeNumber(requirements.monthsOfExperience) : null;
+    if (months !== null) {
+        hints.experience = { value: experienceLevelForYears(months / 12), confidence: 0.9 };
+    }
+
+    return hints;
+}
+
+// The page's <title> or first <h1>, for when the caller sends no job title
+export function pageTitle(html) {
+    const heading = (html || '').match(/<h1\b[^>]*>([\s\S]*?)<\/h1>/i);
+    const title = heading || (html || '').match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+    return title ? decodeEntities(title[1].replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim() : null;
+}
@@ -0,0 +1,51 @@
+import { htmlToText, findJobPosting, jobPostingHints, pageTitle } from "./html.js";
+import { createFetcher } from "./fetcher.js";
+
+// A 422 in the shape of a failed request validation (see openapi.js)
+function tooLongError(field, length, maxLength) {
+    const message = `Text from ${field} is ${length} characters long (maximum ${maxLength})`;
+    const error = new Error(message);
+    error.statusCode = 422;
+    error.errors = [{ field, in: 'body', code: 'too_long', message }];
+    return error;
+}
+
+// Turn a request's job fields into extraction input. Plain `job_description`
+// text is used as-is; `job_html` (or the page fetched for `job_url`) is cleaned
+// to text and its JobPosting JSON-LD becomes field hints for the extractor.
+// `fetchPage` defaults to createFetcher(). Text converted from HTML longer than
+// `maxDescriptionChars` is refused with a 422, as job_description would be.
+// Returns { jobTitle, jobDescription, hints, source }.
+export async function resolveJobInput(input, { fetchPage, maxDescriptionChars } = {}) {
+    let jobTitle = input.job_title;
+    let jobDescription = input.job_description;
+    let html = typeof input.job_html === 'string' && input.job_html.trim() ? input.job_html : null;
+    let source = 'text';
+
+    if (!jobDescription && !html && input.job_url) {
+        html = (await (fetchPage || createFetcher())(input.job_url)).html;
+        source = 'url';
+    } else if (!jobDescription && html) {
+        source = 'html';
+    }
+
+    let hints = {};
+    if (html) {
+        const posting = findJobPosting(html);
+        hints = jobPostingHints(posting);
+
+        if (!jobDescription) {
+            // The posting's own description beats page text, which still carries headers and sidebars
+            const postingText = posting && typeof posting.description === 'string' ? htmlToText(posting.description) : '';
+            jobDescription = postingText.length >= 200 ? postingText : (htmlToText(html) || postingText);
+            if (maxDescriptionChars && jobDescription.length > maxDescriptionChars) {
+                throw tooLongError(source === 'url' ? 'job_url' : 'job_html', jobDescription.length, maxDescriptionChars);
+            }
+        }
+        if (!jobTitle) {
+            jobTitle = (hints.job_title && hints.job_title.value) || pageTitle(html);
+        }
+    }
+
+    return { jobTitle, jobDescription, hints, source };
+}
@@ -0,0 +1,45 @@
+import { getLogger, requestIdFor } from "./logger.js";
+import { getMetrics, getMetricsFlusher } from "./metrics.js";
+
+// Wraps a Netlify function handler with a request ID, a request-scoped
+// logger, request metrics and the metrics flush:
+//
+//   export const handler = instrumentHandler('job-status', async (event, context, { log, requestId }) => { ... });
+//
+// The request ID (see requestIdFor) is sent back as X-Request-Id and is on
+// every log entry written through `log`. An exception the handler does not
+// catch becomes a 500 that carries only the request ID.
+export function instrumentHandler(name, handler, { logger, metrics, flush } = {}) {
+    return async (event, context) => {
+        const requestId = requestIdFor(event, context);
+        const log = (logger || getLogger()).child({ request_id: requestId, function: name });
+        const registry = metrics || getMetrics();
+        const startedAt = Date.now();
+
+        let response;
+        try {
+            response = await handler(event, context, { log, requestId, metrics: registry });
+        } catch (error) {
+            log.error('Unhandled error', { error });
+            response = {
+                statusCode: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Internal error', request_id: requestId })
+            };
+        }
+
+        const seconds = (Date.now() - startedAt) / 1000;
+        registry.increment('http_requests_total', { function: name, status: response.statusCode });
+        registry.observe('http_request_duration_seconds', { function: name }, seconds);
+        log.info('Request finished', { method: event.httpMethod, status: response.statusCode, duration_ms: Date.now() - startedAt });
+
+        // The instance may be frozen as soon as the response is returned, so flush first
+        try {
+            await (flush || getMetricsFlusher())();
+        } catch (error) {
+            log.warn('Metrics flush failed', { error });
+        }
+
+        return { ...response, headers: { ...response.headers, 'X-Request-Id': requestId } };
+    };
+}
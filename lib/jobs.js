@@ -0,0 +1,80 @@
+import { randomUUID } from "crypto";
+import { createStore } from "./stores.js";
+
+// Async extraction jobs. A job record is created by the extract endpoint,
+// picked up by the background function, and read back by the status endpoint:
+//   { id, status, client_id, kind, created_at, started_at, finished_at,
+//     callback_url, input, options, result | batch, error, delivery }
+// status: queued -> running -> succeeded | failed
+// delivery.status: none (no callback_url) | pending | delivered | failed
+
+export const DEFAULT_JOB_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Fields the status endpoint never returns
+const PRIVATE_FIELDS = ['input', 'options', 'client_id'];
+
+function storeKey(id) {
+    return `job:${id}`;
+}
+
+export function newJobId() {
+    return randomUUID();
+}
+
+export function createJobStore({ store, ttlSeconds = DEFAULT_JOB_TTL_SECONDS }) {
+    return {
+        store,
+        async create(job) {
+            const record = {
+                id: job.id || newJobId(),
+                status: 'queued',
+                created_at: new Date().toISOString(),
+                started_at: null,
+                finished_at: null,
+                error: null,
+                delivery: { status: job.callback_url ? 'pending' : 'none', attempts: 0, last_status: null, last_error: null, delivered_at: null },
+                ...job
+            };
+            await store.set(storeKey(record.id), record, { ttlSeconds });
+            return record;
+        },
+        async get(id) {
+            return store.get(storeKey(id));
+        },
+        async update(id, changes) {
+            const current = await store.get(storeKey(id));
+            if (!current) {
+                return null;
+            }
+            const updated = { ...current, ...changes };
+            await store.set(storeKey(id), updated, { ttlSeconds });
+            return updated;
+        }
+    };
+}
+
+// A job as the status endpoint shows it
+export function publicJob(job) {
+    return Object.fromEntries(Object.entries(job).filter(([name]) => !PRIVATE_FIELDS.includes(name)));
+}
+
+// Job store from the environment:
+//   JOBS_STORE        blobs (default), fs or memory. Only blobs is shared between
+//                     the extract, background and status functions on Netlify;
+//                     memory and fs suit local development with JOB_DISPATCH=inline
+//   JOBS_DIR          directory for the fs store (default .cache/jobs)
+//   JOB_TTL_SECONDS   how long job records and results are kept (default 7 days)
+export function jobStoreFromEnv(env = process.env) {
+    const store = createStore((env.JOBS_STORE || 'blobs').toLowerCase(), { name: 'jobs', directory: env.JOBS_DIR || '.cache/jobs' });
+    return createJobStore({ store, ttlSeconds: parseInt(env.JOB_TTL_SECONDS || DEFAULT_JOB_TTL_SECONDS, 10) });
+}
+
+// One job store per process, so functions bundled together (netlify dev, tests)
+// share a memory store
+let sharedJobStore;
+export function getJobStore() {
+    if (!sharedJobStore) {
+        sharedJobStore = jobStoreFromEnv();
+    }
+    return sharedJobStore;
+}
@@ -0,0 +1,78 @@
+// Language detection for postings, and the per-language notes the prompt adds
+// so the model reads non-English phrasing correctly. Detection counts common
+// function words, which is plenty to tell English, German, French and Spanish
+// postings apart without a dependency:
+//
+//   detectLanguage('Wir suchen einen Softwareentwickler (m/w/d) mit ...')
+//   // -> { code: 'de', confidence: 0.86 }
+//
+// Extraction output stays in canonical English whatever the language: enum
+// values are never translated, and only job_title can optionally be.
+
+export const LANGUAGES = {
+    en: 'English',
+    de: 'German',
+    fr: 'French',
+    es: 'Spanish'
+};
+
+const STOPWORDS = {
+    en: ['the', 'and', 'to', 'of', 'with', 'for', 'our', 'you', 'we', 'is', 'are', 'will', 'be', 'your', 'this', 'that', 'have', 'as', 'on', 'an', 'in', 'or', 'team', 'work', 'experience', 'years'],
+    de: ['der', 'die', 'das', 'und', 'mit', 'für', 'wir', 'sie', 'ist', 'ein', 'eine', 'einen', 'zu', 'von', 'den', 'dem', 'auf', 'bei', 'im', 'auch', 'oder', 'nicht', 'sind', 'ihre', 'unser', 'unsere', 'du', 'dich', 'werden', 'erfahrung', 'jahre'],
+    fr: ['le', 'les', 'et', 'des', 'du', 'une', 'pour', 'avec', 'nous', 'vous', 'est', 'dans', 'sur', 'au', 'aux', 'votre', 'notre', 'sont', 'qui', 'ou', 'vos', 'nos', 'expérience', 'équipe', 'poste', 'ans'],
+    es: ['el', 'los', 'las', 'y', 'del', 'una', 'para', 'con', 'nuestro', 'nuestra', 'tu', 'es', 'somos', 'buscamos', 'por', 'se', 'al', 'o', 'tus', 'sus', 'experiencia', 'equipo', 'puesto', 'años']
+};
+
+const STOPWORD_INDEX = new Map();
+for (const [code, words] of Object.entries(STOPWORDS)) {
+    for (const word of words) {
+        if (!STOPWORD_INDEX.has(word)) STOPWORD_INDEX.set(word, []);
+        STOPWORD_INDEX.get(word).push(code);
+    }
+}
+
+// Fewer matched words than this and the text is too short to call
+const MIN_HITS = 4;
+
+// { code, confidence } for the dominant language of `text`; code is null when
+// there is too little text to tell. confidence is the winner's share of the
+// matched function words.
+export function detectLanguage(text) {
+    const counts = Object.fromEntries(Object.keys(LANGUAGES).map(code => [code, 0]));
+    const words = String(text || '').normalize('NFC').toLowerCase().match(/\p{L}+/gu) || [];
+    let total = 0;
+    for (const word of words) {
+        const codes = STOPWORD_INDEX.get(word);
+        if (!codes) continue;
+        for (const code of codes) counts[code]++;
+        total++;
+    }
+    if (total < MIN_HITS) {
+        return { code: null, confidence: 0 };
+    }
+    const [code, hits] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+    return { code, confidence: Math.round(Math.min(1, hits / total) * 100) / 100 };
+}
+
+// Phrases the model should map onto the canonical English values, per language
+const LANGUAGE_NOTES = {
+    de: [
+        '"mindestens 5 Jahre Berufserfahrung" or "5+ Jahre Erfahrung" means "5+ years"',
+        '"100% remote" or "vollständig remote" = remote; "Homeoffice" or "mobiles Arbeiten" on some days plus office days = hybrid; "vor Ort" or "in Präsenz" = on-site',
+        'Drop gender markers such as "(m/w/d)" from job_title'
+    ],
+    fr: [
+        '"au moins 5 ans d\'expérience" or "5 ans d\'expérience minimum" means "5+ years"',
+        '"100% télétravail" or "télétravail complet" = remote; "télétravail partiel" or "hybride" = hybrid; "sur site" or "en présentiel" = on-site',
+        'Drop gender markers such as "(H/F)" or "(F/H)" from job_title'
+    ],
+    es: [
+        '"al menos 5 años de experiencia" or "mínimo 5 años" means "5+ years"',
+        '"100% remoto" or "teletrabajo" = remote; "híbrido" = hybrid; "presencial" = on-site',
+        'Drop gender markers such as "(h/m)" or "(m/f)" from job_title'
+    ]
+};
+
+export function languageNotes(code) {
+    return LANGUAGE_NOTES[code] || [];
+}
@@ -0,0 +1,144 @@
+import { createStore } from "./stores.js";
+
+// Per-client rate limits, daily quotas and usage counters on top of a
+// key/value store (see stores.js). Counters are read-modify-write, so with a
+// shared store two concurrent requests can occasionally both get the last
+// slot; limits are a guard against runaway spend, not an exact ledger.
+//
+// A limit of 0 means unlimited. Clients may carry their own
+// rateLimitPerMinute / dailyQuota (see auth.js).
+
+export const DEFAULT_RATE_LIMIT_PER_MINUTE = 60;
+export const DEFAULT_DAILY_QUOTA = 1000;
+const USAGE_RETENTION_SECONDS = 90 * 24 * 60 * 60;
+
+const USAGE_COUNTERS = ['requests', 'postings', 'rate_limited', 'quota_exceeded'];
+
+function utcDay(time) {
+    return new Date(time).toISOString().substring(0, 10);
+}
+
+function secondsUntilNextUtcDay(time) {
+    const date = new Date(time);
+    const next = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+    return Math.max(1, Math.ceil((next - time) / 1000));
+}
+
+function pick(value, fallback) {
+    return value === undefined || value === null ? fallback : value;
+}
+
+export function createLimiter({ store, rateLimitPerMinute = DEFAULT_RATE_LIMIT_PER_MINUTE, dailyQuota = DEFAULT_DAILY_QUOTA, now = Date.now }) {
+    // The limits that apply to `client` (0 = unlimited)
+    function limitsFor(client) {
+        return {
+            rateLimitPerMinute: pick(client.rateLimitPerMinute, rateLimitPerMinute),
+            dailyQuota: pick(client.dailyQuota, dailyQuota)
+        };
+    }
+
+    async function bumpUsage(client, counts) {
+        const key = `usage:${client.id}:${utcDay(now())}`;
+        const usage = (await store.get(key)) || {};
+        for (const [name, count] of Object.entries(counts)) {
+            usage[name] = (usage[name] || 0) + count;
+        }
+        await store.set(key, usage, { ttlSeconds: USAGE_RETENTION_SECONDS });
+    }
+
+    return {
+        limitsFor,
+
+        // Count one request against the client's per-minute limit.
+        // Returns { allowed, headers, retryAfter, message }
+        async consumeRequest(client) {
+            const limit = limitsFor(client).rateLimitPerMinute;
+            if (!limit) {
+                return { allowed: true, headers: {} };
+            }
+            const time = now();
+            const window = Math.floor(time / 60000);
+            const reset = (window + 1) * 60;
+            const key = `rate:${client.id}:${window}`;
+            const used = (await store.get(key)) || 0;
+
+            const headers = {
+                'X-RateLimit-Limit': String(limit),
+                'X-RateLimit-Remaining': String(Math.max(0, limit - used - 1)),
+                'X-RateLimit-Reset': String(reset)
+            };
+            if (used >= limit) {
+                await bumpUsage(client, { rate_limited: 1 });
+                const retryAfter = Math.max(1, reset - Math.floor(time / 1000));
+                return {
+                    allowed: false,
+                    headers: { ...headers, 'X-RateLimit-Remaining': '0', 'Retry-After': String(retryAfter) },
+                    retryAfter,
+                    message: `Rate limit of ${limit} requests per minute exceeded`
+                };
+            }
+            await store.set(key, used + 1, { ttlSeconds: 120 });
+            return { allowed: true, headers };
+        },
+
+        // Charge `cost` postings (1 per single request, one per batch item)
+        // against the client's daily quota. Returns the same shape as consumeRequest.
+        async consumeQuota(client, cost = 1) {
+            const quota = limitsFor(client).dailyQuota;
+            const time = now();
+            if (!quota) {
+                await bumpUsage(client, { requests: 1, postings: cost });
+                return { allowed: true, headers: {} };
+            }
+            const key = `quota:${client.id}:${utcDay(time)}`;
+            const used = (await store.get(key)) || 0;
+
+            if (used + cost > quota) {
+                await bumpUsage(client, { quota_exceeded: 1 });
+                const retryAfter = secondsUntilNextUtcDay(time);
+                return {
+                    allowed: false,
+                    headers: {
+                        'X-Quota-Limit': String(quota),
+                        'X-Quota-Remaining': String(Math.max(0, quota - used)),
+                        'Retry-After': String(retryAfter)
+                    },
+                    retryAfter,
+                    message: `Daily quota of ${quota} postings exceeded (${Math.max(0, quota - used)} left today, this request needs ${cost})`
+                };
+            }
+            await store.set(key, used + cost, { ttlSeconds: 2 * 24 * 60 * 60 });
+            await bumpUsage(client, { requests: 1, postings: cost });
+            return {
+                allowed: true,
+                headers: { 'X-Quota-Limit': String(quota), 'X-Quota-Remaining': String(quota - used - cost) }
+            };
+        },
+
+        // Usage counters for the last `days` UTC days, newest first
+        async usage(client, { days = 7 } = {}) {
+            const time = now();
+            const result = [];
+            for (let offset = 0; offset < days; offset++) {
+                const date = utcDay(time - offset * 24 * 60 * 60 * 1000);
+                const counters = (await store.get(`usage:${client.id}:${date}`)) || {};
+                result.push({ date, ...Object.fromEntries(USAGE_COUNTERS.map(name => [name, counters[name] || 0])) });
+            }
+            return result;
+        }
+    };
+}
+
+// Limiter from the environment:
+//   LIMITS_STORE           memory (default, per warm function instance), fs or blobs
+//   LIMITS_DIR             directory for the fs store (default .cache/limits)
+//   RATE_LIMIT_PER_MINUTE  requests per client per minute (default 60, 0 = unlimited)
+//   DAILY_QUOTA            postings per client per UTC day (default 1000, 0 = unlimited)
+export function limiterFromEnv(env = process.env) {
+    const store = createStore((env.LIMITS_STORE || 'memory').toLowerCase(), { name: 'limits', directory: env.LIMITS_DIR || '.cache/limits' });
+    return createLimiter({
+        store,
+        rateLimitPerMinute: parseInt(pick(env.RATE_LIMIT_PER_MINUTE, DEFAULT_RATE_LIMIT_PER_MINUTE), 10),
+        dailyQuota: parseInt(pick(env.DAILY_QUOTA, DEFAULT_DAILY_QUOTA), 10)
+    });
+}
@@ -0,0 +1,318 @@
+import { US_STATES, US_CITIES } from "./data/us-places.js";
+import { COUNTRIES, WORLD_CITIES, PLACE_ALIASES, PREFERRED_PLACES } from "./data/world-places.js";
+
+// Location normalization against the bundled gazetteer (data/us-places.js and
+// data/world-places.js). Free-text locations such as "NYC", "Seattle, WA or
+// Denver, CO" or "London, UK" resolve to structured locations:
+//
+//   { raw, display, city, state, country, latitude, longitude, status, alternatives }
+//
+//   display       the string the flat `city` field uses: "City, ST" in the US,
+//                 the bare city elsewhere, the state or country name when that
+//                 is all the text names, and the raw text when unresolved
+//   state         US state or other region code (ON, NSW), or null
+//   country       ISO 3166-1 alpha-2 code, or null
+//   status        'resolved', 'ambiguous' (several places share the name - the
+//                 likeliest one is used and the rest listed in alternatives as
+//                 "City, REGION, CC") or 'unresolved' (not in the gazetteer)
+// Nothing here does network lookups.
+
+export const LOCATION_STATUSES = ['resolved', 'ambiguous', 'unresolved'];
+
+// "Saint Louis", "St. Louis" and "st louis" share a key, as do "Zürich" and "Zurich"
+export function placeKey(text) {
+    return String(text)
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\bsaint\b/g, 'st')
+        .replace(/\./g, '')
+        .replace(/[\s-]+/g, ' ')
+        .trim();
+}
+
+function addTo(index, key, value) {
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(value);
+}
+
+// city key -> places, US first so a bare name leans to the US
+const CITY_INDEX = new Map();
+for (const [city, state, latitude, longitude] of US_CITIES) {
+    addTo(CITY_INDEX, placeKey(city), { city, state, country: 'US', latitude, longitude });
+}
+for (const [city, state, country, latitude, longitude] of WORLD_CITIES) {
+    addTo(CITY_INDEX, placeKey(city), { city, state, country, latitude, longitude });
+}
+
+const STATE_INDEX = new Map(Object.entries(US_STATES).map(([code, name]) => [placeKey(name), code]));
+const COUNTRY_INDEX = new Map();
+for (const [code, names] of Object.entries(COUNTRIES)) {
+    for (const name of names) COUNTRY_INDEX.set(placeKey(name), code);
+}
+const REGION_CODES = new Set(WORLD_CITIES.map(([, state]) => state).filter(Boolean));
+
+function findPlace([city, state, country]) {
+    return (CITY_INDEX.get(placeKey(city)) || []).find(place => place.state === state && place.country === country) || null;
+}
+
+const ALIAS_INDEX = new Map(Object.entries(PLACE_ALIASES).map(([alias, target]) => [placeKey(alias), findPlace(target)]));
+const PREFERRED_INDEX = new Map(Object.entries(PREFERRED_PLACES).map(([name, target]) => [placeKey(name), findPlace(target)]));
+
+// Words that say how, not where, someone works; a piece made only of these is not a location
+const NON_LOCATION = /^(?:(?:fully|100%)\s+)?(?:remote|hybrid|on-?site|in[- ]office|wfh|work from home|anywhere|worldwide|global|flexible|multiple locations|various locations|various|tbd|hq|headquarters|office)$/i;
+
+// Two-letter codes are only read as such when written in capitals: "IN" is Indiana, "in" is a word
+function usState(text) {
+    return US_STATES[text] ? text : STATE_INDEX.get(placeKey(text)) || null;
+}
+
+function countryCode(text) {
+    if (/^[A-Z]{2}$/.test(text) && COUNTRIES[text]) return text;
+    return COUNTRY_INDEX.get(placeKey(text)) || null;
+}
+
+function isQualifier(text) {
+    return Boolean(usState(text) || countryCode(text) || REGION_CODES.has(text) || /^[A-Z]{2,3}$/.test(text));
+}
+
+function displayFor(place) {
+    if (place.city) {
+        return place.country === 'US' && place.state ? `${place.city}, ${place.state}` : place.city;
+    }
+    if (place.state) {
+        return place.country === 'US' ? US_STATES[place.state] : place.state;
+    }
+    return place.country ? COUNTRIES[place.country][0] : null;
+}
+
+function describe(place) {
+    return [place.city, place.state, place.country].filter(Boolean).join(', ');
+}
+
+function location(raw, place, status, alternatives = []) {
+    return {
+        raw,
+        display: status === 'unresolved' && !place.city && !place.state && !place.country ? raw : displayFor(place),
+        city: place.city || null,
+        state: place.state || null,
+        country: place.country || null,
+        latitude: place.latitude ?? null,
+        longitude: place.longitude ?? null,
+        status,
+        alternatives: alternatives.map(describe)
+    };
+}
+
+// Pick among same-named places: the usual meaning first, then gazetteer order
+function fromMatches(raw, matches, extra = []) {
+    if (matches.length === 1 && extra.length === 0) {
+        return location(raw, matches[0], 'resolved');
+    }
+    const preferred = PREFERRED_INDEX.get(placeKey(matches[0].city));
+    const chosen = matches.includes(preferred) ? preferred : matches[0];
+    return location(raw, chosen, 'ambiguous', [...matches.filter(place => place !== chosen), ...extra]);
+}
+
+function citiesNamed(name, { state = null, country = null } = {}) {
+    return (CITY_INDEX.get(placeKey(name)) || [])
+        .filter(place => (!state || place.state === state) && (!country || place.country === country));
+}
+
+// "Greater Boston Area" -> "Boston", "Denver Metro" -> "Denver"
+function stripAreaWords(text) {
+    return text
+        .replace(/^greater\s+/i, '')
+        .replace(/\s+(?:metro(?:politan)?\s+)?area$/i, '')
+        .replace(/\s+metro(?:politan)?$/i, '')
+        .trim();
+}
+
+// One location given as comma-separated parts, e.g. ["Austin", "TX"] or ["London", "United Kingdom"]
+function resolveParts(raw, parts) {
+    const [name, ...qualifiers] = parts;
+
+    for (const text of [name, stripAreaWords(name)]) {
+        const alias = ALIAS_INDEX.get(placeKey(text));
+        if (alias) return location(raw, alias, 'resolved');
+    }
+    const cityName = stripAreaWords(name);
+
+    if (qualifiers.length === 0) {
+        const matches = citiesNamed(cityName);
+        const state = usState(name);
+        const country = countryCode(name);
+        if (matches.length > 0) {
+            // "Washington" is a city and a state; "Singapore" is a city and its own country
+            const stateAlternative = state && !matches.some(place => place.country === 'US' && place.state === state)
+                ? [{ state, country: 'US' }] : [];
+            return fromMatches(raw, matches, stateAlternative);
+        }
+        if (state) return location(raw, { state, country: 'US' }, 'resolved');
+        if (country) return location(raw, { country }, 'resolved');
+        return location(raw, {}, 'unresolved');
+    }
+
+    // The last qualifier is a US state, a country or another region; a middle one a region
+    const last = qualifiers[qualifiers.length - 1];
+    const region = qualifiers.length > 1 ? qualifiers[0] : null;
+    const state = usState(last);
+    const country = countryCode(last);
+    const readings = [];
+    if (state) readings.push({ state, country: 'US' });
+    if (country) {
+        const regionCode = region ? (country === 'US' ? usState(region) : region.toUpperCase()) : null;
+        if (regionCode) readings.push({ state: regionCode, country });
+        readings.push({ country });
+    }
+    if (REGION_CODES.has(last.toUpperCase())) readings.push({ state: last.toUpperCase() });
+
+    for (const reading of readings) {
+        const matches = citiesNamed(cityName, reading);
+        if (matches.length > 0) return fromMatches(raw, matches);
+    }
+    // "Texas, USA" is a state, not an unknown city
+    const nameState = usState(name);
+    if (nameState && (!country || country === 'US')) {
+        return location(raw, { state: nameState, country: 'US' }, 'resolved');
+    }
+    // Not in the gazetteer: keep what the text says, without coordinates
+    const reading = readings[0];
+    return reading
+        ? location(raw, { city: cityName, state: reading.state || null, country: reading.country || null }, 'unresolved')
+        : location(raw, {}, 'unresolved');
+}
+
+// Split one piece of text into locations: "Seattle, WA, Denver, CO" is two,
+// "Austin, Texas, USA" is one - a part that is a state, region or country
+// qualifies the place before it
+function groupParts(text) {
+    const groups = [];
+    for (const part of text.split(',').map(item => item.trim()).filter(Boolean)) {
+        if (groups.length > 0 && isQualifier(part)) {
+            groups[groups.length - 1].push(part);
+        } else {
+            groups.push([part]);
+        }
+    }
+    return groups;
+}
+
+// Every location named in `text`, in order and without repeats. Pieces are
+// separated by ";", "|", "/", " or ", " and ", "&", " - " or parentheses;
+// arrangement words ("Remote", "Hybrid") are skipped.
+export function resolveLocations(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+        return [];
+    }
+    const pieces = text
+        .replace(/\bn\/a\b/gi, ' ')
+        // "or"/"and" only in lower case - "Portland, OR" is not two places
+        .split(/\s*(?:[;|/&()[\]\n]|\s[-–—]\s|\sor\s|\sand\s)\s*/)
+        .map(piece => piece.replace(/^[\s,:-]+|[\s,:-]+$/g, ''))
+        .filter(piece => piece && !NON_LOCATION.test(piece));
+
+    const locations = [];
+    const seen = new Set();
+    for (const piece of pieces) {
+        for (const parts of groupParts(piece)) {
+            // "Remote, US" names a country, not a city called Remote
+            const place = NON_LOCATION.test(parts[0]) ? parts.slice(1) : parts;
+            if (place.length === 0) continue;
+            const resolved = resolveParts(place.join(', '), place);
+            const key = locationKey(resolved);
+            if (!seen.has(key)) {
+                seen.add(key);
+                locations.push(resolved);
+            }
+        }
+    }
+    return locations;
+}
+
+// The first location in `text`, or null when it names none
+export function resolveLocation(text) {
+    return resolveLocations(text)[0] || null;
+}
+
+function locationKey(item) {
+    return item.status === 'unresolved' ? `raw:${placeKey(item.raw)}` : `${item.city}|${item.state}|${item.country}`;
+}
+
+// The location to show when a posting names several: a US city first (the
+// prompt's rule), then any city, then any resolved place, then the first
+export function primaryLocation(locations) {
+    const known = locations.filter(item => item.status !== 'unresolved');
+    return known.find(item => item.city && item.country === 'US')
+        || known.find(item => item.city)
+        || known[0]
+        || locations[0]
+        || null;
+}
+
+// Normalizer for the `locations` field: the model lists locations as written;
+// strings (or earlier resolved objects) become resolved locations. Anything
+// else is left in place for validation to reject.
+export function normalizeLocations(value) {
+    if (value === null || value === undefined) {
+        return [];
+    }
+    const items = typeof value === 'string' ? [value] : value;
+    if (!Array.isArray(items)) {
+        return value;
+    }
+    const locations = [];
+    const seen = new Set();
+    for (const item of items) {
+        const text = typeof item === 'string' ? item : item && typeof item === 'object' && typeof item.raw === 'string' ? item.raw : null;
+        if (text === null) {
+            locations.push(item);
+            continue;
+        }
+        for (const resolved of resolveLocations(text)) {
+            const key = locationKey(resolved);
+            if (!seen.has(key)) {
+                seen.add(key);
+                locations.push(resolved);
+            }
+        }
+    }
+    return locations;
+}
+
+// Final step for an extraction result: `city` becomes the primary location's
+// display string (raw text when unresolved), `location` its structured form,
+// and `locations` lists it first followed by the others the posting names
+export function resolveResultLocations(result) {
+    const fromCity = typeof result.city === 'string' ? resolveLocations(result.city) : [];
+    const primary = primaryLocation(fromCity);
+    const listed = Array.isArray(result.locations) ? result.locations : [];
+
+    const locations = primary ? [primary] : [];
+    const seen = new Set(locations.map(locationKey));
+    for (const item of listed) {
+        const key = item && typeof item === 'object' ? locationKey(item) : null;
+        if (key && !seen.has(key)) {
+            seen.add(key);
+            locations.push(item);
+        }
+    }
+
+    return {
+        ...result,
+        city: primary ? primary.display : typeof result.city === 'string' ? result.city : null,
+        location: primary,
+        locations
+    };
+}
+
+// Informal names that mean the place `display` names ("New York, NY" -> NYC,
+// Manhattan, ...), for the evidence check
+export function placeAliases(display) {
+    const place = resolveLocation(display);
+    if (!place || place.status === 'unresolved' || !place.city) {
+        return [];
+    }
+    return Object.entries(PLACE_ALIASES)
+        .filter(([, [city, state, country]]) => city === place.city && state === place.state && country === place.country)
+        .map(([alias]) => alias);
+}
@@ -0,0 +1,157 @@
+import { createHash, randomUUID } from "crypto";
+
+// Structured JSON logging. Every entry is one line:
+//   {"time":"...","level":"info","msg":"...","request_id":"...", ...fields}
+// Loggers are console-compatible (debug/info/warn/error) so they can be
+// passed anywhere a `logger` option is taken; call them as
+// logger.info(message, { field: value }). child(fields) returns a logger
+// that adds `fields` to every entry, e.g. the request ID.
+//
+// Posting text never reaches the logs in full: fields that carry it
+// (job_description, prompt, response, body, ...) are replaced by their
+// length and a short hash, secrets by "[redacted]", and email addresses and
+// phone numbers inside any other string are masked. LOG_REDACT=false turns
+// this off for local debugging.
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Free text from the posting or the model: logged as length and hash only.
+// `details` too: parse errors quote part of the body they failed on
+const TEXT_KEYS = new Set(['job_description', 'description', 'job_html', 'html', 'body', 'body_preview', 'details', 'prompt', 'response', 'raw_response', 'text']);
+// "access_token" is a secret, "input_tokens" a count
+const SECRET_KEY = /authorization|api[_-]?key|secret|token$|password|cookie/i;
+const EMAIL = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+const PHONE = /(?:\+\d{1,3}[\s.-]?)?\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}\b/g;
+const MAX_DEPTH = 6;
+
+function summarizeText(text) {
+    const hash = createHash('sha256').update(text).digest('hex').substring(0, 12);
+    return `[redacted: ${text.length} chars, sha256 ${hash}]`;
+}
+
+function scrubString(text) {
+    return text.replace(EMAIL, '[email]').replace(PHONE, '[phone]');
+}
+
+// Copy of `value` that is safe to log
+export function redact(value, key = '', depth = 0) {
+    if (value === null || value === undefined) {
+        return value;
+    }
+    if (key && SECRET_KEY.test(key)) {
+        return '[redacted]';
+    }
+    if (typeof value === 'string') {
+        return TEXT_KEYS.has(key.toLowerCase()) ? summarizeText(value) : scrubString(value);
+    }
+    if (value instanceof Error) {
+        return { message: scrubString(value.message), ...(value.statusCode ? { status_code: value.statusCode } : {}) };
+    }
+    if (typeof value !== 'object') {
+        return value;
+    }
+    if (depth >= MAX_DEPTH) {
+        return '[truncated]';
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, key, depth + 1));
+    }
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redact(item, name, depth + 1)]));
+}
+
+function plainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Error);
+}
+
+// Console-style arguments -> { msg, fields }: the leading strings form the
+// message, a plain object adds fields, an Error becomes `error`, and anything
+// else is collected under `args`
+function entryParts(args) {
+    const words = [];
+    const fields = {};
+    const rest = [];
+    for (const arg of args) {
+        if (typeof arg === 'string' && rest.length === 0 && Object.keys(fields).length === 0) {
+            words.push(arg);
+        } else if (plainObject(arg)) {
+            Object.assign(fields, arg);
+        } else if (arg instanceof Error) {
+            fields.error = arg;
+        } else {
+            rest.push(arg);
+        }
+    }
+    if (rest.length > 0) {
+        fields.args = rest;
+    }
+    return { msg: words.join(' '), fields };
+}
+
+//   level    lowest level written (default 'info')
+//   fields   added to every entry
+//   write    line sink (default: console.log for debug/info, console.error for warn/error)
+//   redact   apply redact() to every entry (default true)
+export function createLogger({ level = 'info', fields = {}, write, redact: redactEntries = true } = {}) {
+    const threshold = LOG_LEVELS.indexOf(level) === -1 ? 1 : LOG_LEVELS.indexOf(level);
+    const sink = write || ((line, entryLevel) => (entryLevel === 'warn' || entryLevel === 'error' ? console.error(line) : console.log(line)));
+
+    function log(entryLevel, args) {
+        if (LOG_LEVELS.indexOf(entryLevel) < threshold) {
+            return;
+        }
+        const { msg, fields: entryFields } = entryParts(args);
+        const entry = { time: new Date().toISOString(), level: entryLevel, msg, ...fields, ...entryFields };
+        sink(JSON.stringify(redactEntries ? redact(entry) : entry), entryLevel);
+    }
+
+    const logger = {
+        level: LOG_LEVELS[threshold],
+        child(extra = {}) {
+            return createLogger({ level: LOG_LEVELS[threshold], fields: { ...fields, ...extra }, write: sink, redact: redactEntries });
+        }
+    };
+    for (const entryLevel of LOG_LEVELS) {
+        logger[entryLevel] = (...args) => log(entryLevel, args);
+    }
+    return logger;
+}
+
+// A logger that writes nothing, for callers that want no log output
+export const SILENT_LOGGER = { debug() {}, info() {}, warn() {}, error() {}, child: () => SILENT_LOGGER };
+
+// Logger from LOG_LEVEL (debug, info, warn, error; default info) and LOG_REDACT
+export function loggerFromEnv(env = process.env) {
+    return createLogger({
+        level: (env.LOG_LEVEL || 'info').toLowerCase(),
+        redact: String(env.LOG_REDACT || 'true').toLowerCase() !== 'false'
+    });
+}
+
+// Process-wide logger for the functions, built from the environment on first use
+let sharedLogger;
+export function getLogger() {
+    if (!sharedLogger) {
+        sharedLogger = loggerFromEnv();
+    }
+    return sharedLogger;
+}
+
+const REQUEST_ID_HEADERS = ['x-request-id', 'x-correlation-id', 'x-nf-request-id'];
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Correlation ID for a request: the caller's X-Request-Id (or X-Correlation-Id)
+// when it is a sane token, else Netlify's own request ID, else a fresh UUID
+export function requestIdFor(event = {}, context = {}) {
+    const headers = event.headers || {};
+    const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    for (const name of REQUEST_ID_HEADERS) {
+        const value = typeof lower[name] === 'string' ? lower[name].trim() : '';
+        if (VALID_REQUEST_ID.test(value)) {
+            return value;
+        }
+    }
+    if (context && typeof context.awsRequestId === 'string' && VALID_REQUEST_ID.test(context.awsRequestId)) {
+        return context.awsRequestId;
+    }
+    return randomUUID();
+}
@@ -0,0 +1,224 @@
+import { randomUUID } from "crypto";
+import { createStore } from "./stores.js";
+
+// In-process metrics with Prometheus text and JSON export. Only the metrics
+// declared in METRICS can be recorded, so every series has help text and a
+// fixed type:
+//
+//   metrics.increment('extraction_attempts_total', { provider: 'openai', outcome: 'valid' })
+//   metrics.observe('extraction_duration_seconds', { method: 'model' }, 1.8)
+//
+// Each serverless instance counts on its own. With METRICS_STORE set, every
+// instance writes its snapshot to the store (at most every
+// METRICS_FLUSH_SECONDS) and collectMetrics() sums them, which is what the
+// metrics function serves.
+
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+export const METRICS = {
+    http_requests_total: { type: 'counter', help: 'Function invocations by function and HTTP status' },
+    http_request_duration_seconds: { type: 'histogram', help: 'Function invocation latency', buckets: DURATION_BUCKETS },
+    extractions_total: { type: 'counter', help: 'Finished extractions by method (rules, model, rules+model) and outcome (ok, partial, error)' },
+    extraction_duration_seconds: { type: 'histogram', help: 'Extraction latency including retries, cache misses only', buckets: DURATION_BUCKETS },
+    extraction_cache_total: { type: 'counter', help: 'Extraction cache lookups by result (hit, miss, refresh)' },
+    extraction_duplicates_total: { type: 'counter', help: 'Duplicate checks by result (new, duplicate, short_circuit)' },
+    extraction_attempts_total: { type: 'counter', help: 'Model attempts by provider and outcome (valid, invalid, invalid_json, error)' },
+    extraction_validation_failures_total: { type: 'counter', help: 'Model answers that failed validation, by field' },
+    extraction_unsupported_values_total: { type: 'counter', help: 'Model values nulled for lack of evidence in the input, by field' },
+    extraction_coercions_total: { type: 'counter', help: 'Model values fixed without a retry (case, spacing, aliases, numbers as strings), by field' },
+    llm_request_duration_seconds: { type: 'histogram', help: 'Latency of single model calls by provider', buckets: DURATION_BUCKETS },
+    llm_tokens_total: { type: 'counter', help: 'Tokens reported by the provider, by provider, model and type (input, output)' }
+};
+
+const PREFIX = 'job_extractor_';
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+// { b: 1, a: 'x' } -> 'a="x",b="1"', the series key in snapshots
+function labelKey(labels = {}) {
+    return Object.keys(labels)
+        .filter(name => labels[name] !== undefined && labels[name] !== null)
+        .sort()
+        .map(name => `${name}="${escapeLabel(labels[name])}"`)
+        .join(',');
+}
+
+function definitionFor(name) {
+    const definition = METRICS[name];
+    if (!definition) {
+        throw new Error(`Unknown metric "${name}"`);
+    }
+    return definition;
+}
+
+function emptySnapshot() {
+    return { counters: {}, histograms: {} };
+}
+
+export function createMetrics() {
+    let data = emptySnapshot();
+    let version = 0;
+
+    return {
+        increment(name, labels = {}, value = 1) {
+            if (definitionFor(name).type !== 'counter') throw new Error(`${name} is not a counter`);
+            const series = data.counters[name] || (data.counters[name] = {});
+            const key = labelKey(labels);
+            series[key] = (series[key] || 0) + value;
+            version++;
+        },
+        observe(name, labels = {}, value) {
+            const definition = definitionFor(name);
+            if (definition.type !== 'histogram') throw new Error(`${name} is not a histogram`);
+            const series = data.histograms[name] || (data.histograms[name] = {});
+            const key = labelKey(labels);
+            const histogram = series[key] || (series[key] = { buckets: definition.buckets.map(() => 0), sum: 0, count: 0 });
+            definition.buckets.forEach((bound, index) => {
+                if (value <= bound) histogram.buckets[index]++;
+            });
+            histogram.sum += value;
+            histogram.count++;
+            version++;
+        },
+        // Changes since the registry was created; lets flushing skip idle periods
+        get version() {
+            return version;
+        },
+        snapshot() {
+            return JSON.parse(JSON.stringify(data));
+        },
+        reset() {
+            data = emptySnapshot();
+            version++;
+        }
+    };
+}
+
+// A registry that records nothing, for callers that did not ask for metrics
+export const NO_METRICS = { increment() {}, observe() {}, version: 0, snapshot: emptySnapshot, reset() {} };
+
+// Sum snapshots from several instances into one
+export function mergeSnapshots(snapshots) {
+    const merged = emptySnapshot();
+    for (const snapshot of snapshots) {
+        for (const [name, series] of Object.entries(snapshot.counters || {})) {
+            const target = merged.counters[name] || (merged.counters[name] = {});
+            for (const [key, value] of Object.entries(series)) {
+                target[key] = (target[key] || 0) + value;
+            }
+        }
+        for (const [name, series] of Object.entries(snapshot.histograms || {})) {
+            const target = merged.histograms[name] || (merged.histograms[name] = {});
+            for (const [key, histogram] of Object.entries(series)) {
+                const existing = target[key];
+                target[key] = existing
+                    ? { buckets: existing.buckets.map((count, index) => count + (histogram.buckets[index] || 0)), sum: existing.sum + histogram.sum, count: existing.count + histogram.count }
+                    : { buckets: [...histogram.buckets], sum: histogram.sum, count: histogram.count };
+            }
+        }
+    }
+    return merged;
+}
+
+function seriesName(name, key, extra = '') {
+    const labels = [key, extra].filter(Boolean).join(',');
+    return labels ? `${PREFIX}${name}{${labels}}` : `${PREFIX}${name}`;
+}
+
+// Prometheus text exposition format (version 0.0.4)
+export function toPrometheus(snapshot) {
+    const lines = [];
+    for (const [name, definition] of Object.entries(METRICS)) {
+        const source = definition.type === 'counter' ? snapshot.counters : snapshot.histograms;
+        const series = (source || {})[name];
+        if (!series || Object.keys(series).length === 0) {
+            continue;
+        }
+        lines.push(`# HELP ${PREFIX}${name} ${definition.help}`);
+        lines.push(`# TYPE ${PREFIX}${name} ${definition.type}`);
+        for (const [key, value] of Object.entries(series)) {
+            if (definition.type === 'counter') {
+                lines.push(`${seriesName(name, key)} ${value}`);
+                continue;
+            }
+            // Buckets are kept cumulative (each counts every value up to its bound), as Prometheus expects
+            definition.buckets.forEach((bound, index) => {
+                lines.push(`${seriesName(`${name}_bucket`, key, `le="${bound}"`)} ${value.buckets[index]}`);
+            });
+            lines.push(`${seriesName(`${name}_bucket`, key, 'le="+Inf"')} ${value.count}`);
+            lines.push(`${seriesName(`${name}_sum`, key)} ${Math.round(value.sum * 1e6) / 1e6}`);
+            lines.push(`${seriesName(`${name}_count`, key)} ${value.count}`);
+        }
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+// Shared snapshots: one entry per instance plus an index of instance IDs
+const INDEX_KEY = 'metrics:instances';
+const INSTANCE_TTL_SECONDS = 7 * 24 * 60 * 60;
+const instanceId = randomUUID();
+
+export function metricsStoreFromEnv(env = process.env) {
+    const kind = (env.METRICS_STORE || 'none').toLowerCase();
+    if (kind === 'none') {
+        return null;
+    }
+    return createStore(kind, { name: 'metrics', directory: env.METRICS_DIR || '.cache/metrics' });
+}
+
+// Write this instance's snapshot to `store` when something changed and at
+// least `intervalSeconds` have passed since the last write
+export function createMetricsFlusher(metrics, store, { intervalSeconds = 5 } = {}) {
+    let flushedVersion = 0;
+    let flushedAt = 0;
+
+    return async function flush({ force = false } = {}) {
+        if (!store || metrics.version === flushedVersion) {
+            return false;
+        }
+        if (!force && Date.now() - flushedAt < intervalSeconds * 1000) {
+            return false;
+        }
+        flushedVersion = metrics.version;
+        flushedAt = Date.now();
+        await store.set(`metrics:instance:${instanceId}`, { instance: instanceId, updated_at: new Date().toISOString(), ...metrics.snapshot() }, { ttlSeconds: INSTANCE_TTL_SECONDS });
+        // The index is read-modify-write; an instance lost to a race re-adds itself on its next flush
+        const index = (await store.get(INDEX_KEY)) || [];
+        if (!index.includes(instanceId)) {
+            await store.set(INDEX_KEY, [...index, instanceId], { ttlSeconds: INSTANCE_TTL_SECONDS });
+        }
+        return true;
+    };
+}
+
+// Sum of every instance snapshot in `store`; instances whose snapshot expired drop out
+export async function collectMetrics(store) {
+    const index = (await store.get(INDEX_KEY)) || [];
+    const snapshots = [];
+    for (const id of index) {
+        const snapshot = await store.get(`metrics:instance:${id}`);
+        if (snapshot) snapshots.push(snapshot);
+    }
+    return { instances: snapshots.length, ...mergeSnapshots(snapshots) };
+}
+
+// Process-wide registry for the functions, and its flusher from
+// METRICS_STORE / METRICS_FLUSH_SECONDS
+let sharedMetrics;
+let sharedFlush;
+export function getMetrics() {
+    if (!sharedMetrics) {
+        sharedMetrics = createMetrics();
+    }
+    return sharedMetrics;
+}
+
+export function getMetricsFlusher(env = process.env) {
+    if (!sharedFlush) {
+        const seconds = parseFloat(env.METRICS_FLUSH_SECONDS || '5');
+        sharedFlush = createMetricsFlusher(getMetrics(), metricsStoreFromEnv(env), { intervalSeconds: Number.isFinite(seconds) ? seconds : 5 });
+    }
+    return sharedFlush;
+}
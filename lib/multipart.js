@@ -0,0 +1,292 @@
+// multipart/form-data parser (RFC 7578). Incremental: feed Buffers to write()
+// as they arrive and parts come out as soon as their closing delimiter is seen,
+// so a body never has to be split as one big string. Handles quoted boundaries,
+// arbitrary field names, "--" inside values, per-part charsets, base64 and
+// quoted-printable transfer encodings and binary file parts.
+
+const CRLF = Buffer.from('\r\n');
+const DEFAULT_MAX_TOTAL_SIZE = 10 * 1024 * 1024;
+const DEFAULT_MAX_HEADER_SIZE = 16 * 1024;
+
+// 'multipart/form-data; boundary="a b"; charset=utf-8' -> { type, params }
+export function parseHeaderValue(value) {
+    const params = {};
+    const [type, ...rest] = splitParams(String(value || ''));
+    for (const param of rest) {
+        const separator = param.indexOf('=');
+        if (separator === -1) {
+            continue;
+        }
+        const key = param.substring(0, separator).trim().toLowerCase();
+        let paramValue = param.substring(separator + 1).trim();
+        if (paramValue.startsWith('"') && paramValue.endsWith('"') && paramValue.length >= 2) {
+            paramValue = paramValue.substring(1, paramValue.length - 1).replace(/\\(.)/g, '$1');
+        }
+        // RFC 5987 extended value: filename*=UTF-8''na%C3%AFve.txt
+        if (key.endsWith('*')) {
+            const match = paramValue.match(/^([^']*)'[^']*'(.*)$/);
+            if (match) {
+                try {
+                    params[key.slice(0, -1)] = decodeURIComponent(match[2]);
+                    continue;
+                } catch (error) {
+                    // Fall through and keep the raw value
+                }
+            }
+        }
+        params[key] = paramValue;
+    }
+    return { type: type.trim().toLowerCase(), params };
+}
+
+// Split on ";" outside quoted strings
+function splitParams(value) {
+    const parts = [];
+    let current = '';
+    let quoted = false;
+    for (let index = 0; index < value.length; index++) {
+        const char = value[index];
+        if (char === '\\' && quoted && index + 1 < value.length) {
+            current += char + value[++index];
+            continue;
+        }
+        if (char === '"') {
+            quoted = !quoted;
+        }
+        if (char === ';' && !quoted) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    parts.push(current);
+    return parts;
+}
+
+function parsePartHeaders(text) {
+    const headers = {};
+    // Unfold continuation lines first
+    for (const line of text.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+            headers[line.substring(0, separator).trim().toLowerCase()] = line.substring(separator + 1).trim();
+        }
+    }
+    return headers;
+}
+
+function decodeQuotedPrintable(buffer) {
+    const text = buffer.toString('latin1').replace(/=\r?\n/g, '');
+    const bytes = [];
+    for (let index = 0; index < text.length; index++) {
+        if (text[index] === '=' && /^[0-9A-Fa-f]{2}$/.test(text.substring(index + 1, index + 3))) {
+            bytes.push(parseInt(text.substring(index + 1, index + 3), 16));
+            index += 2;
+        } else {
+            bytes.push(text.charCodeAt(index));
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+function decodeTransferEncoding(data, encoding) {
+    switch ((encoding || '').toLowerCase()) {
+        case 'base64':
+            return Buffer.from(data.toString('latin1').replace(/\s+/g, ''), 'base64');
+        case 'quoted-printable':
+            return decodeQuotedPrintable(data);
+        default:
+            return data;
+    }
+}
+
+// Decode text with a declared charset, falling back to UTF-8 for unknown ones
+export function decodeText(data, charset) {
+    try {
+        return new TextDecoder(charset || 'utf-8').decode(data);
+    } catch (error) {
+        return new TextDecoder('utf-8').decode(data);
+    }
+}
+
+function buildPart(headers, chunks) {
+    const disposition = parseHeaderValue(headers['content-disposition']);
+    const contentType = headers['content-type'] ? parseHeaderValue(headers['content-type']) : null;
+    const data = decodeTransferEncoding(Buffer.concat(chunks), headers['content-transfer-encoding']);
+    return {
+        name: disposition.params.name !== undefined ? disposition.params.name : null,
+        filename: disposition.params.filename !== undefined ? disposition.params.filename : null,
+        contentType: contentType ? contentType.type : null,
+        charset: contentType && contentType.params.charset ? contentType.params.charset : null,
+        headers,
+        data
+    };
+}
+
+export class MultipartParser {
+    constructor(boundary, { onPart, maxTotalSize = DEFAULT_MAX_TOTAL_SIZE } = {}) {
+        if (!boundary) {
+            throw new Error('No boundary found in multipart form data');
+        }
+        // Delimiters are matched from "\n" so both CRLF and bare-LF bodies work;
+        // a trailing "\r" is trimmed from the part data instead
+        this.dashBoundary = Buffer.from(`--${boundary}`);
+        this.delimiter = Buffer.from(`\n--${boundary}`);
+        this.onPart = onPart || (() => {});
+        this.maxTotalSize = maxTotalSize;
+        this.buffer = Buffer.alloc(0);
+        this.state = 'preamble';
+        this.received = 0;
+        this.headers = null;
+        this.chunks = [];
+        this.parts = [];
+    }
+
+    write(chunk) {
+        const data = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+        this.received += data.length;
+        if (this.received > this.maxTotalSize) {
+            throw new Error(`Multipart body exceeds ${this.maxTotalSize} bytes`);
+        }
+        this.buffer = this.buffer.length ? Buffer.concat([this.buffer, data]) : data;
+        while (this.state !== 'done' && this.step()) {
+            // keep consuming
+        }
+    }
+
+    end() {
+        if (this.state !== 'done') {
+            throw new Error('Unexpected end of multipart body (missing closing boundary)');
+        }
+        return this.parts;
+    }
+
+    // Process as much of the buffer as possible; false when more input is needed
+    step() {
+        switch (this.state) {
+            case 'preamble': {
+                const atStart = this.buffer.indexOf(this.dashBoundary) === 0 ? 0 : -1;
+                const index = atStart === 0 ? 0 : this.buffer.indexOf(this.delimiter);
+                if (index === -1) {
+                    // Keep enough bytes to spot a delimiter split across writes
+                    this.buffer = this.buffer.subarray(Math.max(0, this.buffer.length - this.delimiter.length));
+                    return false;
+                }
+                const afterBoundary = index + (atStart === 0 ? this.dashBoundary.length : this.delimiter.length);
+                return this.afterDelimiter(afterBoundary);
+            }
+            case 'boundary-end':
+                return this.afterDelimiter(0);
+            case 'headers': {
+                const crlfEnd = this.buffer.indexOf('\r\n\r\n');
+                const lfEnd = this.buffer.indexOf('\n\n');
+                let end = -1;
+                let separatorLength = 0;
+                if (crlfEnd !== -1 && (lfEnd === -1 || crlfEnd < lfEnd)) {
+                    end = crlfEnd;
+                    separatorLength = 4;
+                } else if (lfEnd !== -1) {
+                    end = lfEnd;
+                    separatorLength = 2;
+                }
+                if (end === -1) {
+                    if (this.buffer.length > DEFAULT_MAX_HEADER_SIZE) {
+                        throw new Error('Multipart part headers too large');
+                    }
+                    return false;
+                }
+                this.headers = parsePartHeaders(this.buffer.subarray(0, end).toString('utf8'));
+                this.buffer = this.buffer.subarray(end + separatorLength);
+                this.chunks = [];
+                this.state = 'body';
+                return true;
+            }
+            case 'body': {
+                const index = this.buffer.indexOf(this.delimiter);
+                if (index === -1) {
+                    // Flush everything that cannot be the start of a delimiter
+                    const keep = this.delimiter.length;
+                    if (this.buffer.length > keep) {
+                        this.chunks.push(this.buffer.subarray(0, this.buffer.length - keep));
+                        this.buffer = this.buffer.subarray(this.buffer.length - keep);
+                    }
+                    return false;
+                }
+                let data = this.buffer.subarray(0, index);
+                if (data.length > 0 && data[data.length - 1] === 0x0d) {
+                    data = data.subarray(0, data.length - 1);
+                } else if (data.length === 0 && this.chunks.length > 0) {
+                    const last = this.chunks[this.chunks.length - 1];
+                    if (last.length > 0 && last[last.length - 1] === 0x0d) {
+                        this.chunks[this.chunks.length - 1] = last.subarray(0, last.length - 1);
+                    }
+                }
+                this.chunks.push(data);
+                const part = buildPart(this.headers, this.chunks);
+                this.parts.push(part);
+                this.onPart(part);
+                return this.afterDelimiter(index + this.delimiter.length);
+            }
+            default:
+                return false;
+        }
+    }
+
+    // Right after "--boundary": "--" closes the body, otherwise the line ends and headers follow
+    afterDelimiter(offset) {
+        const rest = this.buffer.subarray(offset);
+        if (rest.length < 2) {
+            this.buffer = rest;
+            this.state = 'boundary-end';
+            return false;
+        }
+        if (rest[0] === 0x2d && rest[1] === 0x2d) {
+            this.buffer = Buffer.alloc(0);
+            this.state = 'done';
+            return false;
+        }
+        // Skip transport padding up to the line break
+        const lineEnd = rest.indexOf(CRLF.subarray(1));
+        if (lineEnd === -1) {
+            this.buffer = rest;
+            this.state = 'boundary-end';
+            return false;
+        }
+        this.buffer = rest.subarray(lineEnd + 1);
+        this.state = 'headers';
+        return true;
+    }
+}
+
+// Parse a complete body. Returns { fields, files, parts } where `fields` maps
+// each non-file field name to its first value (decoded with the part's
+// charset, or the form's `_charset_` field) and `files` lists file parts.
+export function parseMultipart(body, boundary, options = {}) {
+    const parser = new MultipartParser(boundary, options);
+    parser.write(body);
+    const parts = parser.end();
+
+    const charsetField = parts.find(part => part.name === '_charset_' && part.filename === null);
+    const defaultCharset = charsetField ? charsetField.data.toString('ascii').trim() : 'utf-8';
+
+    // No prototype, so fields named "constructor" or "__proto__" are plain fields
+    const fields = Object.create(null);
+    const files = [];
+    for (const part of parts) {
+        if (part.filename !== null) {
+            files.push(part);
+        } else if (part.name !== null && !Object.hasOwn(fields, part.name)) {
+            fields[part.name] = decodeText(part.data, part.charset || defaultCharset);
+        }
+    }
+    return { fields, files, parts };
+}
+
+// Parse a Netlify/Lambda event whose body is multipart/form-data
+export function parseMultipartEvent(event, options = {}) {
+    const contentType = event.headers['content-type'] || event.headers['Content-Type'] || '';
+    const { params } = parseHeaderValue(contentType);
+    const body = Buffer.from(event.body || '', event.isBase64Encoded ? 'base64' : 'utf8');
+    return parseMultipart(body, params.boundary, options);
+}
@@ -0,0 +1,600 @@
+import { FIELDS, SCHEMA_VERSION, RESOLVED_LOCATION, fieldNames } from "./schema.js";
+import { FORMATS, FORMAT_NAMES } from "./formats.js";
+import { LANGUAGES } from "./language.js";
+
+// OpenAPI 3.1 description of the HTTP API, and request validation against it.
+// Result properties are generated from the field registry in schema.js (each
+// entry's `doc`, and its `output` shape where that differs from what the model
+// answers), so a new field shows up in the spec, the docs page and the
+// generated client without further changes. Request limits come from the
+// environment and are shared with the function, so the spec always states
+// the limits that are enforced.
+
+// Bump when the request or response contract changes
+export const API_VERSION = '1.1.0';
+
+export const MAX_BATCH_CONCURRENCY = 10;
+
+const DEFAULT_MAX_TITLE_CHARS = 500;
+const DEFAULT_MAX_DESCRIPTION_CHARS = 50000;
+// Pasted HTML is capped like fetched pages (see fetcher.js)
+const DEFAULT_MAX_HTML_CHARS = 2 * 1024 * 1024;
+const MAX_URL_CHARS = 2048;
+
+const FUNCTIONS_PATH = '/.netlify/functions';
+
+// Request limits from the environment:
+//   MAX_BATCH_SIZE         jobs per batch request (default 200)
+//   BATCH_CONCURRENCY      batch items processed at once unless `concurrency` is sent (default 5)
+//   MAX_TITLE_CHARS        longest job_title accepted (default 500)
+//   MAX_DESCRIPTION_CHARS  longest job_description accepted, uploads and converted HTML included (default 50000)
+//   FETCH_MAX_BYTES        longest job_html accepted, as for fetched pages (default 2 MB)
+export function requestLimitsFromEnv(env = process.env) {
+    return {
+        maxBatchSize: parseInt(env.MAX_BATCH_SIZE || '200', 10),
+        defaultBatchConcurrency: parseInt(env.BATCH_CONCURRENCY || '5', 10),
+        maxBatchConcurrency: MAX_BATCH_CONCURRENCY,
+        maxTitleChars: parseInt(env.MAX_TITLE_CHARS || DEFAULT_MAX_TITLE_CHARS, 10),
+        maxDescriptionChars: parseInt(env.MAX_DESCRIPTION_CHARS || DEFAULT_MAX_DESCRIPTION_CHARS, 10),
+        maxHtmlChars: parseInt(env.FETCH_MAX_BYTES || DEFAULT_MAX_HTML_CHARS, 10)
+    };
+}
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const nullable = schema => ({ anyOf: [schema, { type: 'null' }] });
+
+// Field registry entry (see schema.js) -> JSON Schema
+export function entrySchema(entry) {
+    const orNull = type => (entry.nullable ? [type, 'null'] : type);
+    let schema;
+    switch (entry.type) {
+        case 'enum':
+            schema = { type: orNull('string'), enum: entry.nullable ? [...entry.values, null] : [...entry.values] };
+            break;
+        case 'array':
+            schema = { type: orNull('array'), items: entry.items ? entrySchema(entry.items) : {} };
+            break;
+        case 'object':
+            schema = {
+                type: orNull('object'),
+                properties: Object.fromEntries(entry.properties.map(property => [property.name, entrySchema(property)])),
+                required: entry.properties.map(property => property.name)
+            };
+            break;
+        default:
+            schema = { type: orNull(entry.type) };
+    }
+    if (entry.doc) {
+        schema.description = entry.doc;
+    }
+    return schema;
+}
+
+// A field as returned: its `output` shape when it has one, with the field's doc
+function resultFieldSchema(definition) {
+    return entrySchema(definition.output ? { ...definition.output, doc: definition.doc } : definition);
+}
+
+// Options shared by single and batch requests, in the body or the query string
+function optionProperties() {
+    return {
+        format: {
+            type: 'string',
+            enum: FORMAT_NAMES,
+            description: `Response format: ${FORMATS.join(', ')} (aliases such as json-ld are accepted). Defaults to the Accept header, then json`
+        },
+        refresh: { type: 'boolean', description: 'Skip the cache and extract known duplicates again' },
+        translate_title: { type: 'boolean', description: 'English job_title for non-English postings, the original in job_title_original' },
+        return_canonical: { type: 'boolean', description: "Answer a near-identical copy of a known posting with that posting's result" },
+        provider: { type: 'string', maxLength: 200, description: 'Provider spec for this request, e.g. openai:gpt-4o-mini; only models the server allows (ALLOWED_MODELS)' },
+        model: { type: 'string', maxLength: 200, description: "Model for the request's provider" },
+        async: { type: 'boolean', description: 'Queue the extraction and answer 202 with a job to poll' },
+        callback_url: { type: 'string', format: 'uri', maxLength: MAX_URL_CHARS, description: 'Public https URL the finished job is posted to (implies async)' }
+    };
+}
+
+// The posting itself: text, HTML or a URL
+function postingProperties(limits) {
+    return {
+        job_title: { type: 'string', maxLength: limits.maxTitleChars, description: 'Title as listed; optional with job_html or job_url' },
+        job_description: { type: 'string', maxLength: limits.maxDescriptionChars, description: 'Posting text' },
+        job_html: { type: 'string', maxLength: limits.maxHtmlChars, description: 'Posting page HTML, instead of job_description' },
+        job_url: { type: 'string', format: 'uri', maxLength: MAX_URL_CHARS, description: 'Public posting URL to fetch, instead of job_description' }
+    };
+}
+
+function componentSchemas(limits) {
+    const names = fieldNames();
+    return {
+        JobDetails: {
+            type: 'object',
+            description: 'One extraction result',
+            properties: {
+                ...Object.fromEntries(FIELDS.map(definition => [definition.name, resultFieldSchema(definition)])),
+                location: { ...nullable(ref('Location')), description: 'Primary location' },
+                language: { type: ['string', 'null'], enum: [...Object.keys(LANGUAGES), null], description: 'ISO 639-1 code of the posting, null when there is too little text to tell' },
+                job_title_original: { type: 'string', description: 'Untranslated title; only present when job_title was translated' },
+                fingerprint: { type: 'string', description: 'Normalized title, company and city hash; copies of one job share it' },
+                duplicate_of: { type: ['string', 'null'], description: 'Fingerprint of the earlier posting this one copies' },
+                extraction_method: { type: 'string', enum: ['rules', 'model', 'rules+model'] },
+                confidence: {
+                    type: 'object',
+                    properties: Object.fromEntries(names.map(name => [name, { type: 'number', minimum: 0, maximum: 1 }]))
+                },
+                evidence: {
+                    type: 'object',
+                    description: 'Where each value was found: one match, a list for list fields, or null',
+                    properties: Object.fromEntries(names.map(name => [name, { anyOf: [ref('Evidence'), { type: 'array', items: ref('Evidence') }, { type: 'null' }] }]))
+                },
+                cache: { type: 'string', enum: ['hit', 'miss', 'refresh', 'duplicate', 'off'] },
+                field_errors: {
+                    type: 'object',
+                    additionalProperties: { type: 'string' },
+                    description: 'Fields no model answer got right, with the reason; only present on partial results'
+                },
+                error: { type: 'string', description: 'Why extraction failed; the fields then hold the rule-based fallback' }
+            },
+            required: [...names, 'extraction_method', 'cache']
+        },
+        Location: entrySchema(RESOLVED_LOCATION),
+        Evidence: {
+            type: 'object',
+            properties: {
+                source: { type: 'string', enum: ['job_title', 'job_description'] },
+                start: { type: 'integer' },
+                end: { type: 'integer' },
+                text: { type: 'string' },
+                snippet: { type: 'string' },
+                match: { type: 'string', enum: ['quote', 'value'], description: "quote: the model's quote was found; value: the value itself was" }
+            },
+            required: ['source', 'start', 'end', 'text', 'snippet', 'match']
+        },
+        ExtractionRequest: {
+            type: 'object',
+            description: 'job_title plus one of job_description, job_html or job_url',
+            properties: { ...postingProperties(limits), ...optionProperties() }
+        },
+        BatchJob: {
+            type: 'object',
+            description: 'A batch item; one that names no posting fails on its own without failing the batch',
+            properties: {
+                id: { type: ['string', 'integer'], maxLength: 200, description: 'Echoed back on the result; a hash of the posting when omitted' },
+                ...postingProperties(limits)
+            }
+        },
+        BatchRequest: {
+            type: 'object',
+            properties: {
+                jobs: { type: 'array', items: ref('BatchJob'), minItems: 1, maxItems: limits.maxBatchSize },
+                concurrency: {
+                    type: 'integer',
+                    minimum: 1,
+                    maximum: limits.maxBatchConcurrency,
+                    description: `Items processed at once (default ${limits.defaultBatchConcurrency})`
+                },
+                ...optionProperties()
+            },
+            required: ['jobs']
+        },
+        BatchResult: {
+            type: 'object',
+            properties: {
+                id: { type: 'string' },
+                index: { type: 'integer' },
+                status: { type: 'string', enum: ['ok', 'error'] },
+                result: nullable(ref('JobDetails')),
+                error: { type: ['string', 'null'] }
+            },
+            required: ['id', 'index', 'status', 'result', 'error']
+        },
+        BatchResponse: {
+            type: 'object',
+            properties: {
+                results: { type: 'array', items: ref('BatchResult') },
+                summary: {
+                    type: 'object',
+                    properties: {
+                        total: { type: 'integer' },
+                        succeeded: { type: 'integer' },
+                        failed: { type: 'integer' },
+                        duration_ms: { type: 'integer' }
+                    }
+                }
+            },
+            required: ['results', 'summary']
+        },
+        JobAccepted: {
+            type: 'object',
+            properties: {
+                job_id: { type: 'string' },
+                status: { type: 'string', enum: ['queued'] },
+                status_url: { type: 'string' }
+            },
+            required: ['job_id', 'status', 'status_url']
+        },
+        Job: {
+            type: 'object',
+            properties: {
+                id: { type: 'string' },
+                status: { type: 'string', enum: ['queued', 'running', 'succeeded', 'failed'] },
+                kind: { type: 'string', enum: ['single', 'batch'] },
+                created_at: { type: 'string', format: 'date-time' },
+                started_at: { type: ['string', 'null'], format: 'date-time' },
+                finished_at: { type: ['string', 'null'], format: 'date-time' },
+                callback_url: { type: ['string', 'null'] },
+                result: ref('JobDetails'),
+                batch: ref('BatchResponse'),
+                error: { type: ['string', 'null'] },
+                delivery: {
+                    type: 'object',
+                    properties: {
+                        status: { type: 'string', enum: ['none', 'pending', 'delivered', 'failed'] },
+                        attempts: { type: 'integer' },
+                        last_status: { type: ['integer', 'null'] },
+                        last_error: { type: ['string', 'null'] },
+                        delivered_at: { type: ['string', 'null'], format: 'date-time' }
+                    }
+                }
+            },
+            required: ['id', 'status', 'kind', 'created_at']
+        },
+        Usage: {
+            type: 'object',
+            properties: {
+                client: { type: 'object', properties: { id: { type: 'string' }, name: { type: ['string', 'null'] } } },
+                limits: {
+                    type: 'object',
+                    properties: { rate_limit_per_minute: { type: 'integer' }, daily_quota: { type: 'integer' } }
+                },
+                usage: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            date: { type: 'string', format: 'date' },
+                            requests: { type: 'integer' },
+                            postings: { type: 'integer' },
+                            rate_limited: { type: 'integer' },
+                            quota_exceeded: { type: 'integer' }
+                        }
+                    }
+                }
+            }
+        },
+        ValidationError: {
+            type: 'object',
+            properties: {
+                error: { type: 'string' },
+                errors: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            field: { type: 'string', description: 'e.g. job_description or jobs[3].job_url' },
+                            in: { type: 'string', enum: ['body', 'query'] },
+                            code: { type: 'string', enum: [...MALFORMED_CODES, ...UNPROCESSABLE_CODES] },
+                            message: { type: 'string' }
+                        },
+                        required: ['field', 'in', 'code', 'message']
+                    }
+                },
+                missing: { type: 'array', items: { type: 'string' }, description: 'Required fields that were not sent' }
+            },
+            required: ['error', 'errors']
+        },
+        ErrorResponse: {
+            type: 'object',
+            properties: { error: { type: 'string' }, details: {} },
+            required: ['error']
+        }
+    };
+}
+
+const json = schema => ({ 'application/json': { schema } });
+const errorResponse = description => ({ description, content: json(ref('ErrorResponse')) });
+
+const RATE_LIMIT_HEADERS = {
+    'X-RateLimit-Limit': { schema: { type: 'integer' } },
+    'X-RateLimit-Remaining': { schema: { type: 'integer' } },
+    'X-RateLimit-Reset': { schema: { type: 'integer' }, description: 'Unix time the minute window resets' },
+    'X-Quota-Limit': { schema: { type: 'integer' } },
+    'X-Quota-Remaining': { schema: { type: 'integer' } },
+    'X-Request-Id': { schema: { type: 'string' } }
+};
+
+// Query parameters mirroring body options; the body wins when both are sent
+function queryParameters(limits) {
+    const properties = { ...postingProperties(limits), ...optionProperties() };
+    delete properties.job_html;
+    return Object.entries(properties).map(([name, schema]) => ({ name, in: 'query', required: false, schema }));
+}
+
+function paths(limits) {
+    const security = [{ bearerAuth: [] }, { apiKeyHeader: [] }, {}];
+    return {
+        [`${FUNCTIONS_PATH}/extract-job-details`]: {
+            post: {
+                operationId: 'extractJobDetails',
+                summary: 'Extract structured details from one posting or a batch',
+                description: 'Send one posting (ExtractionRequest) or a `jobs` array (BatchRequest). Fields are checked against this spec: a value of the wrong type answers 400, one that breaks a constraint (length, enum, range, URL) answers 422, both with an entry per field.',
+                security,
+                parameters: queryParameters(limits),
+                requestBody: {
+                    required: true,
+                    content: {
+                        'application/json': { schema: { oneOf: [ref('ExtractionRequest'), ref('BatchRequest')] } },
+                        'application/x-www-form-urlencoded': { schema: ref('ExtractionRequest') },
+                        'multipart/form-data': {
+                            schema: {
+                                allOf: [ref('ExtractionRequest'), {
+                                    type: 'object',
+                                    properties: {
+                                        job_description_file: { type: 'string', contentMediaType: 'application/octet-stream', description: '.txt, .html, .pdf or .docx posting' }
+                                    }
+                                }]
+                            }
+                        }
+                    }
+                },
+                responses: {
+                    200: {
+                        description: 'Extraction result, or batch results',
+                        headers: { ...RATE_LIMIT_HEADERS, 'X-Cache': { schema: { type: 'string', enum: ['HIT', 'MISS', 'REFRESH', 'DUPLICATE', 'OFF'] } } },
+                        content: {
+                            'application/json': { schema: { oneOf: [ref('JobDetails'), ref('BatchResponse')] } },
+                            'application/ld+json': { schema: { type: 'object', description: 'schema.org JobPosting, or an @graph of them for batches' } },
+                            'text/csv': { schema: { type: 'string' } }
+                        }
+                    },
+                    202: { description: 'Queued (async or callback_url)', headers: { Location: { schema: { type: 'string' } } }, content: json(ref('JobAccepted')) },
+                    400: { description: 'Malformed body, wrong field types or missing fields', content: json(ref('ValidationError')) },
+                    401: errorResponse('Missing or unknown API key'),
+                    403: errorResponse('API key disabled'),
+                    413: errorResponse('Uploaded file or fetched page too large'),
+                    415: errorResponse('Unsupported upload file type'),
+                    422: { description: 'A field breaks a constraint', content: json(ref('ValidationError')) },
+                    429: { description: 'Rate limit or daily quota exceeded', headers: { 'Retry-After': { schema: { type: 'integer' } } }, content: json(ref('ErrorResponse')) },
+                    500: errorResponse('Extraction failed'),
+                    502: errorResponse('job_url could not be fetched, or an async job could not be started')
+                },
+                // Client methods generated for this operation (see bin/generate-client.js)
+                'x-client': [
+                    { method: 'extractJobDetails', summary: 'Extract structured details from one posting', request: 'ExtractionRequest', response: 'JobDetails' },
+                    { method: 'extractJobDetailsBatch', summary: 'Extract a batch of postings; failed items do not fail the batch', request: 'BatchRequest', response: 'BatchResponse' }
+                ]
+            }
+        },
+        [`${FUNCTIONS_PATH}/job-status`]: {
+            get: {
+                operationId: 'getJobStatus',
+                summary: 'Status and result of an async job',
+                security,
+                parameters: [{ name: 'id', in: 'query', required: true, schema: { type: 'string' } }],
+                responses: {
+                    200: { description: 'The job; poll again after Retry-After while it is queued or running', content: json(ref('Job')) },
+                    400: errorResponse('No id'),
+                    401: errorResponse('Missing or unknown API key'),
+                    404: errorResponse('No such job for this key')
+                },
+                'x-client': [{ method: 'getJobStatus', response: 'Job' }]
+            }
+        },
+        [`${FUNCTIONS_PATH}/usage`]: {
+            get: {
+                operationId: 'getUsage',
+                summary: 'Usage counters for the calling API key',
+                security,
+                parameters: [{ name: 'days', in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: 90 } }],
+                responses: {
+                    200: { description: 'Limits and per-day counters, newest first', content: json(ref('Usage')) },
+                    401: errorResponse('Missing or unknown API key')
+                },
+                'x-client': [{ method: 'getUsage', response: 'Usage' }]
+            }
+        },
+        [`${FUNCTIONS_PATH}/metrics`]: {
+            get: {
+                operationId: 'getMetrics',
+                summary: 'Prometheus metrics (operators only)',
+                security: [{ metricsToken: [] }],
+                parameters: [{ name: 'format', in: 'query', required: false, schema: { type: 'string', enum: ['prometheus', 'json'] } }],
+                responses: {
+                    200: { description: 'Metrics', content: { 'text/plain': { schema: { type: 'string' } }, 'application/json': { schema: { type: 'object' } } } },
+                    401: errorResponse('Missing or wrong METRICS_TOKEN'),
+                    404: errorResponse('Metrics endpoint disabled')
+                },
+                'x-client': []
+            }
+        },
+        [`${FUNCTIONS_PATH}/openapi`]: {
+            get: {
+                operationId: 'getOpenApiSpec',
+                summary: 'OpenAPI document for the API',
+                security: [],
+                responses: { 200: { description: 'OpenAPI 3.1 document', content: json({ type: 'object' }) } },
+                'x-client': [{ method: 'getOpenApiSpec', response: null }]
+            }
+        }
+    };
+}
+
+// The OpenAPI document. `serverUrl` is the deployed site (the URL Netlify sets);
+// without one the spec uses relative paths.
+export function buildOpenApiSpec({ limits = requestLimitsFromEnv(), serverUrl } = {}) {
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'Job Details Extractor API',
+            version: API_VERSION,
+            description: 'Extracts structured job details (title, location, work arrangement, company, experience, pay, skills) from job postings.',
+            'x-schema-version': SCHEMA_VERSION
+        },
+        servers: [{ url: serverUrl ? serverUrl.replace(/\/+$/, '') : '/' }],
+        paths: paths(limits),
+        components: {
+            schemas: componentSchemas(limits),
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', description: 'API key as a bearer token' },
+                apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+                metricsToken: { type: 'http', scheme: 'bearer', description: 'METRICS_TOKEN' }
+            }
+        }
+    };
+}
+
+// Spec for this deployment: limits from the environment, server from URL
+export function openApiSpecFromEnv(env = process.env) {
+    return buildOpenApiSpec({ limits: requestLimitsFromEnv(env), serverUrl: env.URL });
+}
+
+// Validation error codes. A malformed request (wrong type, missing field)
+// answers 400; a well-formed one that breaks a constraint answers 422.
+const MALFORMED_CODES = ['type', 'required'];
+const UNPROCESSABLE_CODES = ['enum', 'format', 'too_short', 'too_long', 'too_small', 'too_large', 'too_few_items', 'too_many_items'];
+
+function resolveRef(spec, schema) {
+    let resolved = schema;
+    while (resolved && resolved.$ref) {
+        resolved = resolved.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], spec);
+    }
+    return resolved;
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+// Form fields and query parameters only carry strings: "true"/"false" and
+// numeric strings stand for booleans and numbers
+function fromString(value, types) {
+    if (typeof value !== 'string' || types.includes('string')) {
+        return value;
+    }
+    const text = value.trim();
+    if (types.includes('boolean') && /^(?:true|false)$/i.test(text)) {
+        return text.toLowerCase() === 'true';
+    }
+    if ((types.includes('integer') || types.includes('number')) && /^-?\d+(?:\.\d+)?$/.test(text)) {
+        return Number(text);
+    }
+    return value;
+}
+
+function describeTypes(types) {
+    const names = types.filter(type => type !== 'null').map(type => (type === 'integer' ? 'an integer' : type === 'array' || type === 'object' ? `an ${type}` : `a ${type}`));
+    return names.join(' or ');
+}
+
+function isHttpUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+}
+
+// Check `value` against `schema`, adding { field, in, code, message } entries
+function check(spec, schema, value, field, location, errors) {
+    const resolved = resolveRef(spec, schema);
+    if (!resolved) return;
+    const types = [].concat(resolved.type || []);
+    const actual = fromString(value, types);
+    const kind = typeOf(actual);
+    const issue = (code, message) => errors.push({ field, in: location, code, message });
+
+    if (types.length > 0 && !types.includes(kind) && !(kind === 'integer' && types.includes('number'))) {
+        issue('type', `${field} must be ${describeTypes(types)}`);
+        return;
+    }
+    if (resolved.enum) {
+        const allowed = resolved.enum.map(option => (typeof option === 'string' ? option.toLowerCase() : option));
+        const given = typeof actual === 'string' ? actual.trim().toLowerCase() : actual;
+        if (!allowed.includes(given)) {
+            issue('enum', `${field} must be one of: ${resolved.enum.filter(option => option !== null).join(', ')}`);
+            return;
+        }
+    }
+
+    if (kind === 'string') {
+        if (resolved.minLength !== undefined && actual.length < resolved.minLength) {
+            issue('too_short', `${field} must be at least ${resolved.minLength} characters long`);
+        }
+        if (resolved.maxLength !== undefined && actual.length > resolved.maxLength) {
+            issue('too_long', `${field} is ${actual.length} characters long (maximum ${resolved.maxLength})`);
+        }
+        if (resolved.format === 'uri' && !isHttpUrl(actual)) {
+            issue('format', `${field} must be an http(s) URL`);
+        }
+    } else if (kind === 'integer' || kind === 'number') {
+        if (resolved.minimum !== undefined && actual < resolved.minimum) {
+            issue('too_small', `${field} must be at least ${resolved.minimum}`);
+        }
+        if (resolved.maximum !== undefined && actual > resolved.maximum) {
+            issue('too_large', `${field} must be at most ${resolved.maximum}`);
+        }
+    } else if (kind === 'array') {
+        if (resolved.minItems !== undefined && actual.length < resolved.minItems) {
+            issue('too_few_items', `${field} must have at least ${resolved.minItems} item${resolved.minItems === 1 ? '' : 's'}`);
+        }
+        if (resolved.maxItems !== undefined && actual.length > resolved.maxItems) {
+            issue('too_many_items', `${field} has ${actual.length} items (maximum ${resolved.maxItems})`);
+            return;
+        }
+        if (resolved.items) {
+            actual.forEach((item, index) => check(spec, resolved.items, item, `${field}[${index}]`, location, errors));
+        }
+    } else if (kind === 'object') {
+        checkProperties(spec, resolved, actual, field, location, errors);
+    }
+}
+
+// Properties of an object schema; unknown properties are ignored
+function checkProperties(spec, schema, object, prefix, location, errors) {
+    const name = property => (prefix ? `${prefix}.${property}` : property);
+    for (const property of schema.required || []) {
+        if (object[property] === undefined || object[property] === null) {
+            errors.push({ field: name(property), in: location, code: 'required', message: `${name(property)} is required` });
+        }
+    }
+    for (const [property, propertySchema] of Object.entries(schema.properties || {})) {
+        if (object[property] !== undefined && object[property] !== null) {
+            check(spec, propertySchema, object[property], name(property), location, errors);
+        }
+    }
+}
+
+// 400 when any entry is malformed, else 422
+export function validationStatus(errors) {
+    return errors.some(error => MALFORMED_CODES.includes(error.code)) ? 400 : 422;
+}
+
+// Check an extraction request (parsed body and query parameters) against the
+// spec: a body with `jobs` as a BatchRequest, anything else as an
+// ExtractionRequest. Returns null when it passes, else { statusCode, error, errors }.
+// Required posting fields are checked later, once job_html and job_url have
+// been resolved into text.
+export function validateExtractionRequest({ body = {}, query = {} }, spec = buildOpenApiSpec()) {
+    const errors = [];
+    const schema = body.jobs !== undefined ? spec.components.schemas.BatchRequest : spec.components.schemas.ExtractionRequest;
+    checkProperties(spec, schema, body, '', 'body', errors);
+
+    const operation = spec.paths[`${FUNCTIONS_PATH}/extract-job-details`].post;
+    for (const parameter of operation.parameters) {
+        const value = query[parameter.name];
+        if (value !== undefined && value !== null && value !== '') {
+            check(spec, parameter.schema, value, parameter.name, 'query', errors);
+        }
+    }
+
+    if (errors.length === 0) {
+        return null;
+    }
+    return {
+        statusCode: validationStatus(errors),
+        error: errors.length === 1 ? errors[0].message : `${errors.length} request fields are invalid`,
+        errors
+    };
+}
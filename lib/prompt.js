@@ -0,0 +1,97 @@
+import { FIELDS, buildPromptFieldSection, buildOutputTemplate } from "./schema.js";
+import { LANGUAGES, languageNotes } from "./language.js";
+
+// Extra output key asked for when the title should be translated; read back
+// by extract.js, it is not one of the schema fields
+export const TRANSLATED_TITLE_FIELD = {
+    name: 'job_title_en',
+    type: 'string',
+    nullable: true,
+    description: 'the cleaned job_title translated into English (e.g. "Softwareentwickler" → "Software Developer"). Use null if job_title is already English.',
+    template: '[job_title in English, or null]'
+};
+
+// Reading instructions for a posting that is not in English
+function languageSection(language, translateTitle) {
+    const lines = [
+        `Language: the posting is in ${LANGUAGES[language]}. Read it in ${LANGUAGES[language]}, but write every enum value exactly as listed below, in English. Keep job_title, company and locations as written in the posting.`,
+        ...languageNotes(language).map(note => `- ${note}`)
+    ];
+    if (translateTitle) {
+        lines.push(`- Also return "job_title_en": ${TRANSLATED_TITLE_FIELD.description}`);
+    }
+    return `\n${lines.join('\n')}\n`;
+}
+
+// Build the extraction prompt. Field instructions and the output skeleton come
+// from the schema; `knownFields` are values already settled locally that the
+// model should copy instead of re-deriving. For a non-English `language`
+// (see language.js) the prompt says how to read it, and `translateTitle`
+// asks for an English job_title alongside the original.
+export function buildPrompt(jobTitle, jobDescription, { fields = FIELDS, knownFields = {}, language = null, translateTitle = false } = {}) {
+    const foreign = Boolean(language && language !== 'en' && LANGUAGES[language]);
+    const outputFields = foreign && translateTitle
+        ? fields.flatMap(definition => (definition.name === 'job_title' ? [definition, TRANSLATED_TITLE_FIELD] : [definition]))
+        : fields;
+
+    const knownEntries = Object.entries(knownFields);
+    const knownFieldsSection = knownEntries.length > 0
+        ? `
+Already extracted (copy these values exactly into the output, only extract the remaining fields):
+${knownEntries.map(([name, value]) => `- ${name}: ${JSON.stringify(value)}`).join('\n')}
+`
+        : '';
+
+    const enumChecks = fields
+        .filter(definition => definition.type === 'enum')
+        .map(definition => `- FINAL CHECK: ${definition.name} must be exactly one of ${definition.values.map(value => `"${value}"`).join(', ')}${definition.nullable ? ' or null' : ''} - copy the spelling and case exactly.`)
+        .join('\n');
+
+    const quoted = fields.filter(definition => definition.requireEvidence).map(definition => definition.name);
+    const evidenceRule = quoted.length > 0
+        ? `- EVIDENCE: for ${quoted.join(', ')} copy the exact words from the input that state each value into "evidence" (a short phrase, not a paraphrase). Use null when the value is null. A value you cannot quote is not in the input - set it to null.\n`
+        : '';
+
+    return `You are an AI that extracts job details and always outputs a single valid JSON object.
+
+Input:
+Job Title: ${jobTitle}
+Job Description: ${jobDescription}
+${knownFieldsSection}${foreign ? languageSection(language, translateTitle) : ''}
+Rules:
+- Extract:
+${buildPromptFieldSection(fields)}
+- CRITICAL: DO NOT MAKE UP INFORMATION. Only extract what is explicitly stated in the job description.
+- SPECIAL CASE: If job description is missing, empty, or says "No Job Description", still return job_title from the job title input above, and set all other fields to null.
+- Output must be strictly JSON, no extra text, no explanations.
+${evidenceRule}${enumChecks}
+
+Output Format (use this structure and extract from the appropriate sources):
+${buildOutputTemplate(outputFields)}`;
+}
+
+// Longest previous answer quoted back to the model in a repair prompt
+const MAX_PREVIOUS_ANSWER = 4000;
+
+// Retry prompt after a rejected answer: the original prompt plus the answer and
+// what was wrong with it, so the model fixes those fields instead of starting
+// over. `errors` maps field names to messages from validateResult; `_root` is
+// an answer that was not a JSON object at all.
+export function buildRepairPrompt(prompt, { previousAnswer, errors }) {
+    const answer = previousAnswer.length > MAX_PREVIOUS_ANSWER
+        ? `${previousAnswer.substring(0, MAX_PREVIOUS_ANSWER)}...`
+        : previousAnswer;
+    const fieldNames = Object.keys(errors).filter(name => name !== '_root');
+    const instruction = fieldNames.length > 0
+        ? `Return the complete JSON object again. Keep every other field exactly as it was and fix only: ${fieldNames.join(', ')}.`
+        : 'Return only the JSON object in the output format above, with no text before or after it.';
+
+    return `${prompt}
+
+Your previous answer was rejected:
+${answer}
+
+Problems:
+${Object.values(errors).map(message => `- ${message}`).join('\n')}
+${instruction}`;
+}
@@ -0,0 +1,22 @@
+const DEFAULT_TIMEOUT_MS = 30000;
+
+// POST a JSON body and return the parsed JSON response, failing loudly on non-2xx
+export async function postJson(url, body, { headers = {}, timeoutMs, fetchImpl } = {}) {
+    const doFetch = fetchImpl || globalThis.fetch;
+    const response = await doFetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(timeoutMs || parseInt(process.env.LLM_TIMEOUT_MS || DEFAULT_TIMEOUT_MS, 10))
+    });
+
+    const text = await response.text();
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} from ${url}: ${text.substring(0, 200)}`);
+    }
+    try {
+        return JSON.parse(text);
+    } catch (parseError) {
+        throw new Error(`Invalid JSON from ${url}: ${parseError.message}`);
+    }
+}
@@ -0,0 +1,122 @@
+import { createReplicateProvider, DEFAULT_REPLICATE_MODEL } from "./replicate.js";
+import { createOpenAIProvider, DEFAULT_OPENAI_MODEL } from "./openai.js";
+import { createOllamaProvider, DEFAULT_OLLAMA_MODEL } from "./ollama.js";
+
+// Every provider exposes the same shape:
+//   { name, model, generate(prompt, { maxTokens }) -> Promise<{ text, usage }> }
+// so the extraction code never knows which backend answered.
+
+const PROVIDER_FACTORIES = {
+    replicate: createReplicateProvider,
+    openai: createOpenAIProvider,
+    ollama: createOllamaProvider
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDER_FACTORIES);
+
+const DEFAULT_MODELS = {
+    replicate: DEFAULT_REPLICATE_MODEL,
+    openai: DEFAULT_OPENAI_MODEL,
+    ollama: DEFAULT_OLLAMA_MODEL
+};
+
+// "replicate:openai/gpt-4o-mini" -> { name: 'replicate', model: 'openai/gpt-4o-mini' }
+// Split on the first colon only - Ollama tags like "llama3.1:8b" keep theirs.
+export function parseProviderSpec(spec) {
+    const trimmed = String(spec).trim();
+    const separator = trimmed.indexOf(':');
+    const name = (separator === -1 ? trimmed : trimmed.substring(0, separator)).toLowerCase();
+    const model = separator === -1 ? undefined : trimmed.substring(separator + 1) || undefined;
+
+    if (!PROVIDER_FACTORIES[name]) {
+        throw new Error(`Unknown LLM provider "${name}". Use one of: ${PROVIDER_NAMES.join(', ')}`);
+    }
+    return { name, model };
+}
+
+export function createProvider(spec, options = {}) {
+    const { name, model } = typeof spec === 'string' ? parseProviderSpec(spec) : spec;
+    if (!PROVIDER_FACTORIES[name]) {
+        throw new Error(`Unknown LLM provider "${name}". Use one of: ${PROVIDER_NAMES.join(', ')}`);
+    }
+    return PROVIDER_FACTORIES[name]({ ...options, model: model || options.model });
+}
+
+// Try each provider in order and return the first answer. The result names the
+// provider that produced it; if all fail, the error lists every failure.
+export function createProviderChain(providers) {
+    if (providers.length === 1) {
+        return providers[0];
+    }
+
+    return {
+        name: providers.map(provider => provider.name).join('>'),
+        model: providers[0].model,
+        async generate(prompt, options) {
+            const failures = [];
+            for (const provider of providers) {
+                try {
+                    const result = await provider.generate(prompt, options);
+                    return { ...result, provider: provider.name, model: provider.model };
+                } catch (error) {
+                    failures.push(`${provider.name}(${provider.model}): ${error.message}`);
+                }
+            }
+            throw new Error(`All LLM providers failed - ${failures.join('; ')}`);
+        }
+    };
+}
+
+// The primary provider spec: a per-request override, else LLM_PROVIDER / LLM_MODEL.
+// The configured model belongs to LLM_PROVIDER, so a request for another
+// provider without a model gets that provider's default instead.
+function primarySpec(overrides, env) {
+    const configured = parseProviderSpec(env.LLM_PROVIDER || 'replicate');
+    const spec = overrides.provider ? parseProviderSpec(overrides.provider) : configured;
+    const configuredModel = spec.name === configured.name ? configured.model || env.LLM_MODEL : undefined;
+    return {
+        name: spec.name,
+        model: overrides.model || spec.model || configuredModel || undefined
+    };
+}
+
+function fallbackSpecs(env) {
+    return (env.LLM_FALLBACKS || '')
+        .split(',')
+        .map(spec => spec.trim())
+        .filter(Boolean)
+        .map(parseProviderSpec);
+}
+
+// Build the provider chain from the environment, optionally overridden per request.
+//   LLM_PROVIDER   primary provider spec, e.g. "replicate" or "openai:gpt-4o-mini" (default: replicate)
+//   LLM_MODEL      model for the primary provider when the spec has none
+//   LLM_FALLBACKS  comma-separated specs tried in order when the primary errors
+export function providerFromConfig(overrides = {}, env = process.env) {
+    return createProviderChain([primarySpec(overrides, env), ...fallbackSpecs(env)].map(spec => createProvider(spec)));
+}
+
+// Provider/model pairs a request may pick with `provider`/`model`:
+//   ALLOWED_MODELS  comma-separated specs, "openai:*" for every model of a provider
+//                   (default: the configured chain, LLM_PROVIDER & co.)
+// A spec without a model stands for the provider's default model.
+export function allowedModelsFromEnv(env = process.env) {
+    const specs = env.ALLOWED_MODELS
+        ? env.ALLOWED_MODELS.split(',').map(spec => spec.trim()).filter(Boolean).map(parseProviderSpec)
+        : [primarySpec({}, env), ...fallbackSpecs(env)];
+    return specs.map(spec => ({ name: spec.name, model: spec.model || DEFAULT_MODELS[spec.name] }));
+}
+
+// Check a per-request { provider, model } override against allowedModelsFromEnv.
+// Returns the resolved { name, model }; throws a 400 error when it is not allowed.
+export function checkProviderOverride(overrides, env = process.env) {
+    const spec = primarySpec(overrides, env);
+    const requested = { name: spec.name, model: spec.model || DEFAULT_MODELS[spec.name] };
+    const allowed = allowedModelsFromEnv(env);
+    if (!allowed.some(entry => entry.name === requested.name && (entry.model === '*' || entry.model === requested.model))) {
+        const error = new Error(`Model "${requested.name}:${requested.model}" is not allowed. Use one of: ${allowed.map(entry => `${entry.name}:${entry.model}`).join(', ')}`);
+        error.statusCode = 400;
+        throw error;
+    }
+    return requested;
+}
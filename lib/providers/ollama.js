@@ -0,0 +1,31 @@
+import { postJson } from "./http.js";
+
+export const DEFAULT_OLLAMA_MODEL = 'llama3.1';
+
+// A local Ollama-style server (POST /api/generate, non-streaming)
+export function createOllamaProvider(options = {}) {
+    const model = options.model || DEFAULT_OLLAMA_MODEL;
+    const baseUrl = (options.baseUrl || process.env.OLLAMA_BASE_URL || 'http://localhost:11434').replace(/\/+$/, '');
+
+    return {
+        name: 'ollama',
+        model,
+        async generate(prompt, { maxTokens = 200 } = {}) {
+            const data = await postJson(`${baseUrl}/api/generate`, {
+                model,
+                prompt,
+                stream: false,
+                format: 'json',
+                options: { num_predict: maxTokens, temperature: 0 }
+            }, { fetchImpl: options.fetch });
+
+            if (typeof data.response !== 'string') {
+                throw new Error('Ollama response has no text');
+            }
+            const usage = data.prompt_eval_count !== undefined || data.eval_count !== undefined
+                ? { input_tokens: data.prompt_eval_count, output_tokens: data.eval_count }
+                : null;
+            return { text: data.response.trim(), usage };
+        }
+    };
+}
@@ -0,0 +1,38 @@
+import { postJson } from "./http.js";
+
+export const DEFAULT_OPENAI_MODEL = 'gpt-4o-mini';
+
+// Any endpoint that speaks the OpenAI chat completions API (OpenAI, Azure-style
+// proxies, vLLM, LM Studio, OpenRouter, ...)
+export function createOpenAIProvider(options = {}) {
+    const model = options.model || DEFAULT_OPENAI_MODEL;
+    const baseUrl = (options.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    const apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+
+    return {
+        name: 'openai',
+        model,
+        async generate(prompt, { maxTokens = 200 } = {}) {
+            const data = await postJson(`${baseUrl}/chat/completions`, {
+                model,
+                messages: [{ role: 'user', content: prompt }],
+                max_tokens: maxTokens,
+                temperature: 0
+            }, {
+                headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+                fetchImpl: options.fetch
+            });
+
+            const content = data.choices && data.choices[0] && data.choices[0].message
+                ? data.choices[0].message.content
+                : null;
+            if (typeof content !== 'string') {
+                throw new Error('OpenAI-compatible response has no message content');
+            }
+            const usage = data.usage
+                ? { input_tokens: data.usage.prompt_tokens, output_tokens: data.usage.completion_tokens }
+                : null;
+            return { text: content.trim(), usage };
+        }
+    };
+}
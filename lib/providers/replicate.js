@@ -0,0 +1,44 @@
+import Replicate from "replicate";
+
+export const DEFAULT_REPLICATE_MODEL = 'openai/gpt-4o-mini';
+
+// Replicate returns a token array for streaming language models, a plain string
+// for some others and occasionally an object - flatten all of them to text
+export function normalizeReplicateOutput(output) {
+    if (output === null || output === undefined) {
+        return '';
+    }
+    if (Array.isArray(output)) {
+        return output.map(part => (typeof part === 'string' ? part : JSON.stringify(part))).join('');
+    }
+    if (typeof output === 'string') {
+        return output;
+    }
+    if (typeof output === 'object') {
+        if (typeof output.text === 'string') return output.text;
+        if (typeof output.output === 'string' || Array.isArray(output.output)) return normalizeReplicateOutput(output.output);
+        return JSON.stringify(output);
+    }
+    return String(output);
+}
+
+export function createReplicateProvider(options = {}) {
+    const model = options.model || DEFAULT_REPLICATE_MODEL;
+    // A client can be injected (e.g. a stub that replays recorded output)
+    const client = options.client || new Replicate({
+        auth: options.apiToken || process.env.REPLICATE_API_TOKEN
+    });
+
+    return {
+        name: 'replicate',
+        model,
+        async generate(prompt, { maxTokens = 200 } = {}) {
+            const input = {
+                prompt: prompt,
+                max_new_tokens: maxTokens
+            };
+            const output = await client.run(model, { input });
+            return { text: normalizeReplicateOutput(output).trim(), usage: null };
+        }
+    };
+}
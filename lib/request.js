@@ -0,0 +1,80 @@
+import { parseMultipartEvent } from "./multipart.js";
+import { documentToText } from "./documents.js";
+
+// Request body parsing for the Netlify functions. Every supported content type
+// ends up as one flat object of request fields; base64-encoded bodies (as API
+// Gateway and Netlify send binary payloads) are decoded first.
+
+// Fields that may carry an uploaded job description file, in order of preference
+const DESCRIPTION_FILE_FIELDS = ['job_description', 'job_description_file', 'file'];
+
+function requestError(message, details, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.details = details;
+    return error;
+}
+
+function headerValue(headers, name) {
+    const match = Object.keys(headers || {}).find(key => key.toLowerCase() === name);
+    return match ? headers[match] : undefined;
+}
+
+export function eventBodyText(event) {
+    if (typeof event.body !== 'string') {
+        return '';
+    }
+    return event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+}
+
+// Parse a multipart request; an uploaded description file is converted to text
+async function parseMultipartForm(event) {
+    const { fields, files } = parseMultipartEvent(event);
+
+    if (!fields.job_description && files.length > 0) {
+        const file = DESCRIPTION_FILE_FIELDS
+            .map(name => files.find(candidate => candidate.name === name))
+            .find(Boolean) || files[0];
+        fields.job_description = await documentToText(file);
+        fields.job_description_source = file.filename;
+    }
+    return fields;
+}
+
+function parseJsonBody(text) {
+    const body = JSON.parse(text);
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new Error('Body must be a JSON object');
+    }
+    return body;
+}
+
+// Request fields from a JSON, URL-encoded or multipart body. Bodies without a
+// recognised Content-Type are tried as JSON. Throws a 400 error with
+// `details` for bodies that cannot be parsed; an empty body gives {}.
+export async function parseEventBody(event) {
+    const contentType = headerValue(event.headers, 'content-type') || '';
+
+    if (contentType.includes('multipart/form-data')) {
+        try {
+            return await parseMultipartForm(event);
+        } catch (parseError) {
+            throw requestError('Error parsing multipart form data', parseError.message, parseError.statusCode || 400);
+        }
+    }
+
+    const text = eventBodyText(event);
+    if (contentType.includes('application/x-www-form-urlencoded')) {
+        return Object.fromEntries(new URLSearchParams(text));
+    }
+    if (!text.trim()) {
+        return {};
+    }
+    try {
+        return parseJsonBody(text);
+    } catch (parseError) {
+        throw contentType.includes('application/json')
+            ? requestError('Invalid JSON body', parseError.message)
+            : requestError('Invalid request format. Use JSON or URL-encoded form data.', parseError.message);
+    }
+}
@@ -0,0 +1,466 @@
+// Declarative registry of the fields we extract. The prompt's field section,
+// the output JSON template, the response validator and the null fallback are
+// all generated from this list - adding a field means adding an entry here.
+//
+// Entry shape:
+//   name         output key
+//   type         'string' | 'enum' | 'number' | 'boolean' | 'array' | 'object'
+//   values       allowed values for 'enum'
+//   aliases      other spellings of enum values ({ 'in office': 'on-site' }); case,
+//                spacing and punctuation are ignored anyway (see coerceValue)
+//   items        entry-like schema for 'array' elements
+//   properties   list of entry-like schemas for 'object'
+//   nullable     whether null is a valid answer
+//   description  instruction shown to the model after "name →"
+//   doc          what the value means to API callers (OpenAPI spec and docs page)
+//   output       entry-like schema of the value as returned, when normalize
+//                changes its shape (the model lists strings, callers get objects)
+//   rules        extra instruction lines shown under the field
+//   template     placeholder shown in the output format (generated when omitted)
+//   normalize    cleanup applied to the model's value before validation, called as
+//                normalize(value, { jobTitle, jobDescription }) so it can check the source text
+//   evidence     value -> strings/regexes whose presence in the input backs the value
+//                (called per item for arrays); see evidence.js
+//   evidenceOrder  parts of the input searched for evidence, in order (default
+//                ['job_description', 'job_title'])
+//   requireEvidence  a value with no evidence in the input is nulled (or rejected)
+//                and the model is asked to quote its evidence for this field
+//   settleOptional  list fields the rules can only partly find: the model is
+//                skipped once every other field is settled, and this one then
+//                holds the rules' value
+
+import { normalizeCompensation, compensationTerms, COMPENSATION_PERIODS } from "./compensation.js";
+import { normalizeSkills } from "./skills.js";
+import { findEvidence, titleTerms, cityTerms, companyTerms, experienceTerms, WORK_ARRANGEMENT_TERMS } from "./evidence.js";
+import { normalizeLocations, LOCATION_STATUSES } from "./locations.js";
+
+// Bump when a field is added/changed so anything keyed on the schema (caches,
+// recorded eval responses) is invalidated
+export const SCHEMA_VERSION = 5;
+
+function trimString(value) {
+    return typeof value === 'string' ? value.trim() : value;
+}
+
+// A location as returned after gazetteer resolution (see locations.js), in
+// `locations` and as the primary `location`
+export const RESOLVED_LOCATION = {
+    type: 'object',
+    properties: [
+        { name: 'raw', type: 'string', nullable: false, doc: 'The location as written in the posting' },
+        { name: 'display', type: 'string', nullable: false, doc: '"City, ST" in the US, the bare city elsewhere' },
+        { name: 'city', type: 'string', nullable: true },
+        { name: 'state', type: 'string', nullable: true, doc: 'US state or other region code' },
+        { name: 'country', type: 'string', nullable: true, doc: 'ISO 3166-1 alpha-2 code' },
+        { name: 'latitude', type: 'number', nullable: true },
+        { name: 'longitude', type: 'number', nullable: true },
+        { name: 'status', type: 'enum', values: LOCATION_STATUSES, nullable: false },
+        { name: 'alternatives', type: 'array', nullable: false, items: { type: 'string' }, doc: 'Other places an ambiguous name could mean' }
+    ]
+};
+
+export const FIELDS = [
+    {
+        name: 'job_title',
+        doc: "Cleaned job title: location, job IDs and repeated words removed, seniority kept. English when translate_title is set (the posting's own title is then in job_title_original)",
+        type: 'string',
+        nullable: false,
+        description: 'ALWAYS extract from the job title input above, even if job description is missing or says "No Job Description"',
+        rules: [
+            'Clean the job title:',
+            '  • Remove only: location info (e.g., "New York, NY"), job IDs, and excessive duplicate words',
+            '  • Keep: role, specialization, department, company (if relevant), and seniority level',
+            '  • Example: "Data Engineer, Google Fi and Store, Infrastructure" → "Data Engineer, Google Fi and Store, Infrastructure"',
+            '  • Example: "Senior Software Engineer - New York, NY" → "Senior Software Engineer"'
+        ],
+        template: '[extract from job title input above]',
+        normalize: trimString,
+        evidence: titleTerms,
+        evidenceOrder: ['job_title', 'job_description']
+    },
+    {
+        name: 'city',
+        doc: 'Primary location: "City, ST" in the US, the bare city elsewhere, or null',
+        type: 'string',
+        nullable: true,
+        description: 'extract from BOTH the job description AND the job title. Check both sources carefully. Use only city/state abbreviation format (e.g., "Richmond, VA" not "Richmond, Virginia"), drop country. If multiple cities listed, prioritize and pick ONLY ONE - the one in the US if available (list them all under locations). If not found in either source, return null.',
+        template: '[extract from job description AND job title - check both sources, or null]',
+        normalize: trimString,
+        evidence: cityTerms,
+        requireEvidence: true
+    },
+    {
+        name: 'locations',
+        doc: 'Every work location the posting names, resolved against the gazetteer',
+        type: 'array',
+        nullable: false,
+        description: 'every work location the posting names, each written as it appears in the text (e.g. ["Seattle, WA", "Denver, CO"]), including non-US ones. Do not list "Remote" or other work arrangements. If no location is named, return [].',
+        // The model lists plain strings; normalizeLocations turns them into gazetteer matches (see locations.js)
+        template: ['[each work location as written in the posting]'],
+        items: {
+            type: 'object',
+            properties: [
+                { name: 'raw', type: 'string', nullable: false },
+                { name: 'display', type: 'string', nullable: false },
+                { name: 'status', type: 'enum', values: LOCATION_STATUSES, nullable: false }
+            ]
+        },
+        output: { type: 'array', nullable: false, items: RESOLVED_LOCATION },
+        normalize: normalizeLocations,
+        settleOptional: true,
+        evidence: location => [location.raw, ...cityTerms(location.display)]
+    },
+    {
+        name: 'work_arrangement',
+        doc: 'remote, hybrid or on-site, or null when the posting does not say',
+        type: 'enum',
+        values: ['remote', 'hybrid', 'on-site'],
+        aliases: {
+            'in office': 'on-site', office: 'on-site', 'fully remote': 'remote', 'remote first': 'remote', 'work from home': 'remote',
+            // The model sometimes answers in the posting's language
+            'télétravail': 'remote', remoto: 'remote', teletrabajo: 'remote', hybride: 'hybrid', 'híbrido': 'hybrid',
+            'vor ort': 'on-site', 'sur site': 'on-site', 'présentiel': 'on-site', presencial: 'on-site'
+        },
+        nullable: true,
+        description: 'one of: ["remote", "hybrid", "on-site"]. CRITICAL: Always return lowercase only ("hybrid" not "Hybrid"). If not found, return null.',
+        template: '[remote/hybrid/on-site or null] (MUST be lowercase)',
+        normalize: trimString,
+        evidence: value => WORK_ARRANGEMENT_TERMS[value] || [],
+        requireEvidence: true
+    },
+    {
+        name: 'company',
+        doc: 'Hiring company named in the posting, or null',
+        type: 'string',
+        nullable: true,
+        description: 'extract the company name from the job description. If not found, return null.',
+        template: '[extract company name from job description or null]',
+        normalize: trimString,
+        evidence: companyTerms,
+        requireEvidence: true
+    },
+    {
+        name: 'experience',
+        doc: 'Experience level from the years or seniority the posting asks for, or null',
+        type: 'enum',
+        values: ['Entry (0-2 Years)', 'Mid (3-5 Years)', 'Senior (6-8 Years)', 'Lead (8+ Years)'],
+        aliases: {
+            entry: 'Entry (0-2 Years)', 'entry level': 'Entry (0-2 Years)',
+            mid: 'Mid (3-5 Years)', 'mid level': 'Mid (3-5 Years)',
+            senior: 'Senior (6-8 Years)', lead: 'Lead (8+ Years)'
+        },
+        nullable: true,
+        description: 'one of the values below. If unclear, return null. Look for explicit mentions of years of experience, seniority keywords, or job level indicators. If none are found, return null.',
+        rules: [
+            'Experience level mapping (CRITICAL - follow this exactly):',
+            '  • "1+ years" or "minimum 1 year" = Entry (0-2 Years)',
+            '  • "2+ years" or "minimum 2 years" = Mid (3-5 Years)',
+            '  • "5+ years" or "minimum 5 years" = Senior (6-8 Years)',
+            '  • "8+ years" or "minimum 8 years" = Lead (8+ Years)',
+            'IMPORTANT: "2+ years" ALWAYS equals Mid (3-5 Years), NOT Entry',
+            'Do not infer experience level from job title alone unless it clearly indicates seniority (e.g., "Senior", "Lead", "Principal").'
+        ],
+        normalize: trimString,
+        evidence: experienceTerms,
+        requireEvidence: true
+    },
+    {
+        name: 'compensation',
+        doc: 'Stated pay; numbers that do not appear in the posting are dropped',
+        type: 'object',
+        nullable: true,
+        description: 'the salary or pay range stated in the job description, as an object. Copy the exact text into "raw". Use plain numbers ("$120k" → 120000), an ISO currency code ("$" → "USD", "£" → "GBP") and period "hourly" or "yearly". If no pay is stated, return null - never estimate.',
+        properties: [
+            { name: 'min', type: 'number', nullable: true, template: '[lowest amount as a number or null]' },
+            { name: 'max', type: 'number', nullable: true, template: '[highest amount as a number or null]' },
+            { name: 'currency', type: 'string', nullable: true, template: '[ISO currency code like USD or null]' },
+            { name: 'period', type: 'enum', values: COMPENSATION_PERIODS, nullable: true, template: '[hourly/yearly or null]' },
+            { name: 'raw', type: 'string', nullable: true, template: '[exact pay text from the job description or null]' }
+        ],
+        normalize: (value, source) => normalizeCompensation(value, `${source.jobTitle || ''}\n${source.jobDescription || ''}`),
+        evidence: compensationTerms
+    },
+    {
+        name: 'skills',
+        doc: 'Skills the posting asks for, mapped onto the skills taxonomy',
+        type: 'array',
+        nullable: false,
+        description: 'every skill, technology, tool or methodology the job description asks for, written as it appears in the text. Set "required" to true for must-haves and false for nice-to-have / preferred / bonus items. If none are listed, return [].',
+        items: {
+            type: 'object',
+            properties: [
+                { name: 'name', type: 'string', nullable: false, template: '[skill as written in the job description]' },
+                { name: 'required', type: 'boolean', nullable: false, template: '[true if required, false if nice-to-have]' }
+            ]
+        },
+        output: {
+            type: 'array',
+            nullable: false,
+            items: {
+                type: 'object',
+                properties: [
+                    { name: 'id', type: 'string', nullable: true, doc: 'Taxonomy id, null for skills outside the taxonomy' },
+                    { name: 'name', type: 'string', nullable: false, doc: 'Canonical name, or the skill as written when it is not in the taxonomy' },
+                    { name: 'raw', type: 'string', nullable: false, doc: 'The skill as written in the posting' },
+                    { name: 'required', type: 'boolean', nullable: false, doc: 'false for nice-to-have items' },
+                    { name: 'known', type: 'boolean', nullable: false }
+                ]
+            }
+        },
+        normalize: (value, source) => normalizeSkills(value, `${source.jobTitle || ''}\n${source.jobDescription || ''}`),
+        evidence: skill => [skill.raw, skill.name],
+        settleOptional: true
+    }
+];
+
+export function fieldNames(fields = FIELDS) {
+    return fields.map(definition => definition.name);
+}
+
+// Fields that must be settled before the rules alone answer (see settleOptional)
+export function settleRequiredFieldNames() {
+    return fieldNames(FIELDS.filter(definition => !definition.settleOptional));
+}
+
+// "  • name → description" plus indented rules and enum values, for the prompt's Extract section
+export function buildPromptFieldSection(fields = FIELDS) {
+    const lines = [];
+    for (const definition of fields) {
+        lines.push(`  • ${definition.name} → ${definition.description}`);
+        if (definition.type === 'enum' && !definition.description.startsWith('one of:')) {
+            for (const value of definition.values) {
+                lines.push(`      - ${value}`);
+            }
+        }
+        for (const rule of definition.rules || []) {
+            lines.push(`    ${rule}`);
+        }
+    }
+    return lines.join('\n');
+}
+
+function placeholderFor(definition) {
+    if (definition.template) {
+        return definition.template;
+    }
+    const orNull = definition.nullable ? ' or null' : '';
+    switch (definition.type) {
+        case 'enum':
+            return `[${definition.values.join('/')}${orNull}]`;
+        case 'array':
+            return `[list of ${definition.items ? definition.items.type : 'values'}${orNull}]`;
+        default:
+            return `[${definition.type}${orNull}]`;
+    }
+}
+
+function templateValue(definition, indent) {
+    if (definition.type === 'object' && definition.properties && !definition.template) {
+        const inner = definition.properties
+            .map(property => `${indent}  "${property.name}": ${templateValue(property, `${indent}  `)}`)
+            .join(',\n');
+        return `{\n${inner}\n${indent}}${definition.nullable ? ' (or null)' : ''}`;
+    }
+    if (definition.type === 'array' && definition.items && definition.items.type === 'object' && !definition.template) {
+        return `[ ${templateValue(definition.items, indent)} ]`;
+    }
+    return JSON.stringify(placeholderFor(definition));
+}
+
+// The JSON skeleton shown under "Output Format", with an "evidence" object
+// asking for a supporting quote for every field that requires evidence
+export function buildOutputTemplate(fields = FIELDS) {
+    const entries = fields.map(definition => `  "${definition.name}": ${templateValue(definition, '  ')}`);
+    const quoted = fields.filter(definition => definition.requireEvidence);
+    if (quoted.length > 0) {
+        const quotes = quoted
+            .map(definition => `    "${definition.name}": ${JSON.stringify(`[exact words from the input that state ${definition.name}, or null]`)}`)
+            .join(',\n');
+        entries.push(`  "evidence": {\n${quotes}\n  }`);
+    }
+    return `{\n${entries.join(',\n')}\n}`;
+}
+
+// "On-Site", " onsite " and "ON SITE" share a key, as do "Híbrido" and "hibrido"
+function enumKey(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9+]/g, '');
+}
+
+const NULL_WORDS = new Set(['', 'null', 'none', 'n/a', 'na', 'unknown', 'not specified', 'not stated']);
+
+// Deterministic fixes for answers that are right but misspelled: enum values in
+// the wrong case or spacing ("Onsite" -> "on-site") or given by an alias,
+// numbers and booleans sent as strings, padded strings, and "null"/"N/A" for
+// null. Anything it cannot fix is returned unchanged for validation to reject.
+export function coerceValue(definition, value) {
+    if (typeof value === 'string' && definition.nullable && NULL_WORDS.has(value.trim().toLowerCase())) {
+        return null;
+    }
+    if (value === null || value === undefined) {
+        return value;
+    }
+
+    switch (definition.type) {
+        case 'string':
+            return typeof value === 'string' ? value.trim() : value;
+        case 'enum': {
+            if (typeof value !== 'string' || definition.values.includes(value)) return value;
+            const key = enumKey(value);
+            const match = definition.values.find(allowed => enumKey(allowed) === key);
+            if (match) return match;
+            const alias = Object.entries(definition.aliases || {}).find(([name]) => enumKey(name) === key);
+            return alias ? alias[1] : value;
+        }
+        case 'number':
+            if (typeof value === 'string' && /^\s*-?[\d,]*\.?\d+\s*$/.test(value)) return Number(value.replace(/[,\s]/g, ''));
+            return value;
+        case 'boolean':
+            if (typeof value !== 'string') return value;
+            if (/^\s*(?:true|yes)\s*$/i.test(value)) return true;
+            if (/^\s*(?:false|no)\s*$/i.test(value)) return false;
+            return value;
+        case 'array':
+            return Array.isArray(value) && definition.items ? value.map(item => coerceValue(definition.items, item)) : value;
+        case 'object': {
+            if (typeof value !== 'object' || Array.isArray(value)) return value;
+            const coerced = { ...value };
+            for (const property of definition.properties || []) {
+                if (property.name in coerced) coerced[property.name] = coerceValue(property, coerced[property.name]);
+            }
+            return coerced;
+        }
+        default:
+            return value;
+    }
+}
+
+// Validate one value against an entry-like schema; returns an error message or null
+function validateValue(definition, value) {
+    if (value === null) {
+        return definition.nullable ? null : 'must not be null';
+    }
+    if (value === undefined) {
+        return 'is missing';
+    }
+
+    switch (definition.type) {
+        case 'string':
+            if (typeof value !== 'string') return 'must be a string';
+            if (!definition.nullable && value.trim().length === 0) return 'must not be empty';
+            return null;
+        case 'enum':
+            return definition.values.includes(value) ? null : `must be one of: ${definition.values.join(', ')}`;
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value) ? null : 'must be a number';
+        case 'boolean':
+            return typeof value === 'boolean' ? null : 'must be a boolean';
+        case 'array': {
+            if (!Array.isArray(value)) return 'must be an array';
+            if (!definition.items) return null;
+            for (let index = 0; index < value.length; index++) {
+                const error = validateValue(definition.items, value[index]);
+                if (error) return `[${index}] ${error}`;
+            }
+            return null;
+        }
+        case 'object': {
+            if (typeof value !== 'object' || Array.isArray(value)) return 'must be an object';
+            for (const property of definition.properties || []) {
+                const error = validateValue(property, value[property.name]);
+                if (error) return `.${property.name} ${error}`;
+            }
+            return null;
+        }
+        default:
+            return `has unknown type ${definition.type}`;
+    }
+}
+
+function isEmpty(value) {
+    return value === null || value === undefined || (Array.isArray(value) && value.length === 0);
+}
+
+// Locate every field value in `source`. `quotes` maps field names to the
+// model's supporting quotes. Returns { field: evidence | null } with an
+// evidence array (one entry per item) for list fields.
+export function findResultEvidence(result, { fields = FIELDS, source = {}, quotes = {} } = {}) {
+    const evidence = {};
+    for (const definition of fields) {
+        const value = result[definition.name];
+        if (!definition.evidence || isEmpty(value)) {
+            evidence[definition.name] = Array.isArray(value) ? [] : null;
+        } else if (Array.isArray(value)) {
+            evidence[definition.name] = value.map(item => findEvidence(definition.evidence(item), source, undefined, definition.evidenceOrder));
+        } else {
+            evidence[definition.name] = findEvidence(definition.evidence(value), source, quotes[definition.name], definition.evidenceOrder);
+        }
+    }
+    return evidence;
+}
+
+// Coerce, normalize and validate a parsed model response. `source` is the
+// original { jobTitle, jobDescription } that normalizers and the evidence check use.
+// Values of `requireEvidence` fields that cannot be found in the input are
+// nulled (evidenceMode 'null', the default), fail validation ('reject') or
+// are kept ('off').
+// Returns { valid, errors: { field: message }, value, evidence, unsupported, coerced }
+// where value holds only schema fields, unsupported lists nulled fields and
+// coerced the fields coerceValue had to fix.
+export function validateResult(result, { fields = FIELDS, source = {}, evidenceMode = 'null' } = {}) {
+    const errors = {};
+    const value = {};
+    const unsupported = [];
+    const coerced = [];
+
+    if (!result || typeof result !== 'object' || Array.isArray(result)) {
+        return { valid: false, errors: { _root: 'response must be a JSON object' }, value, evidence: {}, unsupported, coerced };
+    }
+
+    for (const definition of fields) {
+        const answer = coerceValue(definition, result[definition.name]);
+        if (JSON.stringify(answer) !== JSON.stringify(result[definition.name])) {
+            coerced.push(definition.name);
+        }
+        const normalized = definition.normalize ? definition.normalize(answer, source) : answer;
+        const error = validateValue(definition, normalized);
+        if (error) {
+            errors[definition.name] = `${definition.name} ${error}`;
+        }
+        value[definition.name] = normalized;
+    }
+
+    const quotes = result.evidence && typeof result.evidence === 'object' ? result.evidence : {};
+    const evidence = findResultEvidence(value, { fields, source, quotes });
+
+    if (evidenceMode !== 'off') {
+        for (const definition of fields) {
+            const name = definition.name;
+            if (!definition.requireEvidence || errors[name] || isEmpty(value[name]) || evidence[name]) {
+                continue;
+            }
+            if (evidenceMode === 'reject') {
+                errors[name] = `${name} "${value[name]}" is not supported by the job title or description`;
+            } else if (definition.nullable) {
+                value[name] = null;
+                unsupported.push(name);
+            }
+        }
+    }
+
+    return { valid: Object.keys(errors).length === 0, errors, value, evidence, unsupported, coerced };
+}
+
+// Fallback when extraction fails: the input title, [] for non-nullable lists and null everywhere else
+export function nullResult(jobTitle, fields = FIELDS) {
+    const result = {};
+    for (const definition of fields) {
+        if (definition.name === 'job_title') {
+            result[definition.name] = jobTitle;
+        } else if (definition.type === 'array' && !definition.nullable) {
+            result[definition.name] = [];
+        } else {
+            result[definition.name] = null;
+        }
+    }
+    return result;
+}
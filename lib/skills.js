@@ -0,0 +1,168 @@
+import { SKILLS } from "./data/skills-taxonomy.js";
+import { termPattern } from "./terms.js";
+
+// Skill normalization against the bundled taxonomy. Each extracted skill comes
+// out as { id, name, raw, required, known }: known skills carry the canonical
+// id and name, unknown ones keep the text as written with id null.
+
+function aliasKey(text) {
+    return text.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// "Node JS" / "node-js" / "NodeJS" all compact to "nodejs"
+function compactKey(text) {
+    return text.toLowerCase().replace(/[^a-z0-9+#]/g, '');
+}
+
+const BY_ALIAS = new Map();
+const BY_COMPACT = new Map();
+for (const entry of SKILLS) {
+    for (const alias of [entry.name, entry.id, ...entry.aliases]) {
+        if (!BY_ALIAS.has(aliasKey(alias))) BY_ALIAS.set(aliasKey(alias), entry);
+        const compact = compactKey(alias);
+        if (compact && !BY_COMPACT.has(compact)) BY_COMPACT.set(compact, entry);
+    }
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function titleCase(text) {
+    return text.replace(/\b[a-z]/g, letter => letter.toUpperCase());
+}
+
+// The ways an entry may be written in free text: caseSensitive entries only
+// as their name or a Title Case or UPPER CASE alias ("Go", "GOLANG", not "go")
+function spellings(entry) {
+    const variants = entry.caseSensitive
+        ? [entry.name, ...entry.aliases.flatMap(alias => [titleCase(alias), alias.toUpperCase()])]
+        : [entry.name, ...entry.aliases];
+    return [...new Set(variants)];
+}
+
+// One regex per taxonomy entry for scanning free text
+const SCAN_PATTERNS = SKILLS
+    .filter(entry => entry.scan !== false)
+    .map(entry => {
+        const alternatives = spellings(entry)
+            .sort((a, b) => b.length - a.length)
+            .map(escapeRegExp)
+            .join('|');
+        return {
+            entry,
+            pattern: new RegExp(`(?<![\\w+#.])(?:${alternatives})(?![\\w+#]|\\.\\w)`, entry.caseSensitive ? 'g' : 'gi')
+        };
+    });
+
+const OPTIONAL_HEADER = /\b(?:nice[- ]to[- ]haves?|preferred|bonus|pluses|good[- ]to[- ]have|desirable|desired|extra credit)\b/i;
+const REQUIRED_HEADER = /\b(?:requirements?|required|qualifications|must[- ]haves?|what you(?:'ll)? need|you have|you bring|skills)\b/i;
+const OPTIONAL_INLINE = /\b(?:a plus|is a bonus|preferred|nice to have|would be great|ideally)\b/i;
+
+export function canonicalSkill(raw) {
+    if (typeof raw !== 'string' || !raw.trim()) {
+        return null;
+    }
+    return BY_ALIAS.get(aliasKey(raw)) || BY_COMPACT.get(compactKey(raw)) || null;
+}
+
+// Does the skill (or any spelling of its canonical entry) occur in the text as
+// a whole word? "Go" is not mentioned in "good", nor "JS" in "JSON"
+function mentionedIn(text, raw, entry) {
+    if (!entry) {
+        return termPattern(raw).test(text);
+    }
+    const terms = entry.caseSensitive ? spellings(entry) : [raw, ...spellings(entry)];
+    return terms.some(term => termPattern(term, { caseSensitive: entry.caseSensitive }).test(text));
+}
+
+function toSkill(raw, required) {
+    const entry = canonicalSkill(raw);
+    return {
+        id: entry ? entry.id : null,
+        name: entry ? entry.name : raw.trim(),
+        raw: raw.trim(),
+        required,
+        known: Boolean(entry)
+    };
+}
+
+// Merge duplicates ("JS" and "JavaScript"); a skill required anywhere stays required
+function dedupeSkills(skills) {
+    const byKey = new Map();
+    for (const skill of skills) {
+        const key = skill.id || `unknown:${compactKey(skill.raw)}`;
+        const existing = byKey.get(key);
+        if (!existing) {
+            byKey.set(key, skill);
+        } else if (skill.required && !existing.required) {
+            existing.required = true;
+        }
+    }
+    return [...byKey.values()];
+}
+
+// Known skills mentioned in free text; required/nice-to-have follows the section
+// header the line sits under ("Requirements" vs "Nice to have") or inline wording
+export function findSkillsInText(text) {
+    if (typeof text !== 'string' || !text) {
+        return [];
+    }
+
+    const skills = [];
+    let sectionRequired = true;
+    for (const line of text.split(/\r?\n/)) {
+        const trimmed = line.trim();
+        // Short lines ending in ":" or without punctuation read as section headers
+        if (trimmed.length > 0 && trimmed.length <= 60 && (/:$/.test(trimmed) || !/[.,;]/.test(trimmed))) {
+            if (OPTIONAL_HEADER.test(trimmed)) {
+                sectionRequired = false;
+            } else if (REQUIRED_HEADER.test(trimmed)) {
+                sectionRequired = true;
+            }
+        }
+        const required = sectionRequired && !OPTIONAL_INLINE.test(trimmed);
+
+        for (const { entry, pattern } of SCAN_PATTERNS) {
+            pattern.lastIndex = 0;
+            const match = pattern.exec(line);
+            if (match) {
+                skills.push({ id: entry.id, name: entry.name, raw: match[0], required, known: true });
+            }
+        }
+    }
+    return dedupeSkills(skills);
+}
+
+// Normalize the model's skills list: accept strings or { name, required } objects,
+// map onto the taxonomy, drop skills that never appear in the posting and merge duplicates
+export function normalizeSkills(value, sourceText = '') {
+    if (value === null) {
+        return [];
+    }
+    if (!Array.isArray(value)) {
+        return value;
+    }
+
+    const skills = [];
+    for (const item of value) {
+        let raw;
+        let required = true;
+        if (typeof item === 'string') {
+            raw = item;
+        } else if (item && typeof item === 'object') {
+            raw = typeof item.name === 'string' ? item.name : item.skill;
+            required = !(item.required === false || item.required === 'false' || item.nice_to_have === true);
+        }
+        if (typeof raw !== 'string' || !raw.trim()) {
+            continue;
+        }
+
+        const skill = toSkill(raw, required);
+        if (sourceText && !mentionedIn(sourceText, skill.raw, canonicalSkill(skill.raw))) {
+            continue;
+        }
+        skills.push(skill);
+    }
+    return dedupeSkills(skills);
+}
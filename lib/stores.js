@@ -0,0 +1,156 @@
+import { promises as fs } from "fs";
+import path from "path";
+
+// Small async key/value stores with optional TTL, shared by everything that
+// needs state between invocations (extraction cache, rate limits, ...).
+// Every store has the same shape:
+//   get(key) -> value | null
+//   set(key, value, { ttlSeconds })
+//   delete(key)
+// Values must be JSON-serializable.
+
+function envelope(value, ttlSeconds) {
+    return {
+        value,
+        expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null
+    };
+}
+
+function unwrap(entry) {
+    if (!entry || (entry.expiresAt && entry.expiresAt <= Date.now())) {
+        return null;
+    }
+    return entry.value;
+}
+
+// Most entries a memory store holds before the least recently used go
+export const DEFAULT_MEMORY_MAX_ENTRIES = 10000;
+// Expired entries are swept on set at most this often, and whenever the store is full
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Lives as long as the warm function instance - fine for tests and local dev.
+// Bounded: past `maxEntries` the least recently used entries are dropped.
+export function createMemoryStore({ maxEntries = DEFAULT_MEMORY_MAX_ENTRIES } = {}) {
+    // Map order is the recency order: reads and writes move a key to the end
+    const entries = new Map();
+    let sweptAt = Date.now();
+
+    function sweep() {
+        for (const [key, entry] of entries) {
+            if (unwrap(entry) === null) entries.delete(key);
+        }
+        sweptAt = Date.now();
+    }
+
+    return {
+        kind: 'memory',
+        async get(key) {
+            const entry = entries.get(key);
+            const value = unwrap(entry);
+            entries.delete(key);
+            if (value !== null) {
+                entries.set(key, entry);
+            }
+            return value;
+        },
+        async set(key, value, { ttlSeconds } = {}) {
+            entries.delete(key);
+            entries.set(key, envelope(value, ttlSeconds));
+            if (entries.size > maxEntries || Date.now() - sweptAt >= SWEEP_INTERVAL_MS) {
+                sweep();
+            }
+            for (const oldest of entries.keys()) {
+                if (entries.size <= maxEntries) break;
+                entries.delete(oldest);
+            }
+        },
+        async delete(key) {
+            entries.delete(key);
+        },
+        // Entries held, expired ones included until the next sweep
+        get size() {
+            return entries.size;
+        }
+    };
+}
+
+// One JSON file per key under `directory`, for local development
+export function createFileStore(directory) {
+    const fileFor = key => path.join(directory, `${encodeURIComponent(key)}.json`);
+
+    return {
+        kind: 'fs',
+        async get(key) {
+            try {
+                const entry = JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+                const value = unwrap(entry);
+                if (value === null) {
+                    await fs.rm(fileFor(key), { force: true });
+                }
+                return value;
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return null;
+                }
+                throw error;
+            }
+        },
+        async set(key, value, { ttlSeconds } = {}) {
+            await fs.mkdir(directory, { recursive: true });
+            await fs.writeFile(fileFor(key), JSON.stringify(envelope(value, ttlSeconds)));
+        },
+        async delete(key) {
+            await fs.rm(fileFor(key), { force: true });
+        }
+    };
+}
+
+// Netlify Blobs (or anything with the same get/setJSON/delete API). Pass a
+// ready-made blob store, or a store name to open one lazily via @netlify/blobs.
+export function createBlobsStore(storeOrName) {
+    let blobStore = typeof storeOrName === 'string' ? null : storeOrName;
+
+    async function resolve() {
+        if (!blobStore) {
+            const { getStore } = await import("@netlify/blobs");
+            blobStore = getStore(storeOrName);
+        }
+        return blobStore;
+    }
+
+    return {
+        kind: 'blobs',
+        async get(key) {
+            const entry = await (await resolve()).get(key, { type: 'json' });
+            return unwrap(entry);
+        },
+        async set(key, value, { ttlSeconds } = {}) {
+            await (await resolve()).setJSON(key, envelope(value, ttlSeconds));
+        },
+        async delete(key) {
+            await (await resolve()).delete(key);
+        }
+    };
+}
+
+// Lambda-style handlers must hand their event to @netlify/blobs before getStore works
+export async function connectBlobs(event) {
+    if (event && event.blobs) {
+        const { connectLambda } = await import("@netlify/blobs");
+        connectLambda(event);
+    }
+}
+
+// Pick a store by kind: 'memory' (at most `maxEntries`), 'fs' (under `directory`) or 'blobs' (store `name`)
+export function createStore(kind, { name, directory, maxEntries } = {}) {
+    switch (kind) {
+        case 'memory':
+            return createMemoryStore({ maxEntries });
+        case 'fs':
+            return createFileStore(directory || path.join('.cache', name || 'store'));
+        case 'blobs':
+            return createBlobsStore(name || 'store');
+        default:
+            throw new Error(`Unknown store "${kind}". Use one of: memory, fs, blobs`);
+    }
+}
@@ -0,0 +1,20 @@
+// Matching a term in free text, shared by the evidence checks (evidence.js)
+// and the skills filter (skills.js). Strings match on whole words with
+// flexible whitespace, case-insensitively unless `caseSensitive` is set;
+// regexes are used as given (with "i" added unless `caseSensitive`).
+
+export function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+export function termPattern(term, { caseSensitive = false } = {}) {
+    if (term instanceof RegExp) {
+        const flags = term.flags.replace('g', '');
+        return new RegExp(term.source, caseSensitive || flags.includes('i') ? flags : `${flags}i`);
+    }
+    const trimmed = term.trim();
+    const body = trimmed.split(/\s+/).map(escapeRegex).join('\\s+');
+    const start = /^[\p{L}\p{N}]/u.test(trimmed) ? '(?<![\\p{L}\\p{N}])' : '';
+    const end = /[\p{L}\p{N}]$/u.test(trimmed) ? '(?![\\p{L}\\p{N}])' : '';
+    return new RegExp(`${start}${body}${end}`, caseSensitive ? 'u' : 'iu');
+}
@@ -0,0 +1,105 @@
+import { createHmac, timingSafeEqual } from "crypto";
+import { lookup as dnsLookup } from "dns/promises";
+import { resolvePublicUrl } from "./fetcher.js";
+
+// Signed webhook delivery for async jobs. Every delivery is a JSON POST with
+//   X-Webhook-Id         the job ID
+//   X-Webhook-Timestamp  unix seconds at signing time
+//   X-Webhook-Signature  "sha256=" + hex HMAC-SHA256 of "<timestamp>.<body>"
+// Receivers recompute the HMAC with the shared secret (see verifySignature)
+// and should reject stale timestamps to stop replays.
+//
+// The callback host is resolved before every attempt and must only resolve to
+// public addresses (see fetcher.js), and redirects are never followed, so a
+// callback_url cannot be pointed at internal services after it was accepted.
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_BASE_MS = 2000;
+const DEFAULT_TIMEOUT_MS = 10000;
+
+export function signPayload(body, secret, timestamp) {
+    return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// For receivers (and tests): true when `signature` matches and `timestamp` is
+// no older than `toleranceSeconds`
+export function verifySignature(body, signature, timestamp, secret, { toleranceSeconds = 300, now = Date.now } = {}) {
+    if (!signature || !timestamp || Math.abs(now() / 1000 - Number(timestamp)) > toleranceSeconds) {
+        return false;
+    }
+    const expected = Buffer.from(signPayload(body, secret, timestamp));
+    const actual = Buffer.from(String(signature));
+    return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+// Network errors, timeouts, 408, 429 and 5xx are worth another try; 3xx and other 4xx are not
+function retryable(status) {
+    return status === undefined || status === 408 || status === 429 || status >= 500;
+}
+
+// POST `payload` to `url`, retrying with exponential backoff (base, 2x, 4x, ...).
+// A host that resolves to a private address fails the delivery at once, one
+// that does not resolve is retried like a network error.
+// Returns { delivered, attempts, status, error }; never throws.
+export async function deliverWebhook(url, payload, {
+    id,
+    secret,
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    retryBaseMs = DEFAULT_RETRY_BASE_MS,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    fetchImpl = globalThis.fetch,
+    lookup = dnsLookup,
+    sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+    logger = console
+} = {}) {
+    const body = JSON.stringify(payload);
+    let status;
+    let error = null;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        // Sign each attempt afresh so receivers' timestamp checks pass on retries
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'job-details-extractor/1.0',
+            'X-Webhook-Timestamp': timestamp
+        };
+        if (id) {
+            headers['X-Webhook-Id'] = id;
+        }
+        if (secret) {
+            headers['X-Webhook-Signature'] = signPayload(body, secret, timestamp);
+        }
+
+        let target = null;
+        let refused = false;
+        try {
+            target = await resolvePublicUrl(url, { label: 'callback_url', lookup });
+        } catch (urlError) {
+            refused = urlError.statusCode === 400;
+            status = undefined;
+            error = urlError.message;
+        }
+
+        if (target) {
+            try {
+                const response = await fetchImpl(url, { method: 'POST', headers, body, redirect: 'manual', signal: AbortSignal.timeout(timeoutMs) });
+                status = response.status;
+                if (response.ok) {
+                    return { delivered: true, attempts: attempt, status, error: null };
+                }
+                error = status >= 300 && status < 400 ? `HTTP ${status} redirect (not followed)` : `HTTP ${status}`;
+            } catch (fetchError) {
+                status = undefined;
+                error = fetchError.message;
+            }
+        }
+
+        logger.warn('Webhook attempt failed', { attempt, host: target ? target.host : null, error });
+        if (refused || !retryable(status) || attempt === maxAttempts) {
+            return { delivered: false, attempts: attempt, status: status || null, error };
+        }
+        await sleep(retryBaseMs * 2 ** (attempt - 1));
+    }
+    return { delivered: false, attempts: maxAttempts, status: status || null, error };
+}
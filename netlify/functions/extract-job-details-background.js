@@ -0,0 +1,34 @@
+import { runExtractionJob } from "./extract-job-details.js";
+import { connectBlobs } from "../../lib/stores.js";
+import { instrumentHandler } from "../../lib/instrument.js";
+
+// Background function (the "-background" suffix gives it up to 15 minutes).
+// Triggered by extract-job-details with { "job_id": "..." } for async requests;
+// Netlify answers the trigger with 202 before this handler runs. The trigger
+// carries the queuing request's X-Request-Id, so both share one request ID.
+export const handler = instrumentHandler('extract-job-details-background', async (event, context, { log }) => {
+    if (event.httpMethod !== 'POST') {
+        return { statusCode: 405, body: '' };
+    }
+
+    let jobId;
+    try {
+        jobId = JSON.parse(event.body || '{}').job_id;
+    } catch (error) {
+        jobId = null;
+    }
+    if (typeof jobId !== 'string' || !jobId) {
+        log.warn('Background trigger without a job_id');
+        return { statusCode: 400, body: '' };
+    }
+
+    try {
+        await connectBlobs(event);
+        const jobLog = log.child({ job_id: jobId });
+        const job = await runExtractionJob(jobId, { log: jobLog });
+        jobLog.info('Job finished', { status: job ? job.status : 'not found' });
+    } catch (error) {
+        log.error('Job failed', { job_id: jobId, error: error.message });
+    }
+    return { statusCode: 200, body: '' };
+});
@@ -1,192 +1,225 @@
-import Replicate from "replicate";
+import { checkProviderOverride, providerFromConfig } from "../../lib/providers/index.js";
+import { configFromEnv, extractJobDetails, extractJobDetailsBatch, MISSING_FIELDS_ERROR } from "../../lib/extract.js";
+import { cacheFromEnv } from "../../lib/cache.js";
+import { duplicatesFromEnv } from "../../lib/duplicates.js";
+import { connectBlobs } from "../../lib/stores.js";
+import { parseEventBody } from "../../lib/request.js";
+import { resolveJobInput } from "../../lib/input.js";
+import { CONTENT_TYPES, formatBatch, formatResult, negotiateFormat } from "../../lib/formats.js";
+import { buildOpenApiSpec, requestLimitsFromEnv, validateExtractionRequest } from "../../lib/openapi.js";
+import { corsHeaders, allowedOriginsFromEnv, isOriginAllowed } from "../../lib/cors.js";
+import { authFromEnv } from "../../lib/auth.js";
+import { limiterFromEnv } from "../../lib/limits.js";
+import { resolvePublicUrl } from "../../lib/fetcher.js";
+import { getJobStore, publicJob } from "../../lib/jobs.js";
+import { deliverWebhook } from "../../lib/webhooks.js";
+import { getLogger } from "../../lib/logger.js";
+import { getMetrics } from "../../lib/metrics.js";
+import { instrumentHandler } from "../../lib/instrument.js";
 
-// Set up Replicate
-const replicate = new Replicate({
-    auth: process.env.REPLICATE_API_TOKEN
-});
+// The extraction itself lives in lib/extract.js; this function adds HTTP,
+// auth, limits, caching and async jobs around it.
 
-// Function to parse multipart form data manually
-function parseMultipartForm(event) {
-    const contentType = event.headers['content-type'] || event.headers['Content-Type'];
-    const boundary = contentType.split('boundary=')[1];
-    
-    if (!boundary) {
-        throw new Error('No boundary found in multipart form data');
+// Default LLM provider chain, built from LLM_PROVIDER / LLM_MODEL / LLM_FALLBACKS on first use
+let defaultProvider;
+function getDefaultProvider() {
+    if (!defaultProvider) {
+        defaultProvider = providerFromConfig();
     }
-    
-    let body = event.body;
-    
-    // Handle base64 encoding if needed
-    if (event.isBase64Encoded) {
-        body = Buffer.from(body, 'base64').toString('utf8');
+    return defaultProvider;
+}
+
+// Extraction cache from CACHE_STORE / CACHE_DIR / CACHE_TTL_SECONDS, null when disabled
+let extractionCache;
+function getCache() {
+    if (extractionCache === undefined) {
+        extractionCache = cacheFromEnv();
     }
-    
-    const fields = {};
-    const parts = body.split(`--${boundary}`);
-    
-    for (const part of parts) {
-        if (part.includes('name="job_title"')) {
-            const match = part.match(/name="job_title"\s*\r?\n\r?\n(.*?)(?:\r?\n--|$)/s);
-            if (match) {
-                fields.job_title = match[1].trim();
-            }
-        }
-        if (part.includes('name="job_description"')) {
-            const match = part.match(/name="job_description"\s*\r?\n\r?\n(.*?)(?:\r?\n--|$)/s);
-            if (match) {
-                fields.job_description = match[1].trim();
-            }
+    return extractionCache;
+}
+
+// Duplicate index from DUPLICATES_STORE / DUPLICATES_DIR / DUPLICATES_TTL_SECONDS, null when
+// disabled. Each client gets its own part of it, so canonical results never cross API keys.
+let duplicateIndex;
+function getDuplicates(clientId) {
+    if (duplicateIndex === undefined) {
+        duplicateIndex = duplicatesFromEnv();
+    }
+    return duplicateIndex && duplicateIndex.forClient(clientId);
+}
+
+// Options for the shared extraction core: env config, the default provider
+// chain, the env cache, the client's duplicate index and the function's metrics. `overrides`
+// carry the request's logger and per-request provider, config, refresh and hints.
+function extractionContext(clientId, overrides = {}) {
+    return {
+        provider: getDefaultProvider(),
+        config: configFromEnv(),
+        cache: getCache(),
+        duplicates: getDuplicates(clientId),
+        metrics: getMetrics(),
+        logger: getLogger(),
+        maxDescriptionChars: LIMITS.maxDescriptionChars,
+        ...overrides
+    };
+}
+
+// API-key authenticator (API_KEYS / API_KEY_STORE) and per-client limiter (LIMITS_STORE, RATE_LIMIT_PER_MINUTE, DAILY_QUOTA)
+let authenticator;
+let limiter;
+function getAuthenticator() {
+    if (!authenticator) {
+        authenticator = authFromEnv();
+        if (!authenticator.enabled) {
+            getLogger().warn('No API_KEYS or API_KEY_STORE configured - the endpoint is open to anyone');
         }
     }
-    
-    return fields;
+    return authenticator;
+}
+function getLimiter() {
+    if (!limiter) {
+        limiter = limiterFromEnv();
+    }
+    return limiter;
 }
 
-// Retry function for AI extraction
-async function extractJobDetailsWithRetry(jobTitle, jobDescription, maxRetries = 3) {
-    const prompt = `You are an AI that extracts job details and always outputs a single valid JSON object.
-
-Input:
-Job Title: ${jobTitle}
-Job Description: ${jobDescription}
-
-Rules:
-- Clean the job title:
-  • Remove only: location info (e.g., "New York, NY"), job IDs, and excessive duplicate words
-  • Keep: role, specialization, department, company (if relevant), and seniority level
-  • Example: "Data Engineer, Google Fi and Store, Infrastructure" → "Data Engineer, Google Fi and Store, Infrastructure"
-  • Example: "Senior Software Engineer - New York, NY" → "Senior Software Engineer"
-- Extract:
-  • job_title → ALWAYS extract from the job title input above, even if job description is missing or says "No Job Description"
-  • city → extract from BOTH the job description AND the job title. Check both sources carefully. Use only city/state abbreviation format (e.g., "Richmond, VA" not "Richmond, Virginia"), drop country. If multiple cities listed, prioritize and pick ONLY ONE - the one in the US if available. If not found in either source, return null.
-  • work_arrangement → one of: ["remote", "hybrid", "on-site"]. CRITICAL: Always return lowercase only ("hybrid" not "Hybrid"). If not found, return null.
-  • company → extract the company name from the job description. If not found, return null.
-  • experience → one of:
-      - Entry (0-2 Years)
-      - Mid (3-5 Years)
-      - Senior (6-8 Years)
-      - Lead (8+ Years)
-    If unclear, return null.
-- CRITICAL: DO NOT MAKE UP INFORMATION. Only extract what is explicitly stated in the job description.
-- SPECIAL CASE: If job description is missing, empty, or says "No Job Description", still return job_title from the job title input above, and set all other fields to null.
-- For experience level: Look for explicit mentions of years of experience, seniority keywords, or job level indicators. If none are found, return null.
-- Experience level mapping (CRITICAL - follow this exactly):
-  • "1+ years" or "minimum 1 year" = Entry (0-2 Years)
-  • "2+ years" or "minimum 2 years" = Mid (3-5 Years)
-  • "5+ years" or "minimum 5 years" = Senior (6-8 Years)
-  • "8+ years" or "minimum 8 years" = Lead (8+ Years)
-- IMPORTANT: "2+ years" ALWAYS equals Mid (3-5 Years), NOT Entry
-- Do not infer experience level from job title alone unless it clearly indicates seniority (e.g., "Senior", "Lead", "Principal").
-- Output must be strictly JSON, no extra text, no explanations.
-- FINAL CHECK: work_arrangement must be lowercase ("hybrid", "remote", "on-site") - NEVER capitalized.
-
-Output Format (use this structure and extract from the appropriate sources):
-{
-  "job_title": "[extract from job title input above]",
-  "city": "[extract from job description AND job title - check both sources, or null]",
-  "work_arrangement": "[remote/hybrid/on-site or null] (MUST be lowercase)",
-  "company": "[extract company name from job description or null]",
-  "experience": "[Entry (0-2 Years)/Mid (3-5 Years)/Senior (6-8 Years)/Lead (8+ Years) or null]"
-}`;
-
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        try {
-            const input = {
-                prompt: prompt,
-                max_new_tokens: 200
-            };
+function tooManyRequests(headers, check) {
+    return {
+        statusCode: 429,
+        headers: { ...headers, ...check.headers },
+        body: JSON.stringify({ error: check.message, retry_after: check.retryAfter })
+    };
+}
 
-            const output = await replicate.run("openai/gpt-4o-mini", { input });
-            let responseText = output.join("").trim();
-            
-            // Clean the response text - remove markdown code blocks and extra formatting
-            if (responseText.startsWith('```json')) {
-                responseText = responseText.replace(/^```json\s*/, '').replace(/\s*```$/, '');
-            } else if (responseText.startsWith('```')) {
-                responseText = responseText.replace(/^```\s*/, '').replace(/\s*```$/, '');
-            }
-            
-            // Remove any leading/trailing whitespace and newlines
-            responseText = responseText.trim();
-            
-            console.log(`Attempt ${attempt}: Cleaned response:`, responseText);
-            
-            // Try to parse as JSON
-            try {
-                const jsonResult = JSON.parse(responseText);
-                console.log(`Attempt ${attempt}: Parsed JSON:`, jsonResult);
-                
-                // Validate required fields
-                const hasValidJobTitle = jsonResult.job_title && typeof jsonResult.job_title === 'string' && jsonResult.job_title.trim().length > 0;
-                const hasValidCity = jsonResult.city === null || (typeof jsonResult.city === 'string');
-                const hasValidWorkArrangement = jsonResult.work_arrangement === null || ['remote', 'hybrid', 'on-site'].includes(jsonResult.work_arrangement);
-                const hasValidCompany = jsonResult.company === null || (typeof jsonResult.company === 'string');
-                const hasValidExperience = jsonResult.experience === null || ['Entry (0-2 Years)', 'Mid (3-5 Years)', 'Senior (6-8 Years)', 'Lead (8+ Years)'].includes(jsonResult.experience);
-                
-                console.log(`Validation results:`, {
-                    hasValidJobTitle,
-                    hasValidCity,
-                    hasValidWorkArrangement,
-                    hasValidCompany,
-                    hasValidExperience
-                });
-                
-                if (hasValidJobTitle && hasValidCity && hasValidWorkArrangement && hasValidCompany && hasValidExperience) {
-                    console.log(`Attempt ${attempt}: Validation passed, returning result`);
-                    return jsonResult;
-                } else {
-                    console.log(`Attempt ${attempt}: Validation failed, retrying...`);
-                }
-            } catch (parseError) {
-                console.log(`Attempt ${attempt}: Invalid JSON, retrying...`);
-                console.log(`Parse error: ${parseError.message}`);
-                console.log(`Response text: ${responseText.substring(0, 200)}...`);
-                if (attempt === maxRetries) {
-                    // Return a fallback response instead of throwing an error
-                    return {
-                        job_title: jobTitle,
-                        city: null,
-                        work_arrangement: null,
-                        company: null,
-                        experience: null,
-                        error: "Failed to parse AI response as JSON"
-                    };
-                }
-            }
-        } catch (error) {
-            console.log(`Attempt ${attempt} failed:`, error.message);
-            if (attempt === maxRetries) {
-                // Return a fallback response instead of throwing an error
-                return {
-                    job_title: jobTitle,
-                    city: null,
-                    work_arrangement: null,
-                    company: null,
-                    experience: null,
-                    error: `AI processing failed: ${error.message}`
-                };
-            }
+// Request limits (batch size and concurrency keep a single invocation well
+// inside the function timeout; field lengths bound what reaches the model).
+// The OpenAPI spec states them and requests are validated against it.
+const LIMITS = requestLimitsFromEnv();
+let openApiSpec;
+function getOpenApiSpec() {
+    if (!openApiSpec) {
+        openApiSpec = buildOpenApiSpec({ limits: LIMITS });
+    }
+    return openApiSpec;
+}
+
+// Async jobs: how queued jobs reach the background function, and webhook delivery settings
+const JOB_DISPATCH = (process.env.JOB_DISPATCH || 'background').toLowerCase();
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10);
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '2000', 10);
+
+// DEBUG_RESPONSES=true adds what the function received to 400 responses; never enable it in production
+const DEBUG_RESPONSES = String(process.env.DEBUG_RESPONSES || '').toLowerCase() === 'true';
+
+function backgroundFunctionUrl(event) {
+    if (process.env.JOB_BACKGROUND_URL) {
+        return process.env.JOB_BACKGROUND_URL;
+    }
+    const host = event.headers['host'] || event.headers['Host'];
+    const base = process.env.URL || `https://${host}`;
+    return `${base.replace(/\/+$/, '')}/.netlify/functions/extract-job-details-background`;
+}
+
+// Hand a queued job to the background function (or run it in this process with
+// JOB_DISPATCH=inline). The request ID goes along so the job's logs share it.
+async function dispatchJob(job, event, { log, requestId }) {
+    if (JOB_DISPATCH === 'inline') {
+        setTimeout(() => {
+            runExtractionJob(job.id, { log: log.child({ job_id: job.id }) })
+                .catch(error => log.error('Job failed', { job_id: job.id, error: error.message }));
+        }, 0);
+        return;
+    }
+    const response = await fetch(backgroundFunctionUrl(event), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Request-Id': requestId },
+        body: JSON.stringify({ job_id: job.id })
+    });
+    // Background functions answer 202 as soon as the invocation is accepted
+    if (!response.ok) {
+        throw new Error(`Background function answered HTTP ${response.status}`);
+    }
+}
+
+// Run a queued job, store its outcome and deliver it to the job's callback_url.
+// Called by the background function; jobs that are not queued are left alone,
+// so a repeated trigger does nothing. `log` is the caller's request logger.
+export async function runExtractionJob(jobId, { log = getLogger().child({ job_id: jobId }) } = {}) {
+    const jobs = getJobStore();
+    const job = await jobs.get(jobId);
+    if (!job || job.status !== 'queued') {
+        log.info('Nothing to run', { job_id: jobId, status: job ? job.status : 'unknown' });
+        return job;
+    }
+    await jobs.update(jobId, { status: 'running', started_at: new Date().toISOString() });
+
+    let outcome;
+    try {
+        const overrides = { refresh: job.options.refresh, logger: log };
+        const configOverrides = {};
+        if (typeof job.options.translate_title === 'boolean') {
+            configOverrides.translateTitles = job.options.translate_title;
         }
-        
-        // Wait before retry
-        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+        if (typeof job.options.return_canonical === 'boolean') {
+            configOverrides.returnCanonical = job.options.return_canonical;
+        }
+        if (Object.keys(configOverrides).length > 0) {
+            overrides.config = { ...configFromEnv(), ...configOverrides };
+        }
+        if (job.options.provider || job.options.model) {
+            overrides.provider = providerFromConfig({ provider: job.options.provider, model: job.options.model });
+        }
+        if (job.kind === 'batch') {
+            const batch = await extractJobDetailsBatch(job.input.jobs, job.input.concurrency, extractionContext(job.client_id, overrides));
+            outcome = { status: 'succeeded', batch };
+        } else {
+            const { job_title, job_description, hints } = job.input;
+            const result = await extractJobDetails({ job_title, job_description }, extractionContext(job.client_id, { ...overrides, hints }));
+            outcome = result.error ? { status: 'failed', result, error: result.error } : { status: 'succeeded', result };
+        }
+    } catch (error) {
+        outcome = { status: 'failed', error: error.message };
     }
+
+    // The posting itself is not kept once the job is done
+    let finished = await jobs.update(jobId, { ...outcome, input: null, finished_at: new Date().toISOString() });
+
+    if (finished.callback_url) {
+        const { delivery: ignored, ...payload } = publicJob(finished);
+        const delivery = await deliverWebhook(finished.callback_url, payload, {
+            id: jobId,
+            secret: job.options.webhook_secret,
+            maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+            retryBaseMs: WEBHOOK_RETRY_BASE_MS,
+            logger: log
+        });
+        finished = await jobs.update(jobId, {
+            delivery: {
+                status: delivery.delivered ? 'delivered' : 'failed',
+                attempts: delivery.attempts,
+                last_status: delivery.status,
+                last_error: delivery.error,
+                delivered_at: delivery.delivered ? new Date().toISOString() : null
+            }
+        });
+    }
+    return finished;
 }
 
-// Netlify Function handler
-export const handler = async (event, context) => {
-    // Handle CORS
+// Netlify Function handler; instrumentHandler adds the request ID, request logging and metrics
+export const handler = instrumentHandler('extract-job-details', async (event, context, { log, requestId }) => {
+    // Handle CORS for the origins in CORS_ALLOWED_ORIGINS
+    const origin = event.headers['origin'] || event.headers['Origin'];
+    const allowedOrigins = allowedOriginsFromEnv();
     const headers = {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
-        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        ...corsHeaders(origin, { allowedOrigins }),
         'Content-Type': 'application/json'
     };
 
     // Handle preflight requests
     if (event.httpMethod === 'OPTIONS') {
         return {
-            statusCode: 200,
+            statusCode: isOriginAllowed(origin, allowedOrigins) ? 200 : 403,
             headers,
             body: ''
         };
@@ -202,108 +235,270 @@ export const handler = async (event, context) => {
     }
 
     try {
-        let job_title, job_description;
-        
-        // Check Content-Type to determine how to parse the body
-        const contentType = event.headers['content-type'] || event.headers['Content-Type'] || '';
-        
-        if (contentType.includes('application/json')) {
-            // Parse JSON body
-            const body = JSON.parse(event.body);
-            job_title = body.job_title;
-            job_description = body.job_description;
-        } else if (contentType.includes('application/x-www-form-urlencoded')) {
-            // Parse form data
-            const params = new URLSearchParams(event.body);
-            job_title = params.get('job_title');
-            job_description = params.get('job_description');
-        } else if (contentType.includes('multipart/form-data')) {
-            // Parse multipart form data manually
-            console.log('Processing multipart form data manually');
-            console.log('Content-Type:', contentType);
-            console.log('Body type:', typeof event.body);
-            console.log('isBase64Encoded:', event.isBase64Encoded);
-            
+        await connectBlobs(event);
+
+        // Authenticate the caller and apply their per-minute rate limit
+        let client;
+        try {
+            client = await getAuthenticator().authenticate(event.headers);
+        } catch (authError) {
+            return {
+                statusCode: authError.statusCode || 401,
+                headers: { ...headers, 'WWW-Authenticate': 'Bearer' },
+                body: JSON.stringify({ error: authError.message })
+            };
+        }
+        const rate = await getLimiter().consumeRequest(client);
+        if (!rate.allowed) {
+            return tooManyRequests(headers, rate);
+        }
+        Object.assign(headers, rate.headers);
+
+        // Everything the client sent: job fields plus request-level options (jobs, provider, ...)
+        let requestBody;
+        try {
+            requestBody = await parseEventBody(event);
+        } catch (bodyError) {
+            log.warn('Could not parse the request body', { error: bodyError.message, details: bodyError.details });
+            return {
+                statusCode: bodyError.statusCode || 400,
+                headers,
+                body: JSON.stringify({ error: bodyError.message, details: bodyError.details })
+            };
+        }
+        let { job_title, job_description } = requestBody;
+
+        // Field types and limits, per the OpenAPI spec: 400 for a malformed value, 422 for one out of bounds
+        const query = event.queryStringParameters || {};
+        const invalid = validateExtractionRequest({ body: requestBody, query }, getOpenApiSpec());
+        if (invalid) {
+            log.info('Request failed validation', { errors: invalid.errors.map(error => `${error.in}:${error.field}:${error.code}`) });
+            return {
+                statusCode: invalid.statusCode,
+                headers,
+                body: JSON.stringify({ error: invalid.error, errors: invalid.errors })
+            };
+        }
+
+        // Per-request provider override, e.g. { "provider": "openai", "model": "gpt-4o" },
+        // limited to the models in ALLOWED_MODELS
+        const extractionOptions = {};
+        if (requestBody.provider || requestBody.model || query.provider || query.model) {
+            const providerOverride = {
+                provider: requestBody.provider || query.provider,
+                model: requestBody.model || query.model
+            };
             try {
-                const fields = parseMultipartForm(event);
-                console.log('Parsed fields:', Object.keys(fields));
-                job_title = fields.job_title;
-                job_description = fields.job_description;
-                console.log('Extracted job_title:', job_title ? 'Found' : 'Missing');
-                console.log('Extracted job_description:', job_description ? 'Found' : 'Missing');
-            } catch (parseError) {
-                console.error('Error parsing multipart form data:', parseError);
+                checkProviderOverride(providerOverride);
+                extractionOptions.provider = providerFromConfig(providerOverride);
+            } catch (providerError) {
                 return {
-                    statusCode: 400,
+                    statusCode: providerError.statusCode || 400,
                     headers,
-                    body: JSON.stringify({
-                        error: "Error parsing multipart form data",
-                        details: parseError.message
-                    })
+                    body: JSON.stringify({ error: providerError.message })
                 };
             }
-        } else {
-            // Try to parse as JSON by default
+        }
+
+        // Per-request config, in the body or the query string:
+        //   translate_title   English titles for non-English postings
+        //   return_canonical  answer known duplicates with the canonical posting's result
+        const configOverrides = {};
+        for (const [option, key] of [['translate_title', 'translateTitles'], ['return_canonical', 'returnCanonical']]) {
+            const value = requestBody[option] ?? query[option];
+            if (value !== undefined && value !== null) {
+                configOverrides[key] = value === true || String(value).toLowerCase() === 'true';
+            }
+        }
+        if (Object.keys(configOverrides).length > 0) {
+            extractionOptions.config = { ...configFromEnv(), ...configOverrides };
+        }
+
+        // Output format: ?format=json|jsonld|csv (or in the body), else the Accept header
+        let format;
+        try {
+            format = negotiateFormat(requestBody.format || query.format, event.headers['accept'] || event.headers['Accept']);
+        } catch (formatError) {
+            return {
+                statusCode: formatError.statusCode || 400,
+                headers,
+                body: JSON.stringify({ error: formatError.message })
+            };
+        }
+
+        // Skip the cache with { "refresh": true }, ?refresh=true or Cache-Control: no-cache
+        const cacheControl = event.headers['cache-control'] || event.headers['Cache-Control'] || '';
+        extractionOptions.refresh = requestBody.refresh === true
+            || String(requestBody.refresh || query.refresh || '').toLowerCase() === 'true'
+            || /no-cache/i.test(cacheControl);
+
+        // Async mode: { "callback_url": "https://..." } and/or { "async": true }
+        const callbackUrl = requestBody.callback_url || query.callback_url;
+        const asyncMode = Boolean(callbackUrl)
+            || requestBody.async === true
+            || String(requestBody.async || query.async || '').toLowerCase() === 'true';
+        const webhookSecret = client.webhookSecret || process.env.WEBHOOK_SECRET;
+        if (callbackUrl) {
             try {
-                const body = JSON.parse(event.body);
-                job_title = body.job_title;
-                job_description = body.job_description;
-            } catch (parseError) {
+                await resolvePublicUrl(callbackUrl, { label: 'callback_url' });
+            } catch (urlError) {
                 return {
-                    statusCode: 400,
+                    statusCode: urlError.statusCode || 400,
                     headers,
-                    body: JSON.stringify({
-                        error: "Invalid request format. Use JSON or URL-encoded form data."
-                    })
+                    body: JSON.stringify({ error: urlError.message })
+                };
+            }
+            if (!webhookSecret) {
+                return {
+                    statusCode: 501,
+                    headers,
+                    body: JSON.stringify({ error: "Webhook callbacks are not configured on this server (WEBHOOK_SECRET is not set)" })
                 };
             }
         }
-        
+        // Queue a job for the background function and answer 202 with where to poll
+        const queueJob = async (kind, input) => {
+            const job = await getJobStore().create({
+                client_id: client.id,
+                kind,
+                callback_url: callbackUrl || null,
+                input,
+                options: {
+                    provider: requestBody.provider || query.provider || null,
+                    model: requestBody.model || query.model || null,
+                    refresh: extractionOptions.refresh,
+                    translate_title: configOverrides.translateTitles ?? null,
+                    return_canonical: configOverrides.returnCanonical ?? null,
+                    webhook_secret: callbackUrl ? webhookSecret : null
+                }
+            });
+            try {
+                await dispatchJob(job, event, { log, requestId });
+            } catch (dispatchError) {
+                log.error('Could not dispatch job', { job_id: job.id, error: dispatchError.message });
+                await getJobStore().update(job.id, { status: 'failed', error: 'Could not start the job', input: null });
+                return {
+                    statusCode: 502,
+                    headers,
+                    body: JSON.stringify({ error: "Could not start the job", details: dispatchError.message })
+                };
+            }
+            const statusUrl = `/.netlify/functions/job-status?id=${job.id}`;
+            return {
+                statusCode: 202,
+                headers: { ...headers, Location: statusUrl },
+                body: JSON.stringify({ job_id: job.id, status: job.status, status_url: statusUrl })
+            };
+        };
+
+        // Batch mode: { "jobs": [{ "id", "job_title", "job_description" }, ...] }.
+        // Validation has checked the array's size and the concurrency range.
+        const jobs = requestBody.jobs;
+        if (jobs !== undefined) {
+            const requested = parseInt(requestBody.concurrency, 10);
+            const concurrency = Number.isInteger(requested) ? requested : Math.min(LIMITS.defaultBatchConcurrency, LIMITS.maxBatchConcurrency);
+            // Every posting in the batch counts against the daily quota
+            const quota = await getLimiter().consumeQuota(client, jobs.length);
+            if (!quota.allowed) {
+                return tooManyRequests(headers, quota);
+            }
+            Object.assign(headers, quota.headers);
+
+            if (asyncMode) {
+                return queueJob('batch', { jobs, concurrency });
+            }
+
+            const batch = await extractJobDetailsBatch(jobs, concurrency, extractionContext(client.id, { ...extractionOptions, logger: log }));
+            const descriptions = jobs.map(job => (job && typeof job.job_description === 'string' ? job.job_description : undefined));
+
+            return {
+                statusCode: 200,
+                headers: { ...headers, 'Content-Type': CONTENT_TYPES[format] },
+                body: formatBatch(batch, format, { descriptions })
+            };
+        }
+
         // If we still don't have the data, try checking query parameters as a fallback
         if ((!job_title || !job_description) && event.queryStringParameters) {
-            console.log('Checking query parameters as fallback');
+            log.debug('Checking query parameters as fallback');
             job_title = job_title || event.queryStringParameters.job_title;
             job_description = job_description || event.queryStringParameters.job_description;
         }
 
-        // Validate required fields
+        // HTML input: { "job_html": "<html>..." } or { "job_url": "https://..." }
+        let hints = {};
+        const jobUrl = requestBody.job_url || query.job_url;
+        if (!job_description && (requestBody.job_html || jobUrl)) {
+            try {
+                const input = await resolveJobInput({ job_title, job_html: requestBody.job_html, job_url: jobUrl }, { maxDescriptionChars: LIMITS.maxDescriptionChars });
+                job_title = input.jobTitle;
+                job_description = input.jobDescription;
+                hints = input.hints;
+            } catch (inputError) {
+                if (inputError.errors) {
+                    return {
+                        statusCode: inputError.statusCode,
+                        headers,
+                        body: JSON.stringify({ error: inputError.message, errors: inputError.errors })
+                    };
+                }
+                return {
+                    statusCode: inputError.statusCode || 400,
+                    headers,
+                    body: JSON.stringify({ error: "Could not read job posting", details: inputError.message })
+                };
+            }
+        }
+
+        // Validate required fields. What the caller sent is only echoed back with DEBUG_RESPONSES
         if (!job_title || !job_description) {
-            console.log('Validation failed - missing required fields');
-            console.log('job_title:', job_title);
-            console.log('job_description:', job_description);
-            console.log('Content-Type:', event.headers['content-type']);
-            console.log('Body type:', typeof event.body);
-            console.log('Body preview:', typeof event.body === 'string' ? event.body.substring(0, 500) : event.body);
-            
+            const missing = [!job_title && 'job_title', !job_description && 'job_description'].filter(Boolean);
+            log.info('Missing required fields', { missing, content_type: event.headers['content-type'] || event.headers['Content-Type'] || null });
+
+            const body = {
+                error: MISSING_FIELDS_ERROR,
+                missing,
+                errors: missing.map(field => ({ field, in: 'body', code: 'required', message: `${field} is required` }))
+            };
+            if (DEBUG_RESPONSES) {
+                body.received = {
+                    job_title: job_title || null,
+                    job_description: job_description || null
+                };
+                body.debug = {
+                    contentType: event.headers['content-type'],
+                    bodyType: typeof event.body,
+                    bodyPreview: typeof event.body === 'string' ? event.body.substring(0, 200) : 'Not a string',
+                    queryParams: event.queryStringParameters
+                };
+            }
             return {
                 statusCode: 400,
                 headers,
-                body: JSON.stringify({
-                    error: "Missing required fields: job_title and job_description",
-                    received: {
-                        job_title: job_title || null,
-                        job_description: job_description || null
-                    },
-                    debug: {
-                        contentType: event.headers['content-type'],
-                        bodyType: typeof event.body,
-                        bodyPreview: typeof event.body === 'string' ? event.body.substring(0, 200) : 'Not a string',
-                        queryParams: event.queryStringParameters
-                    }
-                })
+                body: JSON.stringify(body)
             };
         }
 
-        const result = await extractJobDetailsWithRetry(job_title, job_description);
+        const quota = await getLimiter().consumeQuota(client, 1);
+        if (!quota.allowed) {
+            return tooManyRequests(headers, quota);
+        }
+        Object.assign(headers, quota.headers);
+
+        if (asyncMode) {
+            return queueJob('single', { job_title, job_description, hints });
+        }
+
+        const result = await extractJobDetails({ job_title, job_description }, extractionContext(client.id, { ...extractionOptions, hints, logger: log }));
         
         return {
             statusCode: 200,
-            headers,
-            body: JSON.stringify(result)
+            headers: { ...headers, 'Content-Type': CONTENT_TYPES[format], 'X-Cache': result.cache.toUpperCase() },
+            body: formatResult(result, format, { description: job_description })
         };
         
     } catch (error) {
-        console.error('Error:', error.message);
+        log.error('Extraction request failed', { error });
         return {
             statusCode: 500,
             headers,
@@ -313,4 +508,4 @@ export const handler = async (event, context) => {
             })
         };
     }
-};
+});
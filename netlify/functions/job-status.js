@@ -0,0 +1,67 @@
+import { corsHeaders, allowedOriginsFromEnv, isOriginAllowed } from "../../lib/cors.js";
+import { authFromEnv } from "../../lib/auth.js";
+import { getJobStore, publicJob } from "../../lib/jobs.js";
+import { connectBlobs } from "../../lib/stores.js";
+import { instrumentHandler } from "../../lib/instrument.js";
+
+// Status of an async extraction job: GET /.netlify/functions/job-status?id=<job_id>
+// Only the API key that queued a job can read it.
+
+let authenticator;
+
+export const handler = instrumentHandler('job-status', async (event, context, { log }) => {
+    const origin = event.headers['origin'] || event.headers['Origin'];
+    const allowedOrigins = allowedOriginsFromEnv();
+    const headers = {
+        ...corsHeaders(origin, { allowedOrigins, methods: 'GET, OPTIONS' }),
+        'Content-Type': 'application/json'
+    };
+
+    if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: isOriginAllowed(origin, allowedOrigins) ? 200 : 403, headers, body: '' };
+    }
+    if (event.httpMethod !== 'GET') {
+        return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+    }
+
+    try {
+        await connectBlobs(event);
+        authenticator = authenticator || authFromEnv();
+
+        let client;
+        try {
+            client = await authenticator.authenticate(event.headers);
+        } catch (authError) {
+            return {
+                statusCode: authError.statusCode || 401,
+                headers: { ...headers, 'WWW-Authenticate': 'Bearer' },
+                body: JSON.stringify({ error: authError.message })
+            };
+        }
+
+        const id = (event.queryStringParameters || {}).id;
+        if (!id) {
+            return { statusCode: 400, headers, body: JSON.stringify({ error: "Missing required query parameter: id" }) };
+        }
+
+        const job = await getJobStore().get(id);
+        // Someone else's job looks the same as no job
+        if (!job || job.client_id !== client.id) {
+            return { statusCode: 404, headers, body: JSON.stringify({ error: `Job ${id} not found` }) };
+        }
+
+        const running = job.status === 'queued' || job.status === 'running';
+        return {
+            statusCode: 200,
+            headers: running ? { ...headers, 'Retry-After': '5' } : headers,
+            body: JSON.stringify(publicJob(job))
+        };
+    } catch (error) {
+        log.error('Request failed', { error });
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({ error: "Failed to read job status", details: error.message })
+        };
+    }
+});
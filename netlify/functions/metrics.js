@@ -0,0 +1,64 @@
+import { timingSafeEqual } from "crypto";
+import { connectBlobs } from "../../lib/stores.js";
+import { collectMetrics, getMetrics, metricsStoreFromEnv, toPrometheus } from "../../lib/metrics.js";
+import { instrumentHandler } from "../../lib/instrument.js";
+
+// Metrics scrape endpoint: GET /.netlify/functions/metrics with
+// Authorization: Bearer <METRICS_TOKEN>. Prometheus text by default,
+// ?format=json for the raw snapshot. With METRICS_STORE set it reports the sum
+// over every function instance; without one it can only report its own
+// process, which is useful when everything runs in one process (netlify dev).
+// Disabled (404) unless METRICS_TOKEN is set.
+
+let metricsStore;
+
+function tokenMatches(header, token) {
+    const match = /^Bearer\s+(.+)$/i.exec(header || '');
+    if (!match) {
+        return false;
+    }
+    const expected = Buffer.from(token);
+    const actual = Buffer.from(match[1].trim());
+    return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+export const handler = instrumentHandler('metrics', async (event, context, { log }) => {
+    const headers = { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' };
+    const token = process.env.METRICS_TOKEN;
+    if (!token) {
+        return { statusCode: 404, headers, body: JSON.stringify({ error: 'Metrics are disabled (METRICS_TOKEN is not set)' }) };
+    }
+    if (event.httpMethod !== 'GET') {
+        return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+    }
+    if (!tokenMatches(event.headers['authorization'] || event.headers['Authorization'], token)) {
+        return {
+            statusCode: 401,
+            headers: { ...headers, 'WWW-Authenticate': 'Bearer' },
+            body: JSON.stringify({ error: 'Missing or invalid metrics token' })
+        };
+    }
+
+    try {
+        await connectBlobs(event);
+        if (metricsStore === undefined) {
+            metricsStore = metricsStoreFromEnv();
+        }
+        const snapshot = metricsStore
+            ? await collectMetrics(metricsStore)
+            : { instances: 1, ...getMetrics().snapshot() };
+
+        const query = event.queryStringParameters || {};
+        if (String(query.format || '').toLowerCase() === 'json') {
+            return { statusCode: 200, headers, body: JSON.stringify(snapshot) };
+        }
+        return {
+            statusCode: 200,
+            headers: { ...headers, 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' },
+            body: toPrometheus(snapshot)
+        };
+    } catch (error) {
+        log.error('Could not read metrics', { error });
+        return { statusCode: 500, headers, body: JSON.stringify({ error: 'Failed to read metrics', details: error.message }) };
+    }
+});
@@ -0,0 +1,33 @@
+import { corsHeaders, allowedOriginsFromEnv, isOriginAllowed } from "../../lib/cors.js";
+import { openApiSpecFromEnv } from "../../lib/openapi.js";
+import { instrumentHandler } from "../../lib/instrument.js";
+
+// OpenAPI 3.1 document for the API: GET /.netlify/functions/openapi (also
+// /openapi.json, see netlify.toml). Public, so the docs page and client
+// generators can read it without a key. Limits in it come from this
+// deployment's environment.
+
+let spec;
+
+export const handler = instrumentHandler('openapi', async (event) => {
+    const origin = event.headers['origin'] || event.headers['Origin'];
+    const allowedOrigins = allowedOriginsFromEnv();
+    const headers = {
+        ...corsHeaders(origin, { allowedOrigins, methods: 'GET, OPTIONS' }),
+        'Content-Type': 'application/json'
+    };
+
+    if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: isOriginAllowed(origin, allowedOrigins) ? 200 : 403, headers, body: '' };
+    }
+    if (event.httpMethod !== 'GET') {
+        return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+    }
+
+    spec = spec || openApiSpecFromEnv();
+    return {
+        statusCode: 200,
+        headers: { ...headers, 'Cache-Control': 'public, max-age=300' },
+        body: JSON.stringify(spec, null, 2)
+    };
+});
@@ -0,0 +1,70 @@
+import { corsHeaders, allowedOriginsFromEnv, isOriginAllowed } from "../../lib/cors.js";
+import { authFromEnv } from "../../lib/auth.js";
+import { limiterFromEnv } from "../../lib/limits.js";
+import { connectBlobs } from "../../lib/stores.js";
+import { instrumentHandler } from "../../lib/instrument.js";
+
+// Usage counters for the calling API key: GET /.netlify/functions/usage?days=7
+
+const MAX_DAYS = 90;
+
+let authenticator;
+let limiter;
+
+export const handler = instrumentHandler('usage', async (event, context, { log }) => {
+    const origin = event.headers['origin'] || event.headers['Origin'];
+    const allowedOrigins = allowedOriginsFromEnv();
+    const headers = {
+        ...corsHeaders(origin, { allowedOrigins, methods: 'GET, OPTIONS' }),
+        'Content-Type': 'application/json'
+    };
+
+    if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: isOriginAllowed(origin, allowedOrigins) ? 200 : 403, headers, body: '' };
+    }
+    if (event.httpMethod !== 'GET') {
+        return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+    }
+
+    try {
+        await connectBlobs(event);
+        authenticator = authenticator || authFromEnv();
+        limiter = limiter || limiterFromEnv();
+
+        let client;
+        try {
+            client = await authenticator.authenticate(event.headers);
+        } catch (authError) {
+            return {
+                statusCode: authError.statusCode || 401,
+                headers: { ...headers, 'WWW-Authenticate': 'Bearer' },
+                body: JSON.stringify({ error: authError.message })
+            };
+        }
+
+        const requested = parseInt((event.queryStringParameters || {}).days, 10);
+        const days = Math.min(Number.isInteger(requested) && requested > 0 ? requested : 7, MAX_DAYS);
+
+        const limits = limiter.limitsFor(client);
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                client: { id: client.id, name: client.name },
+                limits: {
+                    rate_limit_per_minute: limits.rateLimitPerMinute,
+                    daily_quota: limits.dailyQuota
+                },
+                usage: await limiter.usage(client, { days })
+            })
+        };
+    } catch (error) {
+        log.error('Request failed', { error });
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({ error: "Failed to read usage", details: error.message })
+        };
+    }
+});
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { apiKeyFromHeaders, createAuthenticator, parseApiKeys, revokeApiKey, saveApiKey } from "../lib/auth.js";
+import { createMemoryStore } from "../lib/stores.js";
+
+test('API_KEYS accepts "name:key" lists and JSON arrays', () => {
+    assert.deepEqual(parseApiKeys('acme:key-1, key-2'), [{ name: 'acme', key: 'key-1' }, { key: 'key-2' }]);
+    assert.deepEqual(parseApiKeys('[{"key":"key-3","dailyQuota":5},{"name":"no key"}]'), [{ key: 'key-3', dailyQuota: 5 }]);
+    assert.deepEqual(parseApiKeys(''), []);
+});
+
+test('the key is read from a bearer token or X-API-Key', () => {
+    assert.equal(apiKeyFromHeaders({ Authorization: 'Bearer key-1' }), 'key-1');
+    assert.equal(apiKeyFromHeaders({ 'x-api-key': ' key-2 ' }), 'key-2');
+    assert.equal(apiKeyFromHeaders({}), null);
+});
+
+test('configured keys resolve to their client and others are refused', async () => {
+    const auth = createAuthenticator({ keys: parseApiKeys('[{"key":"key-1","name":"acme","rateLimitPerMinute":5}]') });
+    const client = await auth.authenticate({ 'X-API-Key': 'key-1' });
+
+    assert.equal(client.id, 'acme');
+    assert.equal(client.rateLimitPerMinute, 5);
+    await assert.rejects(auth.authenticate({}), error => error.statusCode === 401 && /Missing API key/.test(error.message));
+    await assert.rejects(auth.authenticate({ 'X-API-Key': 'wrong' }), error => error.statusCode === 401);
+});
+
+test('keys saved in the memory store work until revoked', async () => {
+    const store = createMemoryStore();
+    const auth = createAuthenticator({ store });
+    await saveApiKey(store, 'stored-key', { id: 'client-7', dailyQuota: 10 });
+    await saveApiKey(store, 'disabled-key', { id: 'client-8', disabled: true });
+
+    assert.equal((await auth.authenticate({ Authorization: 'Bearer stored-key' })).id, 'client-7');
+    await assert.rejects(auth.authenticate({ Authorization: 'Bearer disabled-key' }), error => error.statusCode === 403);
+
+    await revokeApiKey(store, 'stored-key');
+    await assert.rejects(auth.authenticate({ Authorization: 'Bearer stored-key' }), error => error.statusCode === 401);
+});
+
+test('without keys callers are told apart by address', async () => {
+    const auth = createAuthenticator();
+    assert.equal(auth.enabled, false);
+    assert.equal((await auth.authenticate({ 'X-Nf-Client-Connection-Ip': '203.0.113.7' })).id, 'ip:203.0.113.7');
+    assert.equal((await auth.authenticate({ 'X-Forwarded-For': '203.0.113.7' })).id, 'ip:203.0.113.7');
+    assert.equal((await auth.authenticate({})).id, 'anonymous');
+});
+
+test('a spoofed X-Forwarded-For does not give a caller a fresh limit', async () => {
+    const auth = createAuthenticator();
+    // The caller sends its own X-Forwarded-For; the proxy appends the real address
+    const spoofed = await auth.authenticate({ 'X-Forwarded-For': '198.51.100.1, 203.0.113.7' });
+    const another = await auth.authenticate({ 'X-Forwarded-For': '198.51.100.2, 203.0.113.7' });
+    assert.equal(spoofed.id, 'ip:203.0.113.7');
+    assert.equal(another.id, spoofed.id);
+
+    const netlify = await auth.authenticate({ 'X-Forwarded-For': '198.51.100.1, 192.0.2.9', 'X-Nf-Client-Connection-Ip': '203.0.113.7' });
+    assert.equal(netlify.id, 'ip:203.0.113.7');
+});
@@ -0,0 +1,127 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Readable } from "stream";
+import { mkdtempSync, writeFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { createErrorWriter, createRowWriter, loadCheckpoint, readRecords, recordToInput, runBulk } from "../lib/bulk.js";
+import { parseCsv } from "../lib/csv.js";
+
+const INPUT_CSV = 'Title,Description,company\r\n'
+    + 'Backend Engineer,"Python, SQL and ""clean"" code\non two lines",Acme\r\n'
+    + 'Data Analyst,,Globex\r\n';
+
+// Extraction stub: echoes the title, fails when there is no description
+async function extract(input) {
+    if (!input.job_description) {
+        throw new Error('Missing required fields: job_title and one of job_description, job_html or job_url');
+    }
+    return {
+        job_title: input.job_title,
+        company: 'Acme Robotics',
+        skills: [{ id: 'python', name: 'Python' }, { id: 'sql', name: 'SQL' }],
+        extraction_method: 'rules',
+        cache: 'miss'
+    };
+}
+
+// Run `text` through readRecords/runBulk and collect what the writers produce
+async function bulkRun(text, format) {
+    const output = [];
+    const errors = [];
+    const rows = createRowWriter(format, chunk => output.push(chunk));
+    const failures = createErrorWriter(format, chunk => errors.push(chunk));
+    const counts = await runBulk(readRecords(Readable.from([text]), format), {
+        concurrency: 1,
+        extract,
+        onRow({ row, record, result, error }) {
+            if (error) failures.write(row, record, error);
+            else rows.write(row, record, result);
+        }
+    });
+    return { counts, output: output.join(''), errors: errors.join('') };
+}
+
+test('CSV rows keep their input columns and gain the extracted fields', async () => {
+    const { counts, output } = await bulkRun(INPUT_CSV, 'csv');
+    const [header, row] = parseCsv(output);
+    const cell = name => row[header.indexOf(name)];
+
+    assert.deepEqual(counts, { ok: 1, error: 1, skipped: 0 });
+    assert.deepEqual(header.slice(0, 4), ['row', 'Title', 'Description', 'company']);
+    assert.equal(cell('Description'), 'Python, SQL and "clean" code\non two lines');
+    assert.equal(cell('company'), 'Acme');
+    // An extracted field named like an input column is renamed
+    assert.equal(cell('extracted_company'), 'Acme Robotics');
+    assert.equal(cell('skills'), 'Python; SQL');
+    assert.equal(header.includes('cache'), false);
+});
+
+test('the CSV error file reads back as input for a second run', async () => {
+    const { errors } = await bulkRun(INPUT_CSV, 'csv');
+    const [header, row] = parseCsv(errors);
+    assert.deepEqual(header, ['row', 'id', 'error', 'Title', 'Description', 'company']);
+    assert.equal(row[0], '1');
+    assert.match(row[2], /Missing required fields/);
+
+    const records = [];
+    for await (const record of readRecords(Readable.from([errors]), 'csv')) {
+        records.push(record);
+    }
+    assert.equal(records.length, 1);
+    assert.deepEqual(recordToInput(records[0]), { job_title: 'Data Analyst' });
+});
+
+test('formula-like input comes back from the CSV error file unchanged', async () => {
+    const input = 'Title,Description,company\r\n-Data Analyst,,@Globex\r\n';
+    const { errors } = await bulkRun(input, 'csv');
+
+    const records = [];
+    for await (const record of readRecords(Readable.from([errors]), 'csv')) {
+        records.push(record);
+    }
+    assert.deepEqual(recordToInput(records[0]), { job_title: '-Data Analyst' });
+    assert.equal(records[0].company, '@Globex');
+});
+
+test('JSONL rows round-trip and bad lines go to the error output', async () => {
+    const input = [
+        JSON.stringify({ id: 'p-1', job_title: 'Backend Engineer', job_description: 'Python and SQL', company: 'Acme' }),
+        '{"job_title": "cut short',
+        '[1, 2]',
+        ''
+    ].join('\n');
+    const { counts, output, errors } = await bulkRun(input, 'jsonl');
+    const [row] = output.trim().split('\n').map(line => JSON.parse(line));
+    const failed = errors.trim().split('\n').map(line => JSON.parse(line));
+
+    assert.deepEqual(counts, { ok: 1, error: 2, skipped: 0 });
+    assert.equal(row.row, 0);
+    assert.equal(row.company, 'Acme');
+    assert.equal(row.extracted_company, 'Acme Robotics');
+    assert.deepEqual(row.skills, [{ id: 'python', name: 'Python' }, { id: 'sql', name: 'SQL' }]);
+    assert.deepEqual(failed.map(entry => [entry.row, entry.id]), [[1, null], [2, null]]);
+    assert.match(failed[0].error, /Line 2: invalid JSON/);
+    assert.match(failed[1].error, /Line 3: expected a JSON object/);
+});
+
+test('a resumed run skips the rows in the checkpoint', async () => {
+    const directory = mkdtempSync(join(tmpdir(), 'bulk-test-'));
+    try {
+        const checkpoint = join(directory, 'checkpoint.jsonl');
+        writeFileSync(checkpoint, '{"row":0,"status":"ok"}\n{"row":1,"sta');
+        const skip = loadCheckpoint(checkpoint);
+        assert.deepEqual([...skip], [0]);
+
+        const seen = [];
+        const counts = await runBulk(readRecords(Readable.from([INPUT_CSV]), 'csv'), {
+            skip,
+            extract,
+            onRow: ({ row }) => seen.push(row)
+        });
+        assert.deepEqual(seen, [1]);
+        assert.deepEqual(counts, { ok: 0, error: 1, skipped: 1 });
+    } finally {
+        rmSync(directory, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { extractJobDetailsCached } from "../lib/extract.js";
+import { createExtractionCache, extractionCacheKey } from "../lib/cache.js";
+import { createMemoryStore } from "../lib/stores.js";
+import { SILENT_LOGGER, stubProvider } from "./helpers.js";
+
+const TITLE = 'Backend Engineer';
+const DESCRIPTION = 'Acme Robotics is hiring. The role is remote.\nYou bring 3+ years of experience with Python.';
+const ANSWER = JSON.stringify({
+    job_title: 'Backend Engineer',
+    city: null,
+    locations: [],
+    work_arrangement: 'remote',
+    company: 'Acme Robotics',
+    experience: 'Mid (3-5 Years)',
+    compensation: null,
+    skills: [{ name: 'Python', required: true }],
+    evidence: { work_arrangement: 'remote', company: 'Acme Robotics', experience: '3+ years of experience' }
+});
+
+function options(overrides = {}) {
+    return {
+        cache: createExtractionCache({ store: createMemoryStore() }),
+        provider: stubProvider(ANSWER),
+        logger: SILENT_LOGGER,
+        ...overrides
+    };
+}
+
+test('a repeated posting is served from the cache', async () => {
+    const shared = options();
+    const first = await extractJobDetailsCached(TITLE, DESCRIPTION, shared);
+    const second = await extractJobDetailsCached(TITLE, `  ${DESCRIPTION.toUpperCase()} `, shared);
+
+    assert.equal(first.cache, 'miss');
+    assert.equal(second.cache, 'hit');
+    assert.equal(shared.provider.calls, 1);
+    assert.equal(second.company, first.company);
+});
+
+test('refresh skips the cached result and stores a new one', async () => {
+    const shared = options();
+    await extractJobDetailsCached(TITLE, DESCRIPTION, shared);
+    const refreshed = await extractJobDetailsCached(TITLE, DESCRIPTION, { ...shared, refresh: true });
+    const after = await extractJobDetailsCached(TITLE, DESCRIPTION, shared);
+
+    assert.equal(refreshed.cache, 'refresh');
+    assert.equal(after.cache, 'hit');
+    assert.equal(shared.provider.calls, 2);
+});
+
+test('results built under other settings are not shared', async () => {
+    const shared = options();
+    await extractJobDetailsCached(TITLE, DESCRIPTION, { ...shared, config: { evidenceMode: 'null' } });
+    const offMode = await extractJobDetailsCached(TITLE, DESCRIPTION, { ...shared, config: { evidenceMode: 'off' } });
+    const noPartials = await extractJobDetailsCached(TITLE, DESCRIPTION, { ...shared, config: { evidenceMode: 'null', partialResults: false } });
+
+    assert.equal(offMode.cache, 'miss');
+    assert.equal(noPartials.cache, 'miss');
+    assert.equal(shared.provider.calls, 3);
+});
+
+test('keys change with the model, the thresholds and the hints', () => {
+    const provider = { name: 'openai', model: 'gpt-4o-mini' };
+    const base = extractionCacheKey(TITLE, DESCRIPTION, { provider, config: { heuristicConfidenceThreshold: 0.85 } });
+
+    assert.equal(extractionCacheKey(TITLE, DESCRIPTION, { provider, config: { heuristicConfidenceThreshold: 0.85 } }), base);
+    assert.notEqual(extractionCacheKey(TITLE, DESCRIPTION, { provider: { ...provider, model: 'gpt-4o' }, config: { heuristicConfidenceThreshold: 0.85 } }), base);
+    assert.notEqual(extractionCacheKey(TITLE, DESCRIPTION, { provider, config: { heuristicConfidenceThreshold: 0.9 } }), base);
+    assert.notEqual(extractionCacheKey(TITLE, DESCRIPTION, {
+        provider,
+        config: { heuristicConfidenceThreshold: 0.85 },
+        hints: { company: { value: 'Acme', confidence: 0.95 } }
+    }), base);
+});
+
+test('failed extractions are not cached', async () => {
+    const shared = options({ provider: stubProvider(new Error('HTTP 503')), config: { maxRetries: 1, retryDelayMs: 0 } });
+    const failed = await extractJobDetailsCached(TITLE, DESCRIPTION, shared);
+    const again = await extractJobDetailsCached(TITLE, DESCRIPTION, shared);
+
+    assert.ok(failed.error);
+    assert.equal(again.cache, 'miss');
+    assert.equal(shared.provider.calls, 2);
+});
@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { findCompensation, normalizeCompensation } from "../lib/compensation.js";
+
+function first(text) {
+    const [{ index, ...compensation }] = findCompensation(text);
+    return compensation;
+}
+
+test('salaries are normalized to min, max, currency and period', () => {
+    assert.deepEqual(first('Pay: $120k–$150k per year'), { min: 120000, max: 150000, currency: 'USD', period: 'yearly', raw: '$120k–$150k per year' });
+    assert.deepEqual(first('Rate: USD 55/hr'), { min: 55, max: 55, currency: 'USD', period: 'hourly', raw: 'USD 55/hr' });
+    assert.deepEqual(first('Salary: £40,000 per annum'), { min: 40000, max: 40000, currency: 'GBP', period: 'yearly', raw: '£40,000 per annum' });
+    // The "k" of the far end applies to both ends
+    assert.deepEqual(first('$120-150k'), { min: 120000, max: 150000, currency: 'USD', period: 'yearly', raw: '$120-150k' });
+});
+
+test('open-ended pay keeps only the end it states', () => {
+    assert.deepEqual(first('Up to $90k per year'), { min: null, max: 90000, currency: 'USD', period: 'yearly', raw: 'Up to $90k per year' });
+    assert.deepEqual(first('Base: $150,000+ annually'), { min: 150000, max: null, currency: 'USD', period: 'yearly', raw: '$150,000+ annually' });
+    assert.deepEqual(first('Starting at $20/hour'), { min: 20, max: null, currency: 'USD', period: 'hourly', raw: 'Starting at $20/hour' });
+    assert.deepEqual(first('Gehalt ab 50.000 € pro Jahr'), { min: 50000, max: null, currency: 'EUR', period: 'yearly', raw: 'ab 50.000 € pro Jahr' });
+    // A range is never open-ended
+    assert.deepEqual(first('From $120k to $150k'), { min: 120000, max: 150000, currency: 'USD', period: 'yearly', raw: '$120k to $150k' });
+});
+
+test('numbers without a currency are not pay', () => {
+    assert.deepEqual(findCompensation('5+ years of experience, 401k match, a team of 250 people'), []);
+    assert.deepEqual(findCompensation('We serve $3 million in orders a day'), []);
+});
+
+test('model amounts written in the posting are kept', () => {
+    assert.deepEqual(
+        normalizeCompensation({ min: '120k', max: 150000, currency: 'usd', period: 'annual' }, 'Salary: $120k-$150k'),
+        { min: 120000, max: 150000, currency: 'USD', period: 'yearly', raw: null }
+    );
+    assert.equal(normalizeCompensation({ min: 120000, max: 150000, currency: 'USD' }, 'Salary: $120-150k').min, 120000);
+    assert.equal(normalizeCompensation({ min: 120000, max: 150000, currency: 'USD' }, 'Salary: 120 to 150 thousand dollars').min, 120000);
+});
+
+test('amounts the model made up are rejected', () => {
+    assert.equal(normalizeCompensation({ min: 200000, max: 250000, currency: 'USD' }, 'The role requires 200 hours and 250 people'), null);
+    assert.equal(normalizeCompensation({ raw: '$200-250k' }, 'The role requires 200 hours and 250 people'), null);
+    assert.equal(normalizeCompensation({ min: 5000, currency: 'USD' }, '5+ years of experience'), null);
+    // A number counts only where the posting states it as pay
+    assert.equal(normalizeCompensation({ min: 5 }, '5+ years experience with Python'), null);
+    assert.equal(normalizeCompensation({ min: 5, currency: 'USD', period: 'hourly' }, 'Need 5 years of Go. Pay: $25/hr'), null);
+    assert.equal(normalizeCompensation({ min: 25, currency: 'USD', period: 'hourly' }, 'Need 5 years of Go. Pay: $25/hr').min, 25);
+    // Only the invented end is dropped
+    assert.deepEqual(
+        normalizeCompensation({ min: 120000, max: 160000, currency: 'USD' }, 'Salary: $120k - $150k'),
+        { min: 120000, max: null, currency: 'USD', period: null, raw: null }
+    );
+});
@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { csvCell, csvLine, parseCsv } from "../lib/csv.js";
+import { toCsv } from "../lib/formats.js";
+
+test('cells are quoted only when they have to be', () => {
+    assert.equal(csvLine(['plain', 'a,b', 'say "hi"', 'two\nlines', null, 42]), 'plain,"a,b","say ""hi""","two\nlines",,42');
+});
+
+test('cells that could start a formula are escaped', () => {
+    assert.equal(csvCell('=HYPERLINK("http://evil.example","Apply")'), `"'=HYPERLINK(""http://evil.example"",""Apply"")"`);
+    assert.equal(csvCell('+1+cmd|calc'), `"'+1+cmd|calc"`);
+    assert.equal(csvCell('-2+3'), `"'-2+3"`);
+    assert.equal(csvCell('@SUM(A1:A9)'), `"'@SUM(A1:A9)"`);
+    assert.equal(csvCell('\t=1+1'), `"'\t=1+1"`);
+    assert.equal(csvCell('\r=1+1'), `"'\r=1+1"`);
+    // Numbers stay numbers
+    assert.equal(csvCell(-97.74), '-97.74');
+    assert.equal(csvCell('-97.74'), '-97.74');
+    assert.equal(csvCell('+49'), '+49');
+    assert.equal(csvCell('Senior - Backend'), 'Senior - Backend');
+});
+
+test('escaped cells read back with their leading quote', () => {
+    const line = csvLine(['=cmd|" /C calc"!A0', 'Data Engineer']);
+    assert.deepEqual(parseCsv(`${line}\r\n`), [[`'=cmd|" /C calc"!A0`, 'Data Engineer']]);
+});
+
+test('files meant to be read back can be written without the escape', () => {
+    const line = csvLine(['=SUM(A1:A9)', '- 5 years of Python', 'a,b'], { escapeFormulas: false });
+    assert.equal(line, '=SUM(A1:A9),- 5 years of Python,"a,b"');
+    assert.deepEqual(parseCsv(`${line}\r\n`), [['=SUM(A1:A9)', '- 5 years of Python', 'a,b']]);
+});
+
+test('response CSV escapes untrusted result values', () => {
+    const csv = toCsv([{ job_title: '=IMPORTXML("http://evil.example")', company: '@Acme', city: 'Austin, TX', location: { longitude: -97.74 } }]);
+    const [header, row] = parseCsv(csv);
+    const cell = name => row[header.indexOf(name)];
+
+    assert.equal(cell('job_title'), `'=IMPORTXML("http://evil.example")`);
+    assert.equal(cell('company'), "'@Acme");
+    assert.equal(cell('city'), 'Austin, TX');
+    assert.equal(cell('location_longitude'), '-97.74');
+});
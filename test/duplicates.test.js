@@ -0,0 +1,129 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { comparePostings, createDuplicateIndex, describePosting, postingFingerprint } from "../lib/duplicates.js";
+import { extractJobDetailsDeduplicated } from "../lib/extract.js";
+import { createMemoryStore } from "../lib/stores.js";
+import { SILENT_LOGGER, stubProvider } from "./helpers.js";
+
+const DESCRIPTION = `About Acme Robotics
+
+We are hiring a Backend Engineer for our Austin, TX office. This is an on-site role.
+You will design the APIs our warehouse robots report to and keep them fast and reliable.
+Requirements:
+- 3+ years of experience with Python and PostgreSQL
+- Docker
+Salary: $120,000 - $140,000 per year.`;
+
+// The same posting as an aggregator lists it: other title spelling, a tag line, no salary
+const AGGREGATOR_COPY = `${DESCRIPTION.replace('\nSalary: $120,000 - $140,000 per year.', '')}\nApply via JobBoard.`;
+
+// A job board's copy with one line added: near-identical
+const NEAR_COPY = `${DESCRIPTION}\nApply via JobBoard.`;
+
+// Another opening with the same title, company and city
+const OTHER_OPENING = `About Acme Robotics
+
+We are hiring a Backend Engineer for our Austin, TX office to own billing. You will build invoicing
+and payment reconciliation services with Stripe, talk to finance every week and keep the ledgers correct.
+Requirements:
+- 3+ years of experience with Python and PostgreSQL
+- Docker
+Salary: $120,000 - $140,000 per year.`;
+
+const UNRELATED = 'Globex is looking for an accountant to run month-end close, reconcile ledgers and prepare '
+    + 'quarterly reports for the finance team in Denver. CPA preferred, five years in public accounting.';
+
+function posting(jobTitle, jobDescription, company = 'Acme Robotics', city = 'Austin, TX') {
+    return describePosting({ jobTitle, jobDescription, company, city });
+}
+
+test('titles, companies and cities written differently share a fingerprint', () => {
+    const original = postingFingerprint({ job_title: 'Sr. Backend Engineer', company: 'Acme, Inc.', city: 'Austin, TX' });
+
+    assert.equal(postingFingerprint({ job_title: 'Senior Backend Engineer (Remote)', company: 'Acme', city: 'Austin' }), original);
+    assert.equal(postingFingerprint({ job_title: 'Backend Engineer, Senior', company: 'ACME INC', city: 'austin' }), original);
+    assert.notEqual(postingFingerprint({ job_title: 'Senior Backend Engineer', company: 'Globex', city: 'Austin, TX' }), original);
+    assert.notEqual(postingFingerprint({ job_title: 'Senior Frontend Engineer', company: 'Acme', city: 'Austin, TX' }), original);
+});
+
+test('a copy with a similar description matches, another company or job does not', () => {
+    const canonical = posting('Backend Engineer', DESCRIPTION);
+
+    assert.ok(comparePostings(posting('Backend Engineer (m/w/d)', AGGREGATOR_COPY), canonical).similarity > 0.6);
+    assert.equal(comparePostings(posting('Backend Engineer', AGGREGATOR_COPY, 'Globex'), canonical), null);
+    assert.equal(comparePostings(posting('Staff Accountant', UNRELATED), canonical), null);
+    // Unknown company or city does not count against a match
+    assert.ok(comparePostings(posting('Backend Engineer', AGGREGATOR_COPY, null, null), canonical));
+});
+
+test('the index finds remembered postings through their description bands', async () => {
+    const index = createDuplicateIndex({ store: createMemoryStore() });
+    const canonical = posting('Backend Engineer', DESCRIPTION);
+
+    assert.equal(await index.find(canonical), null);
+    assert.equal(await index.remember(canonical, { job_title: 'Backend Engineer' }), true);
+    assert.equal(await index.remember(canonical, { job_title: 'again' }), false);
+
+    // Another title spelling gives another fingerprint, so only the bands can find it
+    const copy = posting('Python Backend Engineer', AGGREGATOR_COPY);
+    assert.notEqual(copy.fingerprint, canonical.fingerprint);
+    const match = await index.find(copy);
+    assert.equal(match.id, canonical.fingerprint);
+    assert.deepEqual(match.result, { job_title: 'Backend Engineer' });
+    assert.equal(await index.find(posting('Staff Accountant', UNRELATED, 'Globex', 'Denver, CO')), null);
+});
+
+test('extraction marks a repeat as duplicate_of the first posting', async () => {
+    const duplicates = createDuplicateIndex({ store: createMemoryStore() });
+    const options = { duplicates, provider: stubProvider(new Error('no model here')), logger: SILENT_LOGGER };
+
+    const first = await extractJobDetailsDeduplicated('Backend Engineer', DESCRIPTION, options);
+    const repeat = await extractJobDetailsDeduplicated('Backend Engineer - Austin, TX', AGGREGATOR_COPY, options);
+
+    assert.equal(first.extraction_method, 'rules');
+    assert.equal(first.duplicate_of, null);
+    assert.equal(repeat.duplicate_of, first.fingerprint);
+
+    // The same posting sent again is not its own duplicate
+    const again = await extractJobDetailsDeduplicated('Backend Engineer', DESCRIPTION, options);
+    assert.equal(again.fingerprint, first.fingerprint);
+    assert.equal(again.duplicate_of, null);
+
+    const canonical = await extractJobDetailsDeduplicated('Backend Engineer', NEAR_COPY, { ...options, config: { returnCanonical: true } });
+    assert.equal(canonical.cache, 'duplicate');
+    assert.equal(canonical.duplicate_of, first.fingerprint);
+    assert.equal(canonical.company, first.company);
+});
+
+test('same-key openings with mostly different descriptions are not duplicates', async () => {
+    const index = createDuplicateIndex({ store: createMemoryStore() });
+    const canonical = posting('Backend Engineer', DESCRIPTION);
+    const other = posting('Backend Engineer', OTHER_OPENING);
+
+    assert.equal(other.fingerprint, canonical.fingerprint);
+    assert.equal(comparePostings(other, canonical), null);
+    await index.remember(canonical, { job_title: 'Backend Engineer' });
+    assert.equal(await index.find(other), null);
+});
+
+test('each client only finds its own postings', async () => {
+    const index = createDuplicateIndex({ store: createMemoryStore() });
+    const canonical = posting('Backend Engineer', DESCRIPTION);
+    await index.forClient('client-a').remember(canonical, { job_title: 'Backend Engineer', company: 'Acme Robotics' });
+
+    const copy = posting('Backend Engineer', AGGREGATOR_COPY);
+    assert.equal((await index.forClient('client-a').find(copy)).id, canonical.fingerprint);
+    assert.equal(await index.forClient('client-b').find(copy), null);
+    assert.equal(await index.find(copy), null);
+
+    // Nor its canonical results, through return_canonical
+    const options = {
+        duplicates: index.forClient('client-b'),
+        provider: stubProvider(new Error('no model here')),
+        logger: SILENT_LOGGER,
+        config: { returnCanonical: true }
+    };
+    const result = await extractJobDetailsDeduplicated('Backend Engineer', NEAR_COPY, options);
+    assert.notEqual(result.cache, 'duplicate');
+    assert.equal(result.duplicate_of, null);
+});
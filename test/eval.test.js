@@ -0,0 +1,147 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { promptHash, runEvaluation } from "../eval/harness.js";
+import { compareFields, diffReports, formatScores, scoreComparisons } from "../eval/metrics.js";
+import { SCHEMA_VERSION } from "../lib/schema.js";
+import { stubProvider } from "./helpers.js";
+
+const MODEL_POSTING = {
+    id: 'backend-remote',
+    job_title: 'Backend Engineer',
+    job_description: 'Acme Robotics is hiring. The role is remote.\nYou bring 3+ years of experience with Python.',
+    expected: {
+        language: 'en', job_title: 'Backend Engineer', city: null, work_arrangement: 'remote',
+        company: 'Acme Robotics', experience: 'Mid (3-5 Years)', compensation: null, skills: ['python']
+    }
+};
+
+const RULES_POSTING = {
+    id: 'backend-austin',
+    job_title: 'Backend Engineer',
+    job_description: 'About Acme Robotics\n\nWe are hiring a Backend Engineer for our Austin, TX office. This is an on-site role.\nRequirements:\n- 3+ years of experience with Python and PostgreSQL\n- Docker\nSalary: $120,000 - $140,000 per year.',
+    expected: {
+        language: 'en', job_title: 'Backend Engineer', city: 'Austin, TX', work_arrangement: 'on-site',
+        company: 'Acme Robotics', experience: 'Mid (3-5 Years)',
+        compensation: { min: 120000, max: 140000, currency: 'USD', period: 'yearly' },
+        skills: ['python', 'postgresql', 'docker']
+    }
+};
+
+function answer(overrides = {}) {
+    return JSON.stringify({
+        job_title: 'Backend Engineer',
+        city: null,
+        locations: [],
+        work_arrangement: 'remote',
+        company: 'Acme Robotics',
+        experience: 'Mid (3-5 Years)',
+        compensation: null,
+        skills: [{ name: 'Python', required: true }],
+        evidence: { work_arrangement: 'remote', company: 'Acme Robotics', experience: '3+ years of experience' },
+        ...overrides
+    });
+}
+
+function recording(outputs, extra = {}) {
+    return {
+        label: 'fixture',
+        provider: 'replicate',
+        model: 'openai/gpt-4o-mini',
+        schema_version: SCHEMA_VERSION,
+        recorded_at: '2026-01-01T00:00:00.000Z',
+        responses: { [MODEL_POSTING.id]: { prompt_hash: null, outputs } },
+        ...extra
+    };
+}
+
+test('fields are compared loosely and skills as sets', () => {
+    const comparison = compareFields(MODEL_POSTING.expected, {
+        language: 'en',
+        job_title: 'backend engineer',
+        city: 'Austin, TX',
+        work_arrangement: 'remote',
+        company: 'Acme Robotics',
+        experience: null,
+        compensation: null,
+        skills: [{ id: 'python', name: 'Python' }, { id: 'sql', name: 'SQL' }]
+    });
+
+    assert.equal(comparison.language.correct, true);
+    assert.equal(comparison.job_title.correct, true);
+    assert.equal(comparison.city.correct, false);
+    assert.equal(comparison.experience.correct, false);
+    assert.equal(comparison.compensation.correct, true);
+    assert.deepEqual(comparison.skills.extra, ['sql']);
+    assert.equal(comparison.skills.correct, false);
+
+    const withRaw = compareFields(RULES_POSTING.expected, { compensation: { ...RULES_POSTING.expected.compensation, raw: '$120,000 - $140,000' } });
+    assert.equal(withRaw.compensation.correct, true);
+});
+
+test('precision counts non-null predictions and recall non-null expectations', () => {
+    const postings = [
+        { fields: compareFields({ city: 'Austin, TX', experience: 'Mid (3-5 Years)', skills: ['python'] }, { city: 'Austin, TX', experience: null, skills: [{ id: 'python' }] }) },
+        { fields: compareFields({ city: null, experience: 'Entry (0-2 Years)', skills: ['sql'] }, { city: 'Denver, CO', experience: 'Entry (0-2 Years)', skills: [{ id: 'sql' }, { id: 'excel' }] }) }
+    ];
+    const { fields, confusion } = scoreComparisons(postings);
+
+    assert.deepEqual(fields.city, { precision: 0.5, recall: 1, exact_match: 0.5 });
+    assert.deepEqual(fields.experience, { precision: 1, recall: 0.5, exact_match: 0.5 });
+    assert.deepEqual(fields.skills, { precision: 0.667, recall: 1, exact_match: 0.5 });
+    assert.deepEqual(confusion.experience, { 'Mid (3-5 Years)': { '(null)': 1 }, 'Entry (0-2 Years)': { 'Entry (0-2 Years)': 1 } });
+});
+
+test('a recording replays offline and rules-only postings need no answer', async () => {
+    const report = await runEvaluation([MODEL_POSTING, RULES_POSTING], { recording: recording([answer()]) });
+
+    assert.deepEqual(report.postings.map(posting => posting.extraction_method), ['rules+model', 'rules']);
+    assert.equal(report.scores.postings, 2);
+    assert.equal(report.scores.fields.experience.exact_match, 1);
+    assert.equal(report.scores.fields.work_arrangement.exact_match, 1);
+    assert.deepEqual(report.missing, []);
+    assert.equal(report.model, 'openai/gpt-4o-mini');
+    assert.equal(report.synthetic, false);
+});
+
+test('an answer recorded for another prompt is reported as stale, a missing one as missing', async () => {
+    const stale = await runEvaluation([MODEL_POSTING], { recording: recording([answer()], { responses: { [MODEL_POSTING.id]: { prompt_hash: 'outdated', outputs: [answer()] } } }) });
+    assert.deepEqual(stale.stale, [MODEL_POSTING.id]);
+
+    const missing = await runEvaluation([MODEL_POSTING], { recording: recording([], { responses: {} }) });
+    assert.deepEqual(missing.missing, [MODEL_POSTING.id]);
+    assert.match(missing.postings[0].error, /No recorded response/);
+});
+
+test('recording a live provider keeps its answers and prompt hashes for replay', async () => {
+    const report = await runEvaluation([MODEL_POSTING, RULES_POSTING], { provider: stubProvider(answer()), label: 'live' });
+    const entry = report.recording.responses[MODEL_POSTING.id];
+
+    assert.deepEqual(Object.keys(report.recording.responses), [MODEL_POSTING.id]);
+    assert.deepEqual(entry.outputs, [answer()]);
+    assert.match(entry.prompt_hash, /^[0-9a-f]{64}$/);
+    assert.equal(entry.prompt_hash.length, promptHash('x').length);
+
+    const replayed = await runEvaluation([MODEL_POSTING, RULES_POSTING], { recording: report.recording });
+    assert.deepEqual(replayed.scores, report.scores);
+    assert.deepEqual(replayed.stale, []);
+});
+
+test('a synthetic recording is reported as a harness self-test', async () => {
+    const report = await runEvaluation([MODEL_POSTING], { recording: recording([answer()], { synthetic: true, recorded_at: null }) });
+
+    assert.equal(report.synthetic, true);
+    assert.equal(report.provider, null);
+    assert.equal(report.model, null);
+    assert.match(formatScores(report), /Harness self-test/);
+});
+
+test('a comparison lists the fields each posting fixed or broke', async () => {
+    const before = await runEvaluation([MODEL_POSTING], { recording: recording([answer({ work_arrangement: 'hybrid' })]), label: 'a' });
+    const after = await runEvaluation([MODEL_POSTING], { recording: recording([answer()]), label: 'b' });
+
+    const fixed = diffReports(before, after);
+    assert.deepEqual(fixed.postings, [{ id: MODEL_POSTING.id, fixed: ['work_arrangement'], broken: [] }]);
+    assert.equal(fixed.fields.work_arrangement.exact_match.delta, 1);
+    assert.equal(fixed.synthetic, false);
+    assert.deepEqual(diffReports(after, before).postings, [{ id: MODEL_POSTING.id, fixed: [], broken: ['work_arrangement'] }]);
+});
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { findEvidence, experienceTerms, titleTerms } from "../lib/evidence.js";
+import { findResultEvidence } from "../lib/schema.js";
+
+const MID = 'Mid (3-5 Years)';
+const SENIOR = 'Senior (6-8 Years)';
+const LEAD = 'Lead (8+ Years)';
+
+function experienceEvidence(level, jobDescription) {
+    return findEvidence(experienceTerms(level), { jobTitle: 'Backend Engineer', jobDescription });
+}
+
+test('years of experience back only the level they map to', () => {
+    const description = 'You bring 3+ years of experience with Python.';
+    assert.equal(experienceEvidence(MID, description).text, '3+ years');
+    assert.equal(experienceEvidence(SENIOR, description), null);
+    assert.equal(experienceEvidence(LEAD, description), null);
+
+    assert.equal(experienceEvidence(SENIOR, 'Berufserfahrung: mindestens 5 Jahre im Backend.').text, '5 Jahre');
+    assert.equal(experienceEvidence(LEAD, 'Ten years of hands-on experience required.').text, 'Ten years');
+});
+
+test('a contract length or company age does not back a seniority level', () => {
+    const description = 'This is a fixed-term contract for 2 years.\nWe were founded 10 years ago in Austin.\nPython is a plus.';
+    assert.equal(experienceEvidence(MID, description), null);
+    assert.equal(experienceEvidence(LEAD, description), null);
+    assert.equal(experienceEvidence(SENIOR, description), null);
+});
+
+function titleEvidence(value, jobTitle, jobDescription) {
+    return findResultEvidence({ job_title: value }, { source: { jobTitle, jobDescription } }).job_title;
+}
+
+test('the job title is looked for in the title first', () => {
+    const evidence = titleEvidence('Data Engineer', 'Data Engineer', 'Our Data Engineer builds pipelines.');
+    assert.equal(evidence.source, 'job_title');
+    assert.equal(evidence.start, 0);
+});
+
+test('a short title needs a whole-phrase match', () => {
+    assert.equal(titleEvidence('A', 'Tester', 'This is a hybrid role.'), null);
+    assert.equal(titleEvidence('QA', 'QA', 'You test our apps.').source, 'job_title');
+    assert.equal(titleEvidence('QA', 'Tester', 'Team:\n  QA\nYou test our apps.').source, 'job_description');
+    assert.equal(titleEvidence('QA', 'QA Lead', 'Our QA team tests apps.'), null);
+    assert.deepEqual(titleTerms('Data Engineer'), ['Data Engineer']);
+});
@@ -0,0 +1,177 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { MISSING_FIELDS_ERROR } from "../lib/extract.js";
+
+// A model server that is down: every call answers HTTP 503, so a posting the
+// rules cannot settle alone falls back to them
+const modelServer = createServer((request, response) => {
+    request.resume();
+    response.writeHead(503, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify({ error: 'model is down' }));
+});
+await new Promise(resolve => modelServer.listen(0, '127.0.0.1', resolve));
+after(() => {
+    modelServer.closeAllConnections();
+    return new Promise(resolve => modelServer.close(resolve));
+});
+
+// The function reads its limits, stores and provider from the environment
+process.env.API_KEYS = JSON.stringify([
+    { name: 'acme', key: 'key-acme' },
+    { name: 'limited', key: 'key-limited', rateLimitPerMinute: 1, dailyQuota: 5 },
+    { name: 'quota', key: 'key-quota', rateLimitPerMinute: 0, dailyQuota: 2 }
+]);
+process.env.LLM_PROVIDER = 'ollama';
+process.env.OLLAMA_BASE_URL = `http://127.0.0.1:${modelServer.address().port}`;
+process.env.CORS_ALLOWED_ORIGINS = 'https://app.example.com';
+process.env.MAX_DESCRIPTION_CHARS = '1000';
+process.env.JOBS_STORE = 'memory';
+process.env.JOB_DISPATCH = 'inline';
+process.env.CACHE_STORE = 'none';
+process.env.DUPLICATES_STORE = 'none';
+process.env.LOG_LEVEL = 'error';
+const { handler } = await import("../netlify/functions/extract-job-details.js");
+const { handler: jobStatus } = await import("../netlify/functions/job-status.js");
+
+const RULES_ONLY_DESCRIPTION = `About Acme Robotics
+
+We are hiring a Backend Engineer for our Austin, TX office. This is an on-site role.
+Requirements:
+- 3+ years of experience with Python and PostgreSQL
+- Docker
+Salary: $120,000 - $140,000 per year.`;
+const MODEL_DESCRIPTION = 'Acme Robotics is hiring. The role is remote.\nYou bring 3+ years of experience with Python.';
+
+function post(body, { key = 'key-acme' } = {}) {
+    return handler({
+        httpMethod: 'POST',
+        headers: { 'content-type': 'application/json', ...(key ? { 'x-api-key': key } : {}) },
+        body: JSON.stringify(body)
+    }, {});
+}
+
+function preflight(origin) {
+    return handler({ httpMethod: 'OPTIONS', headers: { origin } }, {});
+}
+
+// Poll job-status until the job has finished
+async function finishedJob(id, key = 'key-acme') {
+    for (let attempt = 0; attempt < 200; attempt++) {
+        const response = await jobStatus({ httpMethod: 'GET', headers: { 'x-api-key': key }, queryStringParameters: { id } }, {});
+        const job = JSON.parse(response.body);
+        if (job.status !== 'queued' && job.status !== 'running') {
+            return job;
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    throw new Error(`Job ${id} did not finish`);
+}
+
+test('a batch answers every item under its id, with per-item errors', async () => {
+    const response = await post({
+        jobs: [
+            { id: 'backend', job_title: 'Backend Engineer', job_description: RULES_ONLY_DESCRIPTION },
+            { job_title: 'Backend Engineer', job_description: RULES_ONLY_DESCRIPTION },
+            { id: 'no-description', job_title: 'QA Engineer' }
+        ]
+    });
+    const body = JSON.parse(response.body);
+
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(body.results.map(item => [item.id, item.index, item.status]), [
+        ['backend', 0, 'ok'],
+        [body.results[1].id, 1, 'ok'],
+        ['no-description', 2, 'error']
+    ]);
+    assert.notEqual(body.results[1].id, 'backend');
+    assert.equal(body.results[0].result.company, 'Acme Robotics');
+    assert.equal(body.results[2].result, null);
+    assert.equal(body.results[2].error, MISSING_FIELDS_ERROR);
+    assert.deepEqual({ ...body.summary, duration_ms: 0 }, { total: 3, succeeded: 2, failed: 1, duration_ms: 0 });
+});
+
+test('a request without a valid API key is refused with 401', async () => {
+    const missing = await post({ job_title: 'Backend Engineer', job_description: RULES_ONLY_DESCRIPTION }, { key: null });
+    assert.equal(missing.statusCode, 401);
+    assert.equal(missing.headers['WWW-Authenticate'], 'Bearer');
+    assert.match(JSON.parse(missing.body).error, /Missing API key/);
+
+    const wrong = await post({ job_title: 'Backend Engineer', job_description: RULES_ONLY_DESCRIPTION }, { key: 'key-nobody' });
+    assert.equal(wrong.statusCode, 401);
+    assert.equal(JSON.parse(wrong.body).error, 'Invalid API key');
+});
+
+test('responses carry the rate limit and quota; a request over the limit gets 429 with Retry-After', async () => {
+    const job = { job_title: 'Backend Engineer', job_description: RULES_ONLY_DESCRIPTION };
+    const first = await post(job, { key: 'key-limited' });
+    assert.equal(first.statusCode, 200);
+    assert.equal(first.headers['X-RateLimit-Limit'], '1');
+    assert.equal(first.headers['X-RateLimit-Remaining'], '0');
+    assert.equal(first.headers['X-Quota-Limit'], '5');
+    assert.equal(first.headers['X-Quota-Remaining'], '4');
+
+    const second = await post(job, { key: 'key-limited' });
+    const body = JSON.parse(second.body);
+    assert.equal(second.statusCode, 429);
+    assert.equal(second.headers['Retry-After'], String(body.retry_after));
+    assert.ok(body.retry_after >= 1 && body.retry_after <= 60);
+    assert.match(body.error, /Rate limit of 1 requests per minute exceeded/);
+});
+
+test('a batch larger than the quota left is refused with 429', async () => {
+    const job = { job_title: 'Backend Engineer', job_description: RULES_ONLY_DESCRIPTION };
+    const response = await post({ jobs: [job, job, job] }, { key: 'key-quota' });
+
+    assert.equal(response.statusCode, 429);
+    assert.equal(response.headers['X-Quota-Remaining'], '2');
+    assert.ok(Number(response.headers['Retry-After']) >= 1);
+    assert.match(JSON.parse(response.body).error, /Daily quota of 2 postings exceeded/);
+});
+
+test('a preflight is answered 200 for an allowed origin and 403 for any other', async () => {
+    const allowed = await preflight('https://app.example.com');
+    assert.equal(allowed.statusCode, 200);
+    assert.equal(allowed.headers['Access-Control-Allow-Origin'], 'https://app.example.com');
+    assert.equal(allowed.headers.Vary, 'Origin');
+
+    const other = await preflight('https://evil.example.com');
+    assert.equal(other.statusCode, 403);
+    assert.equal(other.headers['Access-Control-Allow-Origin'], undefined);
+});
+
+test('text from job_html longer than the description limit is refused with 422', async () => {
+    const html = `<html><body><h1>Backend Engineer</h1><p>${'We build robots. '.repeat(100)}</p></body></html>`;
+    const response = await post({ job_title: 'Backend Engineer', job_html: html });
+    const body = JSON.parse(response.body);
+
+    assert.equal(response.statusCode, 422);
+    assert.equal(body.errors[0].field, 'job_html');
+    assert.equal(body.errors[0].code, 'too_long');
+});
+
+test('when the model is down, a sync request answers 200 with the rules fallback', async () => {
+    const response = await post({ job_title: 'Backend Engineer', job_description: MODEL_DESCRIPTION });
+    const result = JSON.parse(response.body);
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(result.extraction_method, 'rules');
+    assert.match(result.error, /^AI processing failed: HTTP 503/);
+    assert.equal(result.job_title, 'Backend Engineer');
+});
+
+test('an async request answers 202 with where to poll; a model failure leaves the job failed', async () => {
+    const response = await post({ job_title: 'Backend Engineer', job_description: MODEL_DESCRIPTION, async: true });
+    const queued = JSON.parse(response.body);
+
+    assert.equal(response.statusCode, 202);
+    assert.equal(queued.status, 'queued');
+    assert.equal(queued.status_url, `/.netlify/functions/job-status?id=${queued.job_id}`);
+    assert.equal(response.headers.Location, queued.status_url);
+
+    const job = await finishedJob(queued.job_id);
+    assert.equal(job.status, 'failed');
+    assert.match(job.error, /^AI processing failed: HTTP 503/);
+    assert.equal(job.result.extraction_method, 'rules');
+    assert.equal(job.input, undefined);
+});
@@ -0,0 +1,207 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+import { extractJobDetails, extractJobDetailsBatch, extractJobDetailsWithRetry, MISSING_FIELDS_ERROR } from "../lib/extract.js";
+import * as esm from "../index.js";
+import { SILENT_LOGGER, stubProvider } from "./helpers.js";
+
+const require = createRequire(import.meta.url);
+
+const RULES_ONLY_DESCRIPTION = `About Acme Robotics
+
+We are hiring a Backend Engineer for our Austin, TX office. This is an on-site role.
+Requirements:
+- 3+ years of experience with Python and PostgreSQL
+- Docker
+Salary: $120,000 - $140,000 per year.`;
+
+test('a posting the rules settle completely makes no provider call', async () => {
+    const provider = stubProvider();
+    const result = await extractJobDetailsWithRetry('Backend Engineer', RULES_ONLY_DESCRIPTION, { provider, logger: SILENT_LOGGER });
+
+    assert.equal(provider.calls, 0);
+    assert.equal(result.extraction_method, 'rules');
+    assert.equal(result.city, 'Austin, TX');
+    assert.equal(result.company, 'Acme Robotics');
+    assert.equal(result.experience, 'Mid (3-5 Years)');
+    // List fields come from the taxonomy and the gazetteer
+    assert.deepEqual(result.skills.map(skill => skill.id), ['python', 'postgresql', 'docker']);
+    assert.deepEqual(result.locations.map(location => location.display), ['Austin, TX']);
+    assert.equal(result.confidence.skills, 0.6);
+});
+
+test('a posting the rules cannot settle goes to the model', async () => {
+    const provider = stubProvider([{
+        job_title: 'Backend Engineer',
+        city: null,
+        locations: [],
+        work_arrangement: 'remote',
+        company: 'Acme Robotics',
+        experience: 'Mid (3-5 Years)',
+        compensation: null,
+        skills: [{ name: 'Python', required: true }],
+        evidence: { work_arrangement: 'remote', company: 'Acme Robotics', experience: '3+ years of experience' }
+    }]);
+    const description = 'Acme Robotics is hiring. The role is remote.\nYou bring 3+ years of experience with Python.';
+    const result = await extractJobDetailsWithRetry('Backend Engineer', description, { provider, logger: SILENT_LOGGER });
+
+    assert.equal(provider.calls, 1);
+    assert.equal(result.extraction_method, 'rules+model');
+    assert.equal(result.work_arrangement, 'remote');
+    assert.deepEqual(result.skills.map(skill => skill.id), ['python']);
+});
+
+test('a model outage falls back to the rules', async () => {
+    const provider = stubProvider();
+    const description = 'Acme Robotics is hiring. The role is remote.\nYou bring 3+ years of experience with Python.';
+    const result = await extractJobDetailsWithRetry('Backend Engineer', description, {
+        provider,
+        logger: SILENT_LOGGER,
+        config: { maxRetries: 2, retryDelayMs: 0 }
+    });
+
+    assert.equal(provider.calls, 2);
+    assert.equal(result.extraction_method, 'rules');
+    assert.match(result.error, /AI processing failed: No answer left/);
+    assert.equal(result.experience, 'Mid (3-5 Years)');
+});
+
+const MODEL_DESCRIPTION = 'Acme Robotics is hiring. The role is remote.\nYou will build data pipelines in Python.';
+
+const MODEL_ANSWER = {
+    job_title: 'Data Engineer',
+    city: null,
+    locations: [],
+    work_arrangement: 'remote',
+    company: 'Acme Robotics',
+    experience: null,
+    compensation: null,
+    skills: [{ name: 'Python', required: true }],
+    evidence: { work_arrangement: 'remote', company: 'Acme Robotics' }
+};
+
+test('a rejected answer is sent back with its problems and repaired', async () => {
+    const provider = stubProvider([{ ...MODEL_ANSWER, work_arrangement: 'wfh sometimes' }, MODEL_ANSWER]);
+    const result = await extractJobDetailsWithRetry('Data Engineer', MODEL_DESCRIPTION, {
+        provider,
+        logger: SILENT_LOGGER,
+        config: { retryDelayMs: 0 }
+    });
+
+    assert.equal(provider.calls, 2);
+    assert.equal(result.work_arrangement, 'remote');
+    assert.equal(result.field_errors, undefined);
+    assert.doesNotMatch(provider.prompts[0], /previous answer was rejected/);
+    assert.match(provider.prompts[1], /Your previous answer was rejected:\n.*wfh sometimes/);
+    assert.match(provider.prompts[1], /- work_arrangement must be one of: /);
+    assert.match(provider.prompts[1], /fix only: work_arrangement\./);
+});
+
+test('when no answer validates the valid fields are kept and the rest reported', async () => {
+    const invalid = { ...MODEL_ANSWER, work_arrangement: 'wfh sometimes' };
+    const options = { provider: stubProvider([invalid, invalid]), logger: SILENT_LOGGER, config: { maxRetries: 2, retryDelayMs: 0 } };
+    const result = await extractJobDetailsWithRetry('Data Engineer', MODEL_DESCRIPTION, options);
+
+    assert.equal(result.company, 'Acme Robotics');
+    assert.deepEqual(result.skills.map(skill => skill.id), ['python']);
+    assert.deepEqual(Object.keys(result.field_errors), ['work_arrangement']);
+    assert.match(result.field_errors.work_arrangement, /must be one of/);
+
+    // partialResults: false falls back to the rules alone
+    const fallback = await extractJobDetailsWithRetry('Data Engineer', MODEL_DESCRIPTION, {
+        ...options,
+        provider: stubProvider([invalid, invalid]),
+        config: { ...options.config, partialResults: false }
+    });
+    assert.equal(fallback.extraction_method, 'rules');
+    assert.equal(fallback.error, 'AI response failed validation');
+    assert.equal(fallback.field_errors, undefined);
+});
+
+test('a failed batch item is reported on its own and does not fail the batch', async () => {
+    const fetchPage = async url => {
+        throw Object.assign(new Error(`Failed to fetch job_url: HTTP 404 for ${url}`), { statusCode: 502 });
+    };
+    const { results, summary } = await extractJobDetailsBatch([
+        { id: 'austin', job_title: 'Backend Engineer', job_description: RULES_ONLY_DESCRIPTION },
+        { id: 'no-description', job_title: 'Backend Engineer' },
+        { id: 'gone', job_title: 'Backend Engineer', job_url: 'https://jobs.example.com/gone' },
+        { id: 'outage', job_title: 'Backend Engineer', job_description: 'Acme Robotics is hiring. The role is remote.\nYou bring 3+ years of experience with Python.' }
+    ], 2, { provider: stubProvider(), fetchPage, logger: SILENT_LOGGER, config: { maxRetries: 1, retryDelayMs: 0 } });
+
+    assert.deepEqual(results.map(item => [item.id, item.index, item.status]), [
+        ['austin', 0, 'ok'], ['no-description', 1, 'error'], ['gone', 2, 'error'], ['outage', 3, 'error']
+    ]);
+    assert.equal(results[0].result.city, 'Austin, TX');
+    assert.equal(results[1].error, MISSING_FIELDS_ERROR);
+    assert.equal(results[1].result, null);
+    assert.match(results[2].error, /HTTP 404/);
+    // A model failure keeps the rules' partial result next to the error
+    assert.match(results[3].error, /AI processing failed/);
+    assert.equal(results[3].result.experience, 'Mid (3-5 Years)');
+    assert.deepEqual({ ...summary, duration_ms: 0 }, { total: 4, succeeded: 1, failed: 3, duration_ms: 0 });
+});
+
+test('batch items without an id get a stable one, repeats a suffix', async () => {
+    const job = { job_title: 'Backend Engineer', job_description: RULES_ONLY_DESCRIPTION };
+    const first = await extractJobDetailsBatch([job, job, { job_title: 'QA' }], 1, { provider: stubProvider(), logger: SILENT_LOGGER });
+    const second = await extractJobDetailsBatch([job], 1, { provider: stubProvider(), logger: SILENT_LOGGER });
+
+    const [id, repeat, other] = first.results.map(item => item.id);
+    assert.match(id, /^[0-9a-f]{12}$/);
+    assert.equal(repeat, `${id}-1`);
+    assert.notEqual(other, id);
+    assert.equal(second.results[0].id, id);
+});
+
+test('a suffixed repeat never takes an id another item already has', async () => {
+    const job = id => ({ id, job_title: 'QA' });
+    const ids = async jobs => (await extractJobDetailsBatch(jobs, 2, { provider: stubProvider(), logger: SILENT_LOGGER })).results.map(item => item.id);
+
+    assert.deepEqual(await ids([job('a'), job('a'), job('a-2')]), ['a', 'a-1', 'a-2']);
+    assert.deepEqual(await ids([job('a'), job('a-1'), job('a'), job('a')]), ['a', 'a-1', 'a-2', 'a-3']);
+    assert.deepEqual(await ids([job('a'), job('a'), job('a-1')]), ['a', 'a-2', 'a-1']);
+});
+
+test('input without a description is refused with a 400', async () => {
+    await assert.rejects(
+        extractJobDetails({ job_title: 'Backend Engineer' }, { provider: stubProvider(), logger: SILENT_LOGGER }),
+        error => error.statusCode === 400 && error.message === MISSING_FIELDS_ERROR
+    );
+});
+
+test('page text longer than maxDescriptionChars is refused with a 422', async () => {
+    const html = `<html><body><h1>Backend Engineer</h1><p>${'Build and run our APIs. '.repeat(50)}</p></body></html>`;
+    const fetchPage = async () => ({ html });
+    const options = { provider: stubProvider(), fetchPage, logger: SILENT_LOGGER, maxDescriptionChars: 500 };
+
+    await assert.rejects(extractJobDetails({ job_html: html }, options), error => {
+        assert.equal(error.statusCode, 422);
+        assert.match(error.message, /^Text from job_html is \d+ characters long \(maximum 500\)$/);
+        assert.deepEqual(error.errors.map(entry => [entry.field, entry.code]), [['job_html', 'too_long']]);
+        return true;
+    });
+    await assert.rejects(extractJobDetails({ job_url: 'https://jobs.example.com/1' }, options), /^Error: Text from job_url/);
+    // Text sent as job_description is checked by request validation instead
+    const plain = await extractJobDetails({ job_title: 'Backend Engineer', job_description: RULES_ONLY_DESCRIPTION }, options);
+    assert.equal(plain.city, 'Austin, TX');
+});
+
+test('the CommonJS entry loads the same library lazily', async () => {
+    const cjs = require("../index.cjs");
+
+    assert.equal(await cjs.load(), await import("../index.js"));
+    assert.equal((await cjs.load()).extractJobDetails, esm.extractJobDetails);
+    for (const name of ['extractJobDetails', 'extractJobDetailsBatch', 'extractJobDetailsCached', 'extractJobDetailsWithRetry']) {
+        assert.equal(typeof cjs[name], 'function', name);
+    }
+
+    const provider = stubProvider();
+    const result = await cjs.extractJobDetails(
+        { job_title: 'Backend Engineer', job_description: RULES_ONLY_DESCRIPTION },
+        { provider, logger: SILENT_LOGGER }
+    );
+    assert.equal(result.extraction_method, 'rules');
+    assert.equal(result.city, 'Austin, TX');
+    assert.equal(provider.calls, 0);
+});
@@ -0,0 +1,152 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createFetcher, isPrivateAddress, parsePublicUrl, resolvePublicUrl } from "../lib/fetcher.js";
+
+const PAGE = '<html><head><title>Data Engineer</title></head><body>We are hiring.</body></html>';
+
+// DNS stub: hostname -> list of addresses
+function stubLookup(table) {
+    const calls = [];
+    const lookup = async (hostname, options) => {
+        calls.push({ hostname, options });
+        if (!table[hostname]) {
+            throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname}`), { code: 'ENOTFOUND' });
+        }
+        return table[hostname].map(address => ({ address, family: address.includes(':') ? 6 : 4 }));
+    };
+    lookup.calls = calls;
+    return lookup;
+}
+
+// fetch stub: url -> Response, recording every request
+function stubFetch(routes) {
+    const requests = [];
+    const fetchImpl = async (url, init) => {
+        requests.push({ url, init });
+        const route = routes[url];
+        if (!route) throw new Error(`unexpected fetch of ${url}`);
+        return route();
+    };
+    fetchImpl.requests = requests;
+    return fetchImpl;
+}
+
+const redirect = (location, status = 302) => () => new Response(null, { status, headers: { Location: location } });
+const page = (html = PAGE) => () => new Response(html, { status: 200, headers: { 'Content-Type': 'text/html' } });
+
+const PUBLIC_DNS = { 'jobs.example.com': ['93.184.216.34'], 'careers.example.org': ['2606:2800:220:1::1'] };
+
+test('private, loopback, link-local and reserved addresses are recognised', () => {
+    for (const address of [
+        '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '100.64.0.1', '224.0.0.1',
+        '::', '::1', 'fd00::1', 'fe80::1', 'ff02::1',
+        '::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:a9fe:a9fe', '[::ffff:10.0.0.1]', '64:ff9b::7f00:1'
+    ]) {
+        assert.equal(isPrivateAddress(address), true, address);
+    }
+    for (const address of ['93.184.216.34', '8.8.8.8', '2606:2800:220:1::1', '::ffff:8.8.8.8', '172.32.0.1']) {
+        assert.equal(isPrivateAddress(address), false, address);
+    }
+});
+
+test('URLs naming private hosts are refused before any lookup', () => {
+    for (const url of [
+        'http://localhost/jobs', 'http://127.0.0.1/', 'http://169.254.169.254/latest/meta-data/',
+        'http://[::1]/', 'http://[::]/', 'http://[::ffff:127.0.0.1]/', 'http://[::ffff:7f00:1]/', 'http://metadata.internal/'
+    ]) {
+        assert.throws(() => parsePublicUrl(url), error => error.statusCode === 400 && /public host/.test(error.message), url);
+    }
+    assert.throws(() => parsePublicUrl('file:///etc/passwd'), /http\(s\) URL/);
+    assert.throws(() => parsePublicUrl('https://evil.example.net/', { allowedHosts: ['example.com'] }), /not in FETCH_ALLOWED_HOSTS/);
+    assert.equal(parsePublicUrl('https://boards.example.com/1', { allowedHosts: ['example.com'] }).hostname, 'boards.example.com');
+});
+
+test('a public name that resolves to a private address is refused', async () => {
+    const lookup = stubLookup({ 'rebind.example.com': ['93.184.216.34', '127.0.0.1'], 'v6.example.com': ['::ffff:169.254.169.254'] });
+    await assert.rejects(resolvePublicUrl('https://rebind.example.com/', { lookup }), error => error.statusCode === 400);
+    await assert.rejects(resolvePublicUrl('https://v6.example.com/', { lookup }), error => error.statusCode === 400);
+    assert.deepEqual(lookup.calls[0].options, { all: true, verbatim: true });
+});
+
+test('a name that does not resolve is a 502', async () => {
+    await assert.rejects(resolvePublicUrl('https://missing.example.com/', { lookup: stubLookup({}) }), error => {
+        assert.equal(error.statusCode, 502);
+        assert.match(error.message, /ENOTFOUND/);
+        return true;
+    });
+});
+
+test('a public page is fetched without following redirects automatically', async () => {
+    const fetchImpl = stubFetch({ 'https://jobs.example.com/data-engineer': page() });
+    const fetchPage = createFetcher({ fetchImpl, lookup: stubLookup(PUBLIC_DNS) }, {});
+    const result = await fetchPage('https://jobs.example.com/data-engineer');
+
+    assert.equal(result.html, PAGE);
+    assert.equal(result.url, 'https://jobs.example.com/data-engineer');
+    assert.equal(fetchImpl.requests[0].init.redirect, 'manual');
+});
+
+test('redirects are followed hop by hop and every hop is checked', async () => {
+    const fetchImpl = stubFetch({
+        'https://jobs.example.com/old': redirect('/new', 301),
+        'https://jobs.example.com/new': redirect('https://careers.example.org/posting/1'),
+        'https://careers.example.org/posting/1': page()
+    });
+    const lookup = stubLookup(PUBLIC_DNS);
+    const result = await createFetcher({ fetchImpl, lookup }, {})('https://jobs.example.com/old');
+
+    assert.equal(result.url, 'https://careers.example.org/posting/1');
+    assert.equal(fetchImpl.requests.length, 3);
+    assert.deepEqual(lookup.calls.map(call => call.hostname), ['jobs.example.com', 'jobs.example.com', 'careers.example.org']);
+});
+
+test('a redirect to an internal address is refused', async () => {
+    for (const location of ['http://127.0.0.1:8080/admin', 'http://169.254.169.254/latest/meta-data/', 'http://[::ffff:7f00:1]/', 'http://internal.example.com/']) {
+        const fetchImpl = stubFetch({ 'https://jobs.example.com/posting': redirect(location) });
+        const lookup = stubLookup({ ...PUBLIC_DNS, 'internal.example.com': ['10.0.0.5'] });
+        await assert.rejects(createFetcher({ fetchImpl, lookup }, {})('https://jobs.example.com/posting'), error => error.statusCode === 400, location);
+        assert.equal(fetchImpl.requests.length, 1, location);
+    }
+});
+
+test('redirect loops stop at the hop limit', async () => {
+    const fetchImpl = stubFetch({ 'https://jobs.example.com/loop': redirect('/loop') });
+    await assert.rejects(createFetcher({ fetchImpl, lookup: stubLookup(PUBLIC_DNS) }, {})('https://jobs.example.com/loop'), error => {
+        assert.equal(error.statusCode, 502);
+        assert.match(error.message, /more than 5 redirects/);
+        return true;
+    });
+    assert.equal(fetchImpl.requests.length, 6);
+});
+
+test('error statuses and oversized pages are reported', async () => {
+    const lookup = stubLookup(PUBLIC_DNS);
+    const missing = createFetcher({ fetchImpl: stubFetch({ 'https://jobs.example.com/gone': () => new Response('', { status: 404 }) }), lookup }, {});
+    await assert.rejects(missing('https://jobs.example.com/gone'), error => error.statusCode === 502 && /HTTP 404/.test(error.message));
+
+    const large = createFetcher({ fetchImpl: stubFetch({ 'https://jobs.example.com/big': page('x'.repeat(2048)) }), lookup, maxBytes: 1024 }, {});
+    await assert.rejects(large('https://jobs.example.com/big'), error => error.statusCode === 413);
+});
+
+test('a page without a Content-Length stops downloading at the byte limit', async () => {
+    let pulls = 0;
+    let cancelled = false;
+    // An endless body: only the limit can end the read
+    const endless = () => new Response(new ReadableStream({
+        pull(controller) {
+            pulls++;
+            controller.enqueue(new TextEncoder().encode('x'.repeat(256)));
+        },
+        cancel() {
+            cancelled = true;
+        }
+    }), { status: 200, headers: { 'Content-Type': 'text/html' } });
+    const fetchPage = createFetcher({ fetchImpl: stubFetch({ 'https://jobs.example.com/endless': endless }), lookup: stubLookup(PUBLIC_DNS), maxBytes: 1024 }, {});
+
+    await assert.rejects(fetchPage('https://jobs.example.com/endless'), error => error.statusCode === 413);
+    assert.equal(cancelled, true);
+    assert.ok(pulls <= 6, `${pulls} chunks read`);
+
+    const small = createFetcher({ fetchImpl: stubFetch({ 'https://jobs.example.com/job': page('<p>Café</p>') }), lookup: stubLookup(PUBLIC_DNS), maxBytes: 1024 }, {});
+    assert.equal((await small('https://jobs.example.com/job')).html, '<p>Café</p>');
+});
@@ -0,0 +1,103 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { extractJobDetails } from "../lib/extract.js";
+import { formatBatch, formatResult, negotiateFormat, toJobPosting } from "../lib/formats.js";
+import { jobPostingHints } from "../lib/html.js";
+import { SILENT_LOGGER } from "./helpers.js";
+
+const RULES_ONLY_DESCRIPTION = `About Acme Robotics
+
+We are hiring a Backend Engineer for our Austin, TX office. This is an on-site role.
+Requirements:
+- 3+ years of experience with Python and PostgreSQL
+- Docker
+Salary: $120,000 - $140,000 per year.`;
+
+function rulesOnlyResult() {
+    return extractJobDetails({ job_title: 'Backend Engineer', job_description: RULES_ONLY_DESCRIPTION }, { logger: SILENT_LOGGER });
+}
+
+test('the format comes from `format`, then the Accept header, then json', () => {
+    assert.equal(negotiateFormat('JSON-LD'), 'jsonld');
+    assert.equal(negotiateFormat('schema.org', 'text/csv'), 'jsonld');
+    assert.equal(negotiateFormat(null, 'text/html, application/ld+json;q=0.9, text/csv;q=0.5'), 'jsonld');
+    assert.equal(negotiateFormat(null, 'application/ld+json;q=0, text/csv'), 'csv');
+    assert.equal(negotiateFormat(null, 'text/html'), 'json');
+    assert.throws(() => negotiateFormat('xml'), error => error.statusCode === 400 && /Unknown format "xml"/.test(error.message));
+});
+
+test('a result becomes a schema.org JobPosting', async () => {
+    const posting = JSON.parse(formatResult(await rulesOnlyResult(), 'jsonld', { description: RULES_ONLY_DESCRIPTION }));
+
+    assert.deepEqual(posting, {
+        '@context': 'https://schema.org',
+        '@type': 'JobPosting',
+        title: 'Backend Engineer',
+        description: RULES_ONLY_DESCRIPTION,
+        hiringOrganization: { '@type': 'Organization', name: 'Acme Robotics' },
+        jobLocation: {
+            '@type': 'Place',
+            address: { '@type': 'PostalAddress', addressLocality: 'Austin', addressRegion: 'TX', addressCountry: 'US' },
+            geo: { '@type': 'GeoCoordinates', latitude: 30.27, longitude: -97.74 }
+        },
+        experienceRequirements: { '@type': 'OccupationalExperienceRequirements', monthsOfExperience: 36 },
+        baseSalary: {
+            '@type': 'MonetaryAmount',
+            value: { '@type': 'QuantitativeValue', minValue: 120000, maxValue: 140000, unitText: 'YEAR' },
+            currency: 'USD'
+        },
+        skills: 'Python, PostgreSQL, Docker'
+    });
+});
+
+test('JobPosting output reads back as the same field hints', async () => {
+    const result = await rulesOnlyResult();
+    const hints = jobPostingHints(toJobPosting(result));
+
+    for (const name of ['job_title', 'company', 'city', 'experience']) {
+        assert.equal(hints[name].value, result[name], name);
+    }
+    assert.deepEqual(hints.compensation.value, { ...result.compensation, raw: null });
+});
+
+test('unknown fields are left out of the JobPosting rather than emitted as null', () => {
+    const posting = toJobPosting({
+        job_title: 'Backend Developer',
+        job_title_original: 'Backend-Entwickler',
+        city: 'Munich',
+        locations: [],
+        work_arrangement: 'remote',
+        company: null,
+        experience: null,
+        compensation: { min: 55, max: 55, currency: 'EUR', period: 'hourly', raw: '55 €/Std' },
+        skills: []
+    });
+
+    assert.deepEqual(posting, {
+        '@context': 'https://schema.org',
+        '@type': 'JobPosting',
+        title: 'Backend Developer',
+        alternateName: 'Backend-Entwickler',
+        jobLocation: { '@type': 'Place', address: { '@type': 'PostalAddress', addressLocality: 'Munich' } },
+        jobLocationType: 'TELECOMMUTE',
+        baseSalary: { '@type': 'MonetaryAmount', value: { '@type': 'QuantitativeValue', value: 55, unitText: 'HOUR' }, currency: 'EUR' }
+    });
+});
+
+test('batch JSON-LD is a @graph of the postings that succeeded', async () => {
+    const result = await rulesOnlyResult();
+    const batch = {
+        results: [
+            { id: 'failed', index: 0, status: 'error', result: null, error: 'Missing required fields' },
+            { id: 'austin', index: 1, status: 'ok', result, error: null }
+        ],
+        summary: { total: 2, succeeded: 1, failed: 1, duration_ms: 0 }
+    };
+    const graph = JSON.parse(formatBatch(batch, 'jsonld', { descriptions: [undefined, RULES_ONLY_DESCRIPTION] }));
+
+    assert.equal(graph['@context'], 'https://schema.org');
+    assert.equal(graph['@graph'].length, 1);
+    assert.equal(graph['@graph'][0]['@type'], 'JobPosting');
+    assert.equal(graph['@graph'][0]['@context'], undefined);
+    assert.equal(graph['@graph'][0].description, RULES_ONLY_DESCRIPTION);
+});
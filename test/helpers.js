@@ -0,0 +1,24 @@
+// Fixtures shared by the test files
+export { SILENT_LOGGER } from "../lib/logger.js";
+
+// Provider stub. `answers` is a list answered in order, one per call, or a
+// single answer given to every call. An answer is the model's text, an object
+// (sent as JSON) or an Error (thrown); a call past the end of the list fails
+// with "No answer left". The stub counts its calls and keeps the prompts.
+export function stubProvider(answers = [], { name = 'stub', model = `${name}-model`, usage = null } = {}) {
+    const provider = {
+        name,
+        model,
+        calls: 0,
+        prompts: [],
+        async generate(prompt) {
+            provider.prompts.push(prompt);
+            const answer = Array.isArray(answers) ? answers[provider.calls] : answers;
+            provider.calls++;
+            if (answer === undefined) throw new Error('No answer left');
+            if (answer instanceof Error) throw answer;
+            return { text: typeof answer === 'string' ? answer : JSON.stringify(answer), usage };
+        }
+    };
+    return provider;
+}
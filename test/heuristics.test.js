@@ -0,0 +1,140 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { extractHeuristics, settledFields } from "../lib/heuristics.js";
+import { settleRequiredFieldNames } from "../lib/schema.js";
+
+const RULES_ONLY_DESCRIPTION = `About Acme Robotics
+
+We are hiring a Backend Engineer for our Austin, TX office. This is an on-site role.
+Requirements:
+- 3+ years of experience with Python and PostgreSQL
+- Docker
+Salary: $120,000 - $140,000 per year.`;
+
+function rule(name, title, description = '') {
+    return extractHeuristics(title, description)[name];
+}
+
+test('years of experience map onto the experience buckets', () => {
+    assert.deepEqual(rule('experience', 'Engineer', 'You have 3+ years of experience with Go.'), { value: 'Mid (3-5 Years)', confidence: 0.9 });
+    assert.deepEqual(rule('experience', 'Engineer', 'Minimum of 10 years experience.'), { value: 'Lead (8+ Years)', confidence: 0.9 });
+    assert.deepEqual(rule('experience', 'Engineer', 'Mindestens 3 Jahre Berufserfahrung.'), { value: 'Mid (3-5 Years)', confidence: 0.9 });
+    assert.deepEqual(rule('experience', 'Engineer', '- 3+ years building iOS apps in Swift'), { value: 'Mid (3-5 Years)', confidence: 0.9 });
+    // Requirements that disagree leave the choice to the model
+    assert.deepEqual(rule('experience', 'Engineer', '2+ years of experience required, 8+ years of experience preferred.'), { value: 'Mid (3-5 Years)', confidence: 0.6 });
+});
+
+test('years that are not experience settle nothing', () => {
+    assert.deepEqual(rule('experience', 'Engineer', 'This is a 2 years contract. Experience with Python is a plus.'), { value: null, confidence: 0 });
+    assert.deepEqual(rule('experience', 'Engineer', 'We are a 10 years old company.'), { value: null, confidence: 0 });
+    // Seniority words in the title are a hint, never settled
+    assert.deepEqual(rule('experience', 'Senior Engineer', 'Work on Go.'), { value: 'Senior (6-8 Years)', confidence: 0.6 });
+    assert.deepEqual(rule('experience', 'Junior Engineer'), { value: 'Entry (0-2 Years)', confidence: 0.6 });
+});
+
+test('the description settles the arrangement only when it names one', () => {
+    assert.deepEqual(rule('work_arrangement', 'Engineer', 'This role is fully remote.'), { value: 'remote', confidence: 0.85 });
+    assert.deepEqual(rule('work_arrangement', 'Engineer', 'Expect 3 days a week in the office.'), { value: 'hybrid', confidence: 0.85 });
+    assert.deepEqual(rule('work_arrangement', 'Engineer', 'The team works on-site in Denver.'), { value: 'on-site', confidence: 0.85 });
+    assert.deepEqual(rule('work_arrangement', 'Engineer', 'Poste en télétravail complet.'), { value: 'remote', confidence: 0.85 });
+    // Conflicting signals
+    assert.deepEqual(rule('work_arrangement', 'Engineer', 'Work from home or in-office, your call.'), { value: 'remote', confidence: 0.4 });
+    assert.deepEqual(rule('work_arrangement', 'Engineer', 'Hybrid, with remote Fridays and in-office days.'), { value: 'hybrid', confidence: 0.6 });
+    assert.deepEqual(rule('work_arrangement', 'Engineer', 'We build robots.'), { value: null, confidence: 0 });
+});
+
+test('a "City, ST" mention settles the city when it is the only one', () => {
+    assert.deepEqual(rule('city', 'Engineer', 'Based in Austin, TX.'), { value: 'Austin, TX', confidence: 0.9 });
+    assert.deepEqual(rule('city', 'Engineer', 'Our office is in Boulder, Colorado.'), { value: 'Boulder, CO', confidence: 0.9 });
+    // The title wins over the description
+    assert.equal(rule('city', 'Engineer - Denver, CO', 'Based in Denver, CO.').value, 'Denver, CO');
+    // Several cities, or one the gazetteer does not know
+    assert.deepEqual(rule('city', 'Engineer', 'Offices in Austin, TX and Denver, CO.'), { value: 'Austin, TX', confidence: 0.5 });
+    assert.deepEqual(rule('city', 'Engineer', 'Based in Smallville, KS.'), { value: 'Smallville, KS', confidence: 0.6 });
+    assert.deepEqual(rule('city', 'Engineer', 'Offices across the country.'), { value: null, confidence: 0 });
+});
+
+test('an "About <Company>" header settles the company', () => {
+    assert.deepEqual(rule('company', 'Engineer', 'About Acme Robotics\n\nAt Acme, we build robots.'), { value: 'Acme Robotics', confidence: 0.85 });
+    assert.deepEqual(rule('company', 'Engineer', 'Über Musterfirma GmbH:\n\nWir bauen Roboter.'), { value: 'Musterfirma GmbH', confidence: 0.85 });
+    assert.deepEqual(rule('company', 'Engineer', 'About the role\n\nWe build robots.'), { value: null, confidence: 0 });
+    // An intro sentence alone is a hint
+    assert.deepEqual(rule('company', 'Engineer', 'Globex is hiring a Backend Engineer.'), { value: 'Globex', confidence: 0.7 });
+});
+
+test('a company name the posting contradicts is not settled', () => {
+    // A recruiter's header next to the hiring company
+    assert.deepEqual(
+        rule('company', 'Engineer', 'About Apex Staffing\n\nAt Globex, we build robots.'),
+        { value: 'Apex Staffing', confidence: 0.5 }
+    );
+    assert.deepEqual(
+        rule('company', 'Engineer', 'About Apex Staffing\n\nAbout Globex\n\nWe build robots.'),
+        { value: 'Apex Staffing', confidence: 0.5 }
+    );
+});
+
+test('job titles lose locations, arrangement tags, gender markers and IDs', () => {
+    assert.deepEqual(rule('job_title', 'Senior Software Engineer - New York, NY (Remote) #12345'), { value: 'Senior Software Engineer', confidence: 0.9 });
+    assert.equal(rule('job_title', 'Entwickler (m/w/d) - München').value, 'Entwickler');
+    assert.equal(rule('job_title', 'Data Analyst | Hybrid').value, 'Data Analyst');
+    assert.equal(rule('job_title', 'Backend Engineer Engineer (Req ID: R-12345)').value, 'Backend Engineer');
+    // US place names that double as words stay
+    assert.equal(rule('job_title', 'Engineer - Mobile').value, 'Engineer - Mobile');
+    // A title with a lot left over is only a hint
+    assert.equal(rule('job_title', 'Engineer | Platform | Payments').confidence, 0.6);
+});
+
+test('skills and locations found by the rules do not hold up a posting the rules otherwise settle', () => {
+    const heuristics = extractHeuristics('Backend Engineer', RULES_ONLY_DESCRIPTION);
+    const settled = settledFields(heuristics, 0.85);
+
+    assert.ok(settleRequiredFieldNames().every(name => name in settled));
+    assert.ok(!settleRequiredFieldNames().includes('skills'));
+    assert.ok(!settleRequiredFieldNames().includes('locations'));
+    assert.equal(settled.city, 'Austin, TX');
+    assert.equal(settled.experience, 'Mid (3-5 Years)');
+    // Never settled, but confident enough to be returned alongside the settled fields
+    assert.equal('skills' in settled, false);
+    assert.deepEqual(heuristics.skills.value.map(skill => skill.id), ['python', 'postgresql', 'docker']);
+    assert.equal(heuristics.skills.confidence, 0.6);
+    assert.deepEqual(heuristics.locations.value.map(location => location.display), ['Austin, TX']);
+});
+
+test('locations lists every gazetteer city named as "Place, Region"', () => {
+    const { locations } = extractHeuristics(
+        'Backend Engineer - Austin, TX',
+        'Join us in Austin, TX or Toronto, ON. Part of the team sits in Berlin, Germany.\nSkills: Python, Go, Docker.'
+    );
+    assert.deepEqual(locations.value.map(location => location.display), ['Austin, TX', 'Toronto', 'Berlin']);
+    assert.deepEqual(locations.value.map(location => location.country), ['US', 'CA', 'DE']);
+    // Never confident enough to settle on its own: bare place names are missed
+    assert.equal(locations.confidence, 0.75);
+});
+
+test('locations is empty when no place is named', () => {
+    const { locations } = extractHeuristics('Backend Engineer', 'Fully remote. Skills: Python, Go, Docker.');
+    assert.equal(locations.value, null);
+    assert.equal(locations.confidence, 0);
+});
+
+test('open-ended pay settles with only the end the posting states', () => {
+    const compensation = text => extractHeuristics('Backend Engineer', text).compensation;
+
+    assert.deepEqual({ ...compensation('Pay: up to $90k per year.').value, raw: null }, { min: null, max: 90000, currency: 'USD', period: 'yearly', raw: null });
+    assert.equal(compensation('Pay: $150,000+ annually.').value.max, null);
+    assert.equal(compensation('Starting at $20/hour.').value.min, 20);
+    assert.equal(compensation('Starting at $20/hour.').confidence, 0.9);
+});
+
+test('only an arrangement tag in the title settles the arrangement', () => {
+    const arrangement = (title, description = '') => extractHeuristics(title, description).work_arrangement;
+
+    assert.deepEqual(arrangement('Backend Engineer (Remote)'), { value: 'remote', confidence: 0.95 });
+    assert.deepEqual(arrangement('Principal Engineer - Remote (US)'), { value: 'remote', confidence: 0.95 });
+    assert.deepEqual(arrangement('Remote - US: Support Engineer'), { value: 'remote', confidence: 0.95 });
+    assert.deepEqual(arrangement('Data Analyst | Hybrid'), { value: 'hybrid', confidence: 0.95 });
+    // Part of the job's name: the description decides, below the settle threshold
+    assert.deepEqual(arrangement('Remote Sensing Analyst', 'On-site only, at our lab.'), { value: 'on-site', confidence: 0.6 });
+    assert.deepEqual(arrangement('Hybrid Cloud Architect'), { value: null, confidence: 0 });
+});
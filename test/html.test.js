@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { findJobPosting, htmlToText, jobPostingHints, pageTitle } from "../lib/html.js";
+
+const JOB_POSTING = {
+    '@type': 'JobPosting',
+    title: 'Data Engineer &amp; Analyst',
+    hiringOrganization: { '@type': 'Organization', name: 'Acme Robotics' },
+    jobLocationType: 'TELECOMMUTE',
+    jobLocation: { '@type': 'Place', address: { addressLocality: 'Austin', addressRegion: 'Texas', addressCountry: 'US' } },
+    baseSalary: { '@type': 'MonetaryAmount', currency: 'usd', value: { minValue: 120000, maxValue: '150000', unitText: 'YEAR' } },
+    experienceRequirements: { '@type': 'OccupationalExperienceRequirements', monthsOfExperience: 36 }
+};
+
+const PAGE = `<html><head><title>Jobs at Acme</title>
+<script type="application/ld+json">${JSON.stringify({ '@context': 'https://schema.org', '@graph': [{ '@type': 'Organization', name: 'Acme' }, JOB_POSTING] })}</script></head>
+<body><nav>Home | Jobs</nav><div class="cookie-banner">We use cookies</div>
+<h1>Data Engineer</h1><p>Build pipelines&nbsp;&mdash; fast.</p>
+<ul><li>Python</li><li>SQL</li></ul><ol><li>Apply</li><li>Interview</li></ol>
+<footer>© Acme</footer></body></html>`;
+
+test('page chrome is dropped and blocks, lists and entities become plain text', () => {
+    assert.equal(htmlToText(PAGE), 'Data Engineer\n\nBuild pipelines — fast.\n\n- Python\n\n- SQL\n\n1. Apply\n\n2. Interview');
+    assert.equal(pageTitle(PAGE), 'Data Engineer');
+    assert.equal(pageTitle('<title>Careers &ndash; Acme</title>'), 'Careers – Acme');
+});
+
+test('a JobPosting inside a JSON-LD @graph becomes field hints', () => {
+    assert.deepEqual(jobPostingHints(findJobPosting(PAGE)), {
+        job_title: { value: 'Data Engineer & Analyst', confidence: 0.7 },
+        company: { value: 'Acme Robotics', confidence: 0.95 },
+        work_arrangement: { value: 'remote', confidence: 0.95 },
+        city: { value: 'Austin, TX', confidence: 0.95 },
+        compensation: { value: { min: 120000, max: 150000, currency: 'USD', period: 'yearly', raw: null }, confidence: 0.95 },
+        experience: { value: 'Mid (3-5 Years)', confidence: 0.9 }
+    });
+    assert.equal(findJobPosting('<p>No structured data</p>'), null);
+    assert.deepEqual(jobPostingHints(null), {});
+});
+
+test('missing, negative or non-numeric amounts give no hint instead of a wrong one', () => {
+    for (const months of [null, -12, 'about two years', Infinity, '']) {
+        assert.deepEqual(jobPostingHints({ experienceRequirements: { monthsOfExperience: months } }), {}, String(months));
+    }
+    assert.equal(jobPostingHints({ experienceRequirements: { monthsOfExperience: '96' } }).experience.value, 'Lead (8+ Years)');
+
+    const openEnded = jobPostingHints({ baseSalary: { currency: 'USD', value: { minValue: null, maxValue: 150000, unitText: 'YEAR' } } });
+    assert.deepEqual(openEnded.compensation.value, { min: null, max: 150000, currency: 'USD', period: 'yearly', raw: null });
+    assert.deepEqual(jobPostingHints({ baseSalary: { currency: 'USD', value: { minValue: -5, maxValue: 'n/a' } } }), {});
+});
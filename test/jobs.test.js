@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createJobStore, getJobStore, publicJob } from "../lib/jobs.js";
+import { createMemoryStore } from "../lib/stores.js";
+
+// The status endpoint reads the process-wide job store and authenticator from the environment
+process.env.JOBS_STORE = 'memory';
+process.env.API_KEYS = 'acme:key-1,globex:key-2';
+const { handler } = await import("../netlify/functions/job-status.js");
+
+function poll(id, key = 'key-1') {
+    return handler({
+        httpMethod: 'GET',
+        headers: { 'x-api-key': key },
+        queryStringParameters: id === undefined ? {} : { id }
+    });
+}
+
+test('a new job is queued with its delivery state', async () => {
+    const jobs = createJobStore({ store: createMemoryStore() });
+    const plain = await jobs.create({ client_id: 'acme', kind: 'single' });
+    const withCallback = await jobs.create({ client_id: 'acme', kind: 'single', callback_url: 'https://hooks.example.com/jobs' });
+
+    assert.equal(plain.status, 'queued');
+    assert.equal(plain.delivery.status, 'none');
+    assert.equal(withCallback.delivery.status, 'pending');
+    assert.notEqual(plain.id, withCallback.id);
+    assert.deepEqual(await jobs.get(plain.id), plain);
+
+    const updated = await jobs.update(plain.id, { status: 'running' });
+    assert.equal(updated.status, 'running');
+    assert.equal(updated.created_at, plain.created_at);
+    assert.equal(await jobs.update('missing', { status: 'running' }), null);
+});
+
+test('the public view drops the input, options and owner', () => {
+    const job = { id: 'job-1', status: 'succeeded', client_id: 'acme', input: { job_title: 'x' }, options: {}, result: { job_title: 'x' } };
+    assert.deepEqual(publicJob(job), { id: 'job-1', status: 'succeeded', result: { job_title: 'x' } });
+});
+
+test('polling a running job asks the client to come back, a finished one returns the result', async () => {
+    const job = await getJobStore().create({ client_id: 'acme', kind: 'single', input: { job_title: 'Data Engineer' } });
+
+    const queued = await poll(job.id);
+    assert.equal(queued.statusCode, 200);
+    assert.equal(queued.headers['Retry-After'], '5');
+    assert.equal(JSON.parse(queued.body).status, 'queued');
+    assert.equal(JSON.parse(queued.body).input, undefined);
+
+    await getJobStore().update(job.id, { status: 'succeeded', result: { job_title: 'Data Engineer' } });
+    const finished = await poll(job.id);
+    assert.equal(finished.statusCode, 200);
+    assert.equal(finished.headers['Retry-After'], undefined);
+    assert.deepEqual(JSON.parse(finished.body).result, { job_title: 'Data Engineer' });
+});
+
+test('jobs are only visible to the key that queued them', async () => {
+    const job = await getJobStore().create({ client_id: 'acme', kind: 'single' });
+
+    assert.equal((await poll(job.id, 'key-2')).statusCode, 404);
+    assert.equal((await poll('no-such-job')).statusCode, 404);
+    assert.equal((await poll(undefined)).statusCode, 400);
+    assert.equal((await poll(job.id, 'wrong')).statusCode, 401);
+});
@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { detectLanguage, languageNotes } from "../lib/language.js";
+import { findCompensation } from "../lib/compensation.js";
+import { buildPrompt } from "../lib/prompt.js";
+import { extractJobDetailsWithRetry } from "../lib/extract.js";
+import { SILENT_LOGGER, stubProvider } from "./helpers.js";
+
+const GERMAN_DESCRIPTION = `Wir suchen einen Backend-Entwickler (m/w/d) für unser Team in München.
+Du hast mindestens 6 Jahre Erfahrung mit Java und bist mit Docker vertraut.
+Hybrid: zwei Tage Homeoffice pro Woche.
+Gehalt: 75.000 - 90.000 € pro Jahr.`;
+
+test('the language of a posting is told by its function words', () => {
+    assert.equal(detectLanguage('We are looking for an engineer to join our team and work with you on the platform.').code, 'en');
+    assert.equal(detectLanguage(GERMAN_DESCRIPTION).code, 'de');
+    assert.equal(detectLanguage('Nous recherchons un développeur pour notre équipe. Vous avez au moins 3 ans d\'expérience avec les API.').code, 'fr');
+    assert.equal(detectLanguage('Buscamos un desarrollador para nuestro equipo. Tienes al menos 3 años de experiencia con las bases de datos.').code, 'es');
+
+    const { code, confidence } = detectLanguage(GERMAN_DESCRIPTION);
+    assert.equal(code, 'de');
+    assert.ok(confidence > 0.5 && confidence <= 1);
+});
+
+test('too little text is not given a language', () => {
+    assert.deepEqual(detectLanguage('Senior Java Developer'), { code: null, confidence: 0 });
+    assert.deepEqual(detectLanguage(''), { code: null, confidence: 0 });
+});
+
+test('a non-English prompt says how to read the posting but keeps enum values in English', () => {
+    const prompt = buildPrompt('Backend-Entwickler (m/w/d)', GERMAN_DESCRIPTION, { language: 'de' });
+
+    assert.match(prompt, /Language: the posting is in German\./);
+    for (const note of languageNotes('de')) {
+        assert.ok(prompt.includes(`- ${note}`), note);
+    }
+    assert.doesNotMatch(prompt, /job_title_en/);
+    assert.match(buildPrompt('Backend-Entwickler (m/w/d)', GERMAN_DESCRIPTION, { language: 'de', translateTitle: true }), /"job_title_en"/);
+    assert.doesNotMatch(buildPrompt('Backend Engineer', 'We are hiring.', { language: 'en' }), /Language:/);
+});
+
+test('European amount formats are read as salaries', () => {
+    const [{ index, ...german }] = findCompensation('Gehalt: 75.000 - 90.000 € pro Jahr.');
+    assert.equal(index, 7);
+    assert.deepEqual(german, {
+        min: 75000,
+        max: 90000,
+        currency: 'EUR',
+        period: 'yearly',
+        raw: '75.000 - 90.000 € pro Jahr'
+    });
+    const [french] = findCompensation('Salaire : 45 000 € brut par an');
+    assert.equal(french.min, 45000);
+    assert.equal(french.period, 'yearly');
+});
+
+test('a German posting is extracted with its language and an optional English title', async () => {
+    const provider = stubProvider([{
+        job_title: 'Backend-Entwickler (m/w/d)',
+        job_title_en: 'Backend Developer',
+        city: 'München',
+        locations: ['München'],
+        work_arrangement: 'hybrid',
+        company: null,
+        experience: 'Senior (6-8 Years)',
+        compensation: null,
+        skills: [{ name: 'Java', required: true }],
+        evidence: { work_arrangement: 'Hybrid', experience: 'mindestens 6 Jahre Erfahrung' }
+    }]);
+    const result = await extractJobDetailsWithRetry('Backend-Entwickler (m/w/d)', GERMAN_DESCRIPTION, {
+        provider,
+        logger: SILENT_LOGGER,
+        config: { translateTitles: true }
+    });
+
+    assert.match(provider.prompts[0], /the posting is in German/);
+    assert.equal(result.language, 'de');
+    assert.equal(result.job_title, 'Backend Developer');
+    assert.equal(result.job_title_original, 'Backend-Entwickler');
+    assert.equal(result.work_arrangement, 'hybrid');
+    assert.equal(result.experience, 'Senior (6-8 Years)');
+});
@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createLimiter } from "../lib/limits.js";
+import { createMemoryStore } from "../lib/stores.js";
+
+// 2026-03-10T12:00:30Z, half a minute into a rate window
+const START = Date.UTC(2026, 2, 10, 12, 0, 30);
+
+function clock(time = START) {
+    const now = () => now.time;
+    now.time = time;
+    return now;
+}
+
+test('requests over the per-minute limit are refused until the next minute', async () => {
+    const now = clock();
+    const limiter = createLimiter({ store: createMemoryStore(), rateLimitPerMinute: 2, now });
+    const client = { id: 'acme' };
+
+    const first = await limiter.consumeRequest(client);
+    assert.equal(first.allowed, true);
+    assert.equal(first.headers['X-RateLimit-Remaining'], '1');
+    assert.equal((await limiter.consumeRequest(client)).allowed, true);
+
+    const refused = await limiter.consumeRequest(client);
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.retryAfter, 30);
+    assert.equal(refused.headers['Retry-After'], '30');
+    assert.match(refused.message, /2 requests per minute/);
+
+    now.time += 30 * 1000;
+    assert.equal((await limiter.consumeRequest(client)).allowed, true);
+});
+
+test('clients are limited separately and may carry their own limits', async () => {
+    const limiter = createLimiter({ store: createMemoryStore(), rateLimitPerMinute: 1, now: clock() });
+
+    assert.equal((await limiter.consumeRequest({ id: 'a' })).allowed, true);
+    assert.equal((await limiter.consumeRequest({ id: 'b' })).allowed, true);
+    assert.equal((await limiter.consumeRequest({ id: 'a' })).allowed, false);
+
+    const unlimited = { id: 'c', rateLimitPerMinute: 0 };
+    for (let i = 0; i < 5; i++) {
+        assert.deepEqual(await limiter.consumeRequest(unlimited), { allowed: true, headers: {} });
+    }
+});
+
+test('the daily quota counts postings and resets at UTC midnight', async () => {
+    const now = clock();
+    const limiter = createLimiter({ store: createMemoryStore(), dailyQuota: 5, now });
+    const client = { id: 'acme' };
+
+    const batch = await limiter.consumeQuota(client, 4);
+    assert.equal(batch.allowed, true);
+    assert.equal(batch.headers['X-Quota-Remaining'], '1');
+
+    const refused = await limiter.consumeQuota(client, 2);
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.retryAfter, 12 * 60 * 60 - 30);
+    assert.match(refused.message, /1 left today, this request needs 2/);
+    assert.equal((await limiter.consumeQuota(client, 1)).allowed, true);
+
+    now.time = Date.UTC(2026, 2, 11, 0, 0, 1);
+    assert.equal((await limiter.consumeQuota(client, 5)).allowed, true);
+});
+
+test('usage counters record requests, postings and refusals per day', async () => {
+    const now = clock();
+    const limiter = createLimiter({ store: createMemoryStore(), rateLimitPerMinute: 1, dailyQuota: 3, now });
+    const client = { id: 'acme' };
+
+    await limiter.consumeRequest(client);
+    await limiter.consumeRequest(client);
+    await limiter.consumeQuota(client, 2);
+    await limiter.consumeQuota(client, 2);
+
+    const [today, yesterday] = await limiter.usage(client, { days: 2 });
+    assert.deepEqual(today, { date: '2026-03-10', requests: 1, postings: 2, rate_limited: 1, quota_exceeded: 1 });
+    assert.deepEqual(yesterday, { date: '2026-03-09', requests: 0, postings: 0, rate_limited: 0, quota_exceeded: 0 });
+});
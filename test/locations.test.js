@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeLocations, resolveLocation, resolveLocations, resolveResultLocations } from "../lib/locations.js";
+
+function displays(text) {
+    return resolveLocations(text).map(location => location.display);
+}
+
+test('US cities resolve to "City, ST" whatever form they are written in', () => {
+    for (const text of ['Austin, TX', 'Austin, Texas', 'Austin, Texas, USA']) {
+        const location = resolveLocation(text);
+        assert.equal(location.display, 'Austin, TX', text);
+        assert.equal(location.country, 'US', text);
+        assert.equal(location.status, 'resolved', text);
+        assert.equal(typeof location.latitude, 'number', text);
+    }
+    assert.equal(resolveLocation('NYC').display, 'New York, NY');
+    assert.equal(resolveLocation('Greater Boston Area').display, 'Boston, MA');
+});
+
+test('cities abroad keep their country and region', () => {
+    assert.deepEqual(
+        ['London, UK', 'Berlin, Germany', 'Toronto, ON'].map(text => {
+            const { display, state, country } = resolveLocation(text);
+            return { display, state, country };
+        }),
+        [
+            { display: 'London', state: null, country: 'GB' },
+            { display: 'Berlin', state: null, country: 'DE' },
+            { display: 'Toronto', state: 'ON', country: 'CA' }
+        ]
+    );
+
+    const country = resolveLocation('Germany');
+    assert.equal(country.city, null);
+    assert.equal(country.country, 'DE');
+});
+
+test('remote and hybrid are arrangements, not places', () => {
+    assert.deepEqual(displays('Remote'), []);
+    assert.equal(resolveLocation('Fully remote'), null);
+    assert.deepEqual(displays('Remote, US'), ['United States']);
+    assert.deepEqual(displays('Remote - Canada'), ['Canada']);
+    assert.deepEqual(displays('Hybrid (Austin, TX)'), ['Austin, TX']);
+    assert.deepEqual(displays('Hybrid - NYC'), ['New York, NY']);
+});
+
+test('several locations in one string are listed in order', () => {
+    assert.deepEqual(displays('Seattle, WA or Denver, CO'), ['Seattle, WA', 'Denver, CO']);
+    assert.deepEqual(displays('Seattle, WA, Denver, CO'), ['Seattle, WA', 'Denver, CO']);
+});
+
+test('ambiguous and unknown places are flagged', () => {
+    const portland = resolveLocation('Portland');
+    assert.equal(portland.status, 'ambiguous');
+    assert.equal(portland.display, 'Portland, OR');
+    assert.deepEqual(portland.alternatives, ['Portland, ME, US']);
+
+    const springfield = resolveLocation('Springfield');
+    assert.equal(springfield.status, 'ambiguous');
+    assert.equal(springfield.display, 'Springfield, IL');
+    assert.deepEqual(springfield.alternatives, ['Springfield, MA, US', 'Springfield, MO, US', 'Springfield, OH, US']);
+    assert.deepEqual([resolveLocation('Columbus').display, resolveLocation('Columbus').alternatives], ['Columbus, OH', ['Columbus, GA, US']]);
+    assert.deepEqual([resolveLocation('Kansas City').display, resolveLocation('Kansas City').alternatives], ['Kansas City, MO', ['Kansas City, KS, US']]);
+
+    const named = resolveLocation('Springfield, MO');
+    assert.equal(named.status, 'resolved');
+    assert.deepEqual([named.latitude, named.longitude], [37.21, -93.29]);
+
+    const unknown = resolveLocation('Narnia');
+    assert.equal(unknown.status, 'unresolved');
+    assert.equal(unknown.display, 'Narnia');
+    assert.equal(unknown.latitude, null);
+});
+
+test('the result city becomes the primary location, a US city first', () => {
+    const result = resolveResultLocations({ city: 'NYC', locations: normalizeLocations(['London, UK', 'NYC']) });
+
+    assert.equal(result.city, 'New York, NY');
+    assert.equal(result.location.display, 'New York, NY');
+    assert.deepEqual(result.locations.map(location => location.display), ['New York, NY', 'London']);
+});
@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createLogger, redact, requestIdFor } from "../lib/logger.js";
+
+// Logger writing parsed entries into `lines`
+function capture(options = {}) {
+    const lines = [];
+    const logger = createLogger({ ...options, write: line => lines.push(JSON.parse(line)) });
+    return { logger, lines };
+}
+
+const DESCRIPTION = 'Senior Engineer at Acme. Apply to jane.doe@acme.com or call (555) 123-4567.';
+
+test('posting text is logged as its length and a hash', () => {
+    const safe = redact({ job_description: DESCRIPTION, prompt: 'Job Title: x', nested: { response: '{"city":"Austin"}' } });
+
+    assert.match(safe.job_description, new RegExp(`^\\[redacted: ${DESCRIPTION.length} chars, sha256 [0-9a-f]{12}\\]$`));
+    assert.match(safe.prompt, /^\[redacted: 12 chars/);
+    assert.match(safe.nested.response, /^\[redacted: /);
+    assert.equal(JSON.stringify(safe).includes('Acme'), false);
+});
+
+test('parse error details, which can quote the body, are summarized too', () => {
+    const details = 'Unexpected token \'x\', "{"job_description": "Senior Engineer at Acme"x}" is not valid JSON';
+    const safe = redact({ error: 'Invalid JSON body', details });
+
+    assert.equal(safe.error, 'Invalid JSON body');
+    assert.match(safe.details, new RegExp(`^\\[redacted: ${details.length} chars`));
+});
+
+test('secrets are dropped and contact details masked in any other string', () => {
+    const safe = redact({
+        authorization: 'Bearer key-1',
+        api_key: 'key-2',
+        access_token: 'abc',
+        input_tokens: 120,
+        note: 'Contact jane.doe@acme.com or +1 555-123-4567',
+        error: new Error('Sent to jane.doe@acme.com')
+    });
+
+    assert.equal(safe.authorization, '[redacted]');
+    assert.equal(safe.api_key, '[redacted]');
+    assert.equal(safe.access_token, '[redacted]');
+    assert.equal(safe.input_tokens, 120);
+    assert.equal(safe.note, 'Contact [email] or [phone]');
+    assert.deepEqual(safe.error, { message: 'Sent to [email]' });
+});
+
+test('entries are one JSON line with the message, child fields and call fields', () => {
+    const { logger, lines } = capture();
+    logger.child({ request_id: 'req-1' }).info('Extraction finished', { method: 'rules', job_description: DESCRIPTION });
+
+    assert.equal(lines.length, 1);
+    const [entry] = lines;
+    assert.equal(entry.level, 'info');
+    assert.equal(entry.msg, 'Extraction finished');
+    assert.equal(entry.request_id, 'req-1');
+    assert.equal(entry.method, 'rules');
+    assert.match(entry.job_description, /^\[redacted: /);
+    assert.ok(!Number.isNaN(Date.parse(entry.time)));
+});
+
+test('entries below the level are dropped and redaction can be turned off', () => {
+    const { logger, lines } = capture({ level: 'warn', redact: false });
+    logger.info('skipped');
+    logger.warn('kept', { job_description: 'plain text' });
+
+    assert.deepEqual(lines.map(entry => entry.msg), ['kept']);
+    assert.equal(lines[0].job_description, 'plain text');
+});
+
+test('the request ID is the caller\'s when it is a sane token', () => {
+    assert.equal(requestIdFor({ headers: { 'X-Request-Id': 'abc-123' } }), 'abc-123');
+    assert.equal(requestIdFor({ headers: { 'x-correlation-id': 'corr.1' } }), 'corr.1');
+    assert.equal(requestIdFor({ headers: { 'x-request-id': 'bad id\n' } }, { awsRequestId: 'aws-1' }), 'aws-1');
+    assert.match(requestIdFor({ headers: {} }), /^[0-9a-f-]{36}$/);
+});
@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { collectMetrics, createMetrics, createMetricsFlusher, mergeSnapshots, toPrometheus } from "../lib/metrics.js";
+import { createMemoryStore } from "../lib/stores.js";
+import { extractJobDetailsWithRetry } from "../lib/extract.js";
+import { SILENT_LOGGER, stubProvider } from "./helpers.js";
+
+test('counters and histograms are kept per label set', () => {
+    const metrics = createMetrics();
+    metrics.increment('extractions_total', { method: 'rules', outcome: 'ok' });
+    metrics.increment('extractions_total', { outcome: 'ok', method: 'rules' });
+    metrics.increment('extractions_total', { method: 'model', outcome: 'error' });
+    metrics.observe('extraction_duration_seconds', { method: 'model' }, 0.3);
+    metrics.observe('extraction_duration_seconds', { method: 'model' }, 7);
+
+    const snapshot = metrics.snapshot();
+    assert.deepEqual(snapshot.counters.extractions_total, { 'method="rules",outcome="ok"': 2, 'method="model",outcome="error"': 1 });
+    const histogram = snapshot.histograms.extraction_duration_seconds['method="model"'];
+    assert.equal(histogram.count, 2);
+    assert.equal(histogram.sum, 7.3);
+    // Cumulative: the 0.5 bucket holds 0.3, the 10 bucket both values
+    assert.deepEqual(histogram.buckets, [0, 0, 0, 1, 1, 1, 1, 2, 2, 2]);
+});
+
+test('only declared metrics of the right type can be recorded', () => {
+    const metrics = createMetrics();
+    assert.throws(() => metrics.increment('made_up_total'), /Unknown metric "made_up_total"/);
+    assert.throws(() => metrics.observe('extractions_total', {}, 1), /is not a histogram/);
+});
+
+test('the Prometheus export has help, type and cumulative buckets', () => {
+    const metrics = createMetrics();
+    metrics.increment('extraction_cache_total', { result: 'hit' });
+    metrics.observe('llm_request_duration_seconds', { provider: 'openai' }, 2);
+    const text = toPrometheus(metrics.snapshot());
+
+    assert.match(text, /^# HELP job_extractor_extraction_cache_total /m);
+    assert.match(text, /^# TYPE job_extractor_extraction_cache_total counter$/m);
+    assert.match(text, /^job_extractor_extraction_cache_total\{result="hit"\} 1$/m);
+    assert.match(text, /^job_extractor_llm_request_duration_seconds_bucket\{provider="openai",le="1"\} 0$/m);
+    assert.match(text, /^job_extractor_llm_request_duration_seconds_bucket\{provider="openai",le="2.5"\} 1$/m);
+    assert.match(text, /^job_extractor_llm_request_duration_seconds_bucket\{provider="openai",le="\+Inf"\} 1$/m);
+    assert.match(text, /^job_extractor_llm_request_duration_seconds_count\{provider="openai"\} 1$/m);
+    assert.doesNotMatch(text, /extractions_total/);
+});
+
+test('instance snapshots are flushed to the store and summed', async () => {
+    const store = createMemoryStore();
+    const metrics = createMetrics();
+    const flush = createMetricsFlusher(metrics, store, { intervalSeconds: 60 });
+
+    assert.equal(await flush(), false);
+    metrics.increment('extraction_cache_total', { result: 'miss' });
+    assert.equal(await flush(), true);
+    metrics.increment('extraction_cache_total', { result: 'miss' });
+    // Within the interval only a forced flush writes
+    assert.equal(await flush(), false);
+    assert.equal(await flush({ force: true }), true);
+
+    const collected = await collectMetrics(store);
+    assert.equal(collected.instances, 1);
+    assert.deepEqual(collected.counters.extraction_cache_total, { 'result="miss"': 2 });
+
+    const merged = mergeSnapshots([metrics.snapshot(), metrics.snapshot()]);
+    assert.deepEqual(merged.counters.extraction_cache_total, { 'result="miss"': 4 });
+});
+
+test('an extraction counts its attempts and outcome', async () => {
+    const metrics = createMetrics();
+    const provider = stubProvider('not json', { usage: { input_tokens: 10, output_tokens: 2 } });
+    const result = await extractJobDetailsWithRetry('Backend Engineer', 'The role is remote.', {
+        provider,
+        metrics,
+        logger: SILENT_LOGGER,
+        config: { maxRetries: 2, retryDelayMs: 0 }
+    });
+
+    assert.equal(result.extraction_method, 'rules');
+    const { counters } = metrics.snapshot();
+    assert.deepEqual(counters.extraction_attempts_total, { 'outcome="invalid_json",provider="stub"': 2 });
+    assert.deepEqual(counters.extractions_total, { 'method="rules",outcome="error"': 1 });
+    assert.equal(counters.llm_tokens_total['model="stub-model",provider="stub",type="input"'], 20);
+});
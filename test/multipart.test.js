@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MultipartParser, parseMultipart } from "../lib/multipart.js";
+import { parseEventBody } from "../lib/request.js";
+
+const BOUNDARY = '----form7MA4YWxkTrZu0gW';
+
+// Multipart body from [{ name, value, filename?, contentType? }]
+function multipartBody(parts) {
+    const chunks = parts.map(({ name, value, filename, contentType }) => {
+        const disposition = `Content-Disposition: form-data; name="${name}"${filename ? `; filename="${filename}"` : ''}`;
+        const type = contentType ? `\r\nContent-Type: ${contentType}` : '';
+        return `--${BOUNDARY}\r\n${disposition}${type}\r\n\r\n${value}\r\n`;
+    });
+    return Buffer.from(`${chunks.join('')}--${BOUNDARY}--\r\n`);
+}
+
+test('fields map to their first value and files are listed', () => {
+    const body = multipartBody([
+        { name: 'job_title', value: 'Data Engineer' },
+        { name: 'job_title', value: 'ignored repeat' },
+        { name: 'file', value: 'Posting text', filename: 'posting.txt', contentType: 'text/plain' }
+    ]);
+    const { fields, files } = parseMultipart(body, BOUNDARY);
+
+    assert.deepEqual({ ...fields }, { job_title: 'Data Engineer' });
+    assert.equal(files.length, 1);
+    assert.equal(files[0].filename, 'posting.txt');
+    assert.equal(files[0].data.toString('utf8'), 'Posting text');
+});
+
+test('field names that exist on Object.prototype are kept', () => {
+    const body = multipartBody([
+        { name: 'constructor', value: 'a' },
+        { name: 'toString', value: 'b' },
+        { name: '__proto__', value: 'c' },
+        { name: 'hasOwnProperty', value: 'd' }
+    ]);
+    const { fields } = parseMultipart(body, BOUNDARY);
+
+    assert.equal(fields.constructor, 'a');
+    assert.equal(fields.toString, 'b');
+    assert.equal(fields.__proto__, 'c');
+    assert.equal(fields.hasOwnProperty, 'd');
+    assert.deepEqual(Object.keys(fields), ['constructor', 'toString', '__proto__', 'hasOwnProperty']);
+    assert.equal({}.polluted, undefined);
+});
+
+test('the _charset_ field sets the default charset', () => {
+    const body = Buffer.concat([
+        Buffer.from(`--${BOUNDARY}\r\nContent-Disposition: form-data; name="_charset_"\r\n\r\niso-8859-1\r\n`),
+        Buffer.from(`--${BOUNDARY}\r\nContent-Disposition: form-data; name="job_title"\r\n\r\n`),
+        Buffer.from([0x4d, 0xfc, 0x6e, 0x63, 0x68, 0x65, 0x6e]),
+        Buffer.from(`\r\n--${BOUNDARY}--\r\n`)
+    ]);
+    assert.equal(parseMultipart(body, BOUNDARY).fields.job_title, 'München');
+});
+
+test('a body split at any byte parses the same', () => {
+    const body = multipartBody([
+        { name: 'job_title', value: 'Data Engineer' },
+        { name: 'job_description', value: 'Line one\r\n--not a boundary\r\nLine three' }
+    ]);
+    for (const size of [1, 7, 64]) {
+        const parser = new MultipartParser(BOUNDARY);
+        for (let offset = 0; offset < body.length; offset += size) {
+            parser.write(body.subarray(offset, offset + size));
+        }
+        const parts = parser.end();
+        assert.deepEqual(parts.map(part => part.data.toString('utf8')), ['Data Engineer', 'Line one\r\n--not a boundary\r\nLine three']);
+    }
+});
+
+test('a body without the closing boundary is rejected', () => {
+    const body = Buffer.from(`--${BOUNDARY}\r\nContent-Disposition: form-data; name="job_title"\r\n\r\nData Engineer`);
+    assert.throws(() => parseMultipart(body, BOUNDARY));
+});
+
+test('an uploaded description file becomes job_description', async () => {
+    const body = multipartBody([
+        { name: 'job_title', value: 'Data Engineer' },
+        { name: 'job_description_file', value: 'We need SQL and Python.', filename: 'posting.txt', contentType: 'text/plain' }
+    ]);
+    const fields = await parseEventBody({
+        headers: { 'Content-Type': `multipart/form-data; boundary=${BOUNDARY}` },
+        body: body.toString('base64'),
+        isBase64Encoded: true
+    });
+
+    assert.equal(fields.job_title, 'Data Engineer');
+    assert.equal(fields.job_description, 'We need SQL and Python.');
+    assert.equal(fields.job_description_source, 'posting.txt');
+});
@@ -0,0 +1,130 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { buildOpenApiSpec, requestLimitsFromEnv, validateExtractionRequest } from "../lib/openapi.js";
+import { extractJobDetails } from "../lib/extract.js";
+import { FIELDS } from "../lib/schema.js";
+import { ApiError, createClient } from "../clients/js/index.js";
+import { SILENT_LOGGER } from "./helpers.js";
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const SPEC = buildOpenApiSpec({ limits: requestLimitsFromEnv({ MAX_BATCH_SIZE: '2', MAX_TITLE_CHARS: '20' }) });
+
+const RULES_ONLY_DESCRIPTION = `About Acme Robotics
+
+We are hiring a Backend Engineer for our Austin, TX office. This is an on-site role.
+Requirements:
+- 3+ years of experience with Python and PostgreSQL
+- Docker
+Salary: $120,000 - $140,000 per year.`;
+
+test('a well-formed request passes, query strings included', () => {
+    assert.equal(validateExtractionRequest({ body: { job_title: 'Engineer', job_description: 'Build things.' } }, SPEC), null);
+    assert.equal(validateExtractionRequest({ body: { job_url: 'https://example.com/jobs/1' }, query: { refresh: 'true', format: 'CSV' } }, SPEC), null);
+    assert.equal(validateExtractionRequest({ body: { jobs: [{ job_title: 'A', job_description: 'x' }] } }, SPEC), null);
+});
+
+test('a malformed request answers 400 with every problem by field', () => {
+    const invalid = validateExtractionRequest({ body: { job_title: 42, refresh: 'sometimes' } }, SPEC);
+
+    assert.equal(invalid.statusCode, 400);
+    assert.equal(invalid.error, '2 request fields are invalid');
+    assert.deepEqual(invalid.errors.map(({ field, in: location, code }) => ({ field, in: location, code })), [
+        { field: 'job_title', in: 'body', code: 'type' },
+        { field: 'refresh', in: 'body', code: 'type' }
+    ]);
+
+    const batch = validateExtractionRequest({ body: { jobs: [{ job_title: 'A' }, 'not a job'] } }, SPEC);
+    assert.equal(batch.statusCode, 400);
+    assert.equal(batch.errors[0].field, 'jobs[1]');
+});
+
+test('a well-formed request that breaks a limit answers 422', () => {
+    const invalid = validateExtractionRequest({ body: { job_title: 'A very long job title indeed', job_url: 'ftp://example.com/job' }, query: { format: 'xml' } }, SPEC);
+
+    assert.equal(invalid.statusCode, 422);
+    assert.deepEqual(invalid.errors.map(error => [error.field, error.in, error.code]), [
+        ['job_title', 'body', 'too_long'],
+        ['job_url', 'body', 'format'],
+        ['format', 'query', 'enum']
+    ]);
+    assert.match(invalid.errors[0].message, /maximum 20/);
+
+    const batch = validateExtractionRequest({ body: { jobs: [{}, {}, {}] } }, SPEC);
+    assert.equal(batch.statusCode, 422);
+    assert.equal(batch.errors[0].code, 'too_many_items');
+});
+
+test('an extraction result matches the JobDetails response schema', async () => {
+    const schema = SPEC.components.schemas.JobDetails;
+    const result = { ...(await extractJobDetails({ job_title: 'Backend Engineer', job_description: RULES_ONLY_DESCRIPTION }, { logger: SILENT_LOGGER })), cache: 'miss' };
+
+    for (const name of schema.required) {
+        assert.ok(name in result, `${name} is missing from the result`);
+    }
+    for (const name of Object.keys(result)) {
+        assert.ok(name in schema.properties, `${name} is not in the spec`);
+    }
+    for (const definition of FIELDS.filter(entry => entry.type === 'enum')) {
+        assert.deepEqual(schema.properties[definition.name].enum, [...definition.values, null], definition.name);
+        assert.ok(schema.properties[definition.name].enum.includes(result[definition.name]), definition.name);
+    }
+});
+
+test('the checked-in client is what the generator writes', () => {
+    const out = mkdtempSync(join(tmpdir(), 'client-'));
+    try {
+        execFileSync(process.execPath, [join(ROOT, 'bin/generate-client.js'), '-o', out], { cwd: ROOT, env: {}, stdio: 'pipe' });
+        for (const file of ['index.js', 'index.d.ts', 'openapi.json']) {
+            assert.equal(readFileSync(join(out, file), 'utf8'), readFileSync(join(ROOT, 'clients/js', file), 'utf8'), file);
+        }
+    } finally {
+        rmSync(out, { recursive: true, force: true });
+    }
+});
+
+// fetch stub answering every call with `status` and `body`, recording the calls
+function stubFetch(status, body, headers = {}) {
+    const calls = [];
+    const fetch = async (url, init) => {
+        calls.push({ url: String(url), ...init });
+        return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+    };
+    return { fetch, calls };
+}
+
+test('the generated client posts JSON with the API key and reads the answer', async () => {
+    const { fetch, calls } = stubFetch(200, { job_title: 'Backend Engineer' });
+    const client = createClient({ baseUrl: 'https://jobs.example.com/', apiKey: 'key-1', fetch });
+
+    assert.deepEqual(await client.extractJobDetails({ job_title: 'Backend Engineer', job_description: 'Build things.' }), { job_title: 'Backend Engineer' });
+    assert.equal(calls[0].url, 'https://jobs.example.com/.netlify/functions/extract-job-details');
+    assert.equal(calls[0].method, 'POST');
+    assert.equal(calls[0].headers.Authorization, 'Bearer key-1');
+    assert.deepEqual(JSON.parse(calls[0].body), { job_title: 'Backend Engineer', job_description: 'Build things.' });
+
+    await client.getJobStatus({ id: 'job-1', wait: undefined });
+    assert.equal(calls[1].url, 'https://jobs.example.com/.netlify/functions/job-status?id=job-1');
+    assert.equal(calls[1].method, 'GET');
+    assert.equal(calls[1].body, undefined);
+});
+
+test('the generated client throws an ApiError with the field errors', async () => {
+    const body = { error: 'job_title must be a string', errors: [{ field: 'job_title', in: 'body', code: 'type', message: 'job_title must be a string' }] };
+    const { fetch } = stubFetch(400, body, { 'X-Request-Id': 'req-1' });
+    const client = createClient({ baseUrl: 'https://jobs.example.com', fetch });
+
+    await assert.rejects(client.extractJobDetails({ job_title: 42 }), error => {
+        assert.ok(error instanceof ApiError);
+        assert.equal(error.message, 'job_title must be a string');
+        assert.equal(error.statusCode, 400);
+        assert.equal(error.requestId, 'req-1');
+        assert.deepEqual(error.errors, body.errors);
+        return true;
+    });
+    assert.throws(() => createClient({}), /baseUrl is required/);
+});
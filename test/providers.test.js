@@ -0,0 +1,189 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import {
+    allowedModelsFromEnv,
+    checkProviderOverride,
+    createProviderChain,
+    parseProviderSpec,
+    providerFromConfig
+} from "../lib/providers/index.js";
+import { createOpenAIProvider } from "../lib/providers/openai.js";
+import { createOllamaProvider } from "../lib/providers/ollama.js";
+import { stubProvider } from "./helpers.js";
+
+function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+// Local HTTP server answering from `answers` in order ({ status, body }) and
+// recording what each request carried; closed when the test ends
+async function stubServer(t, answers) {
+    const requests = [];
+    const server = createServer((request, response) => {
+        let body = '';
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => {
+            requests.push({ method: request.method, url: request.url, headers: request.headers, body: JSON.parse(body) });
+            const answer = answers[requests.length - 1] || { status: 500, body: 'no answer left' };
+            response.writeHead(answer.status || 200, { 'Content-Type': typeof answer.body === 'string' ? 'text/plain' : 'application/json' });
+            response.end(typeof answer.body === 'string' ? answer.body : JSON.stringify(answer.body));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return { baseUrl: `http://127.0.0.1:${server.address().port}`, requests };
+}
+
+test('parseProviderSpec splits on the first colon only', () => {
+    assert.deepEqual(parseProviderSpec('openai:gpt-4o-mini'), { name: 'openai', model: 'gpt-4o-mini' });
+    assert.deepEqual(parseProviderSpec('ollama:llama3.1:8b'), { name: 'ollama', model: 'llama3.1:8b' });
+    assert.deepEqual(parseProviderSpec(' Replicate '), { name: 'replicate', model: undefined });
+    assert.throws(() => parseProviderSpec('anthropic:claude'), /Unknown LLM provider "anthropic"/);
+});
+
+test('providerFromConfig builds the primary and fallbacks from the environment', () => {
+    const env = { LLM_PROVIDER: 'openai', LLM_MODEL: 'gpt-4o', LLM_FALLBACKS: 'ollama:llama3.1:8b, replicate' };
+    const chain = providerFromConfig({}, env);
+    assert.equal(chain.name, 'openai>ollama>replicate');
+    assert.equal(chain.model, 'gpt-4o');
+
+    const single = providerFromConfig({ provider: 'ollama', model: 'qwen2.5' }, { LLM_PROVIDER: 'openai' });
+    assert.equal(single.name, 'ollama');
+    assert.equal(single.model, 'qwen2.5');
+});
+
+test('LLM_MODEL only applies to the configured provider', () => {
+    const env = { LLM_PROVIDER: 'replicate', LLM_MODEL: 'meta/llama-3-70b' };
+    assert.equal(providerFromConfig({}, env).model, 'meta/llama-3-70b');
+    assert.equal(providerFromConfig({ provider: 'replicate' }, env).model, 'meta/llama-3-70b');
+    // Another provider gets its own default, not a Replicate model name
+    assert.equal(providerFromConfig({ provider: 'openai' }, env).model, 'gpt-4o-mini');
+    assert.equal(providerFromConfig({ provider: 'ollama' }, { LLM_PROVIDER: 'openai:gpt-4o' }).model, 'llama3.1');
+    assert.equal(providerFromConfig({ provider: 'openai' }, { LLM_PROVIDER: 'openai:gpt-4o' }).model, 'gpt-4o');
+    assert.deepEqual(checkProviderOverride({ provider: 'openai' }, { ...env, ALLOWED_MODELS: 'openai:gpt-4o-mini' }), { name: 'openai', model: 'gpt-4o-mini' });
+});
+
+test('the chain answers with the first provider that succeeds', async () => {
+    const failing = stubProvider(new Error('HTTP 503'), { name: 'openai' });
+    const working = stubProvider('{"ok":true}', { name: 'ollama' });
+    const unused = stubProvider('{"ok":false}', { name: 'replicate' });
+    const chain = createProviderChain([failing, working, unused]);
+
+    const result = await chain.generate('prompt');
+    assert.deepEqual(result, { text: '{"ok":true}', usage: null, provider: 'ollama', model: 'ollama-model' });
+    assert.equal(failing.calls, 1);
+    assert.equal(unused.calls, 0);
+});
+
+test('the chain lists every failure when all providers fail', async () => {
+    const chain = createProviderChain([stubProvider(new Error('HTTP 503'), { name: 'openai' }), stubProvider(new Error('refused'), { name: 'ollama' })]);
+    await assert.rejects(chain.generate('prompt'), /All LLM providers failed - openai\(openai-model\): HTTP 503; ollama\(ollama-model\): refused/);
+});
+
+test('a chain of one is the provider itself', () => {
+    const provider = stubProvider('{}', { name: 'openai' });
+    assert.equal(createProviderChain([provider]), provider);
+});
+
+test('the OpenAI provider reads the message content and token usage', async () => {
+    const requests = [];
+    const provider = createOpenAIProvider({
+        model: 'gpt-4o-mini',
+        baseUrl: 'https://llm.example.com/v1/',
+        apiKey: 'sk-test',
+        fetch: async (url, init) => {
+            requests.push({ url, init });
+            return jsonResponse({
+                choices: [{ message: { content: ' {"job_title":"Engineer"} ' } }],
+                usage: { prompt_tokens: 12, completion_tokens: 7 }
+            });
+        }
+    });
+
+    const result = await provider.generate('Extract this', { maxTokens: 50 });
+    assert.deepEqual(result, { text: '{"job_title":"Engineer"}', usage: { input_tokens: 12, output_tokens: 7 } });
+    assert.equal(requests[0].url, 'https://llm.example.com/v1/chat/completions');
+    assert.equal(requests[0].init.headers.Authorization, 'Bearer sk-test');
+    assert.equal(JSON.parse(requests[0].init.body).max_tokens, 50);
+});
+
+test('HTTP providers fail loudly on error responses', async () => {
+    const provider = createOllamaProvider({ fetch: async () => new Response('model not found', { status: 404 }) });
+    await assert.rejects(provider.generate('prompt'), /HTTP 404 from http:\/\/localhost:11434\/api\/generate: model not found/);
+});
+
+test('the OpenAI-compatible adapter speaks chat completions over HTTP', async t => {
+    const server = await stubServer(t, [
+        { body: { choices: [{ message: { content: '{"job_title":"Engineer"}' } }], usage: { prompt_tokens: 30, completion_tokens: 9 } } },
+        { status: 429, body: 'Rate limit reached for gpt-4o-mini' }
+    ]);
+    const provider = createOpenAIProvider({ model: 'gpt-4o-mini', baseUrl: `${server.baseUrl}/v1/`, apiKey: 'sk-test' });
+
+    const result = await provider.generate('Extract this', { maxTokens: 64 });
+    assert.deepEqual(result, { text: '{"job_title":"Engineer"}', usage: { input_tokens: 30, output_tokens: 9 } });
+
+    const [request] = server.requests;
+    assert.equal(request.method, 'POST');
+    assert.equal(request.url, '/v1/chat/completions');
+    assert.equal(request.headers.authorization, 'Bearer sk-test');
+    assert.equal(request.headers['content-type'], 'application/json');
+    assert.deepEqual(request.body, {
+        model: 'gpt-4o-mini',
+        messages: [{ role: 'user', content: 'Extract this' }],
+        max_tokens: 64,
+        temperature: 0
+    });
+
+    await assert.rejects(provider.generate('Extract this'), /^Error: HTTP 429 from http:\/\/127\.0\.0\.1:\d+\/v1\/chat\/completions: Rate limit reached/);
+});
+
+test('the Ollama adapter speaks /api/generate over HTTP', async t => {
+    const server = await stubServer(t, [
+        { body: { model: 'llama3.1', response: ' {"city":"Austin, TX"}\n', prompt_eval_count: 41, eval_count: 12, done: true } },
+        { body: { model: 'llama3.1', done: true } },
+        { status: 500, body: 'model "llama9" not found' }
+    ]);
+    const provider = createOllamaProvider({ baseUrl: server.baseUrl });
+
+    const result = await provider.generate('Extract this', { maxTokens: 80 });
+    assert.deepEqual(result, { text: '{"city":"Austin, TX"}', usage: { input_tokens: 41, output_tokens: 12 } });
+
+    const [request] = server.requests;
+    assert.equal(request.url, '/api/generate');
+    assert.equal(request.headers.authorization, undefined);
+    assert.deepEqual(request.body, {
+        model: 'llama3.1',
+        prompt: 'Extract this',
+        stream: false,
+        format: 'json',
+        options: { num_predict: 80, temperature: 0 }
+    });
+
+    await assert.rejects(provider.generate('Extract this'), /Ollama response has no text/);
+    await assert.rejects(provider.generate('Extract this'), /HTTP 500 from .*\/api\/generate: model "llama9" not found/);
+});
+
+test('overrides default to the configured chain', () => {
+    const env = { LLM_PROVIDER: 'openai:gpt-4o-mini', LLM_FALLBACKS: 'ollama' };
+    assert.deepEqual(allowedModelsFromEnv(env), [
+        { name: 'openai', model: 'gpt-4o-mini' },
+        { name: 'ollama', model: 'llama3.1' }
+    ]);
+    assert.deepEqual(checkProviderOverride({ provider: 'ollama' }, env), { name: 'ollama', model: 'llama3.1' });
+    assert.throws(() => checkProviderOverride({ model: 'gpt-4o' }, env), error => {
+        assert.equal(error.statusCode, 400);
+        assert.match(error.message, /"openai:gpt-4o" is not allowed/);
+        return true;
+    });
+    assert.throws(() => checkProviderOverride({ provider: 'replicate' }, env), /not allowed/);
+});
+
+test('ALLOWED_MODELS lists exact models or every model of a provider', () => {
+    const env = { LLM_PROVIDER: 'replicate', ALLOWED_MODELS: 'openai:gpt-4o-mini, ollama:*' };
+    assert.deepEqual(checkProviderOverride({ provider: 'openai:gpt-4o-mini' }, env), { name: 'openai', model: 'gpt-4o-mini' });
+    assert.deepEqual(checkProviderOverride({ provider: 'ollama', model: 'llama3.1:70b' }, env), { name: 'ollama', model: 'llama3.1:70b' });
+    assert.throws(() => checkProviderOverride({ provider: 'openai', model: 'o1-pro' }, env), /not allowed/);
+    // The configured provider is only allowed when it is listed
+    assert.throws(() => checkProviderOverride({ provider: 'replicate' }, env), /not allowed/);
+});
@@ -0,0 +1,142 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { FIELDS, buildOutputTemplate, buildPromptFieldSection, coerceValue, fieldNames, nullResult, validateResult } from "../lib/schema.js";
+import { buildPrompt, buildRepairPrompt } from "../lib/prompt.js";
+
+const TRIM = value => typeof value === 'string' ? value.trim() : value;
+
+const TEST_FIELDS = [
+    { name: 'title', type: 'string', nullable: false, description: 'the title', normalize: TRIM },
+    { name: 'level', type: 'enum', values: ['junior', 'senior'], nullable: true, description: 'the level', rules: ['Prefer the title'] },
+    { name: 'openings', type: 'number', nullable: true, description: 'number of openings' },
+    { name: 'tags', type: 'array', nullable: false, items: { type: 'string', nullable: false }, description: 'tags' },
+    {
+        name: 'pay',
+        type: 'object',
+        nullable: true,
+        description: 'pay range',
+        properties: [
+            { name: 'min', type: 'number', nullable: true },
+            { name: 'currency', type: 'string', nullable: false }
+        ]
+    }
+];
+
+test('the prompt field section lists every field with its rules and enum values', () => {
+    const section = buildPromptFieldSection(TEST_FIELDS);
+    assert.match(section, /• title → the title/);
+    assert.match(section, /• level → the level\n {6}- junior\n {6}- senior\n {4}Prefer the title/);
+    assert.match(section, /• pay → pay range/);
+});
+
+test('the output template has a placeholder for every field', () => {
+    const template = buildOutputTemplate(TEST_FIELDS);
+    assert.match(template, /"title": "\[string\]"/);
+    assert.match(template, /"level": "\[junior\/senior or null\]"/);
+    assert.match(template, /"openings": "\[number or null\]"/);
+    assert.match(template, /"tags": "\[list of string\]"/);
+    assert.match(template, /"pay": \{\n {4}"min": "\[number or null\]",\n {4}"currency": "\[string\]"\n {2}\} \(or null\)/);
+});
+
+test('the default prompt is built from every schema field', () => {
+    const prompt = buildPrompt('Data Engineer', 'Remote role at Acme.');
+    for (const name of fieldNames()) {
+        assert.ok(prompt.includes(`  • ${name} → `), `${name} missing from the field section`);
+        assert.ok(prompt.includes(`"${name}": `), `${name} missing from the output format`);
+    }
+    for (const definition of FIELDS.filter(definition => definition.type === 'enum')) {
+        assert.ok(prompt.includes(`FINAL CHECK: ${definition.name} must be exactly one of`));
+    }
+});
+
+test('fields settled locally are handed to the model to copy', () => {
+    const prompt = buildPrompt('Data Engineer', 'Remote role.', { fields: TEST_FIELDS, knownFields: { level: 'senior' } });
+    assert.match(prompt, /Already extracted[^\n]*\n- level: "senior"/);
+    assert.doesNotMatch(buildPrompt('Data Engineer', 'Remote role.', { fields: TEST_FIELDS }), /Already extracted/);
+});
+
+test('a valid response is normalized and keeps only schema fields', () => {
+    const { valid, errors, value } = validateResult({
+        title: '  Data Engineer ',
+        level: 'senior',
+        openings: 2,
+        tags: ['python'],
+        pay: { min: 100000, currency: 'USD' },
+        extra: 'dropped'
+    }, { fields: TEST_FIELDS });
+
+    assert.equal(valid, true);
+    assert.deepEqual(errors, {});
+    assert.deepEqual(value, {
+        title: 'Data Engineer',
+        level: 'senior',
+        openings: 2,
+        tags: ['python'],
+        pay: { min: 100000, currency: 'USD' }
+    });
+});
+
+test('every invalid field is reported by name', () => {
+    const { valid, errors } = validateResult({
+        title: '   ',
+        level: 'principal',
+        openings: 'two',
+        tags: ['python', 3],
+        pay: { min: null }
+    }, { fields: TEST_FIELDS });
+
+    assert.equal(valid, false);
+    assert.deepEqual(errors, {
+        title: 'title must not be empty',
+        level: 'level must be one of: junior, senior',
+        openings: 'openings must be a number',
+        tags: 'tags [1] must be a string',
+        pay: 'pay .currency is missing'
+    });
+    assert.deepEqual(validateResult([], { fields: TEST_FIELDS }).errors, { _root: 'response must be a JSON object' });
+});
+
+test('trivial mistakes are coerced instead of rejected', () => {
+    const { valid, value, coerced } = validateResult({
+        title: 'Data Engineer',
+        level: ' Senior ',
+        openings: '1,200',
+        tags: [' python '],
+        pay: { min: '90000', currency: 'USD' }
+    }, { fields: TEST_FIELDS });
+
+    assert.equal(valid, true);
+    assert.deepEqual(value, { title: 'Data Engineer', level: 'senior', openings: 1200, tags: ['python'], pay: { min: 90000, currency: 'USD' } });
+    assert.deepEqual(coerced, ['level', 'openings', 'tags', 'pay']);
+
+    const experience = FIELDS.find(definition => definition.name === 'experience');
+    assert.equal(coerceValue(experience, 'mid-level'), 'Mid (3-5 Years)');
+    assert.equal(coerceValue(experience, 'N/A'), null);
+    assert.equal(coerceValue(experience, 'wizard'), 'wizard');
+});
+
+test('the repair prompt quotes the rejected answer and names the fields to fix', () => {
+    const prompt = buildRepairPrompt('BASE PROMPT', {
+        previousAnswer: '{"level":"principal"}',
+        errors: { level: 'level must be one of: junior, senior' }
+    });
+
+    assert.ok(prompt.startsWith('BASE PROMPT\n'));
+    assert.match(prompt, /Your previous answer was rejected:\n\{"level":"principal"\}/);
+    assert.match(prompt, /- level must be one of: junior, senior/);
+    assert.match(prompt, /fix only: level\.$/);
+
+    const notJson = buildRepairPrompt('BASE PROMPT', { previousAnswer: 'Sure!', errors: { _root: 'The answer was not valid JSON' } });
+    assert.match(notJson, /Return only the JSON object/);
+});
+
+test('the null fallback keeps the input title and empty lists', () => {
+    assert.deepEqual(nullResult('Data Engineer', TEST_FIELDS), {
+        title: null,
+        level: null,
+        openings: null,
+        tags: [],
+        pay: null
+    });
+    assert.equal(nullResult('Data Engineer').job_title, 'Data Engineer');
+});
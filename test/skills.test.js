@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { canonicalSkill, findSkillsInText, normalizeSkills } from "../lib/skills.js";
+
+test('aliases collapse onto one canonical skill', () => {
+    for (const alias of ['JS', 'Javascript', 'ECMAScript', 'javascript', 'Vanilla JS']) {
+        assert.equal(canonicalSkill(alias).name, 'JavaScript', alias);
+    }
+    assert.equal(canonicalSkill('k8s').name, 'Kubernetes');
+    assert.equal(canonicalSkill('Node JS').id, canonicalSkill('node.js').id);
+    assert.equal(canonicalSkill('Underwater basket weaving'), null);
+});
+
+test('model skills are normalized, deduplicated and keep required if required anywhere', () => {
+    const skills = normalizeSkills(
+        ['JS', { name: 'Javascript', required: false }, { name: 'ECMAScript', required: true }, { name: 'k8s', required: false }, 'Underwater basket weaving'],
+        'Modern JS (ECMAScript 2022), some Javascript tooling, k8s and underwater basket weaving.'
+    );
+
+    assert.deepEqual(skills.map(({ id, name, required, known }) => ({ id, name, required, known })), [
+        { id: 'javascript', name: 'JavaScript', required: true, known: true },
+        { id: 'kubernetes', name: 'Kubernetes', required: false, known: true },
+        { id: null, name: 'Underwater basket weaving', required: true, known: false }
+    ]);
+});
+
+test('a skill counts as mentioned only as a whole word', () => {
+    // "r" in "engineer", "go" in "good", "js"/"es6" nowhere as words
+    assert.deepEqual(normalizeSkills(['R', 'Go', 'JavaScript'], 'A good engineer who writes great tests and results'), []);
+    assert.deepEqual(normalizeSkills(['JS'], 'Our API speaks JSON'), []);
+    assert.deepEqual(normalizeSkills(['Kubernetes'], 'Deploys to k8s').map(skill => skill.id), ['kubernetes']);
+    assert.deepEqual(normalizeSkills(['R'], 'Statistics in R or Python').map(skill => skill.id), ['r']);
+});
+
+test('skills that are everyday words must be written as names', () => {
+    assert.deepEqual(normalizeSkills(['Go'], 'Ready to go the extra mile'), []);
+    assert.deepEqual(normalizeSkills(['Spring'], 'Starting this spring'), []);
+    assert.deepEqual(normalizeSkills(['golang'], 'Services in Go').map(skill => skill.id), ['go']);
+    assert.deepEqual(findSkillsInText('Ready to go the extra mile with Go and React').map(skill => skill.id), ['go', 'react']);
+});
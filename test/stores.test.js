@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryStore } from "../lib/stores.js";
+
+test('a full memory store drops the least recently used entries', async () => {
+    const store = createMemoryStore({ maxEntries: 3 });
+    await store.set('a', 1);
+    await store.set('b', 2);
+    await store.set('c', 3);
+    // Reading "a" makes "b" the oldest
+    assert.equal(await store.get('a'), 1);
+    await store.set('d', 4);
+
+    assert.equal(store.size, 3);
+    assert.equal(await store.get('b'), null);
+    assert.deepEqual([await store.get('a'), await store.get('c'), await store.get('d')], [1, 3, 4]);
+});
+
+test('expired entries are swept when the store is written to', async t => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const store = createMemoryStore({ maxEntries: 100 });
+    for (let i = 0; i < 10; i++) {
+        await store.set(`short-${i}`, i, { ttlSeconds: 1 });
+    }
+    await store.set('long', 'kept', { ttlSeconds: 3600 });
+    assert.equal(store.size, 11);
+
+    // Never read again, the expired entries still go
+    t.mock.timers.tick(2 * 60 * 1000);
+    await store.set('new', 'value');
+    assert.equal(store.size, 2);
+    assert.equal(await store.get('long'), 'kept');
+    assert.equal(await store.get('short-0'), null);
+});
+
+test('a full store sweeps expired entries before dropping live ones', async t => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const store = createMemoryStore({ maxEntries: 2 });
+    await store.set('live', 1);
+    await store.set('expiring', 2, { ttlSeconds: 1 });
+    t.mock.timers.tick(1500);
+    await store.set('new', 3);
+
+    assert.equal(await store.get('live'), 1);
+    assert.equal(await store.get('new'), 3);
+});
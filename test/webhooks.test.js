@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { deliverWebhook, signPayload, verifySignature } from "../lib/webhooks.js";
+import { SILENT_LOGGER } from "./helpers.js";
+
+const CALLBACK = 'https://hooks.example.com/jobs';
+
+function stubLookup(table) {
+    const lookup = async hostname => {
+        if (!table[hostname]) {
+            throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname}`), { code: 'ENOTFOUND' });
+        }
+        return table[hostname].map(address => ({ address, family: address.includes(':') ? 6 : 4 }));
+    };
+    return lookup;
+}
+
+// fetch stub answering with `statuses` in order
+function stubFetch(statuses) {
+    const requests = [];
+    const fetchImpl = async (url, init) => {
+        requests.push({ url, init });
+        const status = statuses[requests.length - 1];
+        return new Response(null, { status, headers: status >= 300 && status < 400 ? { Location: 'http://127.0.0.1/' } : {} });
+    };
+    fetchImpl.requests = requests;
+    return fetchImpl;
+}
+
+function deliver(fetchImpl, dns = { 'hooks.example.com': ['93.184.216.34'] }) {
+    return deliverWebhook(CALLBACK, { id: 'job-1', status: 'succeeded' }, {
+        id: 'job-1',
+        secret: 'shh',
+        fetchImpl,
+        lookup: stubLookup(dns),
+        sleep: async () => {},
+        logger: SILENT_LOGGER
+    });
+}
+
+test('a delivery is signed and sent without following redirects', async () => {
+    const fetchImpl = stubFetch([200]);
+    const result = await deliver(fetchImpl);
+
+    assert.deepEqual(result, { delivered: true, attempts: 1, status: 200, error: null });
+    const { init } = fetchImpl.requests[0];
+    assert.equal(init.redirect, 'manual');
+    assert.equal(init.headers['X-Webhook-Id'], 'job-1');
+    assert.equal(verifySignature(init.body, init.headers['X-Webhook-Signature'], init.headers['X-Webhook-Timestamp'], 'shh'), true);
+});
+
+test('server errors are retried and client errors are not', async () => {
+    const retried = stubFetch([503, 429, 204]);
+    assert.deepEqual(await deliver(retried), { delivered: true, attempts: 3, status: 204, error: null });
+
+    const rejected = stubFetch([404]);
+    assert.deepEqual(await deliver(rejected), { delivered: false, attempts: 1, status: 404, error: 'HTTP 404' });
+});
+
+test('a redirect is a failed delivery', async () => {
+    const fetchImpl = stubFetch([302]);
+    const result = await deliver(fetchImpl);
+
+    assert.equal(result.delivered, false);
+    assert.equal(result.attempts, 1);
+    assert.equal(result.status, 302);
+    assert.match(result.error, /redirect/);
+    assert.equal(fetchImpl.requests.length, 1);
+});
+
+test('a callback host that resolves to a private address is never posted to', async () => {
+    const fetchImpl = stubFetch([200]);
+    const result = await deliver(fetchImpl, { 'hooks.example.com': ['169.254.169.254'] });
+
+    assert.equal(result.delivered, false);
+    assert.equal(result.attempts, 1);
+    assert.match(result.error, /public host/);
+    assert.equal(fetchImpl.requests.length, 0);
+});
+
+test('a callback host that does not resolve is retried', async () => {
+    const fetchImpl = stubFetch([200]);
+    const result = await deliver(fetchImpl, {});
+
+    assert.equal(result.delivered, false);
+    assert.equal(result.attempts, 5);
+    assert.match(result.error, /ENOTFOUND/);
+    assert.equal(fetchImpl.requests.length, 0);
+});
+
+test('signatures older than the tolerance are refused', () => {
+    const timestamp = '1700000000';
+    const signature = signPayload('{}', 'shh', timestamp);
+    assert.equal(verifySignature('{}', signature, timestamp, 'shh', { now: () => 1700000100 * 1000 }), true);
+    assert.equal(verifySignature('{}', signature, timestamp, 'shh', { now: () => 1700001000 * 1000 }), false);
+    assert.equal(verifySignature('{"x":1}', signature, timestamp, 'shh', { now: () => 1700000100 * 1000 }), false);
+});